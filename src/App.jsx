@@ -19,6 +19,39 @@ import {
   Cell,
 } from "recharts";
 
+import { DEFAULT, SESSION_PRESETS, sessionConfigFromPreset } from "./sim/config.js";
+import { createEngine, restoreEngine } from "./sim/engine.js";
+import { actionsAt, addCheckpoint, createJournal, engineActionsAt, migrateJournal, recordAction } from "./sim/journal.js";
+import { parseScenario } from "./sim/scenario.js";
+import { DEFAULT_ROUTING, ROUTING_POLICIES } from "./sim/routing.js";
+import { DEFAULT_RATIONING, RATIONING_RULES } from "./sim/rationing.js";
+import { PHASE_SOURCES } from "./sim/phases.js";
+import { phaseAt } from "./sim/batch.js";
+import { createDemandFn } from "./sim/demand.js";
+import { validateDemandExpression } from "./sim/expression.js";
+import { bullwhipSeries, bullwhipStats } from "./sim/bullwhip.js";
+import { compareWithOracle } from "./sim/oracle.js";
+import { AUTO_PLANNERS, createPlanner, plannerObservation, plannerSummary } from "./sim/planners.js";
+import { DEFAULT_SCRIPT, createScriptRunner } from "./sim/scriptPlanner.js";
+import { visibleSurveys } from "./sim/survey.js";
+import { last, variance } from "./sim/utils.js";
+import BatchPanel from "./components/BatchPanel";
+import TimelinePanel from "./components/TimelinePanel";
+import ScenarioPanel from "./components/ScenarioPanel";
+import SessionSetup from "./components/SessionSetup";
+import FirmInspector from "./components/FirmInspector";
+import SupplyNetwork from "./components/SupplyNetwork";
+import BullwhipPanel from "./components/BullwhipPanel";
+import PnlPanel from "./components/PnlPanel";
+import WelfarePanel from "./components/WelfarePanel";
+import ScriptPlannerPanel from "./components/ScriptPlannerPanel";
+import DemandExpressionEditor, { EXPR_EXAMPLES } from "./components/DemandExpressionEditor";
+import FittingPanel from "./components/FittingPanel";
+import SurveyPanel from "./components/SurveyPanel";
+import SessionReveal from "./components/SessionReveal";
+import PlannerComparison from "./components/PlannerComparison";
+import useSimWorker from "./components/useSimWorker";
+
 /*
   Simulador PBC - PFP - PMP — versión "Planificador Humano" (completa)
   - Recharts para gráficos
@@ -27,75 +60,19 @@ import {
   - Empresas PBC/PFP/PMP con capacidades, inventarios, costos y adopción de innovaciones (delays)
   - Fases experimentales con distinta retroalimentación y volatilidad
   - Finalizar -> estadísticas exhaustivas + export JSON/CSV
-  - Empezar "al tiro": la simulación inicia automáticamente
+  - Pantalla de configuración de sesión (semilla, tamaños, demoras, innovación) con presets
 
   Instalar deps:  npm install recharts
 */
 
-// ------------------ UTILIDADES ------------------
-function mulberry32(a) {
-  return function () {
-    var t = (a += 0x6d2b79f5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-function randRange(rng, a, b) {
-  return a + (b - a) * rng();
-}
-function clamp(x, a, b) {
-  return Math.max(a, Math.min(b, x));
-}
-function last(arr, fallback = 0) {
-  if (!arr || arr.length === 0) return fallback;
-  return arr[arr.length - 1];
-}
-function olsLinear(x, y) {
-  const n = x.length;
-  if (n === 0) return { a: 0, b: 0 };
-  const meanX = x.reduce((s, v) => s + v, 0) / n;
-  const meanY = y.reduce((s, v) => s + v, 0) / n;
-  let num = 0,
-    den = 0;
-  for (let i = 0; i < n; i++) {
-    num += (x[i] - meanX) * (y[i] - meanY);
-    den += (x[i] - meanX) ** 2;
-  }
-  const b = den === 0 ? 0 : num / den;
-  const a = meanY - b * meanX;
-  return { a, b };
-}
-function variance(arr) {
-  if (!arr || arr.length === 0) return 0;
-  const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
-  return arr.reduce((a, b) => a + (b - mean) ** 2, 0) / arr.length;
-}
-
-// ------------------ DEMAND FACTORY (visual editor) ------------------
-function createDemandFn(type, params) {
-  if (type === "linear") {
-    const { A = 100, B = 5 } = params;
-    return (p) => Math.max(0, A - B * p);
-  }
-  if (type === "exp") {
-    const { A = 100, B = 0.5 } = params;
-    return (p) => Math.max(0, A * Math.exp(-B * p));
-  }
-  if (type === "log") {
-    const { A = 100, B = 5 } = params;
-    return (p) => Math.max(0, A - B * Math.log(1 + Math.max(0, p)));
-  }
-  if (type === "poly") {
-    const { A = 100, B = 5, C = 0.01 } = params;
-    return (p) => Math.max(0, A - B * p - C * p * p);
-  }
-  if (type === "logistic") {
-    const { K = 100, mid = 2, steep = 1 } = params;
-    return (p) => Math.max(0, K / (1 + Math.exp(steep * (p - mid))));
-  }
-  // fallback linear
-  return (p) => Math.max(0, params.A - (params.B || 1) * p);
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
 // ------------------ DEMAND PREVIEW SVG ------------------
@@ -139,41 +116,17 @@ function DemandPreviewSVG({ fn, maxP = 20, width = 260, height = 90 }) {
   );
 }
 
-// ------------------ DEFAULTS ------------------
-const DEFAULT = {
-  seed: 12345,
-  consumersN: 350,
-  p0: 1.0,
-  tickMs: 700,
-  pMin: 0.01,
-  pPriceAdjustGain: 0.08,
-  consumerUpdateRange: [30, 90],
-  pbcCountRange: [3, 6],
-  pfpCountRange: [3, 6],
-  pmpCountRange: [2, 4],
-  delays: { pbcToPfp: [5, 15], pfpToPmp: [5, 20], pmpAdjust: [10, 25] },
-  innovation: {
-    probPerTick: 0.03,
-    costMultRange: [0.92, 0.99],
-    tfpMultRange: [1.02, 1.25],
-    adoptionRange: [10, 60],
-  },
-};
-
-// Reacción de consumidores (configurable)
-const CONSUMER_REACT_PROBS = { baja: 0.8, mantiene: 0.18, sube: 0.02 };
-const CONSUMER_REACT_FACTORS = {
-  baja: [0.7, 0.95],
-  mantiene: [0.98, 1.02],
-  sube: [1.01, 1.2],
-};
-
 // ------------------ SUBCOMPONENTES UI ------------------
 function DemandEditorControls({
   demandType,
   setDemandType,
   dParams,
   setDParams,
+  exprSrc,
+  setExprSrc,
+  exprParams,
+  setExprParams,
+  exprValidation,
   appliedDemandLabel,
   applyEditorDemand,
   revertToAuto,
@@ -195,7 +148,8 @@ function DemandEditorControls({
         <option value="exp">Exponencial (A·exp(-B·p))</option>
         <option value="log">Logarítmica (A - B·log(1+p))</option>
         <option value="poly">Polinómica (A - B·p - C·p²)</option>
-        <option value="logistic">Logística (K / (1 + e^{steep (p - mid)}))</option>
+        <option value="logistic">Logística (K / (1 + e^(steep·(p − mid))))</option>
+        <option value="expr">Expresión libre</option>
       </select>
 
       <div className="mt-2 space-y-2 text-sm">
@@ -296,6 +250,15 @@ function DemandEditorControls({
             />
           </>
         )}
+        {demandType === "expr" && (
+          <DemandExpressionEditor
+            expr={exprSrc}
+            setExpr={setExprSrc}
+            params={exprParams}
+            setParams={setExprParams}
+            validation={exprValidation}
+          />
+        )}
         {demandType === "logistic" && (
           <>
             <label className="text-xs">K: {dParams.K.toFixed(1)}</label>
@@ -329,7 +292,11 @@ function DemandEditorControls({
         )}
       </div>
       <div className="mt-3 flex gap-2">
-        <button className="px-3 py-1 bg-green-600 text-white rounded" onClick={applyEditorDemand}>
+        <button
+          className="px-3 py-1 bg-green-600 text-white rounded"
+          onClick={applyEditorDemand}
+          disabled={demandType === "expr" && exprValidation.errors.length > 0}
+        >
           Aplicar (en vivo)
         </button>
         <button className="px-3 py-1 bg-gray-200 rounded" onClick={revertToAuto}>
@@ -339,7 +306,11 @@ function DemandEditorControls({
       <div className="mt-3">
         <div className="text-xs">Previsualización</div>
         <div className="mt-2">
-          <DemandPreviewSVG fn={createDemandFn(demandType, dParams)} maxP={Math.max(10, dParams.A / Math.max(1, dParams.B || 1))} />
+          {demandType === "expr" ? (
+            <DemandPreviewSVG fn={exprValidation.errors.length ? null : createDemandFn("expr", exprParams, exprSrc)} />
+          ) : (
+            <DemandPreviewSVG fn={createDemandFn(demandType, dParams)} maxP={Math.max(10, dParams.A / Math.max(1, dParams.B || 1))} />
+          )}
         </div>
         <div className="text-xs mt-1 text-gray-600">
           Aplicado: <b>{appliedDemandLabel}</b>
@@ -354,6 +325,10 @@ function MiniGuide() {
     <div className="bg-white p-3 rounded border text-sm">
       <div className="font-semibold">Mini‑guía (rápida)</div>
       <ol className="mt-2 list-decimal list-inside text-xs text-gray-700 space-y-1">
+        <li>
+          <b>Sesión:</b> elige semilla, tamaño de la economía y demoras (o un preset) y pulsa <em>Empezar</em>.
+          <em> Nueva sesión</em> vuelve a esa pantalla.
+        </li>
         <li>
           <b>Editor de demanda:</b> Elige tipo y ajusta parámetros. Pulsa <em>Aplicar</em> para que las PBC usen esa
           ecuación como percepción de demanda.
@@ -376,12 +351,45 @@ function MiniGuide() {
   );
 }
 
+// cada cuántos ticks se guarda un snapshot para el scrubbing de la línea de tiempo (addCheckpoint los ralea)
+const CHECKPOINT_EVERY = 50;
+const SCRIPT_SERIES_LEN = 200; // puntos de la serie que ve el script (como los gráficos)
+const createScriptWorker = () => new Worker(new URL("./sim/script.worker.js", import.meta.url), { type: "module" });
+const createOracleWorker = () => new Worker(new URL("./sim/oracle.worker.js", import.meta.url), { type: "module" });
+
+// KPIs de la ventana reciente (los mismos que muestran las tarjetas y recibe el script)
+function windowKpis(series) {
+  const w = series.slice(-40);
+  const avgEff = w.length ? w.reduce((a, b) => a + (b.efficiency || 0), 0) / w.length : 0;
+  const priceVar = variance(w.map((d) => d.price));
+  const demandVar = variance(w.map((d) => d.qDemand));
+  const utilization = w.length ? (w.reduce((a, b) => a + (b.qServed || 0), 0) / (w.reduce((a, b) => a + (b.qDemand || 0), 0) || 1)) : 0;
+  return { avgEff, priceVar, demandVar, utilization };
+}
+
 // ------------------ APP ------------------
 export default function App() {
-  // rng / simRef
+  // motor headless (src/sim/engine.js)
   const [seed, setSeed] = useState(DEFAULT.seed);
-  const rngRef = useRef(mulberry32(seed));
-  const simRef = useRef(null);
+  const engineRef = useRef(null);
+  // bitácora de acciones + snapshots intermedios para reproducir/scrubbear (src/sim/journal.js)
+  const journalRef = useRef(null);
+  const checkpointsRef = useRef([]);
+  // planificador oráculo (src/sim/oracle.js): misma base que la sesión, corre en un worker al finalizar
+  const oracleRun = useSimWorker(createOracleWorker);
+  // piloto automático (src/sim/planners.js): null = decide el humano
+  const plannerRef = useRef(null);
+  const [autoPlanner, setAutoPlanner] = useState("human");
+  // planificador con script del usuario (src/sim/scriptPlanner.js): corre en un worker; su última
+  // decisión espera en scriptDecisionRef hasta el próximo tick
+  const scriptRef = useRef(null);
+  const scriptDecisionRef = useRef(null);
+  const [scriptCode, setScriptCode] = useState(DEFAULT_SCRIPT);
+  const [scriptStatus, setScriptStatus] = useState(null);
+
+  // configuración de la sesión (pantalla inicial) — la simulación no arranca hasta confirmarla
+  const [sessionConfig, setSessionConfig] = useState(() => sessionConfigFromPreset(SESSION_PRESETS[0]));
+  const [setupOpen, setSetupOpen] = useState(true);
 
   // UI reactive state
   const [running, setRunning] = useState(true);
@@ -390,421 +398,176 @@ export default function App() {
   const [seriesData, setSeriesData] = useState([]); // time series for charts
   const [events, setEvents] = useState([]);
   const [phaseIdx, setPhaseIdx] = useState(0);
-  const EXPERIMENT_PHASES = [
-    { name: "A", feedbackStrength: 0.05, volatility: 0.02, desc: "Cambios lentos" },
-    { name: "B", feedbackStrength: 0.12, volatility: 0.12, desc: "Cambios rápidos" },
-    { name: "C", feedbackStrength: 0.4, volatility: 0.12, desc: "Retroalimentación fuerte" },
-  ];
+  const [scenario, setScenario] = useState(null); // shocks programados (src/sim/scenario.js)
 
   // Demand editor (planner)
   const [demandType, setDemandType] = useState("linear");
   const [dParams, setDParams] = useState({ A: 120, B: 6, C: 0.01, K: 120, mid: 2, steep: 1 });
-  const [userDemandFn, setUserDemandFn] = useState(null); // function used by PBC to plan
+  // expresión libre (src/sim/expression.js): sus parámetros con nombre van aparte de los de las familias
+  const [exprSrc, setExprSrc] = useState(EXPR_EXAMPLES[0].expr);
+  const [exprParams, setExprParams] = useState(EXPR_EXAMPLES[0].params);
+  const exprValidation = useMemo(() => validateDemandExpression(exprSrc, exprParams), [exprSrc, exprParams]);
+  const [appliedDemand, setAppliedDemand] = useState(null); // { type, params } usado por PBC para planear
   const [appliedDemandLabel, setAppliedDemandLabel] = useState("Automático");
 
   // Precio
   const [priceMode, setPriceMode] = useState("auto"); // auto | manual
   const [manualPrice, setManualPrice] = useState(DEFAULT.p0);
 
+  // Ruteo de pedidos por enlace (src/sim/routing.js)
+  const [routing, setRouting] = useState(DEFAULT_ROUTING);
+  // Regla de racionamiento cuando falta oferta (src/sim/rationing.js)
+  const [rationing, setRationing] = useState(DEFAULT_RATIONING);
+
   // finalization
   const [finished, setFinished] = useState(false);
   const [finalStats, setFinalStats] = useState(null);
 
-  // counters for innovation
-  const innovationCounterRef = useRef({ scheduled: 0, adopted: 0 });
-
   // KPIs en vivo (derivados)
-  const kpis = useMemo(() => {
-    const w = seriesData.slice(-40);
-    const avgEff = w.length ? w.reduce((a, b) => a + (b.efficiency || 0), 0) / w.length : 0;
-    const priceVar = variance(w.map((d) => d.price));
-    const demandVar = variance(w.map((d) => d.qDemand));
-    const utilization = w.length ? (w.reduce((a, b) => a + (b.qServed || 0), 0) / (w.reduce((a, b) => a + (b.qDemand || 0), 0) || 1)) : 0;
-    return { avgEff, priceVar, demandVar, utilization };
-  }, [seriesData]);
+  const kpis = useMemo(() => windowKpis(seriesData), [seriesData]);
 
-  // ------------------ init ------------------
-  function initSimulation(newSeed = seed) {
-    const rng = mulberry32(newSeed);
-    rngRef.current = rng;
-    const s = {
-      t: 0,
-      seed: newSeed,
-      rng,
-      price: DEFAULT.p0,
-      consumers: [],
-      firms: { PBC: [], PFP: [], PMP: [] },
-      orders: [],
-      logs: [],
-      userPerceivedDemandFn: null,
-      innovations: [],
-    };
-
-    // create consumers (ocultos)
-    for (let i = 0; i < DEFAULT.consumersN; i++) {
-      const typeRand = rng();
-      let type = "linear";
-      if (typeRand < 0.6) type = "linear";
-      else if (typeRand < 0.85) type = "log";
-      else if (typeRand < 0.98) type = "exp";
-      else type = "poly";
-
-      // Se asignan valores iniciales a y b
-      const a = randRange(rng, 5, 200);
-      const signRoll = rng();
-      let b = 0;
-      if (signRoll < 0.75) b = randRange(rng, 0.01, 10);
-      else if (signRoll < 0.95) b = 0;
-      else b = -randRange(rng, 0.1, 5);
-      
-      // Se agrega la propiedad nextChange para cambios de preferencias
-      const nextChange = Math.floor(randRange(rng, 0, 50));
-
-      const Ti = Math.round(randRange(rng, DEFAULT.consumerUpdateRange[0], DEFAULT.consumerUpdateRange[1]));
-      s.consumers.push({ id: `C${i}`, type, a, b, Ti, nextUpdateAt: Ti, lastUpdate: 0, nextChange });
-    }
-
-    // create firms
-    const pbcCount = Math.round(
-      randRange(rng, DEFAULT.pbcCountRange[0], DEFAULT.pbcCountRange[1])
-    );
-    for (let i = 0; i < pbcCount; i++)
-      s.firms.PBC.push({
-        id: `PBC${i}`,
-        A: randRange(rng, 0.8, 1.3),
-        capacity: randRange(rng, 10, 50),
-        marginalCost: randRange(rng, 0.2, 1.0),
-        inventory: 0,
-        planned: 0,
-        history: [],
-      });
-
-    const pfpCount = Math.round(
-      randRange(rng, DEFAULT.pfpCountRange[0], DEFAULT.pfpCountRange[1])
-    );
-    for (let i = 0; i < pfpCount; i++)
-      s.firms.PFP.push({
-        id: `PFP${i}`,
-        A: randRange(rng, 0.8, 1.3),
-        capacity: randRange(rng, 10, 80),
-        marginalCost: randRange(rng, 0.1, 0.8),
-        inventory: 0,
-        history: [],
-      });
+  // trayectoria del oráculo (llega del worker al finalizar) y regret de la sesión contra ella
+  const oracleSeries = finished ? oracleRun.result?.series ?? null : null;
+  const oracleStats = useMemo(
+    () => (oracleSeries && engineRef.current ? compareWithOracle(engineRef.current.state.series, oracleSeries) : null),
+    [oracleSeries]
+  );
 
-    const pmpCount = Math.round(
-      randRange(rng, DEFAULT.pmpCountRange[0], DEFAULT.pmpCountRange[1])
+  // ------------------ init ------------------
+  function initSimulation(newSeed = seed, nextScenario = scenario, cfg = sessionConfig) {
+    const engine = createEngine({ ...cfg, scenario: nextScenario }, newSeed);
+    engineRef.current = engine;
+    // cada sesión empieza en la primera fase o en la que su calendario fija para el tick 1, no en la
+    // que dejó la sesión anterior
+    const startPhase = phaseAt(engine.config.phaseSchedule, 1);
+    setPhaseIdx(startPhase);
+    journalRef.current = createJournal(
+      { config: engine.config, seed: newSeed },
+      { priceMode, manualPrice, demand: null, phaseIdx: startPhase, routing, rationing }
     );
-    for (let i = 0; i < pmpCount; i++)
-      s.firms.PMP.push({
-        id: `PMP${i}`,
-        A: randRange(rng, 0.8, 1.3),
-        capacity: randRange(rng, 30, 140),
-        marginalCost: randRange(rng, 0.05, 0.6),
-        inventory: 0,
-        history: [],
-      });
+    checkpointsRef.current = [];
+    stopScript();
+    plannerRef.current = null;
+    setAutoPlanner("human");
 
-    // aproximar p0 para evitar desequilibrio inicial muy grande
-    let p0 = DEFAULT.p0;
-    for (let iter = 0; iter < 40; iter++) {
-      let Qagg = 0;
-      for (const c of s.consumers) Qagg += computeConsumerDemand(c, p0, rng);
-      const oferta = Math.max(1, s.firms.PBC.reduce((acc, f) => acc + (f.capacity || 0), 0));
-      if (Math.abs(Qagg - oferta) < 1e-2 * Math.max(1, oferta)) break;
-      if (Qagg > oferta) p0 *= 1.05;
-      else p0 *= 0.95;
-    }
-    s.price = p0;
-
-    simRef.current = s;
-    innovationCounterRef.current = { scheduled: 0, adopted: 0 };
-
-    setSeriesData([{ t: 0, price: s.price, qDemand: 0, qServed: 0, efficiency: 1 }]);
+    setSeriesData(engine.state.series.slice());
     setEvents((ev) => [`Simulación inicializada (seed ${newSeed})`, ...ev].slice(0, 30));
     setFinished(false);
     setFinalStats(null);
     setAppliedDemandLabel("Automático");
-    setUserDemandFn(null);
+    setAppliedDemand(null);
   }
 
-  // consumer demand & reaction
-  function computeConsumerDemand(c, p, rng) {
-    let q = 0;
-    if (c.type === "linear") q = c.a - c.b * p;
-    else if (c.type === "log") q = c.a - c.b * Math.log(1 + Math.max(0, p));
-    else if (c.type === "exp") q = c.a * Math.exp(-c.b * p);
-    else if (c.type === "poly") {
-      const cc = Math.max(0.001, c.b * 0.01);
-      q = Math.max(0, c.a - c.b * p - cc * p * p);
-    }
-    const noiseSigma = 0.05;
-    const noise = 1 + (rng() - 0.5) * 2 * noiseSigma;
-    return Math.max(0, q * noise);
-  }
-  function consumerReact(prevPrice, newPrice, rng) {
-    if (newPrice === prevPrice) return 1;
-    const up = newPrice > prevPrice;
-    const roll = rng();
-    if (up) {
-      if (roll < CONSUMER_REACT_PROBS.baja) return randRange(rng, ...CONSUMER_REACT_FACTORS.baja);
-      if (roll < CONSUMER_REACT_PROBS.baja + CONSUMER_REACT_PROBS.mantiene)
-        return randRange(rng, ...CONSUMER_REACT_FACTORS.mantiene);
-      return randRange(rng, ...CONSUMER_REACT_FACTORS.sube);
-    } else {
-      if (roll < 0.7) return randRange(rng, 1.01, 1.2);
-      if (roll < 0.95) return randRange(rng, 0.98, 1.02);
-      return randRange(rng, 0.7, 0.95);
-    }
-  }
-
-  // ---------- CORE SIM TICK ----------
+  // un tick del motor; las decisiones salen de la bitácora para que la reproducción sea idéntica
   function simTick() {
-    const s = simRef.current;
-    if (!s) return;
-    const rng = s.rng;
-    s.t = (s.t || 0) + 1;
-
-    const prevPrice = s.price;
-    // manual price override
-    if (priceMode === "manual") s.price = Math.max(DEFAULT.pMin, manualPrice);
-
-    // consumers update
-    let Qagg = 0;
-    for (const c of s.consumers) {
-      // Si se supera el instante para cambio de preferencias, actualizamos type y coeficientes
-      if (s.t >= c.nextChange) {
-        const r = rng();
-        if (r < 0.33) {
-          c.type = "linear";
-          c.a = randRange(rng, 100, 150);
-          c.b = randRange(rng, 0.5, 1.0);
-        } else if (r < 0.66) {
-          c.type = "log";
-          c.a = randRange(rng, 80, 120);
-          c.b = randRange(rng, 5, 10);
-        } else {
-          c.type = "exp";
-          c.a = randRange(rng, 90, 120);
-          c.b = randRange(rng, 0.1, 0.3);
-        }
-        c.nextChange = s.t + 30 + Math.floor(randRange(rng, 0, 70));
-      }
-      
-      if (s.t >= c.nextUpdateAt) {
-        if (rng() < 0.15) {
-          c.a = randRange(rng, 5, 200);
-          const signRoll = rng();
-          if (signRoll < 0.75) c.b = randRange(rng, 0.01, 10);
-          else if (signRoll < 0.95) c.b = 0;
-          else c.b = -randRange(rng, 0.1, 5);
-        } else {
-          c.a *= 1 + (rng() - 0.5) * 0.08;
-          c.b *= 1 + (rng() - 0.5) * 0.04;
-        }
-        if (rng() < 0.01) c.a *= randRange(rng, 1.5, 3.0);
-        c.nextUpdateAt =
-          s.t + Math.round(randRange(rng, DEFAULT.consumerUpdateRange[0], DEFAULT.consumerUpdateRange[1]));
-        c.lastUpdate = s.t;
-      }
-      // pequeñas variaciones
-      c.a += (rng() - 0.5) * 0.01 * c.a;
-      c.b += (rng() - 0.5) * 0.01 * c.b;
-      // feedback experimental
-      const phase = EXPERIMENT_PHASES[phaseIdx];
-      if (phase.feedbackStrength) c.a += phase.feedbackStrength * (prevPrice - s.price);
-
-      let baseQ = computeConsumerDemand(c, s.price, rng);
-      const reactFactor = consumerReact(prevPrice, s.price, rng);
-      baseQ *= reactFactor;
-      Qagg += baseQ;
-    }
-
-    // perceived demand usada por PBC (si el usuario definió fn la usaremos)
-    const perceivedFn = userDemandFn ? userDemandFn : (p) => Qagg * (0.85 + 0.3 * rng());
-
-    // PBC planning: comparten carga por capacidad*eficiencia A
-    const sumA = Math.max(
-      1e-6,
-      s.firms.PBC.reduce((acc, f) => acc + (f.A * (f.capacity || 1)), 0)
-    );
-    for (const f of s.firms.PBC) {
-      const share = (f.A * (f.capacity || 1)) / sumA;
-      const plan = Math.max(0, perceivedFn(s.price)) * share;
-      f.planned = plan;
-      // si plan necesita insumos -> pedido a PFP
-      if (plan > f.inventory) {
-        const needed = plan - f.inventory;
-        const pfp = s.firms.PFP[Math.floor(rng() * s.firms.PFP.length)];
-        if (pfp) {
-          const delay = Math.round(randRange(rng, DEFAULT.delays.pbcToPfp[0], DEFAULT.delays.pbcToPfp[1]));
-          s.orders.push({ level: "PBC->PFP", from: f.id, to: pfp.id, amount: needed, due: s.t + delay });
-        }
-      }
-    }
-
-    // PFP y PMP producen algo base (capacidad * factor aleatorio)
-    for (const pmp of s.firms.PMP) {
-      const produced = (pmp.capacity || 10) * (0.4 + rng() * 0.6);
-      pmp.inventory = (pmp.inventory || 0) + produced;
-      pmp.history = pmp.history || [];
-      pmp.history.push({ t: s.t, produced });
-    }
-    for (const pfp of s.firms.PFP) {
-      const produced = (pfp.capacity || 10) * (0.4 + rng() * 0.6);
-      pfp.inventory = (pfp.inventory || 0) + produced;
-      pfp.history = pfp.history || [];
-      pfp.history.push({ t: s.t, produced });
-    }
-
-    // procesar órdenes vencidas
-    for (const ord of s.orders.filter((o) => !o.filled && o.due <= s.t).slice()) {
-      if (ord.level === "PBC->PFP") {
-        const pfp = s.firms.PFP.find((x) => x.id === ord.to);
-        const pbc = s.firms.PBC.find((x) => x.id === ord.from);
-        if (!pfp || !pbc) {
-          ord.filled = true;
-          continue;
-        }
-        if ((pfp.inventory || 0) >= ord.amount) {
-          pfp.inventory -= ord.amount;
-          pbc.inventory = (pbc.inventory || 0) + ord.amount;
-          ord.filled = true;
-          s.logs.push({ t: s.t, type: "order_filled", detail: ord });
-          setEvents((ev) => [`Pedido ${ord.from}→${ord.to} servido`, ...ev].slice(0, 30));
-        } else {
-          // PFP pide a PMP
-          const need = Math.max(0, ord.amount - (pfp.inventory || 0));
-          const pmp = s.firms.PMP[Math.floor(rng() * s.firms.PMP.length)];
-          if (pmp) {
-            const delay = Math.round(randRange(rng, DEFAULT.delays.pfpToPmp[0], DEFAULT.delays.pfpToPmp[1]));
-            s.orders.push({ level: "PFP->PMP", from: pfp.id, to: pmp.id, amount: need, due: s.t + delay, orig: ord });
-            setEvents((ev) => [`${pfp.id} pide a ${pmp.id}`, ...ev].slice(0, 30));
-          }
-        }
-      } else if (ord.level === "PFP->PMP") {
-        const pmp = s.firms.PMP.find((x) => x.id === ord.to);
-        const pfp = s.firms.PFP.find((x) => x.id === ord.from);
-        if (!pmp || !pfp) {
-          ord.filled = true;
-          continue;
-        }
-        if ((pmp.inventory || 0) >= ord.amount) {
-          pmp.inventory -= ord.amount;
-          pfp.inventory = (pfp.inventory || 0) + ord.amount;
-          ord.filled = true;
-          s.logs.push({ t: s.t, type: "order_filled", detail: ord });
-          if (ord.orig) {
-            const orig = ord.orig;
-            const pbc = s.firms.PBC.find((x) => x.id === orig.from);
-            if (pfp.inventory >= orig.amount && pbc) {
-              pfp.inventory -= orig.amount;
-              pbc.inventory = (pbc.inventory || 0) + orig.amount;
-              orig.filled = true;
-              setEvents((ev) => [`Orden original ${orig.from} completada`, ...ev].slice(0, 30));
-            }
-          }
-        }
-      }
-    }
-
-    // PBC sirven a clientes (limitadas por inventario y capacidad)
-    let Qserved = 0;
-    for (const f of s.firms.PBC) {
-      const possible = Math.min(f.planned || 0, f.inventory || 0, f.capacity || 9999);
-      const produced = Math.max(0, possible);
-      f.inventory = (f.inventory || 0) - produced;
-      Qserved += produced;
-      f.history = f.history || [];
-      f.history.push({ t: s.t, produced });
-    }
-
-    // Ajuste automático del precio
-    if (priceMode === "auto") {
-      const adjustGain = DEFAULT.pPriceAdjustGain;
-      const delta = Qagg === 0 ? 0 : (Qagg - Qserved) / Math.max(1, Qagg);
-      s.price = Math.max(DEFAULT.pMin, s.price * (1 + adjustGain * delta));
-    }
-
-    // Innovaciones aleatorias programadas
-    if (rng() < DEFAULT.innovation.probPerTick) {
-      const levels = ["PBC", "PFP", "PMP"];
-      const level = levels[Math.floor(rng() * levels.length)];
-      const firms = s.firms[level];
-      if (firms && firms.length > 0) {
-        const f = firms[Math.floor(rng() * firms.length)];
-        const costMul = randRange(
-          rng,
-          DEFAULT.innovation.costMultRange[0],
-          DEFAULT.innovation.costMultRange[1]
-        );
-        const tfpMul = randRange(
-          rng,
-          DEFAULT.innovation.tfpMultRange[0],
-          DEFAULT.innovation.tfpMultRange[1]
-        );
-        const adopt = Math.round(
-          randRange(rng, DEFAULT.innovation.adoptionRange[0], DEFAULT.innovation.adoptionRange[1])
-        );
-        const innov = {
-          firm: f.id,
-          level,
-          costMul,
-          tfpMul,
-          scheduleAt: s.t,
-          adoptAt: s.t + adopt,
-          adopted: false,
-        };
-        s.innovations.push(innov);
-        innovationCounterRef.current.scheduled += 1;
-        setEvents((ev) => [`Innovación programada ${f.id} (${level})`, ...ev].slice(0, 30));
-      }
-    }
-
-    // adopción
-    if (s.innovations && s.innovations.length > 0) {
-      for (const innov of s.innovations.filter((x) => !x.adopted && x.adoptAt <= s.t)) {
-        const lvl = innov.level;
-        const firm = s.firms[lvl].find((x) => x.id === innov.firm);
-        if (firm) {
-          firm.marginalCost = Math.max(0.01, firm.marginalCost * innov.costMul);
-          firm.A = (firm.A || 1) * innov.tfpMul;
-          innov.adopted = true;
-          innovationCounterRef.current.adopted += 1;
-          setEvents((ev) => [`${firm.id} adoptó innovación (${lvl})`, ...ev].slice(0, 30));
-          s.logs.push({ t: s.t, type: "innovation_adopted", firm: firm.id, detail: innov });
-        }
-      }
-    }
-
-    // record new series point
-    const point = {
-      t: s.t,
-      price: Number(s.price.toFixed(4)),
-      qDemand: Number(Qagg.toFixed(3)),
-      qServed: Number(Qserved.toFixed(3)),
-      efficiency: Number((Qserved / Math.max(1, Qagg)).toFixed(3)),
-    };
+    const engine = engineRef.current;
+    if (!engine) return;
+    autopilotStep();
+    const { point, events: tickEvents } = engine.step(engineActionsAt(journalRef.current, engine.t + 1));
+    if (engine.t % CHECKPOINT_EVERY === 0) checkpointsRef.current = addCheckpoint(checkpointsRef.current, engine.snapshot());
+    scriptRef.current?.request(scriptObservation(engine));
+    // con las fases ocultas, sus cambios no llegan al ticker
+    const visible = engine.config.hidePhases ? tickEvents.filter((e) => e.data?.phaseIdx == null) : tickEvents;
+    if (visible.length > 0) setEvents((ev) => [...visible.map((e) => e.msg).reverse(), ...ev].slice(0, 30));
+    // el escenario o el calendario cambiaron la fase: los botones la muestran, sin registrar una orden
+    for (const e of tickEvents) if (e.data?.phaseIdx != null) setPhaseIdx(e.data.phaseIdx);
     setSeriesData((prev) => {
       const next = prev.concat(point);
       if (next.length > historyLen) next.splice(0, next.length - historyLen);
       return next;
     });
+  }
 
-    // logs trimming
-    if ((s.logs || []).length > 5000) s.logs = s.logs.slice(-2000);
+  // El piloto automático mueve los mismos controles que el humano (quedan en la bitácora);
+  // un campo ausente en la decisión deja ese control como está
+  function autopilotStep() {
+    const planner = plannerRef.current;
+    const engine = engineRef.current;
+    if (!planner || !engine) return;
+    const decision = planner.decide(plannerObservation(engine));
+    const current = actionsAt(journalRef.current, engine.t + 1);
+    const mode = decision.priceMode ?? current.priceMode;
+    if (mode !== current.priceMode) changePriceMode(mode);
+    if (mode === "manual" && decision.manualPrice !== undefined && decision.manualPrice !== current.manualPrice)
+      changeManualPrice(decision.manualPrice);
+    if (decision.demand !== undefined && JSON.stringify(decision.demand) !== JSON.stringify(current.demand)) {
+      setAppliedDemand(decision.demand);
+      recordPlannerAction("demand", decision.demand);
+      setAppliedDemandLabel(decision.demand ? `${planner.label} (${decision.demand.type})` : "Automático");
+    }
+  }
+  function changeAutoPlanner(key, code = scriptCode) {
+    setAutoPlanner(key);
+    stopScript();
+    if (key === "human") plannerRef.current = null;
+    else if (key === "script") plannerRef.current = startScript(code);
+    else plannerRef.current = createPlanner(key);
+    recordPlannerAction("autopilot", key);
+    setEvents((ev) => [`Piloto: ${key === "human" ? "humano" : plannerRef.current.label}`, ...ev].slice(0, 30));
   }
 
-  // Empezar automáticamente
-  useEffect(() => {
-    initSimulation(seed);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  // Script del usuario: lo que ve en pantalla, sin acceso al motor
+  function scriptObservation(engine) {
+    return {
+      t: engine.t,
+      price: engine.price,
+      pMin: engine.config.pMin ?? DEFAULT.pMin,
+      series: engine.state.series.slice(-SCRIPT_SERIES_LEN),
+      kpis: windowKpis(engine.state.series),
+      surveys: visibleSurveys(engine.state),
+      applied: actionsAt(journalRef.current, engine.t + 1),
+    };
+  }
+  function startScript(code) {
+    setScriptStatus({ msg: "Compilando…" });
+    const runner = createScriptRunner(code, {
+      createWorker: createScriptWorker,
+      onReady: () => setScriptStatus({ msg: "Script activo" }),
+      onDecision: (decision) => {
+        if (scriptRef.current === runner) scriptDecisionRef.current = decision;
+      },
+      onLog: (line) => setEvents((ev) => [`Script: ${line}`, ...ev].slice(0, 30)),
+      onError: (message, { fatal }) => {
+        setEvents((ev) => [`Error del script: ${message}`, ...ev].slice(0, 30));
+        setScriptStatus({ error: message });
+        if (fatal && scriptRef.current === runner) changeAutoPlanner("human");
+      },
+    });
+    scriptRef.current = runner;
+    return {
+      key: "script",
+      label: "Script propio",
+      decide: () => {
+        const decision = scriptDecisionRef.current || {};
+        scriptDecisionRef.current = null;
+        return decision;
+      },
+    };
+  }
+  function stopScript() {
+    scriptRef.current?.stop();
+    scriptRef.current = null;
+    scriptDecisionRef.current = null;
+  }
+  useEffect(() => () => scriptRef.current?.stop(), []);
+
+  // Empezar una sesión nueva con la config elegida en la pantalla inicial
+  function startSession(cfg) {
+    setSessionConfig(cfg);
+    setSeed(cfg.seed);
+    initSimulation(cfg.seed, scenario, cfg);
+    setSetupOpen(false);
+    setRunning(true);
+  }
+  function openSetup() {
+    setRunning(false);
+    setSetupOpen(true);
+  }
 
   // Intervalo de simulación
   useEffect(() => {
     let id = null;
-    if (running && !finished) {
+    if (running && !finished && !setupOpen) {
       id = setInterval(() => {
         try {
           simTick();
@@ -815,12 +578,41 @@ export default function App() {
     }
     return () => clearInterval(id);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [running, tickMs, priceMode, manualPrice, phaseIdx, userDemandFn, finished]);
+  }, [running, tickMs, priceMode, manualPrice, phaseIdx, appliedDemand, finished, setupOpen]);
+
+  // toda intervención del planificador queda en la bitácora con el tick que afecta
+  function recordPlannerAction(kind, value) {
+    const engine = engineRef.current;
+    if (engine && journalRef.current) recordAction(journalRef.current, engine.t + 1, kind, value);
+  }
+  function changePriceMode(mode) {
+    setPriceMode(mode);
+    recordPlannerAction("priceMode", mode);
+  }
+  function changeManualPrice(p) {
+    setManualPrice(p);
+    recordPlannerAction("manualPrice", p);
+  }
+  function changeRouting(link, policy) {
+    const next = { ...routing, [link]: policy };
+    setRouting(next);
+    recordPlannerAction("routing", next);
+  }
+  function changeRationing(rule) {
+    setRationing(rule);
+    recordPlannerAction("rationing", rule);
+  }
+  function changePhase(idx) {
+    setPhaseIdx(idx);
+    recordPlannerAction("phaseIdx", idx);
+  }
 
   // APPLY demand from editor: PBCs usarán esta fn
   function applyEditorDemand() {
-    const fn = createDemandFn(demandType, dParams);
-    setUserDemandFn(() => fn);
+    if (demandType === "expr") return applyExpressionDemand();
+    const demand = { type: demandType, params: { ...dParams } };
+    setAppliedDemand(demand);
+    recordPlannerAction("demand", demand);
     setAppliedDemandLabel(
       `${demandType} (${Object.entries(dParams)
         .map(([k, v]) => `${k}=${Number(v).toFixed(2)}`)
@@ -828,148 +620,231 @@ export default function App() {
     );
     setEvents((ev) => [`Planificador aplicó demanda: ${demandType}`, ...ev].slice(0, 30));
   }
+  // ajuste de curvas: la familia ajustada pasa al editor (se aplica con "Aplicar")
+  function loadFitIntoEditor(fit) {
+    setDemandType(fit.type);
+    setDParams((prev) => ({ ...prev, ...fit.params }));
+    setEvents((ev) => [`Ajuste cargado en el editor: ${fit.label} (R²=${fit.r2.toFixed(3)})`, ...ev].slice(0, 30));
+  }
+  // expresión libre: sólo viajan los parámetros que la expresión usa
+  function applyExpressionDemand() {
+    if (exprValidation.errors.length) {
+      setEvents((ev) => [`Expresión no aplicada: ${exprValidation.errors[0]}`, ...ev].slice(0, 30));
+      return;
+    }
+    const params = Object.fromEntries(exprValidation.params.map((name) => [name, exprParams[name]]));
+    const demand = { type: "expr", expr: exprSrc, params };
+    setAppliedDemand(demand);
+    recordPlannerAction("demand", demand);
+    setAppliedDemandLabel(
+      `${exprSrc} (${Object.entries(params)
+        .map(([k, v]) => `${k}=${Number(v).toFixed(2)}`)
+        .join(", ")})`
+    );
+    setEvents((ev) => ["Planificador aplicó demanda: expresión libre", ...ev].slice(0, 30));
+  }
   function revertToAuto() {
-    setUserDemandFn(null);
+    setAppliedDemand(null);
+    recordPlannerAction("demand", null);
     setAppliedDemandLabel("Automático");
     setEvents((ev) => ["Planificador volvió a automático", ...ev].slice(0, 30));
   }
 
-  // ---------- ORACLE & WELFARE ----------
-  function oracleDemandAt(p) {
-    const s = simRef.current;
-    if (!s) return 0;
-    let Q = 0;
-    for (const c of s.consumers) {
-      let q = 0;
-      if (c.type === "linear") q = Math.max(0, c.a - c.b * p);
-      else if (c.type === "log") q = Math.max(0, c.a - c.b * Math.log(1 + Math.max(0, p)));
-      else if (c.type === "exp") q = Math.max(0, c.a * Math.exp(-c.b * p));
-      else if (c.type === "poly") {
-        const cc = Math.max(0.001, c.b * 0.01);
-        q = Math.max(0, c.a - c.b * p - cc * p * p);
-      }
-      Q += q;
-    }
-    return Q;
+  // Escenario: cargar uno nuevo reinicia la sesión con él en la configuración
+  function loadScenario(raw) {
+    const parsed = parseScenario(raw, sessionConfig.phases);
+    setScenario(parsed);
+    initSimulation(seed, parsed);
+    setRunning(true);
+    setEvents((ev) => [`Escenario cargado: ${parsed.name} (${parsed.events.length} eventos)`, ...ev].slice(0, 30));
   }
-
-  function aggregateWillingnessToPay(pricePoint) {
-    const s = simRef.current;
-    if (!s) return 0;
-    const avgA = s.consumers.reduce((a, b) => a + b.a, 0) / Math.max(1, s.consumers.length || 1);
-    const Pmax = Math.max(10, (avgA / Math.max(0.1, 1)) * 0.5);
-    const steps = 100;
-    let area = 0;
-    for (let i = 0; i < steps; i++) {
-      const p1 = (i / steps) * Pmax;
-      const p2 = ((i + 1) / steps) * Pmax;
-      const q1 = oracleDemandAt(p1);
-      const q2 = oracleDemandAt(p2);
-      area += 0.5 * (q1 + q2) * (p2 - p1);
-    }
-    return area - pricePoint * oracleDemandAt(pricePoint); // excedente aproximado a ese precio
+  function clearScenario() {
+    setScenario(null);
+    initSimulation(seed, null);
+    setEvents((ev) => ["Escenario quitado", ...ev].slice(0, 30));
   }
 
   // Finalizar y producir stats + exports
   function finalizeSession() {
     setRunning(false);
     setFinished(true);
-    const s = simRef.current;
-    const data = [...seriesData];
-    const avgPrice = data.reduce((a, b) => a + b.price, 0) / Math.max(1, data.length);
-    const avgDemand = data.reduce((a, b) => a + b.qDemand, 0) / Math.max(1, data.length);
-    const avgServed = data.reduce((a, b) => a + b.qServed, 0) / Math.max(1, data.length);
-    const effMean = data.reduce((a, b) => a + (b.efficiency || 0), 0) / Math.max(1, data.length);
-    const demandVol = variance(data.map((d) => d.qDemand));
-    const priceVol = variance(data.map((d) => d.price));
-
-    const regretSeries = data.map((pt) => Math.abs(pt.qServed - oracleDemandAt(pt.price)));
-    const cumulativeRegret = regretSeries.reduce((a, b) => a + b, 0);
-
-    let welfareProxy = 0;
-    for (const pt of data) {
-      const wtp = aggregateWillingnessToPay(pt.price);
-      const expenditure = pt.price * pt.qServed;
-      welfareProxy += wtp - expenditure;
-    }
-
-    const innovationCounts = innovationCounterRef.current;
-    const stats = {
-      ticks: data.length,
-      avgPrice,
-      avgDemand,
-      avgServed,
-      effMean,
-      demandVol,
-      priceVol,
-      cumulativeRegret,
-      welfareProxy,
-      innovationCounts,
-      seed: s.seed,
-    };
+    const stats = engineRef.current.stats();
+    oracleRun.run({ journal: journalRef.current, toTick: engineRef.current.t });
     setFinalStats(stats);
-    setEvents((ev) => [`Sesión finalizada (ticks=${data.length}).`, ...ev].slice(0, 30));
+    setEvents((ev) => [`Sesión finalizada (ticks=${stats.ticks}).`, ...ev].slice(0, 30));
   }
 
   // export JSON/CSV
   function exportJSON() {
-    const s = simRef.current;
-    const payload = { meta: { seed: s.seed }, series: seriesData, logs: s.logs || [], consumers: s.consumers };
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `sim_${s.seed}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    const s = engineRef.current.state;
+    const payload = {
+      meta: { seed: s.seed },
+      series: seriesData,
+      logs: s.logs || [],
+      consumers: s.consumers,
+      stats: finalStats && { ...finalStats, oracle: oracleStats, oracleSummary: oracleSeries && oracleRun.result.summary },
+      oracleSeries,
+      bullwhip: finalStats ? finalStats.bullwhip : bullwhipStats(s),
+    };
+    downloadFile(`sim_${s.seed}.json`, JSON.stringify(payload, null, 2), "application/json");
   }
   function exportCSV() {
-    const rows = [["t", "price", "qDemand", "qServed", "efficiency"]];
-    for (const r of seriesData) rows.push([r.t, r.price, r.qDemand, r.qServed, r.efficiency]);
+    // órdenes por nivel (efecto látigo) junto a la serie
+    const ordersByT = {};
+    for (const r of bullwhipSeries(engineRef.current.state)) ordersByT[r.t] = r;
+    const rows = [
+      ["t", "price", "qDemand", "qServed", "efficiency", "unmet", "rationed", "queued", "backlog", "backlogAge", "ordersPBC", "ordersPFP", "ordersPMP"],
+    ];
+    for (const r of seriesData) {
+      const o = ordersByT[r.t] || {};
+      rows.push([
+        r.t,
+        r.price,
+        r.qDemand,
+        r.qServed,
+        r.efficiency,
+        r.unmet ?? "",
+        r.rationed ?? "",
+        r.queued ?? "",
+        r.backlog,
+        r.backlogAge,
+        o.PBC ?? "",
+        o.PFP ?? "",
+        o.PMP ?? "",
+      ]);
+    }
     const csv = rows.map((rr) => rr.join(",")).join("\n");
-    const blob = new Blob([csv], { type: "text/csv" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `sim_series_${simRef.current?.seed || "run"}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile(`sim_series_${engineRef.current?.state.seed || "run"}.csv`, csv, "text/csv");
+  }
+
+  // Snapshot completo (motor + decisiones vigentes del planificador) para retomar la sesión
+  function saveSession() {
+    const engine = engineRef.current;
+    const snap = {
+      ...engine.snapshot(),
+      planner: {
+        priceMode,
+        manualPrice,
+        demand: appliedDemand,
+        demandLabel: appliedDemandLabel,
+        phaseIdx,
+        routing,
+        rationing,
+        script: { code: scriptCode, active: autoPlanner === "script" },
+      },
+      journal: journalRef.current,
+    };
+    downloadFile(`sesion_${engine.state.seed}_t${engine.t}.json`, JSON.stringify(snap), "application/json");
+    setEvents((ev) => [`Sesión guardada (tick ${engine.t})`, ...ev].slice(0, 30));
+  }
+  function loadSession(file) {
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        const snap = JSON.parse(text);
+        const engine = restoreEngine(snap);
+        const { planner = {}, journal, ...engineSnap } = snap;
+        engineRef.current = engine;
+        journalRef.current = journal
+          ? migrateJournal(journal, snap)
+          : createJournal(engineSnap, {
+              priceMode: planner.priceMode,
+              manualPrice: planner.manualPrice,
+              demand: planner.demand,
+              phaseIdx: planner.phaseIdx,
+              routing: planner.routing,
+              rationing: planner.rationing,
+            });
+        // el tick restaurado es el primer checkpoint: la línea de tiempo no re-simula la sesión anterior
+        checkpointsRef.current = [engine.snapshot()];
+        stopScript();
+        plannerRef.current = null;
+        setAutoPlanner("human");
+        if (planner.script) {
+          setScriptCode(planner.script.code);
+          // el script vuelve a correr (con memoria vacía) al reanudar
+          if (planner.script.active) changeAutoPlanner("script", planner.script.code);
+        }
+        setRunning(false);
+        setFinished(false);
+        setFinalStats(null);
+        setSeriesData(engine.state.series.slice(-historyLen));
+        setPriceMode(planner.priceMode || "auto");
+        setManualPrice(planner.manualPrice ?? DEFAULT.p0);
+        setAppliedDemand(planner.demand || null);
+        setAppliedDemandLabel(planner.demandLabel || "Automático");
+        setPhaseIdx(engine.state.phaseIdx);
+        setRouting(planner.routing || DEFAULT_ROUTING);
+        setRationing(planner.rationing || DEFAULT_RATIONING);
+        setScenario(engine.config.scenario || null);
+        setSessionConfig(sessionConfigFromPreset({ config: engine.config }, engine.state.seed));
+        setSeed(engine.state.seed);
+        setSetupOpen(false);
+        setEvents((ev) => [`Sesión restaurada (seed ${engine.state.seed}, tick ${engine.t})`, ...ev].slice(0, 30));
+      })
+      .catch((err) => setEvents((ev) => [`Error al cargar sesión: ${err.message}`, ...ev].slice(0, 30)));
   }
 
-  // OLS rápida (encuesta) para ajustar percepción
-  function olsSurvey(sampleSize = 30) {
-    const s = simRef.current;
-    const rng = s.rng;
-    const ps = [];
-    const qs = [];
-    for (let i = 0; i < sampleSize; i++) {
-      const p = randRange(rng, 0.5, Math.max(2, dParams.A / Math.max(0.1, dParams.B || 1)));
-      let q = 0;
-      for (const c of s.consumers.slice(0, Math.min(60, s.consumers.length))) q += computeConsumerDemand(c, p, rng);
-      q *= 1 + (rng() - 0.5) * 0.2; // ruido observacional
-      ps.push(p);
-      qs.push(q);
+  // Encuesta diseñada en el panel: se levanta ya (consume rng y presupuesto) y queda en la bitácora;
+  // devuelve el mensaje de error o null
+  function runSurvey(design) {
+    const engine = engineRef.current;
+    try {
+      const sv = engine.runSurvey(design);
+      recordPlannerAction("survey", sv.design);
+      setEvents((ev) => [`Encuesta #${sv.id + 1} en campo hasta t=${sv.readyAt} (costo ${sv.cost.toFixed(2)})`, ...ev].slice(0, 30));
+      return null;
+    } catch (err) {
+      return err.message;
     }
-    return olsLinear(ps, qs);
   }
 
+  const firms = engineRef.current?.state.firms;
+  const innovationCounts = engineRef.current?.state.innovationCounts || { scheduled: 0, adopted: 0 };
+
   // Recomendaciones en vivo
   const tips = useMemo(() => {
     const arr = [];
     if (kpis.avgEff < 0.7) arr.push("Eficiencia baja: considera bajar el precio o aumentar capacidad PBC.");
     if (kpis.priceVar > 0.15) arr.push("Precio muy volátil: fija precio manual temporalmente para estabilizar.");
     if (kpis.utilization < 0.8) arr.push("Subutilización: tal vez tu demanda percibida es muy baja. Aumenta A o baja B.");
-    if (innovationCounterRef.current.scheduled > innovationCounterRef.current.adopted)
+    if (innovationCounts.scheduled > innovationCounts.adopted)
       arr.push("Hay innovaciones pendientes: espera adopción o acelera pedidos para aprovechar.");
     if (arr.length === 0) arr.push("Todo estable. Explora Fase C para estresar el sistema.");
     return arr;
-  }, [kpis, innovationCounterRef.current.scheduled, innovationCounterRef.current.adopted]);
+  }, [kpis, innovationCounts.scheduled, innovationCounts.adopted]);
 
   // UI values
   const lastPoint = last(seriesData, { price: DEFAULT.p0, qDemand: 0, qServed: 0, efficiency: 1 });
   const currentTick = last(seriesData)?.t ?? 0;
+  // al finalizar se superpone la trayectoria del oráculo
+  const oracleByT = {};
+  if (oracleSeries) for (const pt of oracleSeries) oracleByT[pt.t] = pt;
+  const chartData = finished
+    ? seriesData.map((pt) => ({ ...pt, oraclePrice: oracleByT[pt.t]?.price, oracleServed: oracleByT[pt.t]?.qServed }))
+    : seriesData;
 
   // ------------------ RENDER ------------------
+  if (setupOpen) {
+    return (
+      <div className="min-h-screen p-4 bg-gray-50 text-gray-900">
+        <div className="max-w-7xl mx-auto space-y-4">
+          <h1 className="text-2xl font-bold">Simulador: Planificador Humano — PBC/PFP/PMP</h1>
+          <SessionSetup
+            initial={sessionConfig}
+            scenario={scenario}
+            onStart={startSession}
+            onCancel={engineRef.current ? () => setSetupOpen(false) : null}
+            onExportPopulation={(population) =>
+              downloadFile(`poblacion_${population.name || "sin_nombre"}.json`, JSON.stringify(population, null, 2), "application/json")
+            }
+          />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen p-4 bg-gray-50 text-gray-900">
       <div className="max-w-7xl mx-auto space-y-4">
@@ -991,6 +866,9 @@ export default function App() {
             <button className="px-3 py-1 bg-red-500 text-white rounded" onClick={() => finalizeSession()}>
               Finalizar
             </button>
+            <button className="px-3 py-1 bg-gray-200 rounded" onClick={() => openSetup()}>
+              Nueva sesión
+            </button>
           </div>
         </header>
 
@@ -1015,7 +893,7 @@ export default function App() {
                 <label className="text-xs">Modo precio</label>
                 <div className="flex gap-2 mt-1">
                   <label>
-                    <input type="radio" name="pm" checked={priceMode === "auto"} onChange={() => setPriceMode("auto")} />
+                    <input type="radio" name="pm" checked={priceMode === "auto"} onChange={() => changePriceMode("auto")} />
                     <span className="ml-1">Auto</span>
                   </label>
                   <label>
@@ -1023,7 +901,7 @@ export default function App() {
                       type="radio"
                       name="pm"
                       checked={priceMode === "manual"}
-                      onChange={() => setPriceMode("manual")}
+                      onChange={() => changePriceMode("manual")}
                     />
                     <span className="ml-1">Manual</span>
                   </label>
@@ -1035,12 +913,31 @@ export default function App() {
                       step="0.01"
                       min="0.01"
                       value={manualPrice}
-                      onChange={(e) => setManualPrice(Number(e.target.value))}
+                      onChange={(e) => changeManualPrice(Number(e.target.value))}
                       className="w-full p-1 border rounded"
                     />
                   </div>
                 )}
               </div>
+              <div className="mt-2">
+                <label className="text-xs">Piloto automático</label>
+                <select
+                  value={autoPlanner}
+                  onChange={(e) => changeAutoPlanner(e.target.value)}
+                  className="w-full p-1 border rounded"
+                >
+                  <option value="human">Humano (sin piloto)</option>
+                  {AUTO_PLANNERS.map((pl) => (
+                    <option key={pl.key} value={pl.key} title={pl.desc}>
+                      {pl.label}
+                    </option>
+                  ))}
+                  <option value="script">Script propio</option>
+                </select>
+                {autoPlanner !== "human" && autoPlanner !== "script" && (
+                  <div className="text-xs text-gray-600 mt-1">{AUTO_PLANNERS.find((pl) => pl.key === autoPlanner)?.desc}</div>
+                )}
+              </div>
             </div>
 
             <DemandEditorControls
@@ -1048,30 +945,127 @@ export default function App() {
               setDemandType={setDemandType}
               dParams={dParams}
               setDParams={setDParams}
+              exprSrc={exprSrc}
+              setExprSrc={setExprSrc}
+              exprParams={exprParams}
+              setExprParams={setExprParams}
+              exprValidation={exprValidation}
               appliedDemandLabel={appliedDemandLabel}
               applyEditorDemand={applyEditorDemand}
               revertToAuto={revertToAuto}
             />
 
+            <FittingPanel
+              series={seriesData}
+              surveys={engineRef.current ? visibleSurveys(engineRef.current.state) : []}
+              onLoad={loadFitIntoEditor}
+            />
+
+            <SurveyPanel
+              state={engineRef.current?.state}
+              cfg={engineRef.current?.config.surveys ?? DEFAULT.surveys}
+              price={engineRef.current?.price ?? DEFAULT.p0}
+              onRun={runSurvey}
+            />
+
+            <ScriptPlannerPanel
+              code={scriptCode}
+              setCode={setScriptCode}
+              active={autoPlanner === "script"}
+              status={scriptStatus}
+              onActivate={() => changeAutoPlanner("script")}
+              onStop={() => changeAutoPlanner("human")}
+            />
+
             <div className="bg-white p-3 rounded border">
-              <div className="font-semibold">Fase del experimento</div>
-              <div className="text-xs text-gray-600 mt-1">Controla la fuerza de retroalimentación y volatilidad.</div>
-              <div className="mt-2 flex gap-2">
-                {EXPERIMENT_PHASES.map((ph, idx) => (
-                  <button
-                    key={ph.name}
-                    onClick={() => setPhaseIdx(idx)}
-                    className={`px-2 py-1 rounded border ${
-                      phaseIdx === idx ? "bg-indigo-600 text-white" : "bg-gray-50"
-                    }`}
-                    title={ph.desc}
+              <div className="font-semibold">Ruteo de pedidos</div>
+              <div className="text-xs text-gray-600 mt-1">Cómo eligen proveedor las firmas de cada nivel.</div>
+              {[
+                ["pbcToPfp", "PBC → PFP"],
+                ["pfpToPmp", "PFP → PMP"],
+              ].map(([link, label]) => (
+                <div key={link} className="mt-2">
+                  <label className="text-xs">{label}</label>
+                  <select
+                    value={routing[link]}
+                    onChange={(e) => changeRouting(link, e.target.value)}
+                    className="w-full p-1 border rounded"
                   >
-                    {ph.name}
-                  </button>
-                ))}
-              </div>
+                    {ROUTING_POLICIES.map((rp) => (
+                      <option key={rp.key} value={rp.key} title={rp.desc}>
+                        {rp.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
             </div>
 
+            <div className="bg-white p-3 rounded border">
+              <div className="font-semibold">Racionamiento</div>
+              <div className="text-xs text-gray-600 mt-1">Quién compra cuando la oferta de las PBC no alcanza.</div>
+              {sessionConfig.rationing.enabled ? (
+                <>
+                  <select
+                    value={rationing}
+                    onChange={(e) => changeRationing(e.target.value)}
+                    className="w-full p-1 border rounded mt-2"
+                  >
+                    {RATIONING_RULES.map((rr) => (
+                      <option key={rr.key} value={rr.key} title={rr.desc}>
+                        {rr.label}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="text-xs text-gray-600 mt-1">
+                    {RATIONING_RULES.find((rr) => rr.key === rationing)?.desc}
+                  </div>
+                </>
+              ) : (
+                <div className="text-xs text-gray-500 mt-1">
+                  Desactivado en esta sesión (modelo original): las PBC venden todo lo que ofrecen y lo servido se
+                  reparte pro-rata.
+                </div>
+              )}
+              {lastPoint.unmet != null && (
+                <div className="text-xs mt-1">
+                  Último tick: <b>{lastPoint.rationed}</b> consumidores sin comprar todo · faltaron{" "}
+                  <b>{lastPoint.unmet.toFixed(1)}</b> · en cola <b>{lastPoint.queued.toFixed(1)}</b>
+                </div>
+              )}
+            </div>
+
+            {!sessionConfig.hidePhases && (
+              <div className="bg-white p-3 rounded border">
+                <div className="font-semibold">Fase del experimento</div>
+                <div className="text-xs text-gray-600 mt-1">
+                  Controla la retroalimentación, la volatilidad de la demanda, las demoras y la tasa de innovación.
+                </div>
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {sessionConfig.phases.map((ph, idx) => (
+                    <button
+                      key={ph.name}
+                      onClick={() => changePhase(idx)}
+                      className={`px-2 py-1 rounded border ${
+                        phaseIdx === idx ? "bg-indigo-600 text-white" : "bg-gray-50"
+                      }`}
+                      title={ph.desc}
+                    >
+                      {ph.name}
+                    </button>
+                  ))}
+                </div>
+                {sessionConfig.phaseSchedule.length > 0 && (
+                  <div className="text-xs text-gray-600 mt-2">
+                    Calendario:{" "}
+                    {sessionConfig.phaseSchedule
+                      .map((step) => `t=${step.at} → ${sessionConfig.phases[step.phaseIdx]?.name}`)
+                      .join(" · ")}
+                  </div>
+                )}
+              </div>
+            )}
+
             <div className="bg-white p-3 rounded border">
               <div className="font-semibold">Ticker de eventos</div>
               <div className="text-xs text-gray-600 mt-2">Eventos recientes</div>
@@ -1084,6 +1078,15 @@ export default function App() {
               </ul>
             </div>
 
+            <ScenarioPanel
+              scenario={scenario}
+              currentTick={currentTick}
+              phases={sessionConfig.phases}
+              hidePhases={sessionConfig.hidePhases}
+              onLoad={loadScenario}
+              onClear={clearScenario}
+            />
+
             <MiniGuide />
           </aside>
 
@@ -1116,19 +1119,22 @@ export default function App() {
               <div className="mt-3 grid grid-cols-2 gap-4">
                 <div style={{ width: "100%", height: 280, background: "#fff", borderRadius: 6 }}>
                   <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={seriesData}>
+                    <LineChart data={chartData}>
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="t" />
                       <YAxis />
                       <Tooltip />
                       <Legend />
                       <Line type="monotone" dataKey="price" stroke="#ef4444" dot={false} name="Precio" strokeWidth={2} />
+                      {finished && (
+                        <Line type="monotone" dataKey="oraclePrice" stroke="#6b7280" strokeDasharray="4 4" dot={false} name="Precio oráculo" />
+                      )}
                     </LineChart>
                   </ResponsiveContainer>
                 </div>
                 <div style={{ width: "100%", height: 280, background: "#fff", borderRadius: 6 }}>
                   <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={seriesData}>
+                    <LineChart data={chartData}>
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="t" />
                       <YAxis />
@@ -1136,6 +1142,10 @@ export default function App() {
                       <Legend />
                       <Line type="monotone" dataKey="qDemand" stroke="#3b82f6" dot={false} name="Demanda real" strokeWidth={2} />
                       <Line type="monotone" dataKey="qServed" stroke="#16a34a" dot={false} name="Servida (PBC)" strokeWidth={2} />
+                      <Line type="monotone" dataKey="unmet" stroke="#dc2626" strokeDasharray="3 3" dot={false} name="Insatisfecha" />
+                      {finished && (
+                        <Line type="monotone" dataKey="oracleServed" stroke="#6b7280" strokeDasharray="4 4" dot={false} name="Servida oráculo" />
+                      )}
                     </LineChart>
                   </ResponsiveContainer>
                 </div>
@@ -1176,21 +1186,27 @@ export default function App() {
                   <div className="text-xs text-gray-600">KPIs en la ventana reciente</div>
                 </div>
                 <div className="flex gap-2">
-                  <button
-                    className="px-3 py-1 bg-gray-200 rounded"
-                    onClick={() => {
-                      const r = olsSurvey(40);
-                      alert(`OLS: a=${r.a.toFixed(2)}, b=${r.b.toFixed(3)}`);
-                    }}
-                  >
-                    Encuesta OLS
-                  </button>
                   <button className="px-3 py-1 bg-gray-200 rounded" onClick={() => exportJSON()}>
                     Export JSON
                   </button>
                   <button className="px-3 py-1 bg-gray-200 rounded" onClick={() => exportCSV()}>
                     Export CSV
                   </button>
+                  <button className="px-3 py-1 bg-gray-200 rounded" onClick={() => saveSession()}>
+                    Guardar sesión
+                  </button>
+                  <label className="px-3 py-1 bg-gray-200 rounded cursor-pointer">
+                    Cargar sesión
+                    <input
+                      type="file"
+                      accept="application/json"
+                      className="hidden"
+                      onChange={(e) => {
+                        loadSession(e.target.files[0]);
+                        e.target.value = "";
+                      }}
+                    />
+                  </label>
                 </div>
               </div>
 
@@ -1225,9 +1241,9 @@ export default function App() {
                     <PieChart>
                       <Pie
                         data={[
-                          { name: "PBC", value: simRef.current?.firms?.PBC?.length || 0 },
-                          { name: "PFP", value: simRef.current?.firms?.PFP?.length || 0 },
-                          { name: "PMP", value: simRef.current?.firms?.PMP?.length || 0 },
+                          { name: "PBC", value: firms?.PBC?.length || 0 },
+                          { name: "PFP", value: firms?.PFP?.length || 0 },
+                          { name: "PMP", value: firms?.PMP?.length || 0 },
                         ]}
                         dataKey="value"
                         nameKey="name"
@@ -1249,8 +1265,8 @@ export default function App() {
                 <div className="p-3 bg-gray-50 rounded">
                   <div className="text-xs text-gray-600">Innovaciones</div>
                   <div className="mt-2 grid grid-cols-2 gap-2 text-sm">
-                    <div className="p-2 bg-white rounded border">Programadas: <b>{innovationCounterRef.current.scheduled}</b></div>
-                    <div className="p-2 bg-white rounded border">Adoptadas: <b>{innovationCounterRef.current.adopted}</b></div>
+                    <div className="p-2 bg-white rounded border">Programadas: <b>{innovationCounts.scheduled}</b></div>
+                    <div className="p-2 bg-white rounded border">Adoptadas: <b>{innovationCounts.adopted}</b></div>
                   </div>
                   <div className="text-xs text-gray-500 mt-2">Las adopciones reducen costos y aumentan A.</div>
                 </div>
@@ -1266,11 +1282,37 @@ export default function App() {
               </div>
             </section>
 
+            <SupplyNetwork state={engineRef.current?.state} lastPoint={lastPoint} />
+
+            <FirmInspector state={engineRef.current?.state} currentTick={currentTick} />
+
+            <PnlPanel state={engineRef.current?.state} />
+
+            <TimelinePanel
+              journal={journalRef.current}
+              checkpoints={checkpointsRef.current}
+              currentTick={currentTick}
+              phases={sessionConfig.phases}
+              hidePhases={sessionConfig.hidePhases}
+            />
+
+            <BatchPanel
+              config={{ ...sessionConfig, scenario }}
+              phases={sessionConfig.phases}
+              policy={{ priceMode, manualPrice, demand: appliedDemand, phaseIdx, routing, rationing }}
+            />
+
             {/* final stats */}
             {finished && finalStats && (
               <section className="bg-white p-3 rounded border">
                 <h3 className="font-semibold">Estadísticas finales</h3>
                 <div className="text-xs text-gray-600 mt-1">Resumen completo de la sesión</div>
+                {oracleRun.progress && (
+                  <div className="text-xs mt-1">
+                    Corriendo el oráculo {oracleRun.progress.done}/{oracleRun.progress.total ?? "…"}
+                  </div>
+                )}
+                {oracleRun.error && <div className="text-xs text-red-600 mt-1">Error del oráculo: {oracleRun.error}</div>}
                 <div className="grid grid-cols-4 gap-3 mt-3">
                   <KpiCard label="Ticks" value={finalStats.ticks} />
                   <KpiCard label="Avg Price" value={finalStats.avgPrice.toFixed(3)} />
@@ -1279,12 +1321,116 @@ export default function App() {
                   <KpiCard label="Efficiency Mean" value={`${(finalStats.effMean * 100).toFixed(2)}%`} />
                   <KpiCard label="Demand Vol." value={finalStats.demandVol.toFixed(2)} />
                   <KpiCard label="Price Vol." value={finalStats.priceVol.toFixed(2)} />
-                  <KpiCard label="Cumulative Regret" value={finalStats.cumulativeRegret.toFixed(2)} />
+                  <KpiCard label="Regret (demanda oráculo)" value={finalStats.cumulativeRegret.toFixed(2)} />
+                  {oracleStats && (
+                    <>
+                      <KpiCard label="Regret vs. oráculo (bienestar)" value={oracleStats.welfareRegret.toFixed(1)} />
+                      <KpiCard label="Regret vs. oráculo (servido)" value={oracleStats.servedGap.toFixed(1)} />
+                      <KpiCard
+                        label="Bienestar / oráculo"
+                        value={Number.isFinite(oracleStats.ratio) ? `${(oracleStats.ratio * 100).toFixed(1)}%` : "—"}
+                      />
+                    </>
+                  )}
                   <KpiCard label="Welfare proxy" value={finalStats.welfareProxy.toFixed(2)} />
+                  <KpiCard label="Pérdida irrecuperable acum." value={finalStats.welfare.dwl.toFixed(1)} />
                   <KpiCard label="Innov. sched." value={finalStats.innovationCounts.scheduled} />
                   <KpiCard label="Innov. adopted" value={finalStats.innovationCounts.adopted} />
+                  {Object.entries(finalStats.orderLinks).map(([lvl, st]) => (
+                    <KpiCard
+                      key={lvl}
+                      label={`${lvl} fill rate / lead time`}
+                      value={`${(st.fillRate * 100).toFixed(1)}% / ${st.leadTimeMean.toFixed(1)}t`}
+                    />
+                  ))}
+                  <KpiCard label="Backlog medio / máx." value={`${finalStats.backlog.mean.toFixed(1)} / ${finalStats.backlog.max.toFixed(1)}`} />
+                  <KpiCard label="Backlog final" value={finalStats.backlog.final.toFixed(1)} />
+                  <KpiCard label="Atraso medio backlog" value={`${finalStats.backlog.ageMean.toFixed(1)}t`} />
+                  <KpiCard label="Pedidos cancelados" value={finalStats.backlog.expired} />
+                  <KpiCard label="Costo total de lo servido" value={finalStats.costs.totalCost.toFixed(1)} />
+                  <KpiCard label="Costo por unidad servida" value={finalStats.costs.costPerUnit.toFixed(3)} />
+                  <KpiCard
+                    label="Sin vender (u. / costo)"
+                    value={`${finalStats.costs.unsold.qty.toFixed(1)} / ${finalStats.costs.unsold.cost.toFixed(1)}`}
+                  />
+                  {finalStats.costs.writtenOff.qty > 0 && (
+                    <KpiCard
+                      label="Perdido con firmas cerradas (u. / costo)"
+                      value={`${finalStats.costs.writtenOff.qty.toFixed(1)} / ${finalStats.costs.writtenOff.cost.toFixed(1)}`}
+                    />
+                  )}
+                  <KpiCard label="Beneficio de la cadena" value={finalStats.costs.chainProfit.toFixed(1)} />
+                  <KpiCard
+                    label="Encuestas (respuestas / gasto)"
+                    value={`${finalStats.surveys.count} (${finalStats.surveys.responses} / ${finalStats.surveys.spent.toFixed(1)})`}
+                  />
+                  <KpiCard
+                    label="Demanda insatisfecha (racionados / tick)"
+                    value={`${finalStats.rationing.unmet.toFixed(0)} (${(finalStats.rationing.rationedShare * 100).toFixed(0)}%)`}
+                  />
                   <KpiCard label="Seed" value={finalStats.seed} />
                 </div>
+                <table className="w-full mt-3 text-xs">
+                  <thead>
+                    <tr className="text-gray-600 border-b">
+                      <th className="text-left">Enlace</th>
+                      <th className="text-left">Ruteo</th>
+                      <th className="text-right">Pedidos</th>
+                      <th className="text-right">Fill rate</th>
+                      <th className="text-right">Lead time medio</th>
+                      <th className="text-right">A tiempo</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(finalStats.routingStats).flatMap(([lvl, byPolicy]) =>
+                      Object.entries(byPolicy).map(([policy, st]) => (
+                        <tr key={`${lvl}-${policy}`}>
+                          <td>{lvl}</td>
+                          <td>{ROUTING_POLICIES.find((rp) => rp.key === policy)?.label || policy}</td>
+                          <td className="text-right">{st.placed}</td>
+                          <td className="text-right">{(st.fillRate * 100).toFixed(1)}%</td>
+                          <td className="text-right">{st.leadTimeMean.toFixed(1)}t</td>
+                          <td className="text-right">{(st.onTimeRate * 100).toFixed(1)}%</td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+                {/* fases: se revelan al final aunque hayan estado ocultas durante la sesión */}
+                <table className="w-full mt-3 text-xs">
+                  <thead>
+                    <tr className="text-gray-600 border-b">
+                      <th className="text-left">Tick</th>
+                      <th className="text-left">Fase</th>
+                      <th className="text-left">Origen</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {finalStats.phases.log.map((entry, i) => (
+                      <tr key={i}>
+                        <td>{entry.t}</td>
+                        <td>{entry.name}</td>
+                        <td>{PHASE_SOURCES[entry.source] || entry.source}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="text-xs text-gray-600 mt-1">
+                  Ticks por fase: {finalStats.phases.durations.map((d) => `${d.name} ${d.ticks}`).join(" · ")}
+                </div>
+                <SessionReveal journal={journalRef.current} toTick={engineRef.current?.t} />
+                <PlannerComparison
+                  journal={journalRef.current}
+                  toTick={engineRef.current?.t}
+                  human={plannerSummary(finalStats)}
+                  oracle={oracleSeries && oracleRun.result.summary}
+                />
+                <WelfarePanel
+                  series={engineRef.current?.state.series}
+                  summary={finalStats.welfare}
+                  oracleSeries={oracleSeries}
+                />
+                <BullwhipPanel bullwhip={finalStats.bullwhip} />
               </section>
             )}
           </main>
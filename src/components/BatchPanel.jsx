@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from "react";
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip } from "recharts";
+import { BATCH_STATS, batchPhaseSource } from "../sim/batch.js";
+import { parsePhaseSchedule } from "../sim/phases.js";
+import useSimWorker from "./useSimWorker";
+
+const createBatchWorker = () => new Worker(new URL("../sim/batch.worker.js", import.meta.url), { type: "module" });
+
+function fmt(x) {
+  if (!Number.isFinite(x)) return "—";
+  return Math.abs(x) >= 1000 ? x.toExponential(2) : x.toFixed(3);
+}
+
+// ------------------ MONTE CARLO (varias semillas) ------------------
+export default function BatchPanel({ policy, phases, config }) {
+  const [nSeeds, setNSeeds] = useState(30);
+  const [baseSeed, setBaseSeed] = useState(1);
+  const [ticks, setTicks] = useState(300);
+  // con calendario de sesión el lote lo usa salvo que se escriba otro; sin él, el texto sigue a la fase
+  // vigente hasta que se edite. Si cambian las fases o el calendario de la sesión, se vuelve al de la sesión
+  const [scheduleEdit, setScheduleEdit] = useState(null);
+  useEffect(() => setScheduleEdit(null), [config.phaseSchedule, phases]);
+  const scheduleText =
+    scheduleEdit ?? (config.phaseSchedule?.length ? "" : `1:${phases[policy.phaseIdx]?.name || phases[0].name}`);
+  const { schedule, problems } = parsePhaseSchedule(scheduleText, phases);
+  const phaseSource = batchPhaseSource(config, { phaseSchedule: schedule });
+  const { result, progress, error, run } = useSimWorker(createBatchWorker);
+  const summary = result?.summary;
+
+  function runBatch() {
+    const seeds = Array.from({ length: nSeeds }, (_, i) => baseSeed + i);
+    run(
+      {
+        config,
+        seeds,
+        ticks,
+        policy: {
+          priceMode: policy.priceMode,
+          manualPrice: policy.manualPrice,
+          demand: policy.demand,
+          routing: policy.routing,
+          rationing: policy.rationing,
+          phaseSchedule: schedule,
+        },
+      },
+      nSeeds
+    );
+  }
+
+  return (
+    <section className="bg-white p-3 rounded border">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold">Lote Monte Carlo</h3>
+          <div className="text-xs text-gray-600">
+            Corre la política actual (modo de precio, demanda aplicada, ruteo) sobre varias semillas en segundo plano.
+          </div>
+        </div>
+        <button className="px-3 py-1 bg-indigo-600 text-white rounded" onClick={runBatch} disabled={!!progress || problems.length > 0}>
+          {progress ? `Corriendo ${progress.done}/${progress.total}` : "Correr lote"}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-4 gap-3 mt-3 text-sm">
+        <label className="text-xs">
+          Semillas (N)
+          <input type="number" min={2} max={500} value={nSeeds} onChange={(e) => setNSeeds(Math.max(2, Number(e.target.value)))} className="w-full p-1 border rounded" />
+        </label>
+        <label className="text-xs">
+          Semilla inicial
+          <input type="number" value={baseSeed} onChange={(e) => setBaseSeed(Number(e.target.value))} className="w-full p-1 border rounded" />
+        </label>
+        <label className="text-xs">
+          Ticks (T)
+          <input type="number" min={10} max={5000} value={ticks} onChange={(e) => setTicks(Math.max(10, Number(e.target.value)))} className="w-full p-1 border rounded" />
+        </label>
+        <label className="text-xs">
+          Calendario de fases (tick:fase)
+          <input type="text" value={scheduleText} onChange={(e) => setScheduleEdit(e.target.value)} className="w-full p-1 border rounded" />
+        </label>
+      </div>
+      {problems.length > 0 && <div className="text-xs text-red-600 mt-1">{problems.join(" · ")}</div>}
+      <div className="text-xs text-gray-600 mt-1">
+        {phaseSource === "policy" && config.phaseSchedule?.length > 0 && "Se usa el calendario del lote; el de la sesión queda sin efecto."}
+        {phaseSource === "policy" && !config.phaseSchedule?.length && "Se usa el calendario del lote."}
+        {phaseSource === "session" &&
+          `Se usa el calendario de la sesión: ${config.phaseSchedule
+            .map((step) => `t=${step.at} → ${phases[step.phaseIdx]?.name}`)
+            .join(" · ")}.`}
+        {phaseSource === "none" && "Sin calendario: todas las semillas corren en la fase inicial."}
+      </div>
+
+      {error && <div className="mt-2 text-xs text-red-600">Error en el lote: {error}</div>}
+
+      {summary && (
+        <div className="grid grid-cols-3 gap-3 mt-3">
+          {BATCH_STATS.map((st) => {
+            const sm = summary[st.key];
+            return (
+              <div key={st.key} className="p-2 bg-gray-50 rounded border">
+                <div className="text-xs text-gray-600">{st.label}</div>
+                <div className="text-sm">
+                  media <b>{fmt(sm.mean)}</b> · IC95 [{fmt(sm.ci[0])}, {fmt(sm.ci[1])}]
+                </div>
+                <div className="text-xs text-gray-500">
+                  sd {fmt(sm.sd)} · n={sm.n}
+                  {sm.invalid > 0 && ` · ${sm.invalid} no finitos`}
+                </div>
+                <div style={{ width: "100%", height: 90 }}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={sm.histogram.map((h) => ({ x: fmt((h.x0 + h.x1) / 2), count: h.count }))}>
+                      <XAxis dataKey="x" hide />
+                      <YAxis hide allowDecimals={false} />
+                      <Tooltip />
+                      <Bar dataKey="count" fill="#6366f1" name="Semillas" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </section>
+  );
+}
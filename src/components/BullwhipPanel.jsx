@@ -0,0 +1,94 @@
+import React from "react";
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ReferenceLine } from "recharts";
+import { BULLWHIP_TIERS } from "../sim/bullwhip.js";
+
+const TIER_COLORS = { PBC: "#3b82f6", PFP: "#f59e0b", PMP: "#ef4444" };
+
+function fmt(x, digits = 3) {
+  return Number.isFinite(x) ? x.toFixed(digits) : "—";
+}
+
+// ------------------ EFECTO LÁTIGO (fin de sesión) ------------------
+export default function BullwhipPanel({ bullwhip }) {
+  if (!bullwhip) return null;
+  const xcorrData = bullwhip.tiers.PBC.xcorr.map(({ lag }) => {
+    const row = { lag };
+    for (const tier of BULLWHIP_TIERS) row[tier] = bullwhip.tiers[tier].xcorr[lag]?.corr;
+    return row;
+  });
+
+  return (
+    <section className="bg-white p-3 rounded border mt-3">
+      <h4 className="font-semibold">Efecto látigo</h4>
+      <div className="text-xs text-gray-600">
+        Var(órdenes del nivel) / Var(demanda final). Mayor que 1 = el nivel amplifica la variabilidad de la demanda. PMP
+        no pide a nadie: se usa su producción.
+      </div>
+
+      <table className="w-full mt-2 text-xs">
+        <thead>
+          <tr className="text-gray-600 border-b">
+            <th className="text-left">Nivel</th>
+            <th className="text-right">Var. órdenes</th>
+            <th className="text-right">Razón vs. demanda</th>
+            <th className="text-right">Lag de máx. correlación</th>
+            <th className="text-right">Correlación máx.</th>
+          </tr>
+        </thead>
+        <tbody>
+          {BULLWHIP_TIERS.map((tier) => {
+            const st = bullwhip.tiers[tier];
+            return (
+              <tr key={tier}>
+                <td>{tier}</td>
+                <td className="text-right">{fmt(st.orderVar, 1)}</td>
+                <td className={`text-right ${st.ratio > 1 ? "text-red-600 font-semibold" : ""}`}>{fmt(st.ratio)}</td>
+                <td className="text-right">{st.peakLag ?? "—"}</td>
+                <td className="text-right">{fmt(st.peakCorr)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="text-xs text-gray-500 mt-1">Var. demanda final: {fmt(bullwhip.demandVar, 1)}</div>
+
+      <div className="grid grid-cols-2 gap-3 mt-3">
+        <div>
+          <div className="text-xs font-semibold">Amplificación en el tiempo (ventana {bullwhip.window} ticks)</div>
+          <div style={{ width: "100%", height: 200 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={bullwhip.rolling}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="t" />
+                <YAxis />
+                <Tooltip formatter={(v) => fmt(v)} />
+                <Legend />
+                <ReferenceLine y={1} stroke="#6b7280" strokeDasharray="4 4" />
+                {BULLWHIP_TIERS.map((tier) => (
+                  <Line key={tier} type="monotone" dataKey={tier} stroke={TIER_COLORS[tier]} dot={false} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+        <div>
+          <div className="text-xs font-semibold">Correlación cruzada demanda(t) vs. órdenes(t + lag)</div>
+          <div style={{ width: "100%", height: 200 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={xcorrData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="lag" />
+                <YAxis domain={[-1, 1]} />
+                <Tooltip formatter={(v) => fmt(v)} />
+                <Legend />
+                {BULLWHIP_TIERS.map((tier) => (
+                  <Line key={tier} type="monotone" dataKey={tier} stroke={TIER_COLORS[tier]} dot />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,197 @@
+import React from "react";
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+} from "recharts";
+import { countPair, histogramPair } from "../sim/consumerReveal.js";
+
+const COLORS = ["#2563eb", "#16a34a", "#f59e0b", "#dc2626", "#7c3aed", "#0891b2", "#db2777", "#65a30d"];
+
+function fmt(v) {
+  if (!Number.isFinite(v)) return "—";
+  return Math.abs(v) >= 1e5 ? v.toExponential(2) : Math.abs(v) >= 10 ? v.toFixed(0) : v.toFixed(2);
+}
+
+function Histogram({ title, data }) {
+  return (
+    <div>
+      <div className="text-xs font-semibold">{title}</div>
+      <div style={{ height: 160 }}>
+        <ResponsiveContainer>
+          <BarChart data={data.map((h) => ({ ...h, x: fmt(h.x0) }))} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="x" tick={{ fontSize: 10 }} />
+            <YAxis allowDecimals={false} />
+            <Tooltip labelFormatter={(_, p) => (p[0] ? `${fmt(p[0].payload.x0)} – ${fmt(p[0].payload.x1)}` : "")} />
+            <Legend />
+            <Bar dataKey="start" name="Inicio" fill="#9ca3af" isAnimationActive={false} />
+            <Bar dataKey="end" name="Final" fill="#2563eb" isAnimationActive={false} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+function CountTable({ title, rows, label = (k) => k }) {
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-gray-600 border-b">
+          <th className="text-left">{title}</th>
+          <th className="text-right">Inicio</th>
+          <th className="text-right">Final</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r) => (
+          <tr key={r.key}>
+            <td>{label(r.key)}</td>
+            <td className="text-right">{r.start}</td>
+            <td className="text-right">{r.end}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// ------------------ LOS CONSUMIDORES REVELADOS (fin de sesión) ------------------
+// Datos de src/sim/consumerReveal.js, de la reproducción que corre SessionReveal: distribución de a, b y
+// familias al inicio y al final, deriva por segmento con los cambios de preferencia y aporte de cada segmento a la demanda
+export default function ConsumerReveal({ reveal, progress, error }) {
+  const labels = reveal?.labels || [];
+  const bySeg = (f, k, key) => f.bySegment[k]?.[key] ?? 0;
+  const segmentRows = (key) =>
+    reveal.frames.map((f) => ({ t: f.t, ...Object.fromEntries(labels.map((_, k) => [`s${k}`, bySeg(f, k, key)])) }));
+  const byType = reveal ? countPair(reveal.start, reveal.end, "type") : [];
+  const bySegment = reveal ? countPair(reveal.start, reveal.end, "seg") : [];
+  // con el generador original los segmentos son las familias: no hace falta una segunda tabla
+  const segmentsAreTypes = labels.every((l) => byType.some((r) => r.key === l));
+
+  return (
+    <section className="bg-white p-3 rounded border mt-3">
+      <h4 className="font-semibold">Los consumidores, revelados</h4>
+      <div className="text-xs text-gray-600">
+        La población oculta al inicio y al final de la sesión, cómo derivó con los cambios de preferencia y cuánto aportó
+        cada segmento a la demanda agregada.
+      </div>
+      {progress && (
+        <div className="text-xs mt-1">
+          Reproduciendo la sesión {progress.done}/{progress.total ?? "…"}
+        </div>
+      )}
+      {error && <div className="text-xs text-red-600 mt-1">Error: {error}</div>}
+      {reveal && (
+        <>
+          <div className="grid grid-cols-3 gap-3 mt-2">
+            <Histogram title="Intercepto a" data={histogramPair(reveal.start.map((c) => c.a), reveal.end.map((c) => c.a))} />
+            <Histogram title="Pendiente b" data={histogramPair(reveal.start.map((c) => c.b), reveal.end.map((c) => c.b))} />
+            <div className="space-y-2">
+              <CountTable title="Familia" rows={byType} />
+              {!segmentsAreTypes && <CountTable title="Segmento" rows={bySegment} label={(k) => labels[k]} />}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3 mt-3">
+            <div>
+              <div className="text-xs font-semibold">Deriva: a medio por segmento</div>
+              <div style={{ height: 180 }}>
+                <ResponsiveContainer>
+                  <LineChart data={segmentRows("aMean")} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="t" />
+                    <YAxis tickFormatter={fmt} />
+                    <Tooltip formatter={fmt} />
+                    <Legend />
+                    {labels.map((label, k) => (
+                      <Line key={k} dataKey={`s${k}`} name={label} stroke={COLORS[k % COLORS.length]} dot={false} isAnimationActive={false} />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+            <div>
+              <div className="text-xs font-semibold">Cambios de preferencia y actualizaciones (consumidores por cuadro)</div>
+              <div style={{ height: 180 }}>
+                <ResponsiveContainer>
+                  <BarChart data={reveal.frames} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="t" />
+                    <YAxis allowDecimals={false} />
+                    <Tooltip />
+                    <Legend />
+                    <Bar dataKey="changes" name="Cambio de preferencias" fill="#dc2626" isAnimationActive={false} />
+                    <Bar dataKey="updates" name="Actualización periódica" fill="#9ca3af" isAnimationActive={false} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3 mt-3">
+            <div>
+              <div className="text-xs font-semibold">Aporte de cada segmento a la demanda verdadera al precio vigente</div>
+              <div style={{ height: 180 }}>
+                <ResponsiveContainer>
+                  <AreaChart data={segmentRows("q")} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="t" />
+                    <YAxis tickFormatter={fmt} />
+                    <Tooltip formatter={fmt} />
+                    <Legend />
+                    {labels.map((label, k) => (
+                      <Area
+                        key={k}
+                        dataKey={`s${k}`}
+                        name={label}
+                        stackId="q"
+                        stroke={COLORS[k % COLORS.length]}
+                        fill={COLORS[k % COLORS.length]}
+                        isAnimationActive={false}
+                      />
+                    ))}
+                  </AreaChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+            <div>
+              <div className="text-xs font-semibold">Curva de demanda verdadera al final, por segmento</div>
+              <div style={{ height: 180 }}>
+                <ResponsiveContainer>
+                  <AreaChart data={reveal.curve} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" dataKey="p" domain={[0, "dataMax"]} tickFormatter={(v) => v.toFixed(1)} />
+                    <YAxis tickFormatter={fmt} />
+                    <Tooltip formatter={fmt} labelFormatter={(p) => `p = ${Number(p).toFixed(2)}`} />
+                    {labels.map((label, k) => (
+                      <Area
+                        key={k}
+                        dataKey={`s${k}`}
+                        name={label}
+                        stackId="curve"
+                        stroke={COLORS[k % COLORS.length]}
+                        fill={COLORS[k % COLORS.length]}
+                        isAnimationActive={false}
+                      />
+                    ))}
+                  </AreaChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
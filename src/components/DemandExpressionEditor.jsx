@@ -0,0 +1,119 @@
+import React, { useState } from "react";
+import { EXPR_FUNCTIONS, compileDemandExpression } from "../sim/expression.js";
+
+export const EXPR_EXAMPLES = [
+  {
+    name: "Quiebre lineal → exponencial",
+    expr: "if(p < mid, A - B*p, (A - B*mid) * exp(-k*(p - mid)))",
+    params: { A: 120, B: 6, mid: 8, k: 0.5 },
+  },
+  { name: "Suma de familias", expr: "A*exp(-B*p) + C*max(0, D - p)", params: { A: 80, B: 0.3, C: 5, D: 12 } },
+  { name: "Escalones", expr: "if(p <= P1, Q1, if(p <= P2, Q2, 0))", params: { P1: 3, Q1: 150, P2: 9, Q2: 60 } },
+  { name: "Elasticidad constante", expr: "A * (1 + p)^(-eps)", params: { A: 150, eps: 1.2 } },
+];
+
+// rango de slider para un parámetro nuevo: crece con su valor inicial
+function defaultRange(v) {
+  const max = Math.max(10, Math.abs(v) * 4);
+  return { min: v < 0 ? -max : 0, max };
+}
+
+// Agrega valor 1 a los parámetros que aparecen por primera vez en la expresión
+export function fillExpressionParams(expr, params) {
+  try {
+    const names = compileDemandExpression(expr).params;
+    const next = { ...params };
+    for (const name of names) if (!Number.isFinite(next[name])) next[name] = 1;
+    return next;
+  } catch (err) {
+    return params;
+  }
+}
+
+// ------------------ EDITOR DE EXPRESIÓN LIBRE ------------------
+// Expresión en p con parámetros con nombre: cada parámetro recibe su slider automáticamente
+export default function DemandExpressionEditor({ expr, setExpr, params, setParams, validation }) {
+  const [ranges, setRanges] = useState({});
+
+  function setValue(name, v) {
+    setParams((prev) => ({ ...prev, [name]: v }));
+    const r = ranges[name] || defaultRange(params[name]);
+    if (v < r.min || v > r.max) setRanges((prev) => ({ ...prev, [name]: defaultRange(v) }));
+  }
+
+  return (
+    <div className="space-y-2 text-sm">
+      <label className="text-xs">Expresión en p</label>
+      <textarea
+        value={expr}
+        onChange={(e) => {
+          setExpr(e.target.value);
+          setParams((prev) => fillExpressionParams(e.target.value, prev));
+        }}
+        spellCheck={false}
+        rows={2}
+        className="w-full p-1 border rounded font-mono text-xs"
+      />
+      <select
+        className="w-full p-1 border rounded text-xs"
+        value=""
+        onChange={(e) => {
+          const ex = EXPR_EXAMPLES[Number(e.target.value)];
+          if (!ex) return;
+          setExpr(ex.expr);
+          setParams((prev) => ({ ...prev, ...ex.params }));
+          setRanges({});
+        }}
+      >
+        <option value="">Ejemplos…</option>
+        {EXPR_EXAMPLES.map((ex, i) => (
+          <option key={ex.name} value={i}>
+            {ex.name}
+          </option>
+        ))}
+      </select>
+      <div className="text-xs text-gray-500">
+        Operadores + − * / ^ y comparaciones (&lt;, &lt;=, &gt;, &gt;=, ==, !=); funciones {Object.keys(EXPR_FUNCTIONS).join(", ")};
+        constantes pi y e.
+      </div>
+      {validation.params.map((name) => {
+        const v = params[name] ?? 1;
+        const r = ranges[name] || defaultRange(v);
+        return (
+          <div key={name}>
+            <label className="text-xs">
+              {name}: {Number(v).toFixed(3)}
+            </label>
+            <div className="flex gap-2 items-center">
+              <input
+                type="range"
+                min={r.min}
+                max={r.max}
+                step={(r.max - r.min) / 400}
+                value={v}
+                onChange={(e) => setValue(name, Number(e.target.value))}
+                className="flex-1"
+              />
+              <input
+                type="number"
+                value={v}
+                onChange={(e) => Number.isFinite(Number(e.target.value)) && setValue(name, Number(e.target.value))}
+                className="w-20 p-1 border rounded text-xs"
+              />
+            </div>
+          </div>
+        );
+      })}
+      {validation.errors.map((msg) => (
+        <div key={msg} className="text-xs text-red-600">
+          {msg}
+        </div>
+      ))}
+      {validation.warnings.map((msg) => (
+        <div key={msg} className="text-xs text-amber-600">
+          {msg}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useState } from "react";
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ReferenceLine } from "recharts";
+import { orderRemaining } from "../sim/network.js";
+import { UTIL_WINDOW, firmRows } from "../sim/inspector.js";
+
+// ------------------ INSPECTOR DE FIRMAS ------------------
+// El estado del motor se muta en cada tick: se recalcula en cada render (App re-renderiza por tick)
+export default function FirmInspector({ state, currentTick }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [windowLen, setWindowLen] = useState(100);
+
+  if (!state) return null;
+
+  const rows = firmRows(state);
+  const selected = rows.find((r) => r.firm.id === selectedId);
+
+  return (
+    <section className="bg-white p-3 rounded border">
+      <h3 className="font-semibold">Inspector de firmas</h3>
+      <div className="text-xs text-gray-600">
+        Capacidad, inventario y pedidos de cada firma. Haz clic en una fila para ver su historia.
+      </div>
+
+      <table className="w-full mt-2 text-xs">
+        <thead>
+          <tr className="text-gray-600 border-b">
+            <th className="text-left">Firma</th>
+            <th className="text-right">Capacidad</th>
+            <th className="text-right">A</th>
+            <th className="text-right">Costo marg.</th>
+            <th className="text-right">Inventario</th>
+            <th className="text-right">Utilización ({UTIL_WINDOW}t)</th>
+            <th className="text-right">Pedidos in / out</th>
+            <th className="text-right">Innov.</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ firm: f, level, closed, utilization, pending, adopted }) => (
+            <tr
+              key={f.id}
+              onClick={() => setSelectedId(f.id)}
+              className={`cursor-pointer ${selectedId === f.id ? "bg-indigo-50" : ""} ${closed ? "text-gray-400" : ""}`}
+            >
+              <td>
+                {f.id} <span className="text-gray-500">{level}</span>
+                {closed && ` (cerrada t=${f.closedAt})`}
+              </td>
+              <td className="text-right">{f.capacity.toFixed(1)}</td>
+              <td className="text-right">{f.A.toFixed(2)}</td>
+              <td className="text-right">{f.marginalCost.toFixed(3)}</td>
+              <td className="text-right">{(f.inventory || 0).toFixed(1)}</td>
+              <td className="text-right">{(utilization * 100).toFixed(0)}%</td>
+              <td className="text-right">
+                {pending.inbound.length} / {pending.outbound.length}
+              </td>
+              <td className="text-right">{adopted}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {selected && (
+        <FirmDetail
+          row={selected}
+          currentTick={currentTick}
+          windowLen={windowLen}
+          setWindowLen={setWindowLen}
+          onClose={() => setSelectedId(null)}
+        />
+      )}
+    </section>
+  );
+}
+
+function OrderList({ title, orders, currentTick, partyKey }) {
+  return (
+    <div>
+      <div className="font-semibold">
+        {title} ({orders.length})
+      </div>
+      <ul style={{ maxHeight: 140, overflowY: "auto" }}>
+        {orders.length === 0 && <li className="text-gray-400">Ninguno</li>}
+        {orders.slice(0, 100).map((o) => (
+          <li key={o.id}>
+            {o[partyKey]} · {orderRemaining(o).toFixed(1)}
+            {o.shipped > 0 && ` de ${o.amount.toFixed(1)}`} · vence t={o.due}
+            {o.due < currentTick && <span className="text-red-600"> (atrasado {currentTick - o.due}t)</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function FirmDetail({ row, currentTick, windowLen, setWindowLen, onClose }) {
+  const { firm, level, pending, innovations, utilization } = row;
+  const data = firm.history.slice(-windowLen).map((h) => ({
+    t: h.t,
+    produced: Number(h.produced.toFixed(3)),
+    inventory: h.inventory != null ? Number(h.inventory.toFixed(3)) : null,
+  }));
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 rounded border">
+      <div className="flex items-center justify-between">
+        <div className="font-semibold">
+          {firm.id} ({level}) — utilización {(utilization * 100).toFixed(1)}%
+        </div>
+        <div className="flex gap-2 text-xs">
+          <select value={windowLen} onChange={(e) => setWindowLen(Number(e.target.value))} className="p-1 border rounded">
+            <option value={50}>50 ticks</option>
+            <option value={100}>100 ticks</option>
+            <option value={300}>300 ticks</option>
+            <option value={100000}>Todo</option>
+          </select>
+          <button className="px-2 py-1 bg-gray-200 rounded" onClick={onClose}>
+            Cerrar
+          </button>
+        </div>
+      </div>
+
+      <div style={{ width: "100%", height: 220 }} className="mt-2">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="t" />
+            <YAxis />
+            <Tooltip />
+            <Legend />
+            <ReferenceLine y={firm.capacity} stroke="#9ca3af" strokeDasharray="4 4" label="Capacidad" />
+            <Line type="monotone" dataKey="produced" stroke="#16a34a" dot={false} name="Producción" />
+            <Line type="monotone" dataKey="inventory" stroke="#f59e0b" dot={false} name="Inventario" />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 mt-2 text-xs">
+        <OrderList title="Pedidos por recibir" orders={pending.inbound} currentTick={currentTick} partyKey="to" />
+        <OrderList title="Pedidos por despachar" orders={pending.outbound} currentTick={currentTick} partyKey="from" />
+        <div>
+          <div className="font-semibold">Innovaciones ({innovations.length})</div>
+          <ul style={{ maxHeight: 140, overflowY: "auto" }}>
+            {innovations.length === 0 && <li className="text-gray-400">Ninguna</li>}
+            {innovations.map((x, i) => (
+              <li key={i}>
+                {x.adopted ? "✓ adoptada" : `pendiente (t=${x.adoptAt})`} · costo ×{x.costMul.toFixed(3)} · A ×
+                {x.tfpMul.toFixed(3)}
+                {x.forced && " (escenario)"}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+import { ResponsiveContainer, ComposedChart, ScatterChart, Scatter, Line, XAxis, YAxis, Tooltip, CartesianGrid, ReferenceLine } from "recharts";
+import { createDemandFn } from "../sim/demand.js";
+import { fitDemandFamilies, fittingSample } from "../sim/fitting.js";
+
+const SOURCES = [
+  ["both", "Serie + encuestas"],
+  ["series", "Serie observada"],
+  ["surveys", "Encuestas"],
+];
+
+function fmtParams(params) {
+  return Object.entries(params)
+    .map(([k, v]) => `${k}=${Math.abs(v) >= 1e4 ? v.toExponential(2) : v.toFixed(3)}`)
+    .join(", ");
+}
+
+// curva ajustada sobre el rango de precios observado
+function curve(fit, ps) {
+  const lo = Math.min(...ps);
+  const hi = Math.max(...ps);
+  const fn = createDemandFn(fit.type, fit.params);
+  return Array.from({ length: 41 }, (_, i) => {
+    const p = lo + ((hi - lo) * i) / 40;
+    return { p, fit: fn(p) };
+  });
+}
+
+// ------------------ AJUSTE DE CURVAS (precio, cantidad) ------------------
+// Ajusta las cinco familias del editor a lo observado (src/sim/fitting.js) y carga la elegida
+export default function FittingPanel({ series, surveys, onLoad }) {
+  const [source, setSource] = useState("both");
+  const [windowLen, setWindowLen] = useState(200);
+  const [result, setResult] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  function runFit() {
+    const sample = fittingSample(series.slice(-windowLen), surveys, source);
+    const fits = fitDemandFamilies(sample.ps, sample.qs);
+    setResult({ ...sample, fits });
+    setSelected(fits[0]?.type ?? null);
+  }
+
+  const fit = result?.fits.find((f) => f.type === selected);
+  const points = result ? result.ps.map((p, i) => ({ p, q: result.qs[i], residual: fit ? fit.residuals[i] : 0 })) : [];
+  const bestAic = result?.fits[0]?.aic ?? 0;
+
+  return (
+    <div className="bg-white p-3 rounded border">
+      <div className="font-semibold">Ajuste de demanda</div>
+      <div className="text-xs text-gray-600 mt-1">
+        Ajusta las cinco familias por mínimos cuadrados no lineales a los pares (precio, demanda) observados y carga la
+        elegida en el editor.
+      </div>
+      <div className="mt-2 flex flex-wrap gap-2 text-sm items-center">
+        <select value={source} onChange={(e) => setSource(e.target.value)} className="p-1 border rounded">
+          {SOURCES.map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <label className="text-xs">
+          Últimos
+          <input
+            type="number"
+            min={10}
+            step={10}
+            value={windowLen}
+            onChange={(e) => setWindowLen(Math.max(10, Number(e.target.value) || 10))}
+            className="w-16 p-1 border rounded mx-1"
+          />
+          ticks
+        </label>
+        <button className="px-3 py-1 bg-blue-600 text-white rounded" onClick={runFit}>
+          Ajustar
+        </button>
+      </div>
+      {result && result.fits.length === 0 && (
+        <div className="mt-2 text-xs text-gray-500">Faltan datos: se necesitan al menos 4 pares (precio, demanda).</div>
+      )}
+      {result && result.fits.length > 0 && (
+        <>
+          <div className="mt-2 text-xs text-gray-600">n = {result.ps.length} pares</div>
+          <table className="w-full mt-1 text-xs">
+            <thead>
+              <tr className="text-gray-600 border-b">
+                <th className="text-left">Familia</th>
+                <th className="text-right">R²</th>
+                <th className="text-right">ΔAIC</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {result.fits.map((f) => (
+                <tr
+                  key={f.type}
+                  className={`cursor-pointer ${f.type === selected ? "bg-blue-50 font-semibold" : ""}`}
+                  onClick={() => setSelected(f.type)}
+                  title={fmtParams(f.params)}
+                >
+                  <td>{f.label}</td>
+                  <td className="text-right">{f.r2.toFixed(3)}</td>
+                  <td className="text-right">{(f.aic - bestAic).toFixed(1)}</td>
+                  <td className="text-right">
+                    <button
+                      className="px-2 bg-gray-200 rounded"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onLoad(f);
+                      }}
+                    >
+                      Cargar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {fit && (
+            <>
+              <div className="mt-2 text-xs">
+                {fit.label}: {fmtParams(fit.params)}
+              </div>
+              <div style={{ height: 150 }} className="mt-1">
+                <ResponsiveContainer>
+                  <ComposedChart margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" dataKey="p" domain={["auto", "auto"]} tickFormatter={(v) => v.toFixed(2)} />
+                    <YAxis type="number" />
+                    <Tooltip />
+                    <Scatter name="observado" data={points} dataKey="q" fill="#9ca3af" />
+                    <Line name="ajuste" data={curve(fit, result.ps)} dataKey="fit" stroke="#2563eb" dot={false} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="text-xs text-gray-600">Residuos (observado − ajuste) vs. precio</div>
+              <div style={{ height: 110 }}>
+                <ResponsiveContainer>
+                  <ScatterChart margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" dataKey="p" domain={["auto", "auto"]} tickFormatter={(v) => v.toFixed(2)} />
+                    <YAxis type="number" dataKey="residual" />
+                    <ReferenceLine y={0} stroke="#111" />
+                    <Scatter data={points} fill="#dc2626" />
+                  </ScatterChart>
+                </ResponsiveContainer>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
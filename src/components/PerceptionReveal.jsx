@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from "react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  LineChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+  ReferenceLine,
+} from "recharts";
+import { perceptionSummary } from "../sim/reveal.js";
+
+const FRAME_MS = 150;
+
+function fmt(v) {
+  if (!Number.isFinite(v)) return "—";
+  return Math.abs(v) >= 1e5 ? v.toExponential(2) : v.toFixed(1);
+}
+
+// ------------------ PERCEPCIÓN vs. DEMANDA VERDADERA (fin de sesión) ------------------
+// Anima la curva aplicada contra la verdadera; los cuadros (src/sim/reveal.js) salen de la reproducción
+// que corre SessionReveal
+export default function PerceptionReveal({ frames, progress, error }) {
+  const [idx, setIdx] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  // cuadros nuevos: la animación arranca desde el primero
+  useEffect(() => {
+    setIdx(0);
+    setPlaying(frames?.length > 1);
+  }, [frames]);
+
+  // animación: avanza un cuadro cada FRAME_MS y se detiene en el último
+  useEffect(() => {
+    if (!playing || !frames) return undefined;
+    const id = setInterval(() => {
+      setIdx((i) => {
+        if (i + 1 >= frames.length) {
+          setPlaying(false);
+          return i;
+        }
+        return i + 1;
+      });
+    }, FRAME_MS);
+    return () => clearInterval(id);
+  }, [playing, frames]);
+
+  const frame = frames?.[idx];
+  const summary = frames ? perceptionSummary(frames) : null;
+
+  return (
+    <section className="bg-white p-3 rounded border mt-3">
+      <h4 className="font-semibold">Tu demanda percibida vs. la verdadera</h4>
+      <div className="text-xs text-gray-600">
+        Curva que tenías aplicada en cada momento (en automático, la demanda observada del tick) contra la demanda
+        agregada verdadera de los consumidores en ese mismo tick. El área sombreada es la brecha.
+      </div>
+      {progress && (
+        <div className="text-xs mt-1">
+          Reproduciendo la sesión {progress.done}/{progress.total ?? "…"}
+        </div>
+      )}
+      {error && <div className="text-xs text-red-600 mt-1">Error: {error}</div>}
+      {summary && (
+        <div className="grid grid-cols-4 gap-3 mt-2 text-sm">
+          <div>
+            Brecha media (área): <b>{fmt(summary.gapAreaMean)}</b>
+          </div>
+          <div>
+            Sobreestimación: <b>{(summary.overShare * 100).toFixed(0)}%</b> de la brecha
+          </div>
+          <div>
+            Brecha media al precio vigente: <b>{fmt(summary.gapAtPriceMean)}</b>
+          </div>
+          <div>
+            Peor momento: <b>t={summary.worstT}</b> ({fmt(summary.worstGap)})
+          </div>
+        </div>
+      )}
+      {summary?.skipped > 0 && (
+        <div className="text-xs text-gray-500 mt-1">{summary.skipped} cuadro(s) con demanda no finita quedan fuera del resumen.</div>
+      )}
+      {frame && (
+        <>
+          <div className="flex items-center gap-2 mt-2 text-sm">
+            <button
+              className="px-3 py-1 bg-gray-200 rounded"
+              onClick={() => {
+                if (idx + 1 >= frames.length) setIdx(0);
+                setPlaying((p) => !p);
+              }}
+            >
+              {playing ? "Pausa" : "Reproducir"}
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={frames.length - 1}
+              value={idx}
+              onChange={(e) => {
+                setPlaying(false);
+                setIdx(Number(e.target.value));
+              }}
+              className="flex-1"
+            />
+            <span className="text-xs w-16 text-right">t={frame.t}</span>
+          </div>
+          <div className="text-xs mt-1">
+            Aplicada: <b>{frame.label}</b> · brecha {fmt(frame.gapArea)} (sobre {fmt(frame.overArea)} / sub{" "}
+            {fmt(frame.underArea)}) · al precio {frame.price.toFixed(3)}: {fmt(frame.gapAtPrice)}
+          </div>
+          <div style={{ height: 220 }} className="mt-1">
+            <ResponsiveContainer>
+              <ComposedChart data={frame.curve} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" dataKey="p" domain={[0, "dataMax"]} tickFormatter={(v) => v.toFixed(1)} />
+                <YAxis tickFormatter={fmt} />
+                <Tooltip formatter={(v) => (Array.isArray(v) ? v.map(fmt).join(" – ") : fmt(v))} />
+                <Legend />
+                <Area dataKey="gap" name="Brecha" stroke="none" fill="#fecaca" isAnimationActive={false} />
+                <Line dataKey="perceived" name="Percibida" stroke="#2563eb" dot={false} isAnimationActive={false} />
+                <Line dataKey="truth" name="Verdadera" stroke="#111" dot={false} isAnimationActive={false} />
+                <ReferenceLine x={frame.price} stroke="#f59e0b" strokeDasharray="4 2" ifOverflow="hidden" />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+          <div style={{ height: 120 }}>
+            <ResponsiveContainer>
+              <LineChart data={frames} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="t" />
+                <YAxis tickFormatter={fmt} />
+                <Tooltip formatter={fmt} />
+                <Line dataKey="gapArea" name="Brecha (área)" stroke="#dc2626" dot={false} isAnimationActive={false} />
+                <ReferenceLine x={frame.t} stroke="#111" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
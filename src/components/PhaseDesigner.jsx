@@ -0,0 +1,158 @@
+import React from "react";
+import { EXPERIMENT_PHASES } from "../sim/config.js";
+import { defaultPhase } from "../sim/phases.js";
+
+function Num({ value, onChange, step = 1, title }) {
+  return (
+    <input
+      type="number"
+      step={step}
+      value={value}
+      title={title}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="w-16 p-1 border rounded"
+    />
+  );
+}
+
+// ------------------ DISEÑADOR DE FASES (instructor) ------------------
+// Fases con retroalimentación, volatilidad de la demanda, multiplicadores de demoras e innovación, y un
+// calendario que las cambia solo en los ticks indicados (src/sim/phases.js)
+export default function PhaseDesigner({ phases, schedule, hidden, onChange }) {
+  const setPhase = (idx, patch) => onChange({ phases: phases.map((ph, i) => (i === idx ? { ...ph, ...patch } : ph)) });
+  const setStep = (idx, patch) =>
+    onChange({ phaseSchedule: schedule.map((step, i) => (i === idx ? { ...step, ...patch } : step)) });
+
+  // al quitar una fase, el calendario pierde sus entradas y las siguientes corren su índice
+  function removePhase(idx) {
+    onChange({
+      phases: phases.filter((_, i) => i !== idx),
+      phaseSchedule: schedule
+        .filter((step) => step.phaseIdx !== idx)
+        .map((step) => (step.phaseIdx > idx ? { ...step, phaseIdx: step.phaseIdx - 1 } : step)),
+    });
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="font-semibold text-sm">Fases del experimento</div>
+      <div className="text-xs text-gray-600">
+        Retroalimentación: cuánto mueve el precio la disposición a pagar. Volatilidad: shock común de la demanda por
+        tick (±). Demoras e innovación multiplican los valores de la sesión mientras la fase está vigente.
+      </div>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-600 border-b text-left">
+            <th>Fase</th>
+            <th>Retroalim.</th>
+            <th>Volatilidad</th>
+            <th>× Demoras</th>
+            <th>× Innovación</th>
+            <th>Descripción</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {phases.map((ph, i) => (
+            <tr key={i}>
+              <td>
+                <input
+                  value={ph.name}
+                  onChange={(e) => setPhase(i, { name: e.target.value })}
+                  className="w-16 p-1 border rounded"
+                />
+              </td>
+              <td>
+                <Num step={0.01} value={ph.feedbackStrength} onChange={(v) => setPhase(i, { feedbackStrength: v })} />
+              </td>
+              <td>
+                <Num step={0.01} value={ph.volatility} onChange={(v) => setPhase(i, { volatility: v })} />
+              </td>
+              <td>
+                <Num step={0.1} value={ph.delayMult} onChange={(v) => setPhase(i, { delayMult: v })} />
+              </td>
+              <td>
+                <Num step={0.1} value={ph.innovationMult} onChange={(v) => setPhase(i, { innovationMult: v })} />
+              </td>
+              <td>
+                <input
+                  value={ph.desc}
+                  onChange={(e) => setPhase(i, { desc: e.target.value })}
+                  className="w-full p-1 border rounded"
+                />
+              </td>
+              <td>
+                {phases.length > 1 && (
+                  <button className="px-2 py-1 bg-gray-200 rounded" title="Quitar fase" onClick={() => removePhase(i)}>
+                    ×
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex gap-2 text-xs">
+        <button
+          className="px-2 py-1 bg-gray-200 rounded"
+          onClick={() => onChange({ phases: [...phases, defaultPhase(String.fromCharCode(65 + phases.length))] })}
+        >
+          + Fase
+        </button>
+        <button
+          className="px-2 py-1 bg-gray-200 rounded"
+          onClick={() => onChange({ phases: structuredClone(EXPERIMENT_PHASES), phaseSchedule: [] })}
+        >
+          Restaurar A/B/C
+        </button>
+      </div>
+
+      <div className="font-semibold text-sm pt-2">Calendario automático</div>
+      <div className="text-xs text-gray-600">
+        La fase cambia sola en cada tick indicado; el planificador puede cambiarla a mano hasta el próximo cambio
+        programado.
+      </div>
+      {schedule.map((step, i) => (
+        <div key={i} className="flex gap-1 items-center text-xs">
+          t =
+          <Num value={step.at} onChange={(at) => setStep(i, { at })} />→
+          <select
+            className="p-1 border rounded"
+            value={step.phaseIdx}
+            onChange={(e) => setStep(i, { phaseIdx: Number(e.target.value) })}
+          >
+            {phases.map((ph, idx) => (
+              <option key={idx} value={idx}>
+                {ph.name}
+              </option>
+            ))}
+          </select>
+          <button
+            className="px-2 py-1 bg-gray-200 rounded"
+            title="Quitar cambio"
+            onClick={() => onChange({ phaseSchedule: schedule.filter((_, j) => j !== i) })}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button
+        className="px-2 py-1 bg-gray-200 rounded text-xs"
+        onClick={() =>
+          onChange({
+            phaseSchedule: [
+              ...schedule,
+              { at: (schedule[schedule.length - 1]?.at || 0) + 100, phaseIdx: Math.min(1, phases.length - 1) },
+            ],
+          })
+        }
+      >
+        + Cambio
+      </button>
+      <label className="text-xs flex items-center gap-1">
+        <input type="checkbox" checked={hidden} onChange={(e) => onChange({ hidePhases: e.target.checked })} />
+        Ocultar las fases a los participantes (se revelan al finalizar)
+      </label>
+    </div>
+  );
+}
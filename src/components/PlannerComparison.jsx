@@ -0,0 +1,84 @@
+import React from "react";
+import useSimWorker from "./useSimWorker";
+
+const COLUMNS = [
+  { key: "welfare", label: "Bienestar", digits: 1 },
+  { key: "dwl", label: "Pérdida irrec.", digits: 1 },
+  { key: "effMean", label: "Eficiencia", pct: true },
+  { key: "avgServed", label: "Servida media", digits: 2 },
+  { key: "avgPrice", label: "Precio medio", digits: 3 },
+  { key: "priceVol", label: "Vol. precio", digits: 3 },
+  { key: "costPerUnit", label: "Costo/unidad", digits: 3 },
+  { key: "backlogMean", label: "Backlog medio", digits: 1 },
+];
+
+const createPlannersWorker = () => new Worker(new URL("../sim/planners.worker.js", import.meta.url), { type: "module" });
+
+function fmt(v, col) {
+  if (!Number.isFinite(v)) return "—";
+  if (col.pct) return `${(v * 100).toFixed(1)}%`;
+  return Math.abs(v) >= 1e6 ? v.toExponential(2) : v.toFixed(col.digits);
+}
+
+// ------------------ HUMANO vs. REGLAS AUTOMÁTICAS ------------------
+// Corre cada planificador automático (src/sim/planners.js) en un worker desde la misma base que la
+// sesión; es una simulación completa por regla, así que sólo corre cuando se pide
+export default function PlannerComparison({ journal, toTick, human, oracle }) {
+  const { result, progress, error, run } = useSimWorker(createPlannersWorker);
+  const rows = result?.rows;
+
+  const all = [
+    { key: "human", label: "Humano", ...human, highlight: true },
+    ...(rows || []),
+    ...(oracle ? [{ key: "oracle", label: "Oráculo (información completa)", ...oracle }] : []),
+  ];
+
+  return (
+    <section className="bg-white p-3 rounded border mt-3">
+      <h4 className="font-semibold">Humano vs. reglas automáticas</h4>
+      <div className="text-xs text-gray-600">
+        Cada regla corre desde la misma semilla y con las mismas fases y ruteo que la sesión, moviendo los mismos controles
+        (modo de precio, precio manual y demanda aplicada).
+      </div>
+      <div className="flex items-center gap-2 mt-1 text-xs">
+        <button
+          className="px-3 py-1 bg-gray-200 rounded"
+          disabled={!journal || !toTick || progress != null}
+          onClick={() => run({ journal, toTick })}
+        >
+          {rows ? "Volver a comparar" : "Comparar con las reglas automáticas"}
+        </button>
+        {progress && (
+          <span>
+            Corriendo planificadores {progress.done}/{progress.total ?? "…"}
+          </span>
+        )}
+      </div>
+      {error && <div className="text-xs text-red-600 mt-1">Error: {error}</div>}
+      <table className="w-full mt-2 text-xs">
+        <thead>
+          <tr className="text-gray-600 border-b">
+            <th className="text-left">Planificador</th>
+            {COLUMNS.map((col) => (
+              <th key={col.key} className="text-right">
+                {col.label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {all.map((r) => (
+            <tr key={r.key} className={r.highlight ? "font-semibold" : ""}>
+              <td>{r.label}</td>
+              {COLUMNS.map((col) => (
+                <td key={col.key} className="text-right">
+                  {fmt(r[col.key], col)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import { ResponsiveContainer, LineChart, Line, BarChart, Bar, Cell, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ReferenceLine } from "recharts";
+import { firmPnl, tierPnlSeries } from "../sim/ledger.js";
+
+const TIER_COLORS = { PBC: "#3b82f6", PFP: "#f59e0b", PMP: "#ef4444" };
+
+// beneficio por tick -> acumulado
+function cumulative(rows) {
+  const acc = { PBC: 0, PFP: 0, PMP: 0 };
+  return rows.map((r) => {
+    for (const k of Object.keys(acc)) acc[k] += r[k];
+    return { t: r.t, ...acc };
+  });
+}
+
+// ------------------ P&L (contabilidad de costos) ------------------
+export default function PnlPanel({ state }) {
+  const [mode, setMode] = useState("cumulative");
+  if (!state) return null;
+
+  const perTick = tierPnlSeries(state);
+  const tierData = mode === "cumulative" ? cumulative(perTick) : perTick;
+  const firms = firmPnl(state);
+
+  return (
+    <section className="bg-white p-3 rounded border">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold">Pérdidas y ganancias</h3>
+          <div className="text-xs text-gray-600">
+            Ingresos − producción − compras de insumos − costo de inventario. Las PBC venden al precio vigente; entre
+            niveles se vende a costo promedio más margen.
+          </div>
+        </div>
+        <select value={mode} onChange={(e) => setMode(e.target.value)} className="p-1 border rounded text-sm">
+          <option value="cumulative">Acumulado</option>
+          <option value="tick">Por tick</option>
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 mt-2">
+        <div>
+          <div className="text-xs font-semibold">Beneficio por nivel</div>
+          <div style={{ width: "100%", height: 200 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={tierData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="t" />
+                <YAxis />
+                <Tooltip formatter={(v) => v.toFixed(2)} />
+                <Legend />
+                <ReferenceLine y={0} stroke="#6b7280" />
+                {Object.keys(TIER_COLORS).map((tier) => (
+                  <Line key={tier} type="monotone" dataKey={tier} stroke={TIER_COLORS[tier]} dot={false} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+        <div>
+          <div className="text-xs font-semibold">Beneficio acumulado por firma</div>
+          <div style={{ width: "100%", height: 200 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={firms}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="id" />
+                <YAxis />
+                <Tooltip formatter={(v) => v.toFixed(2)} />
+                <ReferenceLine y={0} stroke="#6b7280" />
+                <Bar dataKey="profit" name="Beneficio">
+                  {firms.map((f) => (
+                    <Cell key={f.id} fill={TIER_COLORS[f.level]} fillOpacity={f.closed ? 0.4 : 1} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+
+      <table className="w-full mt-2 text-xs">
+        <thead>
+          <tr className="text-gray-600 border-b">
+            <th className="text-left">Firma</th>
+            <th className="text-right">Ingresos</th>
+            <th className="text-right">Producción</th>
+            <th className="text-right">Compras</th>
+            <th className="text-right">Inventario</th>
+            <th className="text-right">Beneficio</th>
+          </tr>
+        </thead>
+        <tbody>
+          {firms.map((f) => (
+            <tr key={f.id} className={f.closed ? "text-gray-400" : ""}>
+              <td>
+                {f.id}
+                {f.closed && " (cerrada)"}
+              </td>
+              <td className="text-right">{f.revenue.toFixed(1)}</td>
+              <td className="text-right">{f.productionCost.toFixed(1)}</td>
+              <td className="text-right">{f.purchases.toFixed(1)}</td>
+              <td className="text-right">{f.holdingCost.toFixed(1)}</td>
+              <td className={`text-right ${f.profit < 0 ? "text-red-600" : ""}`}>{f.profit.toFixed(1)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
@@ -0,0 +1,237 @@
+import React, { useState } from "react";
+import { REACTION_PROFILES } from "../sim/config.js";
+import {
+  CONSUMER_FAMILIES,
+  POPULATION_PRESETS,
+  defaultSegment,
+  normal,
+  parsePopulation,
+  segmentCounts,
+  uniform,
+} from "../sim/population.js";
+
+function Num({ value, onChange, step = 1, title }) {
+  return (
+    <input
+      type="number"
+      step={step}
+      value={value}
+      title={title}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="w-16 p-1 border rounded"
+    />
+  );
+}
+
+// distribución de un parámetro: uniforme (mín, máx) o normal (media, desvío)
+function DistField({ value, onChange }) {
+  const isNormal = value.dist === "normal";
+  return (
+    <div className="flex gap-1 items-center">
+      <select
+        className="p-1 border rounded"
+        value={value.dist}
+        onChange={(e) =>
+          onChange(
+            e.target.value === "normal"
+              ? normal((value.min + value.max) / 2, (value.max - value.min) / 4)
+              : uniform(value.mean - 2 * value.sd, value.mean + 2 * value.sd)
+          )
+        }
+      >
+        <option value="uniform">U</option>
+        <option value="normal">N</option>
+      </select>
+      {isNormal ? (
+        <>
+          <Num step={0.1} value={value.mean} title="media" onChange={(mean) => onChange({ ...value, mean })} />
+          <Num step={0.1} value={value.sd} title="desvío" onChange={(sd) => onChange({ ...value, sd })} />
+        </>
+      ) : (
+        <>
+          <Num step={0.1} value={value.min} title="mínimo" onChange={(min) => onChange({ ...value, min })} />
+          <Num step={0.1} value={value.max} title="máximo" onChange={(max) => onChange({ ...value, max })} />
+        </>
+      )}
+    </div>
+  );
+}
+
+// ------------------ DISEÑADOR DE POBLACIÓN (consumidores ocultos) ------------------
+// Segmentos con participación, familia de demanda, distribuciones de a y b, ruido, perfil de reacción
+// y frecuencia de cambio de preferencias (src/sim/population.js). null = generador original.
+export default function PopulationDesigner({ population, consumersN, onChange, onExport }) {
+  const [error, setError] = useState(null);
+
+  const setSegment = (idx, patch) =>
+    onChange({ ...population, segments: population.segments.map((seg, i) => (i === idx ? { ...seg, ...patch } : seg)) });
+  const counts = population ? segmentCounts(population, consumersN) : null;
+
+  function load(raw) {
+    try {
+      onChange(parsePopulation(raw));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="font-semibold text-sm">Población de consumidores</div>
+      <div className="text-xs text-gray-600">
+        Los planificadores no ven esta configuración: sólo observan la demanda agregada y las encuestas.
+      </div>
+      <div className="flex flex-wrap gap-2 text-sm items-center">
+        <select
+          className="p-1 border rounded"
+          value=""
+          onChange={(e) => {
+            if (e.target.value === "") return;
+            const preset = POPULATION_PRESETS[Number(e.target.value)];
+            onChange(preset.population ? structuredClone(preset.population) : null);
+            setError(null);
+          }}
+        >
+          <option value="">Poblaciones…</option>
+          {POPULATION_PRESETS.map((preset, i) => (
+            <option key={preset.name} value={i}>
+              {preset.name}
+            </option>
+          ))}
+        </select>
+        <label className="px-2 py-1 bg-gray-200 rounded cursor-pointer">
+          Cargar JSON
+          <input
+            type="file"
+            accept="application/json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files[0];
+              e.target.value = "";
+              if (file) file.text().then(load);
+            }}
+          />
+        </label>
+        {population && (
+          <button className="px-2 py-1 bg-gray-200 rounded" onClick={() => onExport(population)}>
+            Guardar JSON
+          </button>
+        )}
+      </div>
+      {error && <pre className="text-xs text-red-600 whitespace-pre-wrap">{error}</pre>}
+
+      {!population ? (
+        <div className="text-xs text-gray-500">
+          Generador original: mezcla fija 60/25/13/2 de lineal/log/exp/poly, ruido 5% y reacción estándar.
+        </div>
+      ) : (
+        <>
+          <label className="text-xs block">
+            Nombre
+            <input
+              value={population.name}
+              onChange={(e) => onChange({ ...population, name: e.target.value })}
+              className="w-full p-1 border rounded"
+            />
+          </label>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-600 border-b text-left">
+                <th>Segmento</th>
+                <th>Part.</th>
+                <th>Familia</th>
+                <th>a</th>
+                <th>b</th>
+                <th>Ruido</th>
+                <th>Reacción</th>
+                <th>Cambio (ticks)</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {population.segments.map((seg, i) => (
+                <tr key={i} className="align-top">
+                  <td>
+                    <input
+                      value={seg.name}
+                      onChange={(e) => setSegment(i, { name: e.target.value })}
+                      className="w-24 p-1 border rounded"
+                    />
+                  </td>
+                  <td>
+                    <Num step={0.05} value={seg.share} onChange={(share) => setSegment(i, { share })} />
+                    <div className="text-gray-500">{counts[i]} cons.</div>
+                  </td>
+                  <td>
+                    <select
+                      className="p-1 border rounded"
+                      value={seg.family}
+                      onChange={(e) => setSegment(i, { family: e.target.value })}
+                    >
+                      {CONSUMER_FAMILIES.map((f) => (
+                        <option key={f} value={f}>
+                          {f}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <DistField value={seg.a} onChange={(a) => setSegment(i, { a })} />
+                  </td>
+                  <td>
+                    <DistField value={seg.b} onChange={(b) => setSegment(i, { b })} />
+                  </td>
+                  <td>
+                    <Num step={0.01} value={seg.noise} onChange={(noise) => setSegment(i, { noise })} />
+                  </td>
+                  <td>
+                    <select
+                      className="p-1 border rounded"
+                      value={seg.reaction}
+                      onChange={(e) => setSegment(i, { reaction: e.target.value })}
+                    >
+                      {Object.entries(REACTION_PROFILES).map(([key, profile]) => (
+                        <option key={key} value={key}>
+                          {profile.label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <div className="flex gap-1" title="[0, 0] = nunca">
+                      <Num value={seg.changeEvery[0]} onChange={(v) => setSegment(i, { changeEvery: [v, seg.changeEvery[1]] })} />
+                      <Num value={seg.changeEvery[1]} onChange={(v) => setSegment(i, { changeEvery: [seg.changeEvery[0], v] })} />
+                    </div>
+                  </td>
+                  <td>
+                    {population.segments.length > 1 && (
+                      <button
+                        className="px-2 py-1 bg-gray-200 rounded"
+                        title="Quitar segmento"
+                        onClick={() => onChange({ ...population, segments: population.segments.filter((_, j) => j !== i) })}
+                      >
+                        ×
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            className="px-2 py-1 bg-gray-200 rounded text-xs"
+            onClick={() =>
+              onChange({
+                ...population,
+                segments: [...population.segments, defaultSegment(`Segmento ${population.segments.length + 1}`)],
+              })
+            }
+          >
+            + Segmento
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { EXAMPLE_SCENARIOS } from "../sim/scenario.js";
+
+function describeEvent(ev, phases) {
+  if (ev.msg) return ev.msg;
+  if (ev.type === "demandShock") return `Shock de demanda ×${ev.factor}${ev.share != null ? ` (${Math.round(ev.share * 100)}%)` : ""}`;
+  if (ev.type === "incomeShock") return `Ingresos ×${ev.factor}${ev.share != null ? ` (${Math.round(ev.share * 100)}%)` : ""}`;
+  if (ev.type === "substitutePrice") return `Precio del sustituto ${ev.price > 0 ? `= ${ev.price}` : `×${ev.factor}`}`;
+  if (ev.type === "capacityShock") return `Capacidad ×${ev.factor} en ${ev.firm || ev.tier}`;
+  if (ev.type === "firmShutdown") return `Cierre de ${ev.firm || `una ${ev.tier}`}`;
+  if (ev.type === "forceInnovation") return `Innovación forzada en ${ev.firm || ev.tier}`;
+  if (ev.type === "delayChange") return `Demora ${ev.link} ${ev.range ? ev.range.join("–") : `×${ev.factor}`}`;
+  if (ev.type === "phase") return `Fase ${phases[ev.phaseIdx]?.name ?? ev.phaseIdx}`;
+  return ev.type;
+}
+
+// ------------------ ESCENARIO (shocks programados) ------------------
+// hidePhases: los cambios de fase del escenario no se listan (fases ocultas a los participantes)
+export default function ScenarioPanel({ scenario, currentTick, phases, hidePhases = false, onLoad, onClear }) {
+  const [error, setError] = useState(null);
+
+  function load(raw) {
+    try {
+      onLoad(raw);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div className="bg-white p-3 rounded border">
+      <div className="font-semibold">Escenario</div>
+      <div className="text-xs text-gray-600 mt-1">
+        Archivo JSON con shocks programados por tick. Cargar un escenario reinicia la sesión.
+      </div>
+      <div className="mt-2 flex flex-wrap gap-2 text-sm">
+        <label className="px-2 py-1 bg-gray-200 rounded cursor-pointer">
+          Cargar JSON
+          <input
+            type="file"
+            accept="application/json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files[0];
+              e.target.value = "";
+              if (file) file.text().then(load);
+            }}
+          />
+        </label>
+        <select
+          className="p-1 border rounded"
+          value=""
+          onChange={(e) => e.target.value !== "" && load(EXAMPLE_SCENARIOS[Number(e.target.value)])}
+        >
+          <option value="">Ejemplos…</option>
+          {EXAMPLE_SCENARIOS.map((sc, i) => (
+            <option key={sc.name} value={i}>
+              {sc.name}
+            </option>
+          ))}
+        </select>
+        {scenario && (
+          <button className="px-2 py-1 bg-gray-200 rounded" onClick={onClear}>
+            Quitar
+          </button>
+        )}
+      </div>
+      {error && <pre className="mt-2 text-xs text-red-600 whitespace-pre-wrap">{error}</pre>}
+      {scenario ? (
+        <div className="mt-2 text-xs">
+          <div className="font-semibold">{scenario.name}</div>
+          <ul className="mt-1" style={{ maxHeight: 160, overflowY: "auto" }}>
+            {scenario.events
+              .filter((ev) => !(hidePhases && ev.type === "phase"))
+              .map((ev, i) => (
+                <li key={i} className={ev.at <= currentTick ? "text-gray-400" : ""}>
+                  {ev.at <= currentTick ? "✓" : "•"} t={ev.at}: {describeEvent(ev, phases)}
+                </li>
+              ))}
+          </ul>
+        </div>
+      ) : (
+        <div className="mt-2 text-xs text-gray-400">Sin escenario (sólo fases e innovaciones aleatorias)</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from "react";
+import { DEFAULT_SCRIPT } from "../sim/scriptPlanner.js";
+
+// ------------------ PLANIFICADOR CON SCRIPT ------------------
+// Editor del script del usuario (src/sim/scriptPlanner.js); corre en un worker sin red ni mensajería
+export default function ScriptPlannerPanel({ code, setCode, active, status, onActivate, onStop }) {
+  return (
+    <div className="bg-white p-3 rounded border">
+      <div className="font-semibold">Script de planificación</div>
+      <div className="text-xs text-gray-600 mt-1">
+        Define <code>decide(obs, memory, log)</code>: recibe la serie, los KPIs y tus encuestas y devuelve{" "}
+        <code>{"{ price, priceMode, demand }"}</code>. Corre en un worker, separado del estado de la app y sin acceso a la red; la decisión se aplica al tick siguiente.
+      </div>
+      <textarea
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        spellCheck={false}
+        rows={14}
+        disabled={active}
+        className="w-full mt-2 p-1 border rounded font-mono text-xs"
+      />
+      <div className="mt-2 flex flex-wrap gap-2 text-sm">
+        {active ? (
+          <button className="px-3 py-1 bg-red-600 text-white rounded" onClick={onStop}>
+            Detener
+          </button>
+        ) : (
+          <button className="px-3 py-1 bg-green-600 text-white rounded" onClick={onActivate}>
+            Activar
+          </button>
+        )}
+        <button className="px-3 py-1 bg-gray-200 rounded" disabled={active} onClick={() => setCode(DEFAULT_SCRIPT)}>
+          Ejemplo
+        </button>
+      </div>
+      {status && (
+        <div className={`mt-2 text-xs ${status.error ? "text-red-600" : "text-gray-600"}`}>
+          {status.error ? `Error: ${status.error}` : status.msg}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import React, { useEffect } from "react";
+import useSimWorker from "./useSimWorker";
+import PerceptionReveal from "./PerceptionReveal";
+import ConsumerReveal from "./ConsumerReveal";
+
+const createRevealWorker = () => new Worker(new URL("../sim/reveal.worker.js", import.meta.url), { type: "module" });
+
+// ------------------ REVELACIONES DEL FIN DE SESIÓN ------------------
+// Una sola reproducción de la bitácora en un worker (src/sim/reveal.js) alimenta la percepción y la población
+export default function SessionReveal({ journal, toTick }) {
+  const { result, progress, error, run } = useSimWorker(createRevealWorker);
+
+  useEffect(() => {
+    if (journal && toTick) run({ journal, toTick });
+  }, [journal, toTick, run]);
+
+  return (
+    <>
+      <PerceptionReveal frames={result?.perception} progress={progress} error={error} />
+      <ConsumerReveal reveal={result?.consumers} progress={progress} error={error} />
+    </>
+  );
+}
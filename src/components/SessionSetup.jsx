@@ -0,0 +1,308 @@
+import React, { useState } from "react";
+import { SESSION_PRESETS, sessionConfigFromPreset, validateSessionConfig } from "../sim/config.js";
+import { validatePhases } from "../sim/phases.js";
+import { validatePopulation } from "../sim/population.js";
+import { RATIONING_REACTIONS } from "../sim/rationing.js";
+import { scenarioPhaseProblems } from "../sim/scenario.js";
+import PhaseDesigner from "./PhaseDesigner";
+import PopulationDesigner from "./PopulationDesigner";
+
+function NumberField({ label, value, onChange, step = 1 }) {
+  return (
+    <label className="text-xs block">
+      {label}
+      <input
+        type="number"
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-full p-1 border rounded"
+      />
+    </label>
+  );
+}
+
+function RangeField({ label, value, onChange, step = 1 }) {
+  return (
+    <div className="text-xs">
+      {label}
+      <div className="flex gap-1">
+        <input
+          type="number"
+          step={step}
+          value={value[0]}
+          onChange={(e) => onChange([Number(e.target.value), value[1]])}
+          className="w-full p-1 border rounded"
+          title="mínimo"
+        />
+        <input
+          type="number"
+          step={step}
+          value={value[1]}
+          onChange={(e) => onChange([value[0], Number(e.target.value)])}
+          className="w-full p-1 border rounded"
+          title="máximo"
+        />
+      </div>
+    </div>
+  );
+}
+
+// ------------------ CONFIGURACIÓN DE SESIÓN ------------------
+export default function SessionSetup({ initial, scenario, onStart, onCancel, onExportPopulation }) {
+  const [cfg, setCfg] = useState(initial || sessionConfigFromPreset(SESSION_PRESETS[0]));
+  const problems = [
+    ...validateSessionConfig(cfg),
+    ...validatePopulation(cfg.population),
+    ...validatePhases(cfg.phases, cfg.phaseSchedule),
+    ...scenarioPhaseProblems(scenario, cfg.phases),
+  ];
+
+  const set = (key) => (value) => setCfg((c) => ({ ...c, [key]: value }));
+  const setDelay = (key) => (value) => setCfg((c) => ({ ...c, delays: { ...c.delays, [key]: value } }));
+  const setOrders = (key) => (value) => setCfg((c) => ({ ...c, orders: { ...c.orders, [key]: value } }));
+  const setCosts = (key) => (value) => setCfg((c) => ({ ...c, costs: { ...c.costs, [key]: value } }));
+  const setBudgets = (key) => (value) => setCfg((c) => ({ ...c, budgets: { ...c.budgets, [key]: value } }));
+  const setRationing = (key) => (value) => setCfg((c) => ({ ...c, rationing: { ...c.rationing, [key]: value } }));
+  const setReaction = (key) => (value) => setRationing("reactions")({ ...cfg.rationing.reactions, [key]: value });
+  const setSurveys = (key) => (value) => setCfg((c) => ({ ...c, surveys: { ...c.surveys, [key]: value } }));
+  const setInnov = (key) => (value) => setCfg((c) => ({ ...c, innovation: { ...c.innovation, [key]: value } }));
+
+  return (
+    <section className="bg-white p-4 rounded border max-w-4xl mx-auto">
+      <h2 className="text-lg font-semibold">Nueva sesión</h2>
+      <div className="text-xs text-gray-600 mt-1">
+        Elige un preset y ajusta la economía antes de empezar. Cada tratamiento del experimento puede usar un tamaño y
+        estructura de demoras distintos.
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-2">
+        {SESSION_PRESETS.map((preset) => (
+          <button
+            key={preset.name}
+            className="px-2 py-1 rounded border bg-gray-50 text-sm"
+            title={preset.desc}
+            onClick={() =>
+              setCfg({
+                ...sessionConfigFromPreset(preset, cfg.seed),
+                population: cfg.population,
+                phases: cfg.phases,
+                phaseSchedule: cfg.phaseSchedule,
+                hidePhases: cfg.hidePhases,
+              })
+            }
+          >
+            {preset.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 mt-4">
+        <div className="space-y-2">
+          <div className="font-semibold text-sm">Economía</div>
+          <div className="flex items-end gap-1">
+            <NumberField label="Semilla" value={cfg.seed} onChange={set("seed")} />
+            <button
+              className="px-2 py-1 bg-gray-200 rounded text-xs"
+              onClick={() => set("seed")(Math.floor(Math.random() * 1e9))}
+            >
+              Azar
+            </button>
+          </div>
+          <NumberField label="Consumidores" value={cfg.consumersN} onChange={set("consumersN")} />
+          <label className="text-xs flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={cfg.budgets.enabled}
+              onChange={(e) => setBudgets("enabled")(e.target.checked)}
+            />
+            Consumidores con ingreso, saciedad y sustituto
+          </label>
+          {cfg.budgets.enabled && (
+            <>
+              <RangeField label="Ingreso por tick" value={cfg.budgets.incomeRange} onChange={setBudgets("incomeRange")} />
+              <NumberField
+                label="Parte del ingreso para este bien"
+                step={0.05}
+                value={cfg.budgets.budgetShare}
+                onChange={setBudgets("budgetShare")}
+              />
+              <RangeField
+                label="Saciedad (unidades por tick)"
+                value={cfg.budgets.satiationRange}
+                onChange={setBudgets("satiationRange")}
+              />
+              <NumberField
+                label="Precio inicial del sustituto"
+                step={0.1}
+                value={cfg.budgets.substitutePrice}
+                onChange={setBudgets("substitutePrice")}
+              />
+              <NumberField
+                label="Elasticidad al precio relativo del sustituto"
+                step={0.1}
+                value={cfg.budgets.substitution}
+                onChange={setBudgets("substitution")}
+              />
+            </>
+          )}
+          <NumberField
+            label="Ganancia ajuste de precio"
+            step={0.01}
+            value={cfg.pPriceAdjustGain}
+            onChange={set("pPriceAdjustGain")}
+          />
+          <NumberField
+            label="Costo de inventario (por unidad y tick)"
+            step={0.001}
+            value={cfg.costs.holdingCostPerUnit}
+            onChange={setCosts("holdingCostPerUnit")}
+          />
+          <NumberField
+            label="Margen de transferencia entre niveles"
+            step={0.01}
+            value={cfg.costs.transferMarkup}
+            onChange={setCosts("transferMarkup")}
+          />
+          <NumberField label="Presupuesto de encuestas" value={cfg.surveys.budget} onChange={setSurveys("budget")} />
+          <NumberField
+            label="Costo por respuesta de encuesta"
+            step={0.01}
+            value={cfg.surveys.costPerResponse}
+            onChange={setSurveys("costPerResponse")}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <div className="font-semibold text-sm">Firmas y demoras</div>
+          <RangeField label="Nº PBC (min–max)" value={cfg.pbcCountRange} onChange={set("pbcCountRange")} />
+          <RangeField label="Nº PFP (min–max)" value={cfg.pfpCountRange} onChange={set("pfpCountRange")} />
+          <RangeField label="Nº PMP (min–max)" value={cfg.pmpCountRange} onChange={set("pmpCountRange")} />
+          <RangeField label="Demora PBC→PFP (ticks)" value={cfg.delays.pbcToPfp} onChange={setDelay("pbcToPfp")} />
+          <RangeField label="Demora PFP→PMP (ticks)" value={cfg.delays.pfpToPmp} onChange={setDelay("pfpToPmp")} />
+          <NumberField
+            label="Cancelar pedidos atrasados tras (ticks, 0 = nunca)"
+            value={cfg.orders.expiryTicks}
+            onChange={setOrders("expiryTicks")}
+          />
+          <label className="text-xs flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={cfg.orders.partialShipments}
+              onChange={(e) => setOrders("partialShipments")(e.target.checked)}
+            />
+            Envíos parciales
+          </label>
+        </div>
+
+        <div className="space-y-2">
+          <div className="font-semibold text-sm">Innovación</div>
+          <NumberField
+            label="Prob. por tick"
+            step={0.01}
+            value={cfg.innovation.probPerTick}
+            onChange={setInnov("probPerTick")}
+          />
+          <RangeField label="Adopción (ticks)" value={cfg.innovation.adoptionRange} onChange={setInnov("adoptionRange")} />
+          <RangeField
+            label="Mult. costo"
+            step={0.01}
+            value={cfg.innovation.costMultRange}
+            onChange={setInnov("costMultRange")}
+          />
+          <RangeField label="Mult. TFP" step={0.01} value={cfg.innovation.tfpMultRange} onChange={setInnov("tfpMultRange")} />
+
+          <div className="font-semibold text-sm pt-2">Escasez</div>
+          <label className="text-xs flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={cfg.rationing.enabled}
+              onChange={(e) => setRationing("enabled")(e.target.checked)}
+            />
+            Racionamiento: las PBC venden como máximo lo pedido
+          </label>
+          {cfg.rationing.enabled && (
+            <>
+              <div className="text-xs text-gray-600">Reacción de un consumidor que se queda sin comprar (pesos relativos).</div>
+              {RATIONING_REACTIONS.map((rr) => (
+                <NumberField
+                  key={rr.key}
+                  label={rr.label}
+                  step={0.05}
+                  value={cfg.rationing.reactions[rr.key]}
+                  onChange={setReaction(rr.key)}
+                />
+              ))}
+              <NumberField
+                label="Compra extra al acaparar"
+                step={0.1}
+                value={cfg.rationing.hoardFactor}
+                onChange={setRationing("hoardFactor")}
+              />
+              <NumberField label="Espera máxima en cola (ticks)" value={cfg.rationing.maxWait} onChange={setRationing("maxWait")} />
+              <label className="text-xs block">
+                Prioridad (segmentos o familias, separados por coma)
+                {/* se confirma al salir del campo: mientras se escribe la coma final todavía no es un segmento */}
+                <input
+                  key={cfg.rationing.priority.join(",")}
+                  defaultValue={cfg.rationing.priority.join(", ")}
+                  placeholder="p. ej. log, linear"
+                  onBlur={(e) =>
+                    setRationing("priority")(
+                      e.target.value
+                        .split(",")
+                        .map((x) => x.trim())
+                        .filter(Boolean)
+                    )
+                  }
+                  className="w-full p-1 border rounded"
+                />
+              </label>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="mt-4">
+        <PopulationDesigner
+          population={cfg.population}
+          consumersN={cfg.consumersN}
+          onChange={set("population")}
+          onExport={onExportPopulation}
+        />
+      </div>
+
+      <div className="mt-4">
+        <PhaseDesigner
+          phases={cfg.phases}
+          schedule={cfg.phaseSchedule}
+          hidden={cfg.hidePhases}
+          onChange={(patch) => setCfg((c) => ({ ...c, ...patch }))}
+        />
+      </div>
+
+      {problems.length > 0 && (
+        <ul className="mt-3 text-xs text-red-600 list-disc list-inside">
+          {problems.map((p) => (
+            <li key={p}>{p}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-4 flex gap-2">
+        <button
+          className="px-3 py-1 bg-green-600 text-white rounded disabled:opacity-50"
+          disabled={problems.length > 0}
+          onClick={() => onStart(cfg)}
+        >
+          Empezar sesión
+        </button>
+        {onCancel && (
+          <button className="px-3 py-1 bg-gray-200 rounded" onClick={onCancel}>
+            Volver a la sesión actual
+          </button>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,155 @@
+import React from "react";
+import { ORDER_LINKS, supplyNetworkView } from "../sim/network.js";
+
+const WIDTH = 900;
+const ROW_H = 46;
+const COLS = { PMP: 90, PFP: 340, PBC: 590, C: 820 };
+const MAX_EDGE_W = 16;
+const LATE_RED_AT = 10; // ticks de atraso medio para color rojo pleno
+
+// verde (a tiempo) → rojo (atrasado)
+function lateColor(avgLate) {
+  const hue = 120 - 120 * Math.min(1, avgLate / LATE_RED_AT);
+  return `hsl(${hue}, 70%, 42%)`;
+}
+
+function pct(x) {
+  return `${(x * 100).toFixed(1)}%`;
+}
+
+// ------------------ RED DE SUMINISTRO (pedidos en curso) ------------------
+// Los bienes fluyen PMP → PFP → PBC → consumidores; los pedidos van en sentido contrario.
+export default function SupplyNetwork({ state, lastPoint }) {
+  if (!state) return null;
+
+  const levels = ["PMP", "PFP", "PBC"];
+  const rows = Math.max(...levels.map((l) => state.firms[l].length), 1);
+  const height = rows * ROW_H + 40;
+  const pos = {};
+  for (const lvl of levels) {
+    const firms = state.firms[lvl];
+    const offset = (height - firms.length * ROW_H) / 2;
+    firms.forEach((f, i) => (pos[f.id] = { x: COLS[lvl], y: offset + i * ROW_H + ROW_H / 2, f }));
+  }
+  const consumerPos = { x: COLS.C, y: height / 2 };
+
+  const { edges, served: servedByPbc, stats } = supplyNetworkView(state);
+  const served = lastPoint?.qServed || 0;
+
+  return (
+    <section className="bg-white p-3 rounded border">
+      <h3 className="font-semibold">Red de suministro</h3>
+      <div className="text-xs text-gray-600">
+        Grosor = volumen pendiente de pedidos entre firmas; color = atraso medio (verde a tiempo, rojo ≥ {LATE_RED_AT} ticks).
+      </div>
+
+      <svg width="100%" viewBox={`0 0 ${WIDTH} ${height}`} style={{ background: "#fff" }} className="mt-2">
+        {levels.map((lvl) => (
+          <text key={lvl} x={COLS[lvl]} y={14} fontSize={12} textAnchor="middle" fill="#374151" fontWeight="bold">
+            {lvl}
+          </text>
+        ))}
+        <text x={COLS.C} y={14} fontSize={12} textAnchor="middle" fill="#374151" fontWeight="bold">
+          Consumidores
+        </text>
+
+        {edges.map((e) => {
+          const a = pos[e.to]; // proveedor (izquierda)
+          const b = pos[e.from]; // comprador (derecha)
+          const mx = (a.x + b.x) / 2;
+          return (
+            <path
+              key={`${e.from}|${e.to}`}
+              d={`M${a.x + 40},${a.y} C${mx},${a.y} ${mx},${b.y} ${b.x - 40},${b.y}`}
+              fill="none"
+              stroke={lateColor(e.avgLate)}
+              strokeOpacity={0.75}
+              strokeWidth={1 + MAX_EDGE_W * e.weight}
+            >
+              <title>
+                {`${e.from} → ${e.to}: ${e.count} pedidos, ${e.outstanding.toFixed(1)} u. pendientes, ${e.lateCount} atrasados (medio ${e.avgLate.toFixed(1)}t)`}
+              </title>
+            </path>
+          );
+        })}
+
+        {servedByPbc.map((x) => {
+          const a = pos[x.id];
+          return (
+            <line
+              key={`${x.id}-C`}
+              x1={a.x + 40}
+              y1={a.y}
+              x2={consumerPos.x - 50}
+              y2={consumerPos.y}
+              stroke="#3b82f6"
+              strokeOpacity={0.4}
+              strokeWidth={1 + MAX_EDGE_W * x.weight}
+            >
+              <title>{`${x.id} sirvió ${x.qty.toFixed(1)} u.`}</title>
+            </line>
+          );
+        })}
+
+        {Object.entries(pos).map(([id, { x, y, f }]) => (
+          <g key={id}>
+            <rect x={x - 40} y={y - 16} width={80} height={32} rx={6} fill="#f3f4f6" stroke="#9ca3af" />
+            <text x={x} y={y - 2} fontSize={11} textAnchor="middle" fill="#111">
+              {id}
+            </text>
+            <text x={x} y={y + 11} fontSize={9} textAnchor="middle" fill="#6b7280">
+              inv {(f.inventory || 0).toFixed(0)}
+            </text>
+          </g>
+        ))}
+        <g>
+          <rect x={consumerPos.x - 50} y={consumerPos.y - 18} width={100} height={36} rx={6} fill="#eff6ff" stroke="#3b82f6" />
+          <text x={consumerPos.x} y={consumerPos.y - 2} fontSize={11} textAnchor="middle" fill="#111">
+            Servido
+          </text>
+          <text x={consumerPos.x} y={consumerPos.y + 12} fontSize={9} textAnchor="middle" fill="#6b7280">
+            {served.toFixed(1)} / {(lastPoint?.qDemand || 0).toFixed(1)}
+          </text>
+        </g>
+      </svg>
+
+      <table className="w-full mt-2 text-xs">
+        <thead>
+          <tr className="text-gray-600 border-b">
+            <th className="text-left">Enlace</th>
+            <th className="text-right">Pedidos</th>
+            <th className="text-right">Pendientes (vol.)</th>
+            <th className="text-right">Lead time medio</th>
+            <th className="text-right">Fill rate (pedidos / u.)</th>
+            <th className="text-right">A tiempo</th>
+            <th className="text-right">Parciales</th>
+            <th className="text-right">Cancelados</th>
+            <th className="text-right">Descartados</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ORDER_LINKS.map((lvl) => {
+            const st = stats[lvl];
+            return (
+              <tr key={lvl}>
+                <td>{lvl.replace("->", " → ")}</td>
+                <td className="text-right">{st.placed}</td>
+                <td className="text-right">
+                  {st.outstandingCount} ({st.outstanding.toFixed(1)})
+                </td>
+                <td className="text-right">{st.leadTimeMean.toFixed(1)} t</td>
+                <td className="text-right">
+                  {pct(st.fillRate)} / {pct(st.qtyFillRate)}
+                </td>
+                <td className="text-right">{pct(st.onTimeRate)}</td>
+                <td className="text-right">{st.partial}</td>
+                <td className="text-right">{st.expired}</td>
+                <td className="text-right">{st.dropped}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </section>
+  );
+}
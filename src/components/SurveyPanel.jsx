@@ -0,0 +1,185 @@
+import React, { useState } from "react";
+import { ResponsiveContainer, ComposedChart, Area, Line, Scatter, ErrorBar, XAxis, YAxis, Tooltip, CartesianGrid } from "recharts";
+import { priceLadder, surveyFitBands, surveyPlan } from "../sim/survey.js";
+
+function fmtQ(v) {
+  return Math.abs(v) >= 1e5 ? v.toExponential(2) : v.toFixed(1);
+}
+
+// ------------------ ENCUESTAS DE MERCADO ------------------
+// Diseño (precios, respuestas, estratos), costo/tiempo en campo e historial (src/sim/survey.js)
+export default function SurveyPanel({ state, cfg, price, onRun }) {
+  const [pLow, setPLow] = useState(0.5);
+  const [pHigh, setPHigh] = useState(6);
+  const [count, setCount] = useState(6);
+  const [perPrice, setPerPrice] = useState(20);
+  const [stratify, setStratify] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!state) return null;
+  const design = { prices: priceLadder(pLow, pHigh, count), perPrice, stratify };
+  let plan = null;
+  let planError = null;
+  try {
+    plan = surveyPlan(state, design, cfg);
+  } catch (err) {
+    planError = err.message;
+  }
+  const surveys = state.surveys || [];
+  const shown = surveys.find((sv) => sv.id === selected) || [...surveys].reverse().find((sv) => sv.readyAt <= state.t);
+  const bands = shown && shown.readyAt <= state.t ? surveyFitBands(shown) : null;
+
+  function run() {
+    const message = onRun(design);
+    setError(message);
+    if (!message) setSelected(null);
+  }
+
+  return (
+    <div className="bg-white p-3 rounded border">
+      <div className="font-semibold">Encuestas de mercado</div>
+      <div className="text-xs text-gray-600 mt-1">
+        Cada encuesta gasta presupuesto y tarda en volver del campo; mientras tanto la economía sigue cambiando.
+      </div>
+      <div className="grid grid-cols-2 gap-2 mt-2 text-xs">
+        <label>
+          Precio mín.
+          <input
+            type="number"
+            step={0.1}
+            value={pLow}
+            onChange={(e) => setPLow(Number(e.target.value))}
+            className="w-full p-1 border rounded"
+          />
+        </label>
+        <label>
+          Precio máx.
+          <input
+            type="number"
+            step={0.1}
+            value={pHigh}
+            onChange={(e) => setPHigh(Number(e.target.value))}
+            className="w-full p-1 border rounded"
+          />
+        </label>
+        <label>
+          Nº de precios
+          <input
+            type="number"
+            min={2}
+            value={count}
+            onChange={(e) => setCount(Number(e.target.value))}
+            className="w-full p-1 border rounded"
+          />
+        </label>
+        <label>
+          Respuestas por precio
+          <input
+            type="number"
+            min={1}
+            value={perPrice}
+            onChange={(e) => setPerPrice(Number(e.target.value))}
+            className="w-full p-1 border rounded"
+          />
+        </label>
+      </div>
+      <label className="text-xs flex items-center gap-1 mt-1">
+        <input type="checkbox" checked={stratify} onChange={(e) => setStratify(e.target.checked)} />
+        Estratificar por segmento de consumidor
+      </label>
+      <button
+        className="text-xs underline mt-1"
+        onClick={() => {
+          setPLow(Number((price * 0.5).toFixed(2)));
+          setPHigh(Number((price * 1.5).toFixed(2)));
+        }}
+      >
+        Centrar en el precio actual ({price.toFixed(2)})
+      </button>
+      {plan && (
+        <div className="text-xs mt-1">
+          {plan.responses} respuestas · costo <b>{plan.cost.toFixed(2)}</b> · {plan.duration} tick(s) en campo · presupuesto
+          restante <b className={plan.cost > plan.remaining ? "text-red-600" : ""}>{plan.remaining.toFixed(2)}</b> de{" "}
+          {cfg.budget.toFixed(2)}
+        </div>
+      )}
+      {(planError || error) && <div className="text-xs text-red-600 mt-1">{planError || error}</div>}
+      <button
+        className="mt-2 px-3 py-1 bg-blue-600 text-white rounded text-sm"
+        disabled={!plan || plan.cost > plan.remaining}
+        onClick={run}
+      >
+        Encuestar
+      </button>
+
+      {surveys.length > 0 && (
+        <table className="w-full mt-2 text-xs">
+          <thead>
+            <tr className="text-gray-600 border-b">
+              <th className="text-left">#</th>
+              <th className="text-right">t</th>
+              <th className="text-right">n</th>
+              <th className="text-right">Costo</th>
+              <th className="text-right">a</th>
+              <th className="text-right">b</th>
+            </tr>
+          </thead>
+          <tbody>
+            {surveys.map((sv) => {
+              const ready = sv.readyAt <= state.t;
+              return (
+                <tr
+                  key={sv.id}
+                  className={`${ready ? "cursor-pointer" : "text-gray-400"} ${shown?.id === sv.id ? "bg-blue-50 font-semibold" : ""}`}
+                  onClick={() => ready && setSelected(sv.id)}
+                >
+                  <td>
+                    {sv.id + 1}
+                    {sv.design.stratify ? " (estr.)" : ""}
+                  </td>
+                  <td className="text-right">{sv.t}</td>
+                  <td className="text-right">{sv.responses}</td>
+                  <td className="text-right">{sv.cost.toFixed(2)}</td>
+                  {ready ? (
+                    <>
+                      <td className="text-right">{fmtQ(sv.a)}</td>
+                      <td className="text-right">{fmtQ(sv.b)}</td>
+                    </>
+                  ) : (
+                    <td className="text-right" colSpan={2}>
+                      en campo hasta t={sv.readyAt}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {bands && (
+        <>
+          <div className="text-xs text-gray-600 mt-2">
+            Encuesta #{shown.id + 1} (t={shown.t}): estimación por precio ± IC 95%, recta OLS y banda de confianza
+          </div>
+          <div style={{ height: 170 }}>
+            <ResponsiveContainer>
+              <ComposedChart margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" dataKey="p" domain={["auto", "auto"]} tickFormatter={(v) => v.toFixed(2)} />
+                <YAxis type="number" tickFormatter={fmtQ} />
+                <Tooltip formatter={(v) => (Array.isArray(v) ? v.map(fmtQ).join(" – ") : fmtQ(v))} />
+                <Area data={bands} dataKey="band" stroke="none" fill="#bfdbfe" name="IC 95% recta" />
+                <Line data={bands} dataKey="fit" stroke="#2563eb" dot={false} name="OLS" />
+                <Scatter data={shown.points} dataKey="q" fill="#111" name="estimación">
+                  <ErrorBar dataKey="ci" direction="y" stroke="#6b7280" />
+                </Scatter>
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useEffect, useRef, useState } from "react";
+import { baseTick, nearestCheckpoint } from "../sim/journal.js";
+import { orderRemaining } from "../sim/network.js";
+import useSimWorker from "./useSimWorker";
+
+const createTimelineWorker = () => new Worker(new URL("../sim/timeline.worker.js", import.meta.url), { type: "module" });
+
+const KIND_LABELS = {
+  priceMode: "Modo precio",
+  manualPrice: "Precio manual",
+  demand: "Demanda aplicada",
+  phaseIdx: "Fase",
+  routing: "Ruteo",
+  rationing: "Racionamiento",
+  autopilot: "Piloto automático",
+  survey: "Encuesta",
+};
+
+function describeEntry(e, phases) {
+  if (e.kind === "demand") return e.value ? e.value.type : "automático";
+  if (e.kind === "phaseIdx") return phases[e.value]?.name ?? e.value;
+  if (e.kind === "survey")
+    return e.value.prices ? `${e.value.prices.length} precios × ${e.value.perPrice}` : `n=${e.value.sampleSize}`;
+  if (e.kind === "manualPrice") return Number(e.value).toFixed(3);
+  if (e.kind === "routing") return `${e.value.pbcToPfp} / ${e.value.pfpToPmp}`;
+  return String(e.value);
+}
+
+// ------------------ LÍNEA DE TIEMPO (replay determinista) ------------------
+// hidePhases: ni la fase del tick ni las órdenes de fase se muestran (fases ocultas a los participantes)
+export default function TimelinePanel({ journal, checkpoints, currentTick, phases, hidePhases = false }) {
+  const [scrubTick, setScrubTick] = useState(null);
+  const minTick = journal ? baseTick(journal) : 0;
+
+  const { result, progress, error, run } = useSimWorker(createTimelineWorker);
+  const view = scrubTick == null ? null : result?.view;
+  // los checkpoints no cambian lo que se ve en un tick pasado, sólo cuánto hay que re-simular
+  const checkpointsRef = useRef(checkpoints);
+  checkpointsRef.current = checkpoints;
+
+  // re-simula en un worker desde la base (o el checkpoint más cercano) hasta el tick elegido
+  useEffect(() => {
+    if (!journal || scrubTick == null) return;
+    run({ journal, tick: scrubTick, checkpoint: nearestCheckpoint(checkpointsRef.current, scrubTick) });
+  }, [journal, scrubTick, run]);
+
+  const entries = journal
+    ? journal.entries.filter((e) => (scrubTick == null || e.at <= scrubTick) && !(hidePhases && e.kind === "phaseIdx"))
+    : [];
+
+  return (
+    <section className="bg-white p-3 rounded border">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold">Línea de tiempo</h3>
+          <div className="text-xs text-gray-600">
+            Reproduce la sesión (semilla + bitácora de acciones) hasta cualquier tick pasado para inspeccionar firmas y pedidos.
+          </div>
+        </div>
+        {scrubTick != null && (
+          <button className="px-2 py-1 bg-gray-200 rounded" onClick={() => setScrubTick(null)}>
+            Cerrar
+          </button>
+        )}
+      </div>
+
+      <div className="mt-2 flex items-center gap-3">
+        <input
+          type="range"
+          className="flex-1"
+          min={minTick}
+          max={Math.max(minTick, currentTick)}
+          step={1}
+          value={scrubTick ?? currentTick}
+          onChange={(e) => setScrubTick(Number(e.target.value))}
+        />
+        <div className="text-sm w-28">
+          Tick: <b>{scrubTick ?? currentTick}</b>
+        </div>
+      </div>
+
+      {scrubTick != null && progress && (
+        <div className="text-xs mt-1">
+          Reproduciendo hasta t={scrubTick} {progress.done}/{progress.total ?? "…"}
+        </div>
+      )}
+      {error && <div className="text-xs text-red-600 mt-1">Error: {error}</div>}
+
+      {view && (
+        <div className="mt-3 grid grid-cols-3 gap-3 text-xs">
+          <div className="p-2 bg-gray-50 rounded border">
+            <div className="font-semibold text-sm">Estado en t={view.t}</div>
+            <div>Precio: {view.price.toFixed(3)}</div>
+            <div>Demanda: {Number(view.point?.qDemand || 0).toFixed(2)}</div>
+            <div>Servida: {Number(view.point?.qServed || 0).toFixed(2)}</div>
+            <div className="mt-2 font-semibold">Decisiones vigentes</div>
+            <div>Modo precio: {view.actions.priceMode}</div>
+            {view.actions.priceMode === "manual" && <div>Precio manual: {Number(view.actions.manualPrice).toFixed(3)}</div>}
+            <div>Demanda: {view.actions.demand ? view.actions.demand.type : "automático"}</div>
+            {!hidePhases && <div>Fase: {phases[view.phaseIdx]?.name ?? view.phaseIdx}</div>}
+            {view.actions.routing && (
+              <div>
+                Ruteo: {view.actions.routing.pbcToPfp} / {view.actions.routing.pfpToPmp}
+              </div>
+            )}
+            {view.actions.rationing && <div>Racionamiento: {view.actions.rationing}</div>}
+            <div className="mt-2 font-semibold">Bitácora ({entries.length})</div>
+            <ul style={{ maxHeight: 120, overflowY: "auto" }}>
+              {entries
+                .slice()
+                .reverse()
+                .map((e, i) => (
+                  <li key={i}>
+                    t={e.at} · {KIND_LABELS[e.kind] || e.kind}: {describeEntry(e, phases)}
+                  </li>
+                ))}
+            </ul>
+          </div>
+
+          <div className="p-2 bg-gray-50 rounded border">
+            <div className="font-semibold text-sm">Inventarios</div>
+            <table className="w-full mt-1">
+              <thead>
+                <tr className="text-gray-600">
+                  <th className="text-left">Firma</th>
+                  <th className="text-right">Inv.</th>
+                  <th className="text-right">Cap.</th>
+                </tr>
+              </thead>
+              <tbody>
+                {["PBC", "PFP", "PMP"].flatMap((lvl) =>
+                  view.firms[lvl].map((f) => (
+                    <tr key={f.id}>
+                      <td>{f.id}</td>
+                      <td className="text-right">{(f.inventory || 0).toFixed(1)}</td>
+                      <td className="text-right">{(f.capacity || 0).toFixed(1)}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="p-2 bg-gray-50 rounded border">
+            <div className="font-semibold text-sm">Pedidos pendientes ({view.pending.length})</div>
+            <ul className="mt-1" style={{ maxHeight: 220, overflowY: "auto" }}>
+              {view.pending.slice(0, 100).map((o) => (
+                <li key={o.id}>
+                  {o.from}→{o.to} · {orderRemaining(o).toFixed(1)}
+                  {o.shipped > 0 && ` de ${o.amount.toFixed(1)}`} · vence t={o.due}
+                  {o.due < view.t && <span className="text-red-600"> (atrasado)</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
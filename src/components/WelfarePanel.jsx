@@ -0,0 +1,105 @@
+import React from "react";
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, Legend, CartesianGrid } from "recharts";
+
+// pérdida irrecuperable acumulada y bienestar del oráculo junto a cada punto
+function withCumulative(series, oracleSeries) {
+  const oracleByT = {};
+  for (const pt of oracleSeries || []) oracleByT[pt.t] = pt;
+  let acc = 0;
+  return series
+    .filter((pt) => pt.t > 0 && Number.isFinite(pt.dwl))
+    .map((pt) => {
+      acc += pt.dwl;
+      return { ...pt, dwlCum: acc, oracleWelfare: oracleByT[pt.t]?.welfare };
+    });
+}
+
+// ------------------ BIENESTAR (fin de sesión) ------------------
+export default function WelfarePanel({ series, summary, oracleSeries }) {
+  if (!series || !summary) return null;
+  const data = withCumulative(series, oracleSeries);
+
+  return (
+    <section className="bg-white p-3 rounded border mt-3">
+      <h4 className="font-semibold">Bienestar</h4>
+      <div className="text-xs text-gray-600">
+        Excedente del consumidor (demanda verdadera de cada consumidor integrada hasta lo que recibió) + excedente del
+        productor (beneficio de la cadena) frente al equilibrio competitivo de la economía oculta en cada tick.
+      </div>
+      <div className="grid grid-cols-5 gap-3 mt-2 text-sm">
+        <div>
+          Exc. consumidor: <b>{summary.cs.toFixed(1)}</b>
+        </div>
+        <div>
+          Exc. productor: <b>{summary.ps.toFixed(1)}</b>
+        </div>
+        <div>
+          Óptimo: <b>{summary.optimum.toFixed(1)}</b>
+        </div>
+        <div>
+          Pérdida irrecuperable: <b className="text-red-600">{summary.dwl.toFixed(1)}</b>
+        </div>
+        <div>
+          Eficiencia: <b>{Number.isFinite(summary.efficiency) ? `${(summary.efficiency * 100).toFixed(1)}%` : "—"}</b>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 mt-3">
+        <div>
+          <div className="text-xs font-semibold">Bienestar por tick</div>
+          <div style={{ width: "100%", height: 200 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={data}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="t" />
+                <YAxis />
+                <Tooltip formatter={(v) => v.toFixed(2)} />
+                <Legend />
+                <Line type="monotone" dataKey="optimum" stroke="#6b7280" dot={false} name="Óptimo" />
+                <Line type="monotone" dataKey="welfare" stroke="#16a34a" dot={false} name="Logrado" />
+                {oracleSeries && (
+                  <Line type="monotone" dataKey="oracleWelfare" stroke="#111827" strokeDasharray="4 4" dot={false} name="Oráculo" />
+                )}
+                <Line type="monotone" dataKey="cs" stroke="#3b82f6" dot={false} name="Exc. consumidor" />
+                <Line type="monotone" dataKey="ps" stroke="#f59e0b" dot={false} name="Exc. productor" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+        <div>
+          <div className="text-xs font-semibold">Pérdida irrecuperable (por tick y acumulada)</div>
+          <div style={{ width: "100%", height: 200 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={data}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="t" />
+                <YAxis yAxisId="tick" />
+                <YAxis yAxisId="cum" orientation="right" />
+                <Tooltip formatter={(v) => v.toFixed(2)} />
+                <Legend />
+                <Line yAxisId="tick" type="monotone" dataKey="dwl" stroke="#ef4444" dot={false} name="Por tick" />
+                <Line yAxisId="cum" type="monotone" dataKey="dwlCum" stroke="#7f1d1d" dot={false} name="Acumulada" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+        <div>
+          <div className="text-xs font-semibold">Precio vs. precio de equilibrio</div>
+          <div style={{ width: "100%", height: 200 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={data}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="t" />
+                <YAxis />
+                <Tooltip formatter={(v) => v.toFixed(3)} />
+                <Legend />
+                <Line type="monotone" dataKey="price" stroke="#ef4444" dot={false} name="Precio" />
+                <Line type="monotone" dataKey="eqPrice" stroke="#6b7280" strokeDasharray="4 4" dot={false} name="Equilibrio" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
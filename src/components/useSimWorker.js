@@ -0,0 +1,41 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// ------------------ WORKER DE CÁLCULO (hook) ------------------
+// Ciclo de vida común de los workers de src/sim que siguen el protocolo de workerTask.js.
+// createWorker va al nivel del módulo que lo usa (webpack necesita ver new Worker(new URL(...))).
+// run(message) termina el worker anterior, si había uno, y arranca otro; al desmontar se termina.
+//   result: el mensaje "done" (sin type) · progress: { done, total } mientras corre · error: texto
+export default function useSimWorker(createWorker) {
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const run = useCallback(
+    (message, total = null) => {
+      workerRef.current?.terminate();
+      const worker = createWorker();
+      workerRef.current = worker;
+      setResult(null);
+      setError(null);
+      setProgress({ done: 0, total });
+      worker.onmessage = (e) => {
+        const { type, ...msg } = e.data;
+        if (type === "progress") setProgress({ done: msg.done, total: msg.total });
+        else if (type === "done" || type === "error") {
+          if (type === "done") setResult(msg);
+          else setError(msg.message);
+          setProgress(null);
+          worker.terminate();
+          workerRef.current = null;
+        }
+      };
+      worker.postMessage(message);
+    },
+    [createWorker]
+  );
+
+  return { result, progress, error, run };
+}
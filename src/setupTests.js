@@ -0,0 +1,5 @@
+import { deserialize, serialize } from "v8";
+
+// jest 27 (react-scripts 5) no expone structuredClone en el entorno de los tests aunque Node lo tenga;
+// el motor lo usa para copiar config y estado
+if (typeof global.structuredClone !== "function") global.structuredClone = (value) => deserialize(serialize(value));
@@ -0,0 +1,94 @@
+import { createEngine } from "./engine.js";
+
+/*
+  Monte Carlo: corre N semillas × T ticks con una política fija del planificador
+  policy = {
+    priceMode: "auto" | "manual",
+    manualPrice: number,
+    demand: null | { type, params },
+    phaseSchedule: [{ at: tick, phaseIdx }],   // ordenado por tick; si trae pasos reemplaza a config.phaseSchedule
+    routing: { pbcToPfp, pfpToPmp },
+    rationing: "proRata" | "queue" | "lottery" | "priority",
+  }
+*/
+
+// Stats escalares que se resumen en distribución
+export const BATCH_STATS = [
+  { key: "effMean", label: "Eficiencia media", get: (st) => st.effMean },
+  { key: "priceVol", label: "Volatilidad precio", get: (st) => st.priceVol },
+  { key: "cumulativeRegret", label: "Regret acumulado", get: (st) => st.cumulativeRegret },
+  { key: "welfareProxy", label: "Welfare proxy", get: (st) => st.welfareProxy },
+  { key: "dwl", label: "Pérdida irrecuperable", get: (st) => st.welfare.dwl },
+  { key: "unmet", label: "Demanda insatisfecha", get: (st) => st.rationing.unmet },
+  { key: "innovScheduled", label: "Innov. programadas", get: (st) => st.innovationCounts.scheduled },
+  { key: "innovAdopted", label: "Innov. adoptadas", get: (st) => st.innovationCounts.adopted },
+];
+
+// fase vigente en el tick t según el calendario
+export function phaseAt(schedule, t, fallback = 0) {
+  let idx = fallback;
+  for (const step of schedule || []) if (step.at <= t) idx = step.phaseIdx;
+  return idx;
+}
+
+// orden de fase del calendario de la política para el tick t (undefined si ese tick no la cambia);
+// el primer tick fija la fase de partida
+function phaseOrderAt(schedule, t) {
+  if (!schedule?.length) return undefined;
+  if (t === 1) return phaseAt(schedule, t);
+  return schedule.find((step) => step.at === t)?.phaseIdx;
+}
+
+// Calendario que manda en el lote: el de la política si trae pasos, si no el de la sesión
+export function batchPhaseSource(config, policy = {}) {
+  if (policy.phaseSchedule?.length) return "policy";
+  return config.phaseSchedule?.length ? "session" : "none";
+}
+
+export function runSeed(config, seed, ticks, policy = {}) {
+  // los dos calendarios no se mezclan: el de la política deja sin efecto el de la sesión
+  const cfg = batchPhaseSource(config, policy) === "policy" ? { ...config, phaseSchedule: [] } : config;
+  const engine = createEngine(cfg, seed);
+  for (let i = 0; i < ticks; i++) {
+    engine.step({
+      priceMode: policy.priceMode,
+      manualPrice: policy.manualPrice,
+      demand: policy.demand,
+      routing: policy.routing,
+      rationing: policy.rationing,
+      phaseIdx: phaseOrderAt(policy.phaseSchedule, engine.t + 1),
+    });
+  }
+  return engine.stats();
+}
+
+export function runBatch({ config = {}, seeds, ticks, policy }, onProgress) {
+  const results = [];
+  seeds.forEach((seed, i) => {
+    results.push(runSeed(config, seed, ticks, policy));
+    if (onProgress) onProgress(i + 1, seeds.length);
+  });
+  return results;
+}
+
+// media, desvío, IC 95% (normal) e histograma de valores finitos
+export function summarize(values, bins = 12) {
+  const xs = values.filter((v) => Number.isFinite(v));
+  const n = xs.length;
+  if (n === 0) return { n: 0, invalid: values.length, mean: NaN, sd: NaN, ci: [NaN, NaN], min: NaN, max: NaN, histogram: [] };
+  const mean = xs.reduce((a, b) => a + b, 0) / n;
+  const sd = n > 1 ? Math.sqrt(xs.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1)) : 0;
+  const half = (1.96 * sd) / Math.sqrt(n);
+  const min = Math.min(...xs);
+  const max = Math.max(...xs);
+  const width = (max - min) / bins || 1;
+  const histogram = Array.from({ length: bins }, (_, i) => ({ x0: min + i * width, x1: min + (i + 1) * width, count: 0 }));
+  for (const x of xs) histogram[Math.min(bins - 1, Math.floor((x - min) / width))].count += 1;
+  return { n, invalid: values.length - n, mean, sd, ci: [mean - half, mean + half], min, max, histogram };
+}
+
+export function summarizeBatch(results, bins) {
+  const out = {};
+  for (const st of BATCH_STATS) out[st.key] = summarize(results.map(st.get), bins);
+  return out;
+}
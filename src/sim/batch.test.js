@@ -0,0 +1,73 @@
+import { batchPhaseSource, phaseAt, runBatch, runSeed, summarize, summarizeBatch, BATCH_STATS } from "./batch.js";
+
+test("summarize calcula media, desvío muestral e IC 95% normal", () => {
+  const xs = [2, 4, 4, 4, 5, 5, 7, 9];
+  const st = summarize(xs, 4);
+  const sd = Math.sqrt(32 / 7);
+  expect(st).toMatchObject({ n: 8, invalid: 0, mean: 5, min: 2, max: 9 });
+  expect(st.sd).toBeCloseTo(sd, 12);
+  expect(st.ci[0]).toBeCloseTo(5 - (1.96 * sd) / Math.sqrt(8), 12);
+  expect(st.ci[1]).toBeCloseTo(5 + (1.96 * sd) / Math.sqrt(8), 12);
+  expect(st.histogram.map((h) => h.count)).toEqual([1, 5, 1, 1]);
+  expect(st.histogram[3].x1).toBeCloseTo(9);
+});
+
+test("summarize deja fuera los valores no finitos y tolera casos degenerados", () => {
+  const st = summarize([3, NaN, Infinity, 3]);
+  expect(st).toMatchObject({ n: 2, invalid: 2, mean: 3, sd: 0, ci: [3, 3] });
+  expect(st.histogram.reduce((a, h) => a + h.count, 0)).toBe(2);
+  const empty = summarize([NaN]);
+  expect(empty).toMatchObject({ n: 0, invalid: 1, histogram: [] });
+  expect(empty.mean).toBeNaN();
+});
+
+test("phaseAt y batchPhaseSource: el calendario de la política reemplaza al de la sesión", () => {
+  const schedule = [
+    { at: 1, phaseIdx: 0 },
+    { at: 10, phaseIdx: 2 },
+  ];
+  expect(phaseAt(schedule, 9)).toBe(0);
+  expect(phaseAt(schedule, 10)).toBe(2);
+  expect(phaseAt([], 10, 1)).toBe(1);
+  const session = { phaseSchedule: [{ at: 5, phaseIdx: 1 }] };
+  expect(batchPhaseSource(session, { phaseSchedule: schedule })).toBe("policy");
+  expect(batchPhaseSource(session, { phaseSchedule: [] })).toBe("session");
+  expect(batchPhaseSource({}, {})).toBe("none");
+});
+
+const config = { consumersN: 40, phaseSchedule: [{ at: 5, phaseIdx: 1 }] };
+const phaseNames = (st) => st.phases.log.map((e) => e.name);
+
+test("un calendario en la política deja sin efecto el de la sesión", () => {
+  const policy = {
+    priceMode: "auto",
+    phaseSchedule: [
+      { at: 1, phaseIdx: 0 },
+      { at: 10, phaseIdx: 2 },
+    ],
+  };
+  const st = runSeed(config, 3, 20, policy);
+  expect(phaseNames(st)).not.toContain("B");
+  expect(st.phases.durations).toEqual([
+    { name: "A", ticks: 9 },
+    { name: "C", ticks: 11 },
+  ]);
+  // sin calendario propio el lote usa el de la sesión
+  const session = runSeed(config, 3, 20, { priceMode: "auto" });
+  expect(session.phases.durations).toEqual([
+    { name: "A", ticks: 4 },
+    { name: "B", ticks: 16 },
+  ]);
+});
+
+test("runBatch corre cada semilla, informa el progreso y summarizeBatch resume cada stat", () => {
+  const progress = [];
+  const results = runBatch({ config: { consumersN: 30 }, seeds: [1, 2, 3], ticks: 15, policy: { priceMode: "auto" } }, (d, t) =>
+    progress.push(`${d}/${t}`)
+  );
+  expect(progress).toEqual(["1/3", "2/3", "3/3"]);
+  expect(results[0]).toEqual(runSeed({ consumersN: 30 }, 1, 15, { priceMode: "auto" }));
+  const summary = summarizeBatch(results, 3);
+  expect(Object.keys(summary)).toEqual(BATCH_STATS.map((s) => s.key));
+  expect(summary.effMean.n + summary.effMean.invalid).toBe(3);
+});
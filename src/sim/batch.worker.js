@@ -0,0 +1,9 @@
+import { runBatch, summarizeBatch } from "./batch.js";
+import { serveTask } from "./workerTask.js";
+
+// Web Worker: corre el Monte Carlo fuera del hilo principal
+// in:  { config, seeds, ticks, policy }   done: { results, summary }
+serveTask((data, onProgress) => {
+  const results = runBatch(data, onProgress);
+  return { results, summary: summarizeBatch(results) };
+});
@@ -0,0 +1,97 @@
+import { variance } from "./utils.js";
+
+// ------------------ EFECTO LÁTIGO (bullwhip) ------------------
+// Órdenes emitidas por nivel en cada tick frente a la demanda final de los consumidores:
+//  - PBC: pedidos a PFP, PFP: pedidos a PMP, PMP: producción (no pide a nadie)
+export const BULLWHIP_TIERS = ["PBC", "PFP", "PMP"];
+const ORDER_LEVEL = { PBC: "PBC->PFP", PFP: "PFP->PMP" };
+
+// [{ t, demand, PBC, PFP, PMP }] desde t=1 hasta el tick actual
+export function bullwhipSeries(state) {
+  const rows = state.series.filter((pt) => pt.t > 0).map((pt) => ({ t: pt.t, demand: pt.qDemand, PBC: 0, PFP: 0, PMP: 0 }));
+  const byT = {};
+  for (const r of rows) byT[r.t] = r;
+  for (const o of state.orders) {
+    const r = byT[o.createdAt];
+    if (!r) continue;
+    if (o.level === ORDER_LEVEL.PBC) r.PBC += o.amount;
+    else if (o.level === ORDER_LEVEL.PFP) r.PFP += o.amount;
+  }
+  // incluye las PMP cerradas por escenario: su producción previa al cierre cuenta
+  for (const f of [...state.firms.PMP, ...(state.closedFirms || []).filter((x) => x.level === "PMP")]) {
+    for (const h of f.history) if (byT[h.t]) byT[h.t].PMP += h.produced;
+  }
+  return rows;
+}
+
+function finitePairs(xs, ys) {
+  const a = [];
+  const b = [];
+  for (let i = 0; i < xs.length; i++) {
+    if (Number.isFinite(xs[i]) && Number.isFinite(ys[i])) {
+      a.push(xs[i]);
+      b.push(ys[i]);
+    }
+  }
+  return [a, b];
+}
+
+function correlation(xs, ys) {
+  const [a, b] = finitePairs(xs, ys);
+  const n = a.length;
+  if (n < 3) return NaN;
+  const ma = a.reduce((s, v) => s + v, 0) / n;
+  const mb = b.reduce((s, v) => s + v, 0) / n;
+  let sab = 0;
+  let saa = 0;
+  let sbb = 0;
+  for (let i = 0; i < n; i++) {
+    sab += (a[i] - ma) * (b[i] - mb);
+    saa += (a[i] - ma) ** 2;
+    sbb += (b[i] - mb) ** 2;
+  }
+  return saa > 0 && sbb > 0 ? sab / Math.sqrt(saa * sbb) : NaN;
+}
+
+// corr(demanda_t, órdenes_{t+lag}): un pico en lag > 0 indica que el nivel reacciona con retraso
+export function laggedCrossCorrelation(demand, orders, maxLag) {
+  const out = [];
+  for (let lag = 0; lag <= maxLag; lag++) {
+    out.push({ lag, corr: correlation(demand.slice(0, demand.length - lag), orders.slice(lag)) });
+  }
+  return out;
+}
+
+function varianceRatio(orders, demand) {
+  const [o, d] = finitePairs(orders, demand);
+  const vd = variance(d);
+  return { orderVar: variance(o), demandVar: vd, ratio: vd > 0 ? variance(o) / vd : NaN };
+}
+
+// Razones Var(órdenes)/Var(demanda) por nivel (> 1 = amplificación), correlaciones cruzadas
+// y la razón en ventanas móviles para ver la amplificación a lo largo del tiempo
+export function bullwhipStats(state, { window = 50, maxLag = 20 } = {}) {
+  const rows = bullwhipSeries(state);
+  const demand = rows.map((r) => r.demand);
+  const tiers = {};
+  for (const tier of BULLWHIP_TIERS) {
+    const orders = rows.map((r) => r[tier]);
+    const xcorr = laggedCrossCorrelation(demand, orders, Math.min(maxLag, Math.max(0, rows.length - 3)));
+    const peak = xcorr.reduce((best, x) => (Number.isFinite(x.corr) && (!best || x.corr > best.corr) ? x : best), null);
+    tiers[tier] = {
+      ...varianceRatio(orders, demand),
+      peakLag: peak ? peak.lag : null,
+      peakCorr: peak ? peak.corr : NaN,
+      xcorr,
+    };
+  }
+  const rolling = [];
+  for (let end = window; end <= rows.length; end += Math.max(1, Math.floor(window / 5))) {
+    const slice = rows.slice(end - window, end);
+    const d = slice.map((r) => r.demand);
+    const pt = { t: slice[slice.length - 1].t };
+    for (const tier of BULLWHIP_TIERS) pt[tier] = varianceRatio(slice.map((r) => r[tier]), d).ratio;
+    rolling.push(pt);
+  }
+  return { window, maxLag, demandVar: varianceRatio(demand, demand).demandVar, tiers, rolling };
+}
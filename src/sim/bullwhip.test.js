@@ -0,0 +1,56 @@
+import { bullwhipSeries, bullwhipStats, laggedCrossCorrelation } from "./bullwhip.js";
+
+// demanda alterna 10/12 (varianza 1); las PBC la amplifican ×2 alrededor de 10 (varianza 4), las PFP
+// piden lo que fue la demanda del tick anterior y las PMP producen siempre 5
+const T = 8;
+const demandAt = (t) => (t % 2 === 1 ? 10 : 12);
+
+function state(demand = demandAt) {
+  const series = [{ t: 0, qDemand: 0 }];
+  const orders = [];
+  const history = [];
+  for (let t = 1; t <= T; t++) {
+    series.push({ t, qDemand: demand(t) });
+    const pbc = 10 + 2 * (demandAt(t) - 10);
+    // el pedido de las PBC llega partido en dos proveedores
+    orders.push({ level: "PBC->PFP", createdAt: t, amount: pbc / 2 }, { level: "PBC->PFP", createdAt: t, amount: pbc / 2 });
+    orders.push({ level: "PFP->PMP", createdAt: t, amount: t === 1 ? 12 : demandAt(t - 1) });
+    history.push({ t, produced: 5 });
+  }
+  return { series, orders, firms: { PBC: [], PFP: [], PMP: [{ id: "PMP0", history }] }, closedFirms: [] };
+}
+
+test("bullwhipSeries suma las órdenes emitidas por nivel en cada tick", () => {
+  const rows = bullwhipSeries(state());
+  expect(rows).toHaveLength(T);
+  expect(rows[0]).toEqual({ t: 1, demand: 10, PBC: 10, PFP: 12, PMP: 5 });
+  expect(rows[1]).toEqual({ t: 2, demand: 12, PBC: 14, PFP: 10, PMP: 5 });
+});
+
+test("bullwhipStats da la razón de varianzas por nivel", () => {
+  const stats = bullwhipStats(state(), { window: 4, maxLag: 2 });
+  expect(stats.demandVar).toBeCloseTo(1);
+  expect(stats.tiers.PBC).toMatchObject({ orderVar: 4, demandVar: 1, ratio: 4, peakLag: 0 });
+  expect(stats.tiers.PFP.ratio).toBeCloseTo(1);
+  expect(stats.tiers.PFP.peakLag).toBe(1);
+  expect(stats.tiers.PMP).toMatchObject({ orderVar: 0, ratio: 0 });
+  expect(stats.rolling.map((r) => r.t)).toEqual([4, 5, 6, 7, 8]);
+  expect(stats.rolling.every((r) => r.PBC === 4)).toBe(true);
+});
+
+test("con demanda constante la razón no está definida", () => {
+  const stats = bullwhipStats(state(() => 10), { window: 4, maxLag: 2 });
+  expect(stats.demandVar).toBe(0);
+  expect(stats.tiers.PBC.orderVar).toBe(4);
+  expect(stats.tiers.PBC.ratio).toBeNaN();
+  expect(stats.tiers.PBC.peakLag).toBeNull();
+  expect(stats.rolling.every((r) => Number.isNaN(r.PBC))).toBe(true);
+});
+
+test("laggedCrossCorrelation encuentra el retraso de un nivel", () => {
+  const demand = [1, 5, 2, 8, 3, 9, 4, 7];
+  const orders = [0, 0, ...demand.slice(0, 6)];
+  const xcorr = laggedCrossCorrelation(demand, orders, 3);
+  expect(xcorr.map((x) => x.lag)).toEqual([0, 1, 2, 3]);
+  expect(xcorr[2].corr).toBeCloseTo(1);
+});
@@ -0,0 +1,213 @@
+// ------------------ DEFAULTS ------------------
+export const DEFAULT = {
+  seed: 12345,
+  consumersN: 350,
+  // población oculta de consumidores por segmentos (population.js); null = generador original
+  population: null,
+  p0: 1.0,
+  tickMs: 700,
+  pMin: 0.01,
+  pPriceAdjustGain: 0.08,
+  consumerUpdateRange: [30, 90],
+  pbcCountRange: [3, 6],
+  pfpCountRange: [3, 6],
+  pmpCountRange: [2, 4],
+  delays: { pbcToPfp: [5, 15], pfpToPmp: [5, 20], pmpAdjust: [10, 25] },
+  // pedidos: envíos parciales y cancelación tras expiryTicks de atraso (0 = nunca)
+  orders: { partialShipments: true, expiryTicks: 40 },
+  // costos: mantener una unidad en inventario por tick y margen sobre costo en ventas entre niveles
+  costs: { holdingCostPerUnit: 0.005, transferMarkup: 0.15 },
+  // bienestar: tope de disposición a pagar y puntos de la grilla de integración
+  welfare: { priceCap: 20, gridSteps: 60 },
+  // consumidores con presupuesto: ingreso por tick, parte que destinan a este bien, saciedad (unidades
+  // por tick) y bien sustituto con su precio inicial y elasticidad de la demanda al precio relativo.
+  // Desactivado por defecto: las sesiones y lotes existentes reproducen la misma trayectoria con la misma seed
+  budgets: {
+    enabled: false,
+    incomeRange: [5, 30],
+    budgetShare: 0.3,
+    satiationRange: [20, 150],
+    substitutePrice: 1,
+    substitution: 0.5,
+  },
+  // racionamiento: si está activo las PBC venden como máximo lo pedido y la regla del planificador
+  // reparte la escasez (desactivado = modelo original, misma trayectoria con la misma seed); orden de
+  // los segmentos para la regla "priority" (nombre del segmento o familia), probabilidades de reacción
+  // al quedar sin comprar, compra extra al acaparar y espera máxima en cola
+  rationing: {
+    enabled: false,
+    priority: [],
+    reactions: { queue: 0.4, hoard: 0.1, giveUp: 0.5 },
+    hoardFactor: 0.5,
+    maxWait: 10,
+  },
+  // fases del experimento (phases.js): calendario automático [{ at, phaseIdx }] y si los participantes
+  // ven la fase vigente; las fases mismas son EXPERIMENT_PHASES salvo que la sesión traiga las suyas
+  phaseSchedule: [],
+  hidePhases: false,
+  // encuestas: presupuesto de la sesión, costo fijo y por respuesta, respuestas que se levantan por tick
+  surveys: { budget: 100, fixedCost: 2, costPerResponse: 0.05, responsesPerTick: 40 },
+  innovation: {
+    probPerTick: 0.03,
+    costMultRange: [0.92, 0.99],
+    tfpMultRange: [1.02, 1.25],
+    adoptionRange: [10, 60],
+  },
+};
+
+// Reacción de consumidores (configurable)
+export const CONSUMER_REACT_PROBS = { baja: 0.8, mantiene: 0.18, sube: 0.02 };
+export const CONSUMER_REACT_FACTORS = {
+  baja: [0.7, 0.95],
+  mantiene: [0.98, 1.02],
+  sube: [1.01, 1.2],
+};
+
+// Perfiles de reacción al cambio de precio: resultados [probabilidad, rango del factor sobre la
+// demanda] para subas (up) y bajas (down). "estandar" es la reacción original de todos los consumidores.
+export const REACTION_PROFILES = {
+  estandar: {
+    label: "Estándar",
+    up: [
+      [CONSUMER_REACT_PROBS.baja, CONSUMER_REACT_FACTORS.baja],
+      [CONSUMER_REACT_PROBS.mantiene, CONSUMER_REACT_FACTORS.mantiene],
+      [CONSUMER_REACT_PROBS.sube, CONSUMER_REACT_FACTORS.sube],
+    ],
+    down: [
+      [0.7, [1.01, 1.2]],
+      [0.25, [0.98, 1.02]],
+      [0.05, [0.7, 0.95]],
+    ],
+  },
+  sensible: {
+    label: "Sensible al precio",
+    up: [
+      [0.95, [0.5, 0.85]],
+      [0.05, [0.98, 1.02]],
+    ],
+    down: [
+      [0.9, [1.1, 1.4]],
+      [0.1, [0.98, 1.02]],
+    ],
+  },
+  leal: {
+    label: "Leal",
+    up: [
+      [0.3, [0.9, 0.98]],
+      [0.7, [0.99, 1.01]],
+    ],
+    down: [
+      [0.3, [1.01, 1.05]],
+      [0.7, [0.99, 1.01]],
+    ],
+  },
+  ninguna: { label: "Sin reacción", up: [[1, [1, 1]]], down: [[1, [1, 1]]] },
+};
+
+export const EXPERIMENT_PHASES = [
+  { name: "A", feedbackStrength: 0.05, volatility: 0.02, delayMult: 1, innovationMult: 1, desc: "Cambios lentos" },
+  { name: "B", feedbackStrength: 0.12, volatility: 0.12, delayMult: 1, innovationMult: 1, desc: "Cambios rápidos" },
+  { name: "C", feedbackStrength: 0.4, volatility: 0.12, delayMult: 1, innovationMult: 1, desc: "Retroalimentación fuerte" },
+];
+
+// Presets de la pantalla de configuración de sesión (se mezclan sobre DEFAULT)
+export const SESSION_PRESETS = [
+  { name: "Estándar", desc: "Parámetros por defecto", config: {} },
+  {
+    name: "Economía pequeña",
+    desc: "Pocos consumidores y pocas firmas por nivel",
+    config: { consumersN: 120, pbcCountRange: [2, 3], pfpCountRange: [2, 3], pmpCountRange: [1, 2] },
+  },
+  {
+    name: "Economía grande",
+    desc: "Muchos consumidores y firmas",
+    config: { consumersN: 1000, pbcCountRange: [8, 12], pfpCountRange: [8, 12], pmpCountRange: [5, 8] },
+  },
+  {
+    name: "Cadena lenta",
+    desc: "Demoras largas entre niveles",
+    config: { delays: { pbcToPfp: [15, 30], pfpToPmp: [20, 40], pmpAdjust: [20, 40] } },
+  },
+  {
+    name: "Innovación rápida",
+    desc: "Innovaciones frecuentes y de adopción corta",
+    config: { innovation: { ...DEFAULT.innovation, probPerTick: 0.1, adoptionRange: [5, 20] } },
+  },
+  {
+    name: "Consumidores con presupuesto",
+    desc: "Ingreso, saciedad y bien sustituto (escenarios de ingresos e importaciones)",
+    config: { budgets: { ...DEFAULT.budgets, enabled: true } },
+  },
+  {
+    name: "Escasez con racionamiento",
+    desc: "Las PBC venden como máximo lo pedido y el planificador elige quién compra si falta oferta",
+    config: { rationing: { ...DEFAULT.rationing, enabled: true } },
+  },
+];
+
+// Config de sesión completa a partir de un preset
+export function sessionConfigFromPreset(preset, seed = DEFAULT.seed) {
+  const cfg = { ...DEFAULT, ...preset.config, seed };
+  return {
+    seed: cfg.seed,
+    consumersN: cfg.consumersN,
+    population: cfg.population ? structuredClone(cfg.population) : null,
+    pbcCountRange: [...cfg.pbcCountRange],
+    pfpCountRange: [...cfg.pfpCountRange],
+    pmpCountRange: [...cfg.pmpCountRange],
+    delays: structuredClone(cfg.delays),
+    orders: { ...cfg.orders },
+    costs: { ...cfg.costs },
+    budgets: structuredClone(cfg.budgets),
+    rationing: structuredClone(cfg.rationing),
+    phases: structuredClone(cfg.phases || EXPERIMENT_PHASES),
+    phaseSchedule: structuredClone(cfg.phaseSchedule),
+    hidePhases: cfg.hidePhases,
+    surveys: { ...cfg.surveys },
+    innovation: structuredClone(cfg.innovation),
+    pPriceAdjustGain: cfg.pPriceAdjustGain,
+  };
+}
+
+// Devuelve la lista de problemas (vacía si la config es válida)
+export function validateSessionConfig(cfg) {
+  const problems = [];
+  const range = (r, label, { min = 0, integer = false } = {}) => {
+    if (!Array.isArray(r) || r.length !== 2 || !r.every(Number.isFinite)) problems.push(`${label}: rango inválido`);
+    else if (r[0] > r[1]) problems.push(`${label}: mínimo mayor que máximo`);
+    else if (r[0] < min) problems.push(`${label}: debe ser ≥ ${min}`);
+    else if (integer && !r.every(Number.isInteger)) problems.push(`${label}: deben ser enteros`);
+  };
+  if (!Number.isInteger(cfg.seed)) problems.push("Semilla: debe ser un entero");
+  if (!Number.isInteger(cfg.consumersN) || cfg.consumersN < 1) problems.push("Consumidores: entero ≥ 1");
+  range(cfg.pbcCountRange, "Nº PBC", { min: 1, integer: true });
+  range(cfg.pfpCountRange, "Nº PFP", { min: 1, integer: true });
+  range(cfg.pmpCountRange, "Nº PMP", { min: 1, integer: true });
+  range(cfg.delays.pbcToPfp, "Demora PBC→PFP");
+  range(cfg.delays.pfpToPmp, "Demora PFP→PMP");
+  if (!Number.isInteger(cfg.orders.expiryTicks) || cfg.orders.expiryTicks < 0)
+    problems.push("Vencimiento de pedidos: entero ≥ 0");
+  if (!(cfg.costs.holdingCostPerUnit >= 0)) problems.push("Costo de inventario: ≥ 0");
+  if (!(cfg.costs.transferMarkup >= 0)) problems.push("Margen de transferencia: ≥ 0");
+  if (cfg.budgets.enabled) {
+    range(cfg.budgets.incomeRange, "Ingreso de consumidores");
+    range(cfg.budgets.satiationRange, "Saciedad");
+    if (!(cfg.budgets.budgetShare > 0 && cfg.budgets.budgetShare <= 1)) problems.push("Parte del ingreso: entre 0 y 1");
+    if (!(cfg.budgets.substitutePrice > 0)) problems.push("Precio del sustituto: > 0");
+    if (!(cfg.budgets.substitution >= 0)) problems.push("Elasticidad al sustituto: ≥ 0");
+  }
+  const reactions = Object.values(cfg.rationing.reactions);
+  if (!reactions.every((p) => p >= 0) || !(reactions.reduce((a, p) => a + p, 0) > 0))
+    problems.push("Reacciones al racionamiento: probabilidades ≥ 0 que no sumen 0");
+  if (!(cfg.rationing.hoardFactor >= 0)) problems.push("Acaparamiento: ≥ 0");
+  if (!Number.isInteger(cfg.rationing.maxWait) || cfg.rationing.maxWait < 1) problems.push("Espera máxima en cola: entero ≥ 1");
+  if (!(cfg.surveys.budget >= 0)) problems.push("Presupuesto de encuestas: ≥ 0");
+  if (!(cfg.surveys.fixedCost >= 0) || !(cfg.surveys.costPerResponse >= 0)) problems.push("Costo de encuestas: ≥ 0");
+  if (!(cfg.surveys.responsesPerTick > 0)) problems.push("Respuestas por tick: > 0");
+  range(cfg.innovation.adoptionRange, "Adopción de innovaciones");
+  range(cfg.innovation.costMultRange, "Multiplicador de costo");
+  range(cfg.innovation.tfpMultRange, "Multiplicador de TFP");
+  if (!(cfg.innovation.probPerTick >= 0 && cfg.innovation.probPerTick <= 1)) problems.push("Prob. innovación: entre 0 y 1");
+  if (!(cfg.pPriceAdjustGain >= 0)) problems.push("Ganancia de ajuste de precio: ≥ 0");
+  return problems;
+}
@@ -0,0 +1,57 @@
+import { DEFAULT, EXPERIMENT_PHASES, SESSION_PRESETS, sessionConfigFromPreset, validateSessionConfig } from "./config.js";
+import { createEngine } from "./engine.js";
+
+const valid = () => sessionConfigFromPreset(SESSION_PRESETS[0]);
+const problemsWith = (patch) => validateSessionConfig({ ...valid(), ...patch });
+
+test.each(SESSION_PRESETS.map((p) => [p.name, p]))("el preset %s es válido y su motor avanza", (_, preset) => {
+  const cfg = sessionConfigFromPreset(preset, 17);
+  expect(validateSessionConfig(cfg)).toEqual([]);
+  expect(cfg.seed).toBe(17);
+  const engine = createEngine(cfg, cfg.seed);
+  for (let i = 0; i < 5; i++) engine.step({});
+  expect(engine.t).toBe(5);
+  expect(engine.state.series.every((pt) => Number.isFinite(pt.price) && pt.price >= DEFAULT.pMin)).toBe(true);
+});
+
+test("sessionConfigFromPreset copia el preset: editar la config no lo modifica", () => {
+  const preset = SESSION_PRESETS.find((p) => p.name === "Cadena lenta");
+  const cfg = sessionConfigFromPreset(preset);
+  cfg.delays.pbcToPfp[0] = 99;
+  cfg.phases[0].volatility = 1;
+  expect(preset.config.delays.pbcToPfp[0]).toBe(15);
+  expect(EXPERIMENT_PHASES[0].volatility).toBe(0.02);
+  expect(cfg.consumersN).toBe(DEFAULT.consumersN);
+});
+
+test("validateSessionConfig rechaza rangos de firmas invertidos, vacíos o no enteros", () => {
+  expect(problemsWith({ pbcCountRange: [4, 2] })).toEqual(["Nº PBC: mínimo mayor que máximo"]);
+  expect(problemsWith({ pfpCountRange: [0, 3] })).toEqual(["Nº PFP: debe ser ≥ 1"]);
+  expect(problemsWith({ pmpCountRange: [1.5, 3] })).toEqual(["Nº PMP: deben ser enteros"]);
+  expect(problemsWith({ pmpCountRange: [1] })).toEqual(["Nº PMP: rango inválido"]);
+});
+
+test("validateSessionConfig rechaza demoras negativas y consumidores < 1", () => {
+  const delays = { ...valid().delays, pfpToPmp: [-2, 5] };
+  expect(problemsWith({ delays })).toEqual(["Demora PFP→PMP: debe ser ≥ 0"]);
+  expect(problemsWith({ consumersN: 0 })).toEqual(["Consumidores: entero ≥ 1"]);
+  expect(problemsWith({ consumersN: 10.5 })).toEqual(["Consumidores: entero ≥ 1"]);
+  expect(problemsWith({ seed: "x" })).toEqual(["Semilla: debe ser un entero"]);
+});
+
+test("validateSessionConfig revisa presupuestos sólo si están activos y junta todos los problemas", () => {
+  const budgets = { ...DEFAULT.budgets, budgetShare: 2, substitutePrice: 0 };
+  expect(problemsWith({ budgets })).toEqual([]);
+  expect(problemsWith({ budgets: { ...budgets, enabled: true } })).toEqual([
+    "Parte del ingreso: entre 0 y 1",
+    "Precio del sustituto: > 0",
+  ]);
+  const rationing = { ...DEFAULT.rationing, reactions: { queue: 0, hoard: 0, giveUp: 0 }, maxWait: 0 };
+  const innovation = { ...DEFAULT.innovation, probPerTick: 1.5 };
+  expect(problemsWith({ rationing, innovation, pPriceAdjustGain: -1 })).toEqual([
+    "Reacciones al racionamiento: probabilidades ≥ 0 que no sumen 0",
+    "Espera máxima en cola: entero ≥ 1",
+    "Prob. innovación: entre 0 y 1",
+    "Ganancia de ajuste de precio: ≥ 0",
+  ]);
+});
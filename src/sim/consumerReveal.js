@@ -0,0 +1,113 @@
+import { DEFAULT } from "./config.js";
+import { consumerTrueDemand } from "./demand.js";
+import { consumerSegment } from "./population.js";
+import { priceGrid } from "./welfare.js";
+
+// ------------------ REVELACIÓN DE LA POBLACIÓN (fin de sesión) ------------------
+// Reproduce la bitácora y, cada `every` ticks, resume a los consumidores ocultos por segmento
+// (segmento de la población o familia con el generador original):
+//   frame = { t, price, changes, updates, total, bySegment: [{ n, aMean, bMean, q }] }
+// changes/updates cuentan los consumidores que cambiaron de preferencias (nextChange) o tuvieron
+// su actualización periódica (nextUpdateAt) desde el cuadro anterior; q es la demanda verdadera del
+// segmento al precio vigente. `start`/`end` guardan a, b, familia y segmento al principio y al final.
+
+function lite(consumers, population, labels) {
+  return consumers.map((c) => {
+    const label = consumerSegment(c, population);
+    if (!labels.includes(label)) labels.push(label);
+    return { a: c.a, b: c.b, type: c.type, seg: labels.indexOf(label) };
+  });
+}
+
+function frameAt(s, population, labels, prev) {
+  const bySegment = labels.map(() => ({ n: 0, aMean: 0, bMean: 0, q: 0 }));
+  let changes = 0;
+  let updates = 0;
+  let total = 0;
+  s.consumers.forEach((c, i) => {
+    const label = consumerSegment(c, population);
+    if (!labels.includes(label)) {
+      labels.push(label);
+      bySegment.push({ n: 0, aMean: 0, bMean: 0, q: 0 });
+    }
+    const g = bySegment[labels.indexOf(label)];
+    const q = consumerTrueDemand(c, s.price, s.substitutePrice);
+    g.n += 1;
+    g.aMean += c.a;
+    g.bMean += c.b;
+    g.q += q;
+    total += q;
+    if (prev[i] && prev[i].nextChange !== c.nextChange) changes++;
+    if (prev[i] && prev[i].nextUpdateAt !== c.nextUpdateAt) updates++;
+    prev[i] = { nextChange: c.nextChange, nextUpdateAt: c.nextUpdateAt };
+  });
+  for (const g of bySegment) {
+    g.aMean /= Math.max(1, g.n);
+    g.bMean /= Math.max(1, g.n);
+  }
+  return { t: s.t, price: s.price, changes, updates, total, bySegment };
+}
+
+// Curva de demanda verdadera al final, apilada por segmento: [{ p, s0: q, s1: q, … }]
+function stackedCurve(s, population, labels, grid) {
+  return grid.map((p) => {
+    const row = { p };
+    for (let k = 0; k < labels.length; k++) row[`s${k}`] = 0;
+    for (const c of s.consumers) row[`s${labels.indexOf(consumerSegment(c, population))}`] += consumerTrueDemand(c, p, s.substitutePrice);
+    return row;
+  });
+}
+
+// Colector para replayCollect (journal.js): la población al inicio, cuadro a cuadro y al final
+export function consumerCollector({ steps = 40 } = {}) {
+  const labels = [];
+  const prev = [];
+  const frames = [];
+  let population = null;
+  let start = null;
+  return {
+    start(engine) {
+      population = engine.config.population || null;
+      start = lite(engine.state.consumers, population, labels);
+      frames.push(frameAt(engine.state, population, labels, prev));
+    },
+    frame(engine) {
+      frames.push(frameAt(engine.state, population, labels, prev));
+    },
+    finish(engine) {
+      const welfareCfg = { ...DEFAULT.welfare, ...engine.config.welfare };
+      return {
+        labels,
+        frames,
+        start,
+        end: lite(engine.state.consumers, population, labels),
+        curve: stackedCurve(engine.state, population, labels, priceGrid(welfareCfg.priceCap, steps)),
+      };
+    },
+  };
+}
+
+// Histograma de inicio vs. fin con bordes comunes; el rango se corta en el percentil 98 para que
+// unos pocos consumidores desbordados no aplasten al resto (el último intervalo acumula el exceso)
+export function histogramPair(startValues, endValues, bins = 14) {
+  const xs = [...startValues, ...endValues].filter(Number.isFinite).sort((a, b) => a - b);
+  if (xs.length === 0) return [];
+  const min = xs[0];
+  const max = xs[Math.min(xs.length - 1, Math.floor(xs.length * 0.98))];
+  const width = (max - min) / bins || 1;
+  const hist = Array.from({ length: bins }, (_, i) => ({ x0: min + i * width, x1: min + (i + 1) * width, start: 0, end: 0 }));
+  const bin = (x) => hist[Math.max(0, Math.min(bins - 1, Math.floor((x - min) / width)))];
+  for (const x of startValues) if (Number.isFinite(x)) bin(x).start += 1;
+  for (const x of endValues) if (Number.isFinite(x)) bin(x).end += 1;
+  return hist;
+}
+
+// Conteo de inicio vs. fin por clave (familia o segmento)
+export function countPair(start, end, key) {
+  const keys = [...new Set([...start, ...end].map((c) => c[key]))];
+  return keys.map((k) => ({
+    key: k,
+    start: start.filter((c) => c[key] === k).length,
+    end: end.filter((c) => c[key] === k).length,
+  }));
+}
@@ -0,0 +1,65 @@
+import { countPair, histogramPair } from "./consumerReveal.js";
+import { sessionReveal } from "./reveal.js";
+import { createJournal, replayTo } from "./journal.js";
+import { uniform } from "./population.js";
+
+const population = {
+  name: "Prueba",
+  segments: [
+    { name: "Volátiles", share: 1, family: "linear", a: uniform(50, 100), b: uniform(1, 3), noise: 0, reaction: "estandar", changeEvery: [3, 6] },
+    { name: "Fijos", share: 1, family: "log", a: uniform(50, 100), b: uniform(1, 3), noise: 0, reaction: "ninguna", changeEvery: [0, 0] },
+  ],
+};
+
+function reveal() {
+  const journal = createJournal({ config: { consumersN: 40, population }, seed: 6 });
+  return { journal, out: sessionReveal(journal, 20, { every: 5, steps: 8 }) };
+}
+
+test("sessionReveal reproduce la sesión una vez para la percepción y la población", () => {
+  const { out } = reveal();
+  expect(out.perception.map((f) => f.t)).toEqual([5, 10, 15, 20]);
+  // la población también guarda el cuadro inicial
+  expect(out.consumers.frames.map((f) => f.t)).toEqual([0, 5, 10, 15, 20]);
+});
+
+test("la revelación resume a los consumidores por segmento de la población", () => {
+  const { journal, out } = reveal();
+  const { labels, frames, start, end, curve } = out.consumers;
+  expect(labels).toEqual(["Volátiles", "Fijos"]);
+  expect(start).toHaveLength(40);
+  expect(end.map((c) => c.seg)).toEqual(start.map((c) => c.seg));
+
+  const last = frames[frames.length - 1];
+  expect(last.bySegment.map((g) => g.n)).toEqual([20, 20]);
+  expect(last.total).toBeCloseTo(last.bySegment[0].q + last.bySegment[1].q, 9);
+  const engine = replayTo(journal, 20);
+  expect(last.total).toBeCloseTo(engine.oracleDemandAt(engine.price), 6);
+  // sólo el segmento con cambios de preferencia cada 3-6 ticks los registra
+  expect(frames.slice(1).reduce((a, f) => a + f.changes, 0)).toBeGreaterThanOrEqual(20);
+
+  expect(curve).toHaveLength(9);
+  for (const row of curve) expect(row.s0 + row.s1).toBeCloseTo(engine.oracleDemandAt(row.p), 6);
+});
+
+test("histogramPair comparte bordes y acumula el exceso en el último intervalo", () => {
+  const start = Array.from({ length: 100 }, (_, i) => i);
+  const hist = histogramPair(start, [50, 10000], 4);
+  expect(hist).toHaveLength(4);
+  // el rango llega al percentil 98 (98), no al consumidor desbordado
+  expect(hist[0].x0).toBe(0);
+  expect(hist[3].x1).toBe(98);
+  expect(hist.reduce((a, h) => a + h.start, 0)).toBe(100);
+  expect(hist.map((h) => h.end)).toEqual([0, 0, 1, 1]);
+  expect(histogramPair([], [])).toEqual([]);
+});
+
+test("countPair cuenta inicio y fin por clave", () => {
+  const start = [{ type: "linear" }, { type: "linear" }, { type: "log" }];
+  const end = [{ type: "linear" }, { type: "exp" }];
+  expect(countPair(start, end, "type")).toEqual([
+    { key: "linear", start: 2, end: 1 },
+    { key: "log", start: 1, end: 0 },
+    { key: "exp", start: 0, end: 1 },
+  ]);
+});
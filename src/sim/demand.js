@@ -0,0 +1,96 @@
+import { randRange } from "./utils.js";
+import { REACTION_PROFILES } from "./config.js";
+import { compileDemandExpression } from "./expression.js";
+
+// ------------------ DEMAND FACTORY (visual editor) ------------------
+// type "expr": expresión libre en p (src/sim/expression.js) con sus parámetros con nombre en `params`
+export function createDemandFn(type, params, expr) {
+  if (type === "expr") {
+    const { fn } = compileDemandExpression(expr);
+    return (p) => {
+      const q = fn(p, params);
+      return Number.isFinite(q) ? Math.max(0, q) : 0;
+    };
+  }
+  if (type === "linear") {
+    const { A = 100, B = 5 } = params;
+    return (p) => Math.max(0, A - B * p);
+  }
+  if (type === "exp") {
+    const { A = 100, B = 0.5 } = params;
+    return (p) => Math.max(0, A * Math.exp(-B * p));
+  }
+  if (type === "log") {
+    const { A = 100, B = 5 } = params;
+    return (p) => Math.max(0, A - B * Math.log(1 + Math.max(0, p)));
+  }
+  if (type === "poly") {
+    const { A = 100, B = 5, C = 0.01 } = params;
+    return (p) => Math.max(0, A - B * p - C * p * p);
+  }
+  if (type === "logistic") {
+    const { K = 100, mid = 2, steep = 1 } = params;
+    return (p) => Math.max(0, K / (1 + Math.exp(steep * (p - mid))));
+  }
+  // fallback linear
+  return (p) => Math.max(0, params.A - (params.B || 1) * p);
+}
+
+// ------------------ CONSUMIDORES (ocultos) ------------------
+// Cantidad deseada según la familia del consumidor (con presupuestos b ≥ 0: la demanda nunca sube con el precio)
+function familyDemand(c, p) {
+  let q = 0;
+  if (c.type === "linear") q = c.a - c.b * p;
+  else if (c.type === "log") q = c.a - c.b * Math.log(1 + Math.max(0, p));
+  else if (c.type === "exp") q = c.a * Math.exp(-c.b * p);
+  else if (c.type === "poly") {
+    const cc = Math.max(0.001, c.b * 0.01);
+    q = c.a - c.b * p - cc * p * p;
+  }
+  return Math.max(0, q);
+}
+
+// Bien sustituto (config.budgets): la cantidad deseada y la parte del ingreso destinada a este bien
+// escalan con (pSub / p)^substitution
+function substitutionFactor(c, p, pSub) {
+  if (c.income == null || !(pSub > 0)) return 1;
+  return (pSub / Math.max(p, 1e-6)) ** c.substitution;
+}
+
+// Tope de la compra: saciedad y la parte del ingreso que el consumidor destina a este bien.
+// Consumidores sin ingreso (config.budgets desactivado) no tienen tope.
+export function budgetLimit(c, q, p, pSub) {
+  if (c.income == null) return q;
+  const share = Math.min(1, c.budgetShare * substitutionFactor(c, p, pSub));
+  return Math.min(q, c.satiation, (c.income * share) / Math.max(p, 1e-6));
+}
+
+// Demanda "verdadera" de un consumidor, sin ruido; pSub = precio del sustituto (state.substitutePrice)
+export function consumerTrueDemand(c, p, pSub) {
+  return budgetLimit(c, familyDemand(c, p) * substitutionFactor(c, p, pSub), p, pSub);
+}
+
+// consumer demand & reaction (c.noise: ruido del segmento, ver population.js)
+export function computeConsumerDemand(c, p, rng, pSub) {
+  const noiseSigma = c.noise ?? 0.05;
+  const noise = 1 + (rng() - 0.5) * 2 * noiseSigma;
+  return budgetLimit(c, familyDemand(c, p) * substitutionFactor(c, p, pSub) * noise, p, pSub);
+}
+export function consumerReact(prevPrice, newPrice, rng, profile = REACTION_PROFILES.estandar) {
+  if (newPrice === prevPrice) return 1;
+  const outcomes = newPrice > prevPrice ? profile.up : profile.down;
+  const roll = rng();
+  let cum = 0;
+  for (const [prob, range] of outcomes) {
+    cum += prob;
+    if (roll < cum) return randRange(rng, ...range);
+  }
+  return randRange(rng, ...outcomes[outcomes.length - 1][1]);
+}
+
+// Demanda agregada verdadera (oráculo) al precio p
+export function oracleDemand(consumers, p, pSub) {
+  let Q = 0;
+  for (const c of consumers) Q += consumerTrueDemand(c, p, pSub);
+  return Q;
+}
@@ -0,0 +1,601 @@
+import { mulberry32, randRange } from "./utils.js";
+import { DEFAULT, EXPERIMENT_PHASES, REACTION_PROFILES } from "./config.js";
+import { budgetLimit, computeConsumerDemand, consumerReact, createDemandFn, oracleDemand } from "./demand.js";
+import { computeSessionStats } from "./stats.js";
+import { applyScenarioEvent, resolveScenarioPhases } from "./scenario.js";
+import { DEFAULT_ROUTING, createLoadTracker, routeOrder } from "./routing.js";
+import { backlogAt, orderRemaining, pipelineByBuyer, processOrderQueue } from "./network.js";
+import { closeTick, recordProduction, recordSale } from "./ledger.js";
+import { measureWelfare } from "./welfare.js";
+import { runSurvey } from "./survey.js";
+import { createPopulation, drawBudget, updateSegmentConsumer } from "./population.js";
+import { DEFAULT_RATIONING, allocateSupply, recordRationing, shortageSummary } from "./rationing.js";
+import { phaseParams, requirePhase, setPhase } from "./phases.js";
+
+/*
+  Motor de simulación PBC - PFP - PMP (sin React)
+  - createEngine(config, seed) -> { step, snapshot, stats, ... }
+  - step(actions) avanza un tick y devuelve { point, events } (no hay efectos secundarios en la UI)
+  - snapshot() / restoreEngine(snap): foto completa y serializable (incluye estado del rng)
+  - Determinista: mismo config + seed + acciones => misma trayectoria
+  - Se puede usar desde Node, un Web Worker o la UI
+  - config.scenario (ver scenario.js) programa shocks/eventos por tick
+  - config.orders = { partialShipments, expiryTicks }: envíos parciales y cancelación de backorders
+  - config.costs = { holdingCostPerUnit, transferMarkup }: contabilidad de costos y P&L (ledger.js)
+  - config.welfare = { priceCap, gridSteps }: integración de excedentes y equilibrio por tick (welfare.js)
+  - config.surveys = { budget, fixedCost, costPerResponse, responsesPerTick }: encuestas (survey.js)
+  - config.rationing = { enabled, priority, reactions, hoardFactor, maxWait }: escasez y reacción (rationing.js)
+  - config.phases / phaseSchedule / hidePhases: fases del experimento y su calendario (phases.js)
+
+  actions = {
+    priceMode: "auto" | "manual",
+    manualPrice: number,
+    demand: null | { type, params } | { type: "expr", expr, params } | { type: "oracle" },   // demanda percibida del planificador
+    phaseIdx: number,                   // orden de cambio de fase; se omite en los ticks sin orden
+    routing: { pbcToPfp, pfpToPmp },    // política de elección de proveedor (routing.js)
+    rationing: "proRata" | "queue" | "lottery" | "priority",   // reparto si falta oferta (rationing.js)
+  }
+*/
+
+// ------------------ init ------------------
+// Generador original de consumidores (config.population = null): mezcla fija de familias
+function originalConsumer(i, cfg, rng) {
+  const typeRand = rng();
+  let type = "linear";
+  if (typeRand < 0.6) type = "linear";
+  else if (typeRand < 0.85) type = "log";
+  else if (typeRand < 0.98) type = "exp";
+  else type = "poly";
+
+  // Se asignan valores iniciales a y b
+  const a = randRange(rng, 5, 200);
+  // sin presupuestos se conserva el sorteo original (un 5% con pendiente negativa); con presupuestos la
+  // demanda individual nunca sube con el precio
+  const signRoll = rng();
+  let b = 0;
+  if (signRoll < 0.75) b = randRange(rng, 0.01, 10);
+  else if (signRoll < 0.95 || cfg.budgets?.enabled) b = 0;
+  else b = -randRange(rng, 0.1, 5);
+
+  // Se agrega la propiedad nextChange para cambios de preferencias
+  const nextChange = Math.floor(randRange(rng, 0, 50));
+
+  const Ti = Math.round(randRange(rng, cfg.consumerUpdateRange[0], cfg.consumerUpdateRange[1]));
+  return { id: `C${i}`, type, a, b, Ti, nextUpdateAt: Ti, lastUpdate: 0, nextChange };
+}
+
+function initState(cfg, seed) {
+  const rng = mulberry32(seed);
+  const s = {
+    t: 0,
+    seed,
+    rng,
+    price: cfg.p0,
+    consumers: [],
+    firms: { PBC: [], PFP: [], PMP: [] },
+    orders: [],
+    nextOrderId: 0,
+    logs: [],
+    innovations: [],
+    innovationCounts: { scheduled: 0, adopted: 0 },
+    series: [],
+    // pueden cambiar durante la sesión (escenarios)
+    delays: structuredClone(cfg.delays),
+    phaseIdx: 0,
+    phaseLog: [{ t: 0, phaseIdx: 0, name: cfg.phases[0]?.name ?? "0", source: "inicio" }],
+    closedFirms: [],
+    surveys: [], // encuestas del planificador (survey.js)
+    surveySpent: 0,
+    substitutePrice: cfg.budgets?.enabled ? cfg.budgets.substitutePrice : null, // bien sustituto (null = sin sustituto)
+  };
+
+  // create consumers (ocultos): población por segmentos (population.js) o el generador original
+  if (cfg.population) s.consumers = createPopulation(cfg.population, cfg.consumersN, cfg.consumerUpdateRange, rng);
+  else for (let i = 0; i < cfg.consumersN; i++) s.consumers.push(originalConsumer(i, cfg, rng));
+  if (cfg.budgets?.enabled) for (const c of s.consumers) Object.assign(c, drawBudget(cfg.budgets, rng));
+
+  // create firms
+  const pbcCount = Math.round(randRange(rng, cfg.pbcCountRange[0], cfg.pbcCountRange[1]));
+  for (let i = 0; i < pbcCount; i++)
+    s.firms.PBC.push({
+      id: `PBC${i}`,
+      A: randRange(rng, 0.8, 1.3),
+      capacity: randRange(rng, 10, 50),
+      marginalCost: randRange(rng, 0.2, 1.0),
+      inventory: 0,
+      planned: 0,
+      history: [],
+    });
+
+  const pfpCount = Math.round(randRange(rng, cfg.pfpCountRange[0], cfg.pfpCountRange[1]));
+  for (let i = 0; i < pfpCount; i++)
+    s.firms.PFP.push({
+      id: `PFP${i}`,
+      A: randRange(rng, 0.8, 1.3),
+      capacity: randRange(rng, 10, 80),
+      marginalCost: randRange(rng, 0.1, 0.8),
+      inventory: 0,
+      history: [],
+    });
+
+  const pmpCount = Math.round(randRange(rng, cfg.pmpCountRange[0], cfg.pmpCountRange[1]));
+  for (let i = 0; i < pmpCount; i++)
+    s.firms.PMP.push({
+      id: `PMP${i}`,
+      A: randRange(rng, 0.8, 1.3),
+      capacity: randRange(rng, 30, 140),
+      marginalCost: randRange(rng, 0.05, 0.6),
+      inventory: 0,
+      history: [],
+    });
+
+  // aproximar p0 para evitar desequilibrio inicial muy grande
+  let p0 = cfg.p0;
+  for (let iter = 0; iter < 40; iter++) {
+    let Qagg = 0;
+    for (const c of s.consumers) Qagg += computeConsumerDemand(c, p0, rng, s.substitutePrice);
+    const oferta = Math.max(1, s.firms.PBC.reduce((acc, f) => acc + (f.capacity || 0), 0));
+    if (Math.abs(Qagg - oferta) < 1e-2 * Math.max(1, oferta)) break;
+    if (Qagg > oferta) p0 *= 1.05;
+    else p0 *= 0.95;
+  }
+  s.price = p0;
+  s.series.push({
+    t: 0,
+    price: s.price,
+    substitutePrice: s.substitutePrice,
+    qDemand: 0,
+    qServed: 0,
+    efficiency: 1,
+    backlog: 0,
+    backlogAge: 0,
+  });
+
+  return s;
+}
+
+// Cambio de preferencias y actualización periódica de los consumidores del generador original
+function updateOriginalConsumer(c, t, cfg, rng) {
+  // Si se supera el instante para cambio de preferencias, actualizamos type y coeficientes
+  if (t >= c.nextChange) {
+    const r = rng();
+    if (r < 0.33) {
+      c.type = "linear";
+      c.a = randRange(rng, 100, 150);
+      c.b = randRange(rng, 0.5, 1.0);
+    } else if (r < 0.66) {
+      c.type = "log";
+      c.a = randRange(rng, 80, 120);
+      c.b = randRange(rng, 5, 10);
+    } else {
+      c.type = "exp";
+      c.a = randRange(rng, 90, 120);
+      c.b = randRange(rng, 0.1, 0.3);
+    }
+    c.nextChange = t + 30 + Math.floor(randRange(rng, 0, 70));
+  }
+
+  if (t >= c.nextUpdateAt) {
+    if (rng() < 0.15) {
+      c.a = randRange(rng, 5, 200);
+      const signRoll = rng();
+      if (signRoll < 0.75) c.b = randRange(rng, 0.01, 10);
+      else if (signRoll < 0.95 || cfg.budgets?.enabled) c.b = 0;
+      else c.b = -randRange(rng, 0.1, 5);
+    } else {
+      c.a *= 1 + (rng() - 0.5) * 0.08;
+      c.b *= 1 + (rng() - 0.5) * 0.04;
+    }
+    if (rng() < 0.01) c.a *= randRange(rng, 1.5, 3.0);
+    c.nextUpdateAt = t + Math.round(randRange(rng, cfg.consumerUpdateRange[0], cfg.consumerUpdateRange[1]));
+    c.lastUpdate = t;
+  }
+}
+
+// ---------- CORE SIM TICK ----------
+function simTick(s, cfg, actions) {
+  const { priceMode = "auto", manualPrice = cfg.p0, demand = null, phaseIdx = null } = actions;
+  const routing = { ...cfg.routing, ...actions.routing };
+  const rationing = actions.rationing || DEFAULT_RATIONING;
+  const rationingCfg = { ...DEFAULT.rationing, ...cfg.rationing };
+  const rng = s.rng;
+  const events = [];
+  const emit = (type, msg, data) => events.push({ t: s.t, type, msg, ...(data && { data }) });
+  s.t = (s.t || 0) + 1;
+
+  // fase: manda el último cambio, sea una orden del planificador, el calendario o el escenario
+  if (phaseIdx != null) setPhase(s, cfg, requirePhase(cfg.phases, phaseIdx, "Planificador"), "planificador");
+  for (const step of cfg.phaseSchedule || []) {
+    if (step.at === s.t && setPhase(s, cfg, step.phaseIdx, "calendario"))
+      emit("phase_change", `Fase ${cfg.phases[step.phaseIdx]?.name ?? step.phaseIdx} (calendario)`, { phaseIdx: step.phaseIdx });
+  }
+
+  // encuestas que vuelven del campo
+  for (const sv of s.surveys) if (sv.readyAt === s.t) emit("survey_ready", `Encuesta #${sv.id + 1} lista (${sv.responses} respuestas)`);
+
+  // eventos programados del escenario
+  if (cfg.scenario) {
+    for (const ev of cfg.scenario.events) if (ev.at === s.t) applyScenarioEvent(s, cfg, ev, emit);
+  }
+
+  const prevPrice = s.price;
+  // manual price override
+  if (priceMode === "manual") s.price = Math.max(cfg.pMin, manualPrice);
+
+  // consumers update
+  const phase = phaseParams(cfg.phases, s.phaseIdx);
+  // volatilidad de la fase: shock común a toda la demanda del tick (sin volatilidad no se sortea, como
+  // antes del diseñador de fases)
+  const demandShock = phase.volatility > 0 ? 1 + phase.volatility * (2 * rng() - 1) : 1;
+  let Qagg = 0;
+  const demands = []; // pedido de cada consumidor en el tick (demanda nueva + lo que arrastra de la cola)
+  for (const c of s.consumers) {
+    if (c.segment != null) updateSegmentConsumer(c, cfg.population.segments[c.segment], s.t, cfg.consumerUpdateRange, rng);
+    else updateOriginalConsumer(c, s.t, cfg, rng);
+    // pequeñas variaciones
+    c.a += (rng() - 0.5) * 0.01 * c.a;
+    c.b += (rng() - 0.5) * 0.01 * c.b;
+    // feedback experimental
+    if (phase.feedbackStrength) c.a += phase.feedbackStrength * (prevPrice - s.price);
+
+    let baseQ = computeConsumerDemand(c, s.price, rng, s.substitutePrice);
+    const reactFactor = consumerReact(prevPrice, s.price, rng, REACTION_PROFILES[c.reaction] || REACTION_PROFILES.estandar);
+    baseQ *= demandShock * reactFactor * (c.hoarding ? 1 + rationingCfg.hoardFactor : 1);
+    // lo que quedó en cola, la reacción y el acaparamiento tampoco pueden pasar el tope de presupuesto y saciedad
+    baseQ = budgetLimit(c, baseQ + (c.queued || 0), s.price, s.substitutePrice);
+    Qagg += baseQ;
+    demands.push(baseQ);
+  }
+
+  // perceived demand usada por PBC (si el planificador aplicó una fn la usaremos)
+  // ("oracle": el planificador sombra planifica con la demanda verdadera, ver oracle.js)
+  let perceivedFn = (p) => Qagg * (0.85 + 0.3 * rng());
+  if (demand && demand.type === "oracle") perceivedFn = (p) => oracleDemand(s.consumers, p, s.substitutePrice);
+  else if (demand) perceivedFn = createDemandFn(demand.type, demand.params, demand.expr);
+
+  // volumen pendiente por proveedor (para la política "leastLoaded")
+  const load = createLoadTracker(s.orders);
+  const orderCfg = { ...DEFAULT.orders, ...cfg.orders };
+  const costCfg = { ...DEFAULT.costs, ...cfg.costs };
+
+  // PBC planning: comparten carga por capacidad*eficiencia A
+  const sumA = Math.max(
+    1e-6,
+    s.firms.PBC.reduce((acc, f) => acc + f.A * (f.capacity || 1), 0)
+  );
+  // lo ya pedido y aún no recibido cuenta: no se vuelve a pedir el mismo faltante cada tick
+  const pbcPipeline = pipelineByBuyer(s.orders, "PBC->PFP");
+  for (const f of s.firms.PBC) {
+    const share = (f.A * (f.capacity || 1)) / sumA;
+    const plan = Math.max(0, perceivedFn(s.price)) * share;
+    f.planned = plan;
+    // si plan necesita insumos -> pedido a PFP
+    const needed = plan - f.inventory - (pbcPipeline[f.id] || 0);
+    if (needed > 0) {
+      for (const { supplier: pfp, amount } of routeOrder(routing.pbcToPfp, s.firms.PFP, needed, { rng, load })) {
+        const delay = Math.round(randRange(rng, s.delays.pbcToPfp[0], s.delays.pbcToPfp[1]) * phase.delayMult);
+        s.orders.push({
+          id: s.nextOrderId++,
+          level: "PBC->PFP",
+          from: f.id,
+          to: pfp.id,
+          amount,
+          shipped: 0,
+          createdAt: s.t,
+          due: s.t + delay,
+          policy: routing.pbcToPfp,
+        });
+        load.add(pfp.id, amount);
+      }
+    }
+  }
+
+  // PFP y PMP producen algo base (capacidad * factor aleatorio)
+  for (const pmp of s.firms.PMP) {
+    const produced = (pmp.capacity || 10) * (0.4 + rng() * 0.6);
+    recordProduction(pmp, produced);
+    pmp.inventory = (pmp.inventory || 0) + produced;
+    pmp.history.push({ t: s.t, produced });
+  }
+  for (const pfp of s.firms.PFP) {
+    const produced = (pfp.capacity || 10) * (0.4 + rng() * 0.6);
+    recordProduction(pfp, produced);
+    pfp.inventory = (pfp.inventory || 0) + produced;
+    pfp.history.push({ t: s.t, produced });
+  }
+
+  // procesar colas de pedidos vencidos (backorders), aguas arriba primero: lo que una PFP
+  // recibe de PMP en este tick ya puede servir su cola hacia las PBC
+  processOrderQueue(s, "PFP->PMP", orderCfg, costCfg, emit);
+  processOrderQueue(s, "PBC->PFP", orderCfg, costCfg, emit);
+
+  // PFP con cola atrasada piden a PMP sólo lo que no está ya en camino
+  const backlogByPfp = {};
+  for (const o of s.orders) {
+    if (o.filled || o.level !== "PBC->PFP" || o.due > s.t) continue;
+    const b = (backlogByPfp[o.to] = backlogByPfp[o.to] || { amount: 0, oldest: o });
+    b.amount += orderRemaining(o);
+  }
+  const pfpPipeline = pipelineByBuyer(s.orders, "PFP->PMP");
+  for (const pfp of s.firms.PFP) {
+    const b = backlogByPfp[pfp.id];
+    if (!b) continue;
+    const need = b.amount - (pfp.inventory || 0) - (pfpPipeline[pfp.id] || 0);
+    if (need <= 0) continue;
+    for (const { supplier: pmp, amount } of routeOrder(routing.pfpToPmp, s.firms.PMP, need, { rng, load })) {
+      const delay = Math.round(randRange(rng, s.delays.pfpToPmp[0], s.delays.pfpToPmp[1]) * phase.delayMult);
+      s.orders.push({
+        id: s.nextOrderId++,
+        level: "PFP->PMP",
+        from: pfp.id,
+        to: pmp.id,
+        amount,
+        shipped: 0,
+        createdAt: s.t,
+        due: s.t + delay,
+        origId: b.oldest.id,
+        policy: routing.pfpToPmp,
+      });
+      load.add(pmp.id, amount);
+      emit("order_escalated", `${pfp.id} pide a ${pmp.id}`);
+    }
+  }
+
+  // PBC sirven a clientes (limitadas por inventario y capacidad). Con racionamiento venden, como
+  // máximo, lo que piden los consumidores y si no alcanza la regla reparte; sin él (modelo original)
+  // venden todo lo que ofrecen y lo servido se reparte pro-rata
+  const pricePaid = s.price;
+  const offers = s.firms.PBC.map((f) => Math.max(0, Math.min(f.planned || 0, f.inventory || 0, f.capacity || 9999)));
+  const supply = offers.reduce((a, q) => a + q, 0);
+  const Qserved = rationingCfg.enabled ? Math.min(supply, Qagg) : supply;
+  const soldShare = supply > 0 ? Qserved / supply : 0;
+  s.firms.PBC.forEach((f, i) => {
+    const produced = offers[i] * soldShare;
+    recordSale(f, produced, s.price);
+    f.inventory = (f.inventory || 0) - produced;
+    f.history.push({ t: s.t, produced });
+  });
+  const allocations = allocateSupply(rationingCfg.enabled ? rationing : "proRata", s.consumers, demands, Qserved, {
+    rng,
+    priority: rationingCfg.priority,
+    population: cfg.population,
+  });
+  const shortage = rationingCfg.enabled
+    ? recordRationing(s, demands, allocations, rationingCfg, rng)
+    : shortageSummary(demands, allocations);
+
+  // Ajuste automático del precio: exceso de demanda sobre lo ofrecido (en el modelo original lo
+  // ofrecido es lo servido)
+  if (priceMode === "auto") {
+    const adjustGain = cfg.pPriceAdjustGain;
+    const delta = Qagg === 0 ? 0 : (Qagg - supply) / Math.max(1, Qagg);
+    s.price = Math.max(cfg.pMin, s.price * (1 + adjustGain * delta));
+  }
+
+  // Innovaciones aleatorias programadas (la fase acelera o frena la tasa)
+  if (rng() < cfg.innovation.probPerTick * phase.innovationMult) {
+    const levels = ["PBC", "PFP", "PMP"];
+    const level = levels[Math.floor(rng() * levels.length)];
+    const firms = s.firms[level];
+    if (firms && firms.length > 0) {
+      const f = firms[Math.floor(rng() * firms.length)];
+      const costMul = randRange(rng, cfg.innovation.costMultRange[0], cfg.innovation.costMultRange[1]);
+      const tfpMul = randRange(rng, cfg.innovation.tfpMultRange[0], cfg.innovation.tfpMultRange[1]);
+      const adopt = Math.round(randRange(rng, cfg.innovation.adoptionRange[0], cfg.innovation.adoptionRange[1]));
+      const innov = {
+        firm: f.id,
+        level,
+        costMul,
+        tfpMul,
+        scheduleAt: s.t,
+        adoptAt: s.t + adopt,
+        adopted: false,
+      };
+      s.innovations.push(innov);
+      s.innovationCounts.scheduled += 1;
+      emit("innovation_scheduled", `Innovación programada ${f.id} (${level})`);
+    }
+  }
+
+  // adopción
+  for (const innov of s.innovations.filter((x) => !x.adopted && x.adoptAt <= s.t)) {
+    const lvl = innov.level;
+    const firm = s.firms[lvl].find((x) => x.id === innov.firm);
+    if (firm) {
+      firm.marginalCost = Math.max(0.01, firm.marginalCost * innov.costMul);
+      firm.A = (firm.A || 1) * innov.tfpMul;
+      innov.adopted = true;
+      s.innovationCounts.adopted += 1;
+      emit("innovation_adopted", `${firm.id} adoptó innovación (${lvl})`);
+      s.logs.push({ t: s.t, type: "innovation_adopted", firm: firm.id, detail: innov });
+    }
+  }
+
+  // inventario de cierre y P&L del tick en la historia de cada firma
+  let chainProfit = 0;
+  for (const lvl of ["PBC", "PFP", "PMP"]) {
+    for (const f of s.firms[lvl]) {
+      const pnl = closeTick(f, costCfg.holdingCostPerUnit);
+      chainProfit += pnl.profit;
+      const h = f.history[f.history.length - 1];
+      if (h && h.t === s.t) {
+        h.inventory = f.inventory;
+        h.pnl = pnl;
+      }
+    }
+  }
+
+  // record new series point
+  const backlog = backlogAt(s);
+  const welfare = measureWelfare(s, { ...DEFAULT.welfare, ...cfg.welfare }, {
+    price: pricePaid,
+    allocations,
+    producerSurplus: chainProfit,
+  });
+  const round = (x, d = 3) => Number(x.toFixed(d));
+  const point = {
+    t: s.t,
+    price: Number(s.price.toFixed(4)),
+    substitutePrice: s.substitutePrice, // público: precio del bien sustituto (null sin presupuestos)
+    qDemand: Number(Qagg.toFixed(3)),
+    qServed: Number(Qserved.toFixed(3)),
+    efficiency: Number((Qserved / Math.max(1, Qagg)).toFixed(3)),
+    unmet: round(shortage.unmet),
+    rationed: shortage.rationed, // consumidores a los que les faltó algo
+    queued: round(shortage.queued), // unidades que vuelven a pedirse el tick siguiente
+    backlog: Number(backlog.amount.toFixed(3)),
+    backlogAge: Number(backlog.ageMean.toFixed(2)),
+    cs: round(welfare.cs),
+    ps: round(welfare.ps),
+    welfare: round(welfare.total),
+    optimum: round(welfare.optimum),
+    dwl: round(welfare.dwl),
+    eqPrice: round(welfare.eqPrice, 4),
+    eqQty: round(welfare.eqQty),
+  };
+  s.series.push(point);
+
+  // logs trimming
+  if (s.logs.length > 5000) s.logs = s.logs.slice(-2000);
+
+  return { point, events };
+}
+
+// ------------------ API ------------------
+export const SNAPSHOT_FORMAT = "pbc-pfp-pmp-snapshot";
+// Cada cambio de formato del snapshot sube la versión y agrega su paso en SNAPSHOT_MIGRATIONS
+export const SNAPSHOT_VERSION = 2;
+
+function buildEngine(cfg, s) {
+  return {
+    config: cfg,
+    // estado vivo (sólo lectura para la UI)
+    get state() {
+      return s;
+    },
+    get t() {
+      return s.t;
+    },
+    get price() {
+      return s.price;
+    },
+    step(actions = {}) {
+      return simTick(s, cfg, actions);
+    },
+    // foto completa y serializable a JSON: restoreEngine(snapshot) continúa idéntico
+    snapshot() {
+      const { rng, ...rest } = s;
+      return structuredClone({
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        config: cfg,
+        rngState: rng.getState(),
+        state: rest,
+      });
+    },
+    stats() {
+      return computeSessionStats(s);
+    },
+    oracleDemandAt(p) {
+      return oracleDemand(s.consumers, p, s.substitutePrice);
+    },
+    // encuesta diseñada por el planificador (survey.js): consume el rng y el presupuesto de encuestas
+    runSurvey(design) {
+      return runSurvey(s, design, cfg.surveys ?? DEFAULT.surveys);
+    },
+    // SÓLO PARA REPRODUCIR bitácoras anteriores a survey.js: la OLS rápida que reemplazó el panel de
+    // encuestas. Ninguna parte de la UI la llama; se conserva porque consume el rng de la simulación y
+    // stepJournal la necesita para que esas sesiones se reproduzcan igual. Las encuestas nuevas usan runSurvey.
+    replayLegacySurvey(sampleSize = 30, pHigh = 2) {
+      const rng = s.rng;
+      const ps = [];
+      const qs = [];
+      for (let i = 0; i < sampleSize; i++) {
+        const p = randRange(rng, 0.5, Math.max(2, pHigh));
+        let q = 0;
+        for (const c of s.consumers.slice(0, Math.min(60, s.consumers.length))) q += computeConsumerDemand(c, p, rng, s.substitutePrice);
+        q *= 1 + (rng() - 0.5) * 0.2; // ruido observacional
+        ps.push(p);
+        qs.push(q);
+      }
+      return { ps, qs };
+    },
+  };
+}
+
+export function createEngine(config = {}, seed = config.seed ?? DEFAULT.seed) {
+  const cfg = { ...DEFAULT, phases: EXPERIMENT_PHASES, scenario: null, routing: DEFAULT_ROUTING, ...config };
+  // calendario y escenario se validan contra las fases de esta sesión; el escenario busca sus fases por nombre
+  (cfg.phaseSchedule || []).forEach((step, i) => requirePhase(cfg.phases, step.phaseIdx, `Calendario ${i + 1}`));
+  if (cfg.scenario) cfg.scenario = resolveScenarioPhases(cfg.scenario, cfg.phases);
+  return buildEngine(cfg, initState(cfg, seed));
+}
+
+// ---------- MIGRACIÓN DE SNAPSHOTS ----------
+// SNAPSHOT_MIGRATIONS[v] lleva { config, state } de la versión v a la v + 1. Mientras el formato crecía
+// el número no se subía, así que un snapshot "1" puede venir de cualquier punto de esa serie: el paso
+// completa sólo lo que falta y mira lo que sí trae para elegir lo que el motor hacía cuando se guardó.
+const SNAPSHOT_MIGRATIONS = {
+  1({ config, state }) {
+    // plazos vivos en el estado (escenarios) y ruteo al azar, como el motor original
+    state.delays ??= structuredClone(config.delays);
+    config.routing ??= { ...DEFAULT_ROUTING };
+    // envíos parciales: sin config.orders los pedidos eran todo-o-nada y no vencían
+    config.orders ??= { partialShipments: false, expiryTicks: 0 };
+    for (const o of state.orders) o.shipped ??= o.filled && !o.expired && !o.dropped ? o.amount : 0;
+    // contabilidad de costos (cuenta acumulada por firma, también las cerradas)
+    config.costs ??= { ...DEFAULT.costs };
+    state.closedFirms ??= [];
+    const fields = ["revenue", "productionCost", "purchases", "holdingCost", "profit"];
+    for (const f of [...state.firms.PBC, ...state.firms.PFP, ...state.firms.PMP, ...state.closedFirms])
+      f.account ??= Object.fromEntries(fields.map((k) => [k, 0]));
+    // encuestas del planificador y su gasto
+    config.surveys ??= { ...DEFAULT.surveys };
+    state.surveys ??= [];
+    state.surveySpent ??= 0;
+    // presupuestos: los que los tenían ya guardaban enabled
+    config.budgets ??= { ...DEFAULT.budgets, enabled: false };
+    state.substitutePrice ??= null;
+    // racionamiento: sin config.rationing no lo había; con ella, pero sin enabled, siempre se racionaba
+    config.rationing = config.rationing
+      ? { ...config.rationing, enabled: config.rationing.enabled ?? true }
+      : { ...DEFAULT.rationing, enabled: false };
+    // fase en el estado con su bitácora y órdenes de fase puntuales; antes del diseñador de fases la
+    // volatilidad no se usaba y no había calendario
+    if (!state.phaseLog) {
+      config.phases = config.phases.map((ph) => ({ ...ph, volatility: 0, delayMult: 1, innovationMult: 1 }));
+      config.phaseSchedule ??= [];
+      config.hidePhases ??= false;
+    }
+    state.phaseIdx ??= 0;
+    state.phaseLog ??= [{ t: state.t, phaseIdx: state.phaseIdx, name: config.phases[state.phaseIdx]?.name, source: "inicio" }];
+    delete state.plannerPhaseIdx;
+    // costo en recursos del inventario y costo de ventas de las PBC. Lo vendido antes se reconstruye con
+    // el costo de libros de cada PBC (compras + transformación - inventario), que incluye los márgenes
+    for (const level of ["PBC", "PFP", "PMP"]) {
+      for (const f of [...state.firms[level], ...state.closedFirms.filter((f) => f.level === level)]) {
+        const onHand = Math.max(0, f.inventory || 0) * (f.unitCost ?? f.marginalCost);
+        f.account.cogs ??= level === "PBC" ? Math.max(0, f.account.purchases + f.account.productionCost - onHand) : 0;
+        f.resourceCost ??= f.unitCost ?? f.marginalCost;
+      }
+    }
+  },
+};
+
+// Devuelve una copia del snapshot llevada a SNAPSHOT_VERSION; lanza Error si no es un snapshot conocido
+export function migrateSnapshot(snap) {
+  if (!snap || snap.format !== SNAPSHOT_FORMAT) throw new Error("Snapshot inválido: formato desconocido");
+  if (!(Number.isInteger(snap.version) && snap.version >= 1 && snap.version <= SNAPSHOT_VERSION))
+    throw new Error(`Snapshot inválido: versión ${snap.version} no soportada`);
+  if (!snap.state || !Number.isFinite(snap.rngState)) throw new Error("Snapshot inválido: falta estado o rng");
+  const out = structuredClone(snap);
+  for (; out.version < SNAPSHOT_VERSION; out.version++) SNAPSHOT_MIGRATIONS[out.version](out);
+  return out;
+}
+
+export function restoreEngine(snap) {
+  const { config, state, rngState } = migrateSnapshot(snap);
+  const rng = mulberry32(state.seed);
+  rng.setState(rngState);
+  return buildEngine(config, { ...state, rng });
+}
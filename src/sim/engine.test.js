@@ -0,0 +1,139 @@
+import { SNAPSHOT_VERSION, createEngine, migrateSnapshot, restoreEngine } from "./engine.js";
+import { DEFAULT } from "./config.js";
+import { oracleDemand } from "./demand.js";
+import { DEFAULT_ROUTING } from "./routing.js";
+import snapshotV1 from "./fixtures/snapshot-v1-base.json";
+import snapshotRationing from "./fixtures/snapshot-v1-rationing.json";
+import snapshotPrePhases from "./fixtures/snapshot-v1-prephases.json";
+
+// política fija: modo automático con una demanda lineal aplicada a mitad de camino
+function actionsFor(t) {
+  return t < 20 ? { priceMode: "auto" } : { priceMode: "auto", demand: { type: "linear", params: { A: 90, B: 3 } } };
+}
+
+function run(engine, ticks) {
+  for (let i = 0; i < ticks; i++) engine.step(actionsFor(engine.t + 1));
+  return engine;
+}
+
+const config = { consumersN: 80 };
+
+test("mismo config, seed y acciones dan la misma serie", () => {
+  const a = run(createEngine(config, 7), 60);
+  const b = run(createEngine(config, 7), 60);
+  expect(b.state.series).toEqual(a.state.series);
+  expect(b.stats()).toEqual(a.stats());
+});
+
+test("otra seed da otra trayectoria", () => {
+  const a = run(createEngine(config, 7), 30);
+  const b = run(createEngine(config, 8), 30);
+  expect(b.state.series).not.toEqual(a.state.series);
+});
+
+test("snapshot -> JSON -> restoreEngine continúa idéntico", () => {
+  const engine = run(createEngine(config, 11), 40);
+  const restored = restoreEngine(JSON.parse(JSON.stringify(engine.snapshot())));
+  expect(restored.t).toBe(40);
+  run(engine, 30);
+  run(restored, 30);
+  expect(restored.state.series).toEqual(engine.state.series);
+  expect(JSON.stringify(restored.snapshot())).toBe(JSON.stringify(engine.snapshot()));
+});
+
+test("restoreEngine rechaza fotos que no son del motor", () => {
+  expect(() => restoreEngine({ format: "otro" })).toThrow("Snapshot inválido");
+  const snap = createEngine(config, 3).snapshot();
+  expect(() => restoreEngine({ ...snap, version: SNAPSHOT_VERSION + 1 })).toThrow(`versión ${SNAPSHOT_VERSION + 1}`);
+  expect(() => restoreEngine({ ...snap, version: 0 })).toThrow("versión 0");
+});
+
+// snapshot guardado por el primer formato (versión 1): sin plazos en el estado, ruteo, envíos parciales,
+// contabilidad, encuestas, presupuestos, racionamiento ni bitácora de fases
+const versionOneSnapshot = () => structuredClone(snapshotV1);
+
+test("migrateSnapshot lleva un snapshot de la versión 1 a la actual", () => {
+  const old = versionOneSnapshot();
+  const snap = migrateSnapshot(old);
+  expect(snap.version).toBe(SNAPSHOT_VERSION);
+  expect(old.version).toBe(1);
+  expect(old.state.delays).toBeUndefined();
+  expect(snap.state.delays).toEqual(old.config.delays);
+  expect(snap.config.routing).toEqual(DEFAULT_ROUTING);
+  expect(snap.config.orders).toEqual({ partialShipments: false, expiryTicks: 0 });
+  expect(snap.config.budgets.enabled).toBe(false);
+  expect(snap.config.rationing.enabled).toBe(false);
+  expect(snap.config.phases.every((ph) => ph.volatility === 0 && ph.delayMult === 1)).toBe(true);
+  expect(snap.state.orders.every((o) => o.shipped === (o.filled ? o.amount : 0))).toBe(true);
+  expect(snap.state.firms.PBC[0].account).toMatchObject({ profit: 0, cogs: 0 });
+  expect(snap.state).toMatchObject({ surveys: [], surveySpent: 0, substitutePrice: null, closedFirms: [], phaseIdx: 0 });
+  expect(snap.state.phaseLog).toEqual([{ t: 15, phaseIdx: 0, name: "A", source: "inicio" }]);
+});
+
+test("un snapshot de la versión 1 sigue la misma trayectoria que una corrida sin interrupciones", () => {
+  const straight = restoreEngine(versionOneSnapshot());
+  run(straight, 30);
+  expect(straight.t).toBe(45);
+  expect(straight.state.series.every((pt) => Object.values(pt).every((v) => v === null || Number.isFinite(v)))).toBe(true);
+
+  // guardar y retomar a mitad de camino con el formato actual no cambia nada
+  const resumed = restoreEngine(versionOneSnapshot());
+  run(resumed, 12);
+  const again = restoreEngine(JSON.parse(JSON.stringify(resumed.snapshot())));
+  run(again, 18);
+  expect(again.state.series).toEqual(straight.state.series);
+  expect(again.stats()).toEqual(straight.stats());
+});
+
+test("migrateSnapshot reconstruye el costo de ventas de un snapshot con contabilidad sin costo de ventas", () => {
+  const snap = run(createEngine(config, 13), 30).snapshot();
+  const firms = ["PBC", "PFP", "PMP"].flatMap((lvl) => snap.state.firms[lvl]);
+  for (const f of firms) {
+    delete f.account.cogs;
+    delete f.resourceCost;
+  }
+  const migrated = migrateSnapshot({ ...snap, version: 1 });
+  const pbc = migrated.state.firms.PBC[0];
+  const onHand = pbc.inventory * (pbc.unitCost ?? pbc.marginalCost);
+  expect(pbc.account.cogs).toBeCloseTo(Math.max(0, pbc.account.purchases + pbc.account.productionCost - onHand), 9);
+  expect(pbc.resourceCost).toBe(pbc.unitCost ?? pbc.marginalCost);
+  expect(migrated.state.firms.PMP[0].account.cogs).toBe(0);
+});
+
+// retoma el snapshot en el motor de hoy y compara con lo que el motor que lo guardó hizo después
+function expectSameContinuation({ snapshot, next }) {
+  const engine = restoreEngine(snapshot);
+  const points = next.map(() => engine.step({}).point);
+  for (const [i, pt] of next.entries()) expect(points[i]).toMatchObject(pt);
+}
+
+test("un snapshot guardado antes de rationing.enabled sigue racionando como cuando se guardó", () => {
+  const snap = migrateSnapshot(snapshotRationing.snapshot);
+  expect(snapshotRationing.snapshot.config.rationing.enabled).toBeUndefined();
+  expect(snap.config.rationing).toMatchObject({ enabled: true, maxWait: 10 });
+  expectSameContinuation(snapshotRationing);
+});
+
+test("un snapshot guardado antes del diseñador de fases sigue igual: sin volatilidad no se sortea el shock", () => {
+  const snap = migrateSnapshot(snapshotPrePhases.snapshot);
+  expect(snap.config.phases.every((ph) => ph.volatility === 0)).toBe(true);
+  expectSameContinuation(snapshotPrePhases);
+});
+
+test("migrateSnapshot no toca un snapshot de la versión actual", () => {
+  const snap = run(createEngine(config, 13), 10).snapshot();
+  expect(migrateSnapshot(snap)).toEqual(snap);
+});
+
+test("el regret usa el precio del sustituto de cada tick", () => {
+  const scenario = { name: "t", events: [{ at: 10, type: "substitutePrice", price: 3 }] };
+  const engine = run(createEngine({ ...config, budgets: { ...DEFAULT.budgets, enabled: true }, scenario }, 5), 20);
+  const series = engine.state.series;
+  expect(series[5].substitutePrice).toBe(DEFAULT.budgets.substitutePrice);
+  expect(series[15].substitutePrice).toBe(3);
+  const expected = series.reduce(
+    (acc, pt) => acc + Math.abs(pt.qServed - oracleDemand(engine.state.consumers, pt.price, pt.substitutePrice)),
+    0
+  );
+  expect(engine.stats().cumulativeRegret).toBeCloseTo(expected, 6);
+});
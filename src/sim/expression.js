@@ -0,0 +1,263 @@
+// ------------------ EXPRESIONES DE DEMANDA (parser seguro, sin eval) ------------------
+// Gramática (de menor a mayor precedencia):
+//   cmp  := sum (("<" | "<=" | ">" | ">=" | "==" | "!=") sum)?     -> 1 / 0
+//   sum  := prod (("+" | "-") prod)*
+//   prod := unary (("*" | "/") unary)*
+//   unary:= "-" unary | pow
+//   pow  := atom ("^" unary)?                                       (asociativa a derecha)
+//   atom := número | p | constante | parámetro | fn "(" args ")" | "(" cmp ")"
+// `p` es el precio; pi y e son constantes; cualquier otro identificador es un parámetro con nombre
+// (el editor le crea un slider). Ejemplo con quiebre: if(p < 4, A - B*p, (A - 4*B) * exp(-k*(p - 4)))
+
+export const EXPR_FUNCTIONS = {
+  exp: { arity: 1, fn: Math.exp },
+  log: { arity: 1, fn: Math.log },
+  sqrt: { arity: 1, fn: Math.sqrt },
+  abs: { arity: 1, fn: Math.abs },
+  pow: { arity: 2, fn: Math.pow },
+  min: { arity: -1, fn: Math.min },
+  max: { arity: -1, fn: Math.max },
+  if: { arity: 3, fn: null }, // if(cond, a, b): sólo evalúa la rama elegida
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+const OPS2 = ["<=", ">=", "==", "!="];
+const OPS1 = "+-*/^(),<>";
+
+function syntaxError(message, pos) {
+  return new Error(`Expresión inválida: ${message} (posición ${pos + 1})`);
+}
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const num = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(src.slice(i));
+    if (num) {
+      tokens.push({ t: "num", v: Number(num[0]), pos: i });
+      i += num[0].length;
+      continue;
+    }
+    const id = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+    if (id) {
+      tokens.push({ t: "id", v: id[0], pos: i });
+      i += id[0].length;
+      continue;
+    }
+    const two = src.slice(i, i + 2);
+    if (OPS2.includes(two)) {
+      tokens.push({ t: "op", v: two, pos: i });
+      i += 2;
+      continue;
+    }
+    if (OPS1.includes(ch)) {
+      tokens.push({ t: "op", v: ch, pos: i });
+      i++;
+      continue;
+    }
+    throw syntaxError(`carácter inesperado "${ch}"`, i);
+  }
+  tokens.push({ t: "end", pos: src.length });
+  return tokens;
+}
+
+// Devuelve el árbol sintáctico; lanza Error con la posición del problema
+export function parseExpression(src) {
+  const tokens = tokenize(String(src ?? ""));
+  let k = 0;
+  const peek = () => tokens[k];
+  const isOp = (...ops) => peek().t === "op" && ops.includes(peek().v);
+  function expect(op) {
+    if (!isOp(op)) throw syntaxError(`se esperaba "${op}"`, peek().pos);
+    k++;
+  }
+
+  function cmp() {
+    const a = sum();
+    if (isOp("<", "<=", ">", ">=", "==", "!=")) {
+      const op = tokens[k++].v;
+      return { k: "bin", op, a, b: sum() };
+    }
+    return a;
+  }
+  function sum() {
+    let a = prod();
+    while (isOp("+", "-")) {
+      const op = tokens[k++].v;
+      a = { k: "bin", op, a, b: prod() };
+    }
+    return a;
+  }
+  function prod() {
+    let a = unary();
+    while (isOp("*", "/")) {
+      const op = tokens[k++].v;
+      a = { k: "bin", op, a, b: unary() };
+    }
+    return a;
+  }
+  function unary() {
+    if (isOp("-")) {
+      k++;
+      return { k: "neg", a: unary() };
+    }
+    if (isOp("+")) {
+      k++;
+      return unary();
+    }
+    return pow();
+  }
+  function pow() {
+    const a = atom();
+    if (isOp("^")) {
+      k++;
+      return { k: "bin", op: "^", a, b: unary() };
+    }
+    return a;
+  }
+  function atom() {
+    const tok = peek();
+    if (tok.t === "num") {
+      k++;
+      return { k: "num", v: tok.v };
+    }
+    if (tok.t === "id") {
+      k++;
+      if (isOp("(")) {
+        const spec = EXPR_FUNCTIONS[tok.v];
+        if (!spec) throw syntaxError(`función desconocida "${tok.v}"`, tok.pos);
+        k++;
+        const args = [];
+        if (!isOp(")")) {
+          args.push(cmp());
+          while (isOp(",")) {
+            k++;
+            args.push(cmp());
+          }
+        }
+        expect(")");
+        if (spec.arity >= 0 && args.length !== spec.arity)
+          throw syntaxError(`${tok.v}() recibe ${spec.arity} argumento(s)`, tok.pos);
+        if (spec.arity < 0 && args.length === 0) throw syntaxError(`${tok.v}() necesita argumentos`, tok.pos);
+        return { k: "call", fn: tok.v, args };
+      }
+      if (EXPR_FUNCTIONS[tok.v]) throw syntaxError(`"${tok.v}" es una función: falta "("`, tok.pos);
+      if (tok.v === "p") return { k: "price" };
+      if (tok.v in CONSTANTS) return { k: "num", v: CONSTANTS[tok.v] };
+      return { k: "param", name: tok.v };
+    }
+    if (isOp("(")) {
+      k++;
+      const inner = cmp();
+      expect(")");
+      return inner;
+    }
+    throw syntaxError(tok.t === "end" ? "falta un término" : `símbolo inesperado "${tok.v}"`, tok.pos);
+  }
+
+  const ast = cmp();
+  if (peek().t !== "end") throw syntaxError(`sobra "${peek().v}"`, peek().pos);
+  return ast;
+}
+
+// Nombres de parámetros en orden de aparición
+export function expressionParams(ast) {
+  const names = [];
+  (function walk(n) {
+    if (n.k === "param" && !names.includes(n.name)) names.push(n.name);
+    if (n.a) walk(n.a);
+    if (n.b) walk(n.b);
+    if (n.args) n.args.forEach(walk);
+  })(ast);
+  return names;
+}
+
+const BIN = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "^": (a, b) => Math.pow(a, b),
+  "<": (a, b) => (a < b ? 1 : 0),
+  "<=": (a, b) => (a <= b ? 1 : 0),
+  ">": (a, b) => (a > b ? 1 : 0),
+  ">=": (a, b) => (a >= b ? 1 : 0),
+  "==": (a, b) => (a === b ? 1 : 0),
+  "!=": (a, b) => (a !== b ? 1 : 0),
+};
+
+// Convierte el árbol en una función (p, params) -> número armando clausuras (nada de eval/new Function)
+export function compileExpression(ast) {
+  switch (ast.k) {
+    case "num":
+      return () => ast.v;
+    case "price":
+      return (p) => p;
+    case "param":
+      return (p, params) => Number(params[ast.name] ?? 0);
+    case "neg": {
+      const a = compileExpression(ast.a);
+      return (p, params) => -a(p, params);
+    }
+    case "bin": {
+      const a = compileExpression(ast.a);
+      const b = compileExpression(ast.b);
+      const op = BIN[ast.op];
+      return (p, params) => op(a(p, params), b(p, params));
+    }
+    case "call": {
+      const args = ast.args.map(compileExpression);
+      if (ast.fn === "if") {
+        const [c, x, y] = args;
+        return (p, params) => (c(p, params) !== 0 ? x(p, params) : y(p, params));
+      }
+      const fn = EXPR_FUNCTIONS[ast.fn].fn;
+      return (p, params) => fn(...args.map((f) => f(p, params)));
+    }
+    default:
+      throw new Error(`Nodo desconocido: ${ast.k}`);
+  }
+}
+
+// el motor crea la función percibida en cada tick: se cachea el compilado por texto
+const cache = new Map();
+export function compileDemandExpression(src) {
+  if (!cache.has(src)) {
+    const ast = parseExpression(src);
+    cache.set(src, { fn: compileExpression(ast), params: expressionParams(ast) });
+    if (cache.size > 100) cache.delete(cache.keys().next().value);
+  }
+  return cache.get(src);
+}
+
+// Revisa la expresión en una grilla de precios [0, maxP]: error si no compila, si le falta un
+// parámetro o si da valores no finitos; aviso si da negativos (la demanda se recorta a 0)
+export function validateDemandExpression(src, params = {}, { maxP = 20, steps = 80 } = {}) {
+  const errors = [];
+  const warnings = [];
+  let compiled;
+  try {
+    compiled = compileDemandExpression(src);
+  } catch (err) {
+    return { errors: [err.message], warnings, params: [] };
+  }
+  const missing = compiled.params.filter((name) => !Number.isFinite(params[name]));
+  if (missing.length) errors.push(`Parámetros sin valor: ${missing.join(", ")}`);
+  else {
+    let firstBad = null;
+    let firstNeg = null;
+    for (let i = 0; i <= steps; i++) {
+      const p = (i / steps) * maxP;
+      const q = compiled.fn(p, params);
+      if (!Number.isFinite(q)) firstBad = firstBad ?? p;
+      else if (q < 0) firstNeg = firstNeg ?? p;
+    }
+    if (firstBad != null) errors.push(`La demanda no es finita en p=${firstBad.toFixed(2)}`);
+    if (firstNeg != null) warnings.push(`La demanda es negativa desde p=${firstNeg.toFixed(2)} (se recorta a 0)`);
+  }
+  return { errors, warnings, params: compiled.params };
+}
@@ -0,0 +1,84 @@
+import {
+  compileDemandExpression,
+  compileExpression,
+  expressionParams,
+  parseExpression,
+  validateDemandExpression,
+} from "./expression.js";
+
+const evaluate = (src, p = 0, params = {}) => compileExpression(parseExpression(src))(p, params);
+
+test("respeta la precedencia y la asociatividad a derecha de ^", () => {
+  expect(evaluate("1 + 2 * 3")).toBe(7);
+  expect(evaluate("(1 + 2) * 3")).toBe(9);
+  expect(evaluate("10 - 4 - 3")).toBe(3);
+  expect(evaluate("12 / 3 / 2")).toBe(2);
+  expect(evaluate("2 ^ 3 ^ 2")).toBe(512);
+  expect(evaluate("-2 ^ 2")).toBe(-4);
+  expect(evaluate("2 ^ -1")).toBe(0.5);
+  expect(evaluate("1.5e1 + .5")).toBe(15.5);
+});
+
+test("las comparaciones dan 1 o 0 y se evalúan después de la suma", () => {
+  expect(evaluate("p < 4", 3)).toBe(1);
+  expect(evaluate("p >= 4", 3)).toBe(0);
+  expect(evaluate("1 + 1 == 2")).toBe(1);
+  expect(evaluate("2 != 2")).toBe(0);
+});
+
+test("p es el precio, pi y e son constantes y el resto son parámetros", () => {
+  expect(evaluate("A - B * p", 2, { A: 10, B: 1.5 })).toBe(7);
+  expect(evaluate("pi + e")).toBeCloseTo(Math.PI + Math.E);
+  expect(evaluate("max(1, p, 3) + min(4, 2) + pow(2, 3) + abs(-1) + sqrt(9)", 5)).toBe(19);
+  expect(expressionParams(parseExpression("A - B*p + exp(-k*(p - A)) * pi"))).toEqual(["A", "B", "k"]);
+});
+
+test("if sólo evalúa la rama elegida", () => {
+  let reads = 0;
+  const params = {
+    get B() {
+      reads++;
+      return 1;
+    },
+  };
+  const fn = compileExpression(parseExpression("if(p < 4, 10, B * p)"));
+  expect(fn(2, params)).toBe(10);
+  expect(reads).toBe(0);
+  expect(fn(5, params)).toBe(5);
+  expect(reads).toBe(1);
+});
+
+test("los errores de sintaxis dicen qué falló y en qué posición", () => {
+  const cases = [
+    ["2 +", "falta un término (posición 4)"],
+    ["2 $ 3", 'carácter inesperado "$" (posición 3)'],
+    ["foo(1)", 'función desconocida "foo" (posición 1)'],
+    ["exp + 1", '"exp" es una función: falta "(" (posición 1)'],
+    ["pow(1)", "pow() recibe 2 argumento(s) (posición 1)"],
+    ["max()", "max() necesita argumentos (posición 1)"],
+    ["(1 + 2", 'se esperaba ")" (posición 7)'],
+    ["1 2", 'sobra "2" (posición 3)'],
+  ];
+  cases.forEach(([src, message]) => expect(() => parseExpression(src)).toThrow(`Expresión inválida: ${message}`));
+});
+
+test("compileDemandExpression reutiliza el compilado del mismo texto", () => {
+  const first = compileDemandExpression("A - B*p");
+  expect(compileDemandExpression("A - B*p")).toBe(first);
+  expect(first.params).toEqual(["A", "B"]);
+});
+
+test("validateDemandExpression separa errores de avisos", () => {
+  expect(validateDemandExpression("A - B*p", { A: 10, B: 1 })).toEqual({
+    errors: [],
+    warnings: ["La demanda es negativa desde p=10.25 (se recorta a 0)"],
+    params: ["A", "B"],
+  });
+  expect(validateDemandExpression("A - B*p", { A: 10 }).errors).toEqual(["Parámetros sin valor: B"]);
+  expect(validateDemandExpression("10 / p").errors).toEqual(["La demanda no es finita en p=0.00"]);
+  expect(validateDemandExpression("10 -")).toEqual({
+    errors: ["Expresión inválida: falta un término (posición 5)"],
+    warnings: [],
+    params: [],
+  });
+});
@@ -0,0 +1,185 @@
+import { createDemandFn } from "./demand.js";
+import { olsLinear } from "./utils.js";
+
+// ------------------ AJUSTE DE CURVAS DE DEMANDA ------------------
+// Ajusta las cinco familias de createDemandFn a pares (precio, cantidad) por mínimos cuadrados no
+// lineales (Levenberg–Marquardt con jacobiano numérico). Los parámetros usan los mismos nombres que
+// el editor de demanda, así que un ajuste se carga tal cual con { type, params }.
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / Math.max(1, xs.length);
+
+// familias: nombres de parámetros y punto de partida estimado de los datos
+export const FIT_FAMILIES = [
+  {
+    type: "linear",
+    label: "Lineal",
+    keys: ["A", "B"],
+    init: (ps, qs) => {
+      const { a, b } = olsLinear(ps, qs);
+      return { A: a, B: -b };
+    },
+  },
+  {
+    type: "exp",
+    label: "Exponencial",
+    keys: ["A", "B"],
+    init: (ps, qs) => {
+      const { a, b } = olsLinear(ps, qs.map((q) => Math.log(Math.max(1e-6, q))));
+      return { A: Math.exp(a), B: Math.max(1e-4, -b) };
+    },
+  },
+  {
+    type: "log",
+    label: "Logarítmica",
+    keys: ["A", "B"],
+    init: (ps, qs) => {
+      const { a, b } = olsLinear(ps.map((p) => Math.log(1 + Math.max(0, p))), qs);
+      return { A: a, B: -b };
+    },
+  },
+  {
+    type: "poly",
+    label: "Polinómica",
+    keys: ["A", "B", "C"],
+    init: (ps, qs) => {
+      const { a, b } = olsLinear(ps, qs);
+      return { A: a, B: -b, C: 0 };
+    },
+  },
+  {
+    type: "logistic",
+    label: "Logística",
+    keys: ["K", "mid", "steep"],
+    init: (ps, qs) => ({ K: Math.max(...qs) * 1.1, mid: mean(ps), steep: 1 }),
+  },
+];
+
+function sse(model, theta, ps, qs) {
+  let s = 0;
+  for (let i = 0; i < ps.length; i++) s += (qs[i] - model(ps[i], theta)) ** 2;
+  return s;
+}
+
+// JᵀJ con la diagonal amortiguada por lambda (Marquardt)
+function damped(JtJ, lambda) {
+  return JtJ.map((row, a) => row.map((v, b) => (a === b ? v + lambda * Math.max(v, 1e-12) : v)));
+}
+
+// resuelve M x = v (k ≤ 3) por eliminación gaussiana con pivoteo parcial
+function solve(M, v) {
+  const n = v.length;
+  const A = M.map((row, i) => [...row, v[i]]);
+  for (let c = 0; c < n; c++) {
+    let piv = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(A[r][c]) > Math.abs(A[piv][c])) piv = r;
+    if (Math.abs(A[piv][c]) < 1e-300) return null;
+    [A[c], A[piv]] = [A[piv], A[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = A[r][c] / A[c][c];
+      for (let k = c; k <= n; k++) A[r][k] -= f * A[c][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = A[r][n];
+    for (let k = r + 1; k < n; k++) s -= A[r][k] * x[k];
+    x[r] = s / A[r][r];
+  }
+  return x;
+}
+
+// Levenberg–Marquardt genérico sobre el vector de parámetros theta
+export function levenbergMarquardt(model, theta0, ps, qs, { maxIter = 200, tol = 1e-10 } = {}) {
+  let theta = theta0.slice();
+  let cost = sse(model, theta, ps, qs);
+  let lambda = 1e-3;
+  const k = theta.length;
+  for (let iter = 0; iter < maxIter; iter++) {
+    // jacobiano numérico de las predicciones
+    const current = theta;
+    const base = ps.map((p) => model(p, current));
+    const J = ps.map(() => new Array(k).fill(0));
+    for (let j = 0; j < k; j++) {
+      const h = 1e-6 * Math.max(1, Math.abs(theta[j]));
+      const t2 = theta.slice();
+      t2[j] += h;
+      for (let i = 0; i < ps.length; i++) J[i][j] = (model(ps[i], t2) - base[i]) / h;
+    }
+    const JtJ = Array.from({ length: k }, (_, a) => Array.from({ length: k }, (_, b) => J.reduce((s, row) => s + row[a] * row[b], 0)));
+    const Jtr = Array.from({ length: k }, (_, a) => J.reduce((s, row, i) => s + row[a] * (qs[i] - base[i]), 0));
+    let improved = false;
+    while (lambda < 1e12) {
+      const delta = solve(damped(JtJ, lambda), Jtr);
+      if (delta && delta.every(Number.isFinite)) {
+        const next = current.map((v, j) => v + delta[j]);
+        const nextCost = sse(model, next, ps, qs);
+        if (Number.isFinite(nextCost) && nextCost < cost) {
+          const gain = cost - nextCost;
+          theta = next;
+          cost = nextCost;
+          lambda = Math.max(1e-12, lambda / 3);
+          improved = true;
+          if (gain <= tol * (1 + cost)) return { theta, sse: cost, iterations: iter + 1 };
+          break;
+        }
+      }
+      lambda *= 4;
+    }
+    if (!improved) return { theta, sse: cost, iterations: iter + 1 };
+  }
+  return { theta, sse: cost, iterations: maxIter };
+}
+
+// Ajusta una familia; devuelve { type, label, params, sse, r2, aic, residuals, fitted }
+export function fitFamily(family, ps, qs) {
+  const init = family.init(ps, qs);
+  const model = (p, theta) => createDemandFn(family.type, Object.fromEntries(family.keys.map((key, j) => [key, theta[j]])))(p);
+  const { theta, sse: err } = levenbergMarquardt(
+    model,
+    family.keys.map((key) => (Number.isFinite(init[key]) ? init[key] : 1)),
+    ps,
+    qs
+  );
+  const params = Object.fromEntries(family.keys.map((key, j) => [key, theta[j]]));
+  const fn = createDemandFn(family.type, params);
+  const fitted = ps.map(fn);
+  const qMean = mean(qs);
+  const sst = qs.reduce((s, q) => s + (q - qMean) ** 2, 0);
+  const n = ps.length;
+  return {
+    type: family.type,
+    label: family.label,
+    params,
+    sse: err,
+    r2: sst > 0 ? 1 - err / sst : 0,
+    // AIC con error gaussiano: n·ln(SSE/n) + 2k (menor es mejor)
+    aic: n * Math.log(Math.max(err, 1e-300) / n) + 2 * family.keys.length,
+    residuals: qs.map((q, i) => q - fitted[i]),
+    fitted,
+  };
+}
+
+// Ajusta todas las familias, ordenadas por AIC
+export function fitDemandFamilies(ps, qs) {
+  if (ps.length < 4) return [];
+  return FIT_FAMILIES.map((family) => fitFamily(family, ps, qs)).sort((a, b) => a.aic - b.aic);
+}
+
+// Pares (precio, demanda) observados en la serie y en las encuestas, según `source`
+export function fittingSample(series, surveys, source = "both") {
+  const ps = [];
+  const qs = [];
+  if (source !== "surveys")
+    for (const pt of series)
+      if (pt.t > 0 && Number.isFinite(pt.price) && Number.isFinite(pt.qDemand)) {
+        ps.push(pt.price);
+        qs.push(pt.qDemand);
+      }
+  if (source !== "series")
+    for (const sv of surveys)
+      for (let i = 0; i < sv.ps.length; i++) {
+        ps.push(sv.ps[i]);
+        qs.push(sv.qs[i]);
+      }
+  return { ps, qs };
+}
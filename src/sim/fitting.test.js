@@ -0,0 +1,49 @@
+import { FIT_FAMILIES, fitDemandFamilies, fitFamily, fittingSample } from "./fitting.js";
+import { createDemandFn } from "./demand.js";
+
+const TRUTH = {
+  linear: { A: 80, B: 6 },
+  exp: { A: 90, B: 0.3 },
+  log: { A: 70, B: 12 },
+  poly: { A: 90, B: 3, C: 0.4 },
+  logistic: { K: 60, mid: 5, steep: 1.2 },
+};
+const ps = Array.from({ length: 21 }, (_, i) => i * 0.5);
+const sample = (type) => ps.map(createDemandFn(type, TRUTH[type]));
+
+test.each(FIT_FAMILIES.map((family) => [family.type, family]))(
+  "la familia %s recupera sus parámetros con datos sin ruido",
+  (type, family) => {
+    const qs = sample(type);
+    const fit = fitFamily(family, ps, qs);
+    expect(fit.type).toBe(type);
+    expect(Object.keys(fit.params)).toEqual(family.keys);
+    family.keys.forEach((key) => expect(fit.params[key]).toBeCloseTo(TRUTH[type][key], 4));
+    expect(fit.sse).toBeLessThan(1e-8);
+    expect(fit.r2).toBeCloseTo(1, 8);
+    fit.residuals.forEach((r) => expect(Math.abs(r)).toBeLessThan(1e-4));
+    expect(fit.fitted).toHaveLength(ps.length);
+  }
+);
+
+test("fitDemandFamilies ordena por AIC y pone primero la familia que generó los datos", () => {
+  Object.keys(TRUTH).forEach((type) => {
+    const fits = fitDemandFamilies(ps, sample(type));
+    expect(fits.map((fit) => fit.type).sort()).toEqual(Object.keys(TRUTH).sort());
+    expect(fits[0].type).toBe(type);
+    fits.slice(1).forEach((fit, i) => expect(fit.aic).toBeGreaterThanOrEqual(fits[i].aic));
+  });
+  expect(fitDemandFamilies([1, 2, 3], [9, 8, 7])).toEqual([]);
+});
+
+test("fittingSample junta la serie (sin t=0) y las encuestas según la fuente", () => {
+  const series = [
+    { t: 0, price: 1, qDemand: 50 },
+    { t: 1, price: 2, qDemand: 40 },
+    { t: 2, price: NaN, qDemand: 30 },
+  ];
+  const surveys = [{ ps: [3, 4], qs: [20, 10] }];
+  expect(fittingSample(series, surveys)).toEqual({ ps: [2, 3, 4], qs: [40, 20, 10] });
+  expect(fittingSample(series, surveys, "series")).toEqual({ ps: [2], qs: [40] });
+  expect(fittingSample(series, surveys, "surveys")).toEqual({ ps: [3, 4], qs: [20, 10] });
+});
@@ -0,0 +1,45 @@
+// ------------------ INSPECTOR DE FIRMAS (datos) ------------------
+// Lo que muestra el inspector por firma (components/FirmInspector.jsx), derivado del estado del motor
+export const LEVELS = ["PBC", "PFP", "PMP"];
+export const UTIL_WINDOW = 20;
+
+// utilización media de capacidad en los últimos `window` ticks de la historia de la firma
+export function firmUtilization(f, window = UTIL_WINDOW) {
+  const h = f.history.slice(-window);
+  if (!h.length || !f.capacity) return 0;
+  return h.reduce((a, x) => a + x.produced, 0) / h.length / f.capacity;
+}
+
+// pedidos pendientes por firma: inbound = lo que la firma espera recibir, outbound = lo que debe despachar
+export function pendingOrdersByFirm(orders) {
+  const map = {};
+  const get = (id) => (map[id] = map[id] || { inbound: [], outbound: [] });
+  for (const o of orders) {
+    if (o.filled) continue;
+    get(o.from).inbound.push(o);
+    get(o.to).outbound.push(o);
+  }
+  return map;
+}
+
+// Una fila por firma (las cerradas al final): utilización, pedidos pendientes e innovaciones
+// (todas las programadas para la firma; adopted = cuántas ya adoptó)
+export function firmRows(state, window = UTIL_WINDOW) {
+  const pendingByFirm = pendingOrdersByFirm(state.orders);
+  const row = (f, level, closed) => {
+    const innovations = state.innovations.filter((x) => x.firm === f.id);
+    return {
+      firm: f,
+      level,
+      closed,
+      utilization: firmUtilization(f, window),
+      pending: pendingByFirm[f.id] || { inbound: [], outbound: [] },
+      innovations,
+      adopted: innovations.filter((x) => x.adopted).length,
+    };
+  };
+  return [
+    ...LEVELS.flatMap((lvl) => state.firms[lvl].map((f) => row(f, lvl, false))),
+    ...(state.closedFirms || []).map((f) => row(f, f.level, true)),
+  ];
+}
@@ -0,0 +1,62 @@
+import { firmRows, firmUtilization, pendingOrdersByFirm } from "./inspector.js";
+import { createEngine } from "./engine.js";
+import { DEFAULT } from "./config.js";
+
+// innovaciones frecuentes y de adopción corta para que haya adoptadas y pendientes
+const config = { consumersN: 40, innovation: { ...DEFAULT.innovation, probPerTick: 0.5, adoptionRange: [1, 8] } };
+
+function stepped(ticks) {
+  const engine = createEngine(config, 6);
+  for (let i = 0; i < ticks; i++) engine.step({});
+  return engine.state;
+}
+
+test("firmUtilization promedia la producción de la ventana sobre la capacidad", () => {
+  const f = { capacity: 10, history: [{ produced: 20 }, { produced: 4 }, { produced: 6 }] };
+  expect(firmUtilization(f, 2)).toBeCloseTo(0.5);
+  expect(firmUtilization(f)).toBeCloseTo(1);
+  expect(firmUtilization({ capacity: 10, history: [] })).toBe(0);
+  expect(firmUtilization({ capacity: 0, history: [{ produced: 3 }] })).toBe(0);
+});
+
+test("cada pedido abierto aparece una vez por recibir (comprador) y una vez por despachar (proveedor)", () => {
+  const s = stepped(40);
+  const open = s.orders.filter((o) => !o.filled);
+  expect(open.length).toBeGreaterThan(0);
+  const byFirm = pendingOrdersByFirm(s.orders);
+  const inbound = Object.values(byFirm).flatMap((p) => p.inbound);
+  const outbound = Object.values(byFirm).flatMap((p) => p.outbound);
+  expect(inbound).toHaveLength(open.length);
+  expect(outbound).toHaveLength(open.length);
+  for (const [id, p] of Object.entries(byFirm)) {
+    expect(p.inbound.every((o) => o.from === id && !o.filled)).toBe(true);
+    expect(p.outbound.every((o) => o.to === id && !o.filled)).toBe(true);
+  }
+});
+
+test("firmRows junta utilización, pedidos e innovaciones de cada firma del motor", () => {
+  const s = stepped(40);
+  const rows = firmRows(s);
+  expect(rows.map((r) => r.firm.id)).toEqual(["PBC", "PFP", "PMP"].flatMap((lvl) => s.firms[lvl].map((f) => f.id)));
+  expect(rows.every((r) => !r.closed)).toBe(true);
+
+  const pfp = rows.find((r) => r.level === "PFP");
+  const h = pfp.firm.history.slice(-20);
+  expect(pfp.utilization).toBeCloseTo(h.reduce((a, x) => a + x.produced, 0) / h.length / pfp.firm.capacity, 12);
+  expect(pfp.pending.outbound).toEqual(s.orders.filter((o) => !o.filled && o.to === pfp.firm.id));
+
+  // las adoptadas por fila suman las del motor y las pendientes siguen listadas
+  expect(rows.reduce((a, r) => a + r.adopted, 0)).toBe(s.innovationCounts.adopted);
+  expect(rows.reduce((a, r) => a + r.innovations.length, 0)).toBe(s.innovations.length);
+  expect(s.innovations.some((x) => !x.adopted)).toBe(true);
+  expect(s.innovationCounts.adopted).toBeGreaterThan(0);
+});
+
+test("las firmas cerradas van al final con su nivel y sin pedidos", () => {
+  const s = stepped(10);
+  const [closed] = s.firms.PMP.splice(0, 1);
+  s.closedFirms.push({ ...closed, level: "PMP", closedAt: 10 });
+  const last = firmRows(s).at(-1);
+  expect(last).toMatchObject({ closed: true, level: "PMP", firm: { id: closed.id } });
+  expect(last.pending.inbound).toEqual([]);
+});
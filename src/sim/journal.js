@@ -0,0 +1,153 @@
+import { createEngine, migrateSnapshot, restoreEngine } from "./engine.js";
+import { DEFAULT } from "./config.js";
+import { DEFAULT_ROUTING } from "./routing.js";
+import { DEFAULT_RATIONING } from "./rationing.js";
+
+/*
+  Bitácora de acciones del planificador
+  journal = {
+    base: snapshot | { config, seed },   // punto de partida de la sesión
+    initial: { priceMode, manualPrice, demand, phaseIdx, routing, rationing },
+    entries: [{ at, kind, value }],      // at = primer tick afectado por la acción
+  }
+  kind: "priceMode" | "manualPrice" | "demand" | "phaseIdx" | "routing" | "rationing" | "survey" | "autopilot"
+  Las encuestas consumen el rng de la simulación, por eso también se registran
+  (value = diseño de survey.js, o { sampleSize, pHigh } en bitácoras con la OLS rápida).
+  "autopilot" marca quién decide desde ese tick (value = clave de planners.js, "script" o "human"); es sólo
+  para leer la bitácora: las decisiones del piloto quedan como priceMode/manualPrice/demand y la marca no
+  llega al motor.
+  La fase es una orden puntual: el motor la recibe sólo en el tick en que el planificador la eligió (y en
+  el primero de la bitácora); entre medio la cambian el calendario y el escenario (engineActionsAt).
+  Con seed (o snapshot base) + bitácora la sesión se reproduce exactamente.
+*/
+
+export const DEFAULT_ACTIONS = {
+  priceMode: "auto",
+  manualPrice: DEFAULT.p0,
+  demand: null,
+  phaseIdx: 0,
+  routing: DEFAULT_ROUTING,
+  rationing: DEFAULT_RATIONING,
+};
+
+export function createJournal(base, initial = DEFAULT_ACTIONS) {
+  return { base, initial: { ...DEFAULT_ACTIONS, ...initial }, entries: [] };
+}
+
+export function baseTick(journal) {
+  return journal.base.state ? journal.base.state.t : 0;
+}
+
+export function recordAction(journal, at, kind, value) {
+  const prev = journal.entries[journal.entries.length - 1];
+  // varios cambios del mismo control antes de un tick: sólo vale el último
+  if (prev && prev.at === at && prev.kind === kind && kind !== "survey") prev.value = value;
+  else journal.entries.push({ at, kind, value });
+}
+
+// entradas que no son controles del motor: las encuestas se corren aparte (stepJournal) y el piloto es una marca
+const NON_ACTION_KINDS = ["survey", "autopilot"];
+
+// acciones vigentes en el tick t
+export function actionsAt(journal, t) {
+  const actions = { ...journal.initial };
+  for (const e of journal.entries) {
+    if (e.at > t) break;
+    if (!NON_ACTION_KINDS.includes(e.kind)) actions[e.kind] = e.value;
+  }
+  return actions;
+}
+
+// lo que recibe el motor en el tick t: las acciones vigentes, con la fase sólo si hay orden en ese tick
+export function engineActionsAt(journal, t) {
+  const { phaseIdx, ...actions } = actionsAt(journal, t);
+  const ordered = t === baseTick(journal) + 1 || journal.entries.some((e) => e.at === t && e.kind === "phaseIdx");
+  return ordered ? { ...actions, phaseIdx } : actions;
+}
+
+// Bitácora guardada junto a un snapshot: una base { config, seed } tiene la versión de formato del snapshot,
+// así que su config pasa por migrateSnapshot junto con el estado del snapshot (la migración lo mira para
+// saber de qué época es). Una base snapshot ya la migra restoreEngine.
+export function migrateJournal(journal, snap) {
+  if (journal.base.state) return journal;
+  const { config } = migrateSnapshot({ ...snap, config: journal.base.config });
+  return { ...journal, base: { ...journal.base, config } };
+}
+
+// motor en el punto de partida de la bitácora (config + seed, o snapshot de una sesión cargada)
+export function startEngine(base) {
+  return base.state ? restoreEngine(base) : createEngine(base.config, base.seed);
+}
+
+// Los checkpoints son snapshots intermedios (ordenados por tick) para no partir siempre desde la base.
+// A lo sumo MAX_CHECKPOINTS: al pasarse, addCheckpoint descarta uno de cada dos (quedan el primero y el
+// último), así el espacio entre los viejos se duplica y la memoria no crece con la sesión.
+export const MAX_CHECKPOINTS = 16;
+
+export function addCheckpoint(checkpoints, snapshot, max = MAX_CHECKPOINTS) {
+  const next = checkpoints.concat([snapshot]);
+  return next.length > max ? next.filter((_, i) => i % 2 === 0 || i === next.length - 1) : next;
+}
+
+// el checkpoint más tardío que no pasa de `target` (null si no hay)
+export function nearestCheckpoint(checkpoints, target) {
+  let from = null;
+  for (const cp of checkpoints) if (cp.state.t <= target && (!from || cp.state.t > from.state.t)) from = cp;
+  return from;
+}
+
+// Avanza un motor hasta el tick `target` aplicando la bitácora, desde el checkpoint más cercano
+export function replayTo(journal, target, checkpoints = [], onProgress) {
+  const from = nearestCheckpoint(checkpoints, target);
+  const engine = from ? restoreEngine(from) : startEngine(journal.base);
+  const start = engine.t;
+  while (engine.t < target) {
+    stepJournal(engine, journal);
+    if (onProgress && engine.t % 50 === 0) onProgress(engine.t - start, target - start);
+  }
+  return engine;
+}
+
+// Lo que muestra la línea de tiempo en el tick `target` (corre en timeline.worker.js)
+export function scrubView(journal, target, checkpoints = [], onProgress) {
+  const s = replayTo(journal, target, checkpoints, onProgress).state;
+  return {
+    t: s.t,
+    price: s.price,
+    phaseIdx: s.phaseIdx, // la fase simulada (calendario y escenario incluidos), no la última orden del planificador
+    point: s.series[s.series.length - 1],
+    firms: s.firms,
+    pending: s.orders.filter((o) => !o.filled),
+    actions: actionsAt(journal, s.t),
+  };
+}
+
+// Un tick según la bitácora: primero las encuestas registradas para ese tick, luego las acciones vigentes
+export function stepJournal(engine, journal) {
+  const next = engine.t + 1;
+  for (const e of journal.entries) {
+    if (e.at > next) break;
+    if (e.at !== next || e.kind !== "survey") continue;
+    if (e.value.prices) engine.runSurvey(e.value);
+    else engine.replayLegacySurvey(e.value.sampleSize, e.value.pHigh);
+  }
+  return engine.step(engineActionsAt(journal, next));
+}
+
+// Reproduce la bitácora desde su base hasta toTick una sola vez para varios colectores:
+//   collectors = { clave: { start(engine), frame(engine), finish(engine) } }
+// frame se llama cada `every` ticks (por defecto, unos 120 cuadros en total) y en el último tick;
+// onProgress(done, total) cada 50 ticks. Devuelve { clave: lo que devuelve su finish }
+export function replayCollect(journal, toTick, collectors, { every = null, onProgress } = {}) {
+  const engine = startEngine(journal.base);
+  const list = Object.values(collectors);
+  for (const c of list) c.start?.(engine);
+  const from = engine.t;
+  const stride = every || Math.max(1, Math.ceil((toTick - from) / 120));
+  while (engine.t < toTick) {
+    stepJournal(engine, journal);
+    if ((engine.t - from) % stride === 0 || engine.t === toTick) for (const c of list) c.frame(engine);
+    if (onProgress && engine.t % 50 === 0) onProgress(engine.t - from, toTick - from);
+  }
+  return Object.fromEntries(Object.entries(collectors).map(([key, c]) => [key, c.finish(engine)]));
+}
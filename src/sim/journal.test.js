@@ -0,0 +1,154 @@
+import {
+  actionsAt,
+  addCheckpoint,
+  createJournal,
+  engineActionsAt,
+  migrateJournal,
+  nearestCheckpoint,
+  recordAction,
+  replayCollect,
+  replayTo,
+  scrubView,
+  stepJournal,
+} from "./journal.js";
+import { createEngine, restoreEngine } from "./engine.js";
+import { EXPERIMENT_PHASES } from "./config.js";
+
+const base = { config: { consumersN: 60 }, seed: 21 };
+
+function sessionJournal() {
+  const journal = createJournal(base);
+  recordAction(journal, 10, "priceMode", "manual");
+  recordAction(journal, 10, "manualPrice", 1.5);
+  recordAction(journal, 25, "demand", { type: "linear", params: { A: 80, B: 4 } });
+  recordAction(journal, 30, "survey", { sampleSize: 20, pHigh: 3 });
+  recordAction(journal, 40, "priceMode", "auto");
+  return journal;
+}
+
+test("actionsAt acumula las acciones hasta el tick y deja fuera las encuestas", () => {
+  const journal = sessionJournal();
+  expect(actionsAt(journal, 9).priceMode).toBe("auto");
+  expect(actionsAt(journal, 30)).toMatchObject({ priceMode: "manual", manualPrice: 1.5, demand: { type: "linear" } });
+  expect(actionsAt(journal, 30).survey).toBeUndefined();
+  expect(actionsAt(journal, 45).priceMode).toBe("auto");
+});
+
+test("la marca del piloto automático queda en la bitácora pero no llega al motor", () => {
+  const journal = sessionJournal();
+  recordAction(journal, 50, "autopilot", "pid");
+  recordAction(journal, 50, "manualPrice", 2);
+  expect(journal.entries.some((e) => e.kind === "autopilot")).toBe(true);
+  expect("autopilot" in actionsAt(journal, 55)).toBe(false);
+  expect("autopilot" in engineActionsAt(journal, 50)).toBe(false);
+  expect(engineActionsAt(journal, 50).manualPrice).toBe(2);
+});
+
+test("recordAction se queda con el último cambio del mismo control en un tick", () => {
+  const journal = createJournal(base);
+  recordAction(journal, 5, "manualPrice", 1);
+  recordAction(journal, 5, "manualPrice", 2);
+  expect(journal.entries).toEqual([{ at: 5, kind: "manualPrice", value: 2 }]);
+});
+
+test("la fase sólo viaja al motor en el primer tick y cuando hay orden", () => {
+  const journal = createJournal(base, { phaseIdx: 1 });
+  recordAction(journal, 8, "phaseIdx", 2);
+  expect(engineActionsAt(journal, 1).phaseIdx).toBe(1);
+  expect("phaseIdx" in engineActionsAt(journal, 2)).toBe(false);
+  expect(engineActionsAt(journal, 8).phaseIdx).toBe(2);
+  expect(actionsAt(journal, 9).phaseIdx).toBe(2);
+});
+
+test("replayTo reproduce la sesión en vivo, con y sin checkpoints", () => {
+  const journal = sessionJournal();
+  const live = createEngine(base.config, base.seed);
+  const checkpoints = [];
+  while (live.t < 60) {
+    const next = live.t + 1;
+    if (next === 30) live.replayLegacySurvey(20, 3);
+    live.step(engineActionsAt(journal, next));
+    if (live.t % 20 === 0) checkpoints.push(live.snapshot());
+  }
+  expect(replayTo(journal, 60).state.series).toEqual(live.state.series);
+  const fromCheckpoint = replayTo(journal, 50, checkpoints);
+  expect(fromCheckpoint.t).toBe(50);
+  expect(fromCheckpoint.state.series).toEqual(live.state.series.slice(0, 51));
+});
+
+test("replayCollect llama a los colectores cada `every` ticks y en el último", () => {
+  const journal = sessionJournal();
+  const seen = [];
+  const out = replayCollect(
+    journal,
+    25,
+    { ticks: { start: (e) => seen.push(`start ${e.t}`), frame: (e) => seen.push(e.t), finish: (e) => e.t } },
+    { every: 10 }
+  );
+  expect(seen).toEqual(["start 0", 10, 20, 25]);
+  expect(out).toEqual({ ticks: 25 });
+});
+
+test("addCheckpoint ralea los checkpoints viejos y conserva el primero y el último", () => {
+  let checkpoints = [];
+  for (let t = 50; t <= 1000; t += 50) checkpoints = addCheckpoint(checkpoints, { state: { t } }, 4);
+  const ticks = checkpoints.map((cp) => cp.state.t);
+  expect(ticks.length).toBeLessThanOrEqual(4);
+  expect(ticks[0]).toBe(50);
+  expect(ticks[ticks.length - 1]).toBe(1000);
+  expect(nearestCheckpoint(checkpoints, 999).state.t).toBeLessThan(1000);
+  expect(nearestCheckpoint(checkpoints, 10)).toBeNull();
+});
+
+test("scrubView desde un checkpoint ve lo mismo que desde la base", () => {
+  const journal = sessionJournal();
+  const checkpoint = replayTo(journal, 30).snapshot();
+  const fromBase = scrubView(journal, 45);
+  const fromCheckpoint = scrubView(journal, 45, [checkpoint]);
+  expect(fromCheckpoint).toEqual(fromBase);
+  expect(fromBase.t).toBe(45);
+  expect(fromBase.actions.priceMode).toBe("auto");
+});
+
+test("scrubView muestra la fase simulada aunque el calendario la haya cambiado", () => {
+  const journal = createJournal({ config: { consumersN: 40, phaseSchedule: [{ at: 20, phaseIdx: 2 }] }, seed: 4 });
+  recordAction(journal, 10, "phaseIdx", 1);
+  expect(scrubView(journal, 15)).toMatchObject({ phaseIdx: 1, actions: { phaseIdx: 1 } });
+  expect(scrubView(journal, 25)).toMatchObject({ phaseIdx: 2, actions: { phaseIdx: 1 } });
+});
+
+// sesión con el comportamiento de la versión 1 (pedidos todo-o-nada, fases sin volatilidad) guardada en el
+// formato de entonces: la base de la bitácora trae la misma config sin las claves que aún no existían
+function versionOneSave() {
+  const phases = EXPERIMENT_PHASES.map((ph) => ({ ...ph, volatility: 0 }));
+  const config = { consumersN: 60, orders: { partialShipments: false, expiryTicks: 0 }, phases };
+  const engine = createEngine(config, 9);
+  const journal = createJournal({ config: engine.config, seed: 9 });
+  recordAction(journal, 12, "priceMode", "manual");
+  recordAction(journal, 12, "manualPrice", 1.8);
+  while (engine.t < 40) stepJournal(engine, journal);
+  const strip = ({ orders, costs, surveys, budgets, rationing, phaseSchedule, hidePhases, ...cfg }) => ({
+    ...cfg,
+    phases: cfg.phases.map(({ name, feedbackStrength, desc }) => ({ name, feedbackStrength, desc })),
+  });
+  const snap = engine.snapshot();
+  const { surveys, surveySpent, substitutePrice, phaseIdx, phaseLog, closedFirms, ...state } = snap.state;
+  for (const o of state.orders) delete o.shipped;
+  for (const level of ["PBC", "PFP", "PMP"]) for (const f of state.firms[level]) delete f.account;
+  const base = { ...journal.base, config: strip(journal.base.config) };
+  return { ...snap, version: 1, config: strip(snap.config), state, journal: { ...journal, base } };
+}
+
+test("migrateJournal migra la base de una bitácora v1 y su reproducción coincide con el motor restaurado", () => {
+  const save = versionOneSave();
+  const restored = restoreEngine(save);
+  const journal = migrateJournal(save.journal, save);
+  expect(journal.base.config.orders).toEqual({ partialShipments: false, expiryTicks: 0 });
+  expect(journal.base.config.phases.every((ph) => ph.volatility === 0)).toBe(true);
+  const replayed = replayTo(journal, restored.t);
+  expect(replayed.state.series).toEqual(restored.state.series);
+  while (restored.t < 60) stepJournal(restored, journal);
+  expect(replayTo(journal, 60).state.series).toEqual(restored.state.series);
+  // sin migrar, la base toma los valores por defecto de hoy y la economía es otra
+  expect(replayTo(save.journal, 40).state.series).not.toEqual(replayed.state.series);
+});
@@ -0,0 +1,130 @@
+// ------------------ CONTABILIDAD DE COSTOS (P&L por firma) ------------------
+// Vista de caja por tick y firma:
+//   beneficio = ingresos - costo de producción - compras de insumos - costo de mantener inventario
+// El inventario se valúa a costo promedio (unitCost); el proveedor vende a unitCost × (1 + transferMarkup).
+// Aparte se lleva el costo en recursos de cada unidad en inventario (resourceCost: la producción de la
+// cadena, sin los márgenes de transferencia, que se cancelan al sumarla). Las PBC registran el costo de
+// ventas (cogs): lo servido a ese costo más su transformación. cogs es un dato de memoria, no entra en el
+// beneficio de caja.
+export const PNL_FIELDS = ["revenue", "productionCost", "purchases", "holdingCost", "profit", "cogs"];
+
+function emptyPnl() {
+  return { revenue: 0, productionCost: 0, purchases: 0, holdingCost: 0, profit: 0, cogs: 0 };
+}
+
+// acumulador del tick en curso (se vuelca en la historia al cierre)
+function tickPnl(f) {
+  if (!f.pnl) f.pnl = emptyPnl();
+  return f.pnl;
+}
+
+export function resourceUnitCost(f) {
+  return f.resourceCost ?? f.unitCost ?? f.marginalCost;
+}
+
+function addToInventoryCost(f, qty, unitPrice, unitResource) {
+  const inv = Math.max(0, f.inventory || 0);
+  const avg = (prev, add) => (inv + qty > 0 ? (inv * prev + qty * add) / (inv + qty) : add);
+  f.resourceCost = avg(resourceUnitCost(f), unitResource);
+  f.unitCost = avg(f.unitCost ?? f.marginalCost, unitPrice);
+}
+
+// PMP/PFP producen: se llama antes de sumar qty al inventario
+export function recordProduction(f, qty) {
+  if (!(qty > 0)) return;
+  tickPnl(f).productionCost += qty * f.marginalCost;
+  addToInventoryCost(f, qty, f.marginalCost, f.marginalCost);
+}
+
+// Envío entre niveles: se llama antes de mover qty de inventario; devuelve el precio de transferencia
+export function recordTransfer(seller, buyer, qty, markup) {
+  if (!(qty > 0)) return 0;
+  const price = (seller.unitCost ?? seller.marginalCost) * (1 + markup);
+  tickPnl(seller).revenue += qty * price;
+  tickPnl(buyer).purchases += qty * price;
+  addToInventoryCost(buyer, qty, price, resourceUnitCost(seller));
+  return price;
+}
+
+// PBC vende a consumidores al precio vigente; transformar cada unidad le cuesta marginalCost
+export function recordSale(f, qty, price) {
+  if (!(qty > 0)) return;
+  const pnl = tickPnl(f);
+  pnl.revenue += qty * price;
+  pnl.productionCost += qty * f.marginalCost;
+  pnl.cogs += qty * (resourceUnitCost(f) + f.marginalCost);
+}
+
+// Cierre del tick: costo de mantener el inventario final, beneficio y acumulados
+export function closeTick(f, holdingCostPerUnit) {
+  const pnl = tickPnl(f);
+  pnl.holdingCost += Math.max(0, f.inventory || 0) * holdingCostPerUnit;
+  pnl.profit = pnl.revenue - pnl.productionCost - pnl.purchases - pnl.holdingCost;
+  if (!f.account) f.account = emptyPnl();
+  for (const k of PNL_FIELDS) f.account[k] += pnl[k];
+  f.pnl = null;
+  return pnl;
+}
+
+function allFirms(state) {
+  const out = [];
+  for (const lvl of ["PBC", "PFP", "PMP"]) for (const f of state.firms[lvl]) out.push({ ...f, level: lvl });
+  for (const f of state.closedFirms || []) out.push(f);
+  return out;
+}
+
+// Totales acumulados por firma (incluye las cerradas por escenario)
+export function firmPnl(state) {
+  return allFirms(state).map((f) => ({ id: f.id, level: f.level, closed: f.closedAt != null, ...emptyPnl(), ...f.account }));
+}
+
+// Beneficio por nivel en cada tick: [{ t, PBC, PFP, PMP }]
+export function tierPnlSeries(state) {
+  const byT = {};
+  for (const f of allFirms(state)) {
+    for (const h of f.history) {
+      if (!h.pnl) continue;
+      const row = (byT[h.t] = byT[h.t] || { t: h.t, PBC: 0, PFP: 0, PMP: 0 });
+      row[f.level] += h.pnl.profit;
+    }
+  }
+  return Object.values(byT).sort((a, b) => a.t - b.t);
+}
+
+// Inventario a costo en recursos: { qty, cost }
+function inventoryAtCost(firms) {
+  const out = { qty: 0, cost: 0 };
+  for (const f of firms) {
+    const qty = Math.max(0, f.inventory || 0);
+    out.qty += qty;
+    out.cost += qty * resourceUnitCost(f);
+  }
+  return out;
+}
+
+// Resumen de la cadena: costo en recursos de lo servido (costo de ventas de las PBC + mantenimiento de
+// inventario). Lo producido que no llegó a los consumidores va aparte: unsold sigue en el inventario de
+// las firmas activas y writtenOff se perdió con las firmas cerradas por escenario.
+export function costSummary(state) {
+  const totals = emptyPnl();
+  const byTier = { PBC: emptyPnl(), PFP: emptyPnl(), PMP: emptyPnl() };
+  for (const f of firmPnl(state)) {
+    for (const k of PNL_FIELDS) {
+      totals[k] += f[k];
+      byTier[f.level][k] += f[k];
+    }
+  }
+  const served = state.series.reduce((a, pt) => a + (pt.qServed || 0), 0);
+  const totalCost = totals.cogs + totals.holdingCost;
+  return {
+    servedQty: served,
+    cogs: totals.cogs,
+    totalCost,
+    costPerUnit: served > 0 ? totalCost / served : NaN,
+    unsold: inventoryAtCost([...state.firms.PBC, ...state.firms.PFP, ...state.firms.PMP]),
+    writtenOff: inventoryAtCost(state.closedFirms || []),
+    consumerRevenue: byTier.PBC.revenue,
+    chainProfit: totals.profit,
+    byTier,
+  };
+}
@@ -0,0 +1,51 @@
+import { closeTick, costSummary, recordProduction, recordSale, recordTransfer } from "./ledger.js";
+import { createEngine } from "./engine.js";
+
+// PMP produce 10 a costo 1 y se los vende a la PBC con margen 50%; la PBC vende 6 (transformar cuesta 0,2)
+function chain() {
+  const pmp = { id: "PMP0", marginalCost: 1, inventory: 0, history: [] };
+  const pbc = { id: "PBC0", marginalCost: 0.2, inventory: 0, history: [] };
+  recordProduction(pmp, 10);
+  pmp.inventory += 10;
+  recordTransfer(pmp, pbc, 10, 0.5);
+  pmp.inventory -= 10;
+  pbc.inventory += 10;
+  recordSale(pbc, 6, 3);
+  pbc.inventory -= 6;
+  closeTick(pmp, 0.1);
+  closeTick(pbc, 0.1);
+  return { pmp, pbc };
+}
+
+test("la PBC valúa su inventario a precio de transferencia y a costo en recursos", () => {
+  const { pbc } = chain();
+  expect(pbc.unitCost).toBeCloseTo(1.5);
+  expect(pbc.resourceCost).toBeCloseTo(1);
+  expect(pbc.account).toMatchObject({ revenue: 18, purchases: 15, holdingCost: 0.4 });
+  expect(pbc.account.cogs).toBeCloseTo(6 * 1.2);
+  expect(pbc.account.profit).toBeCloseTo(18 - 1.2 - 15 - 0.4);
+});
+
+test("costSummary cobra lo servido a costo de ventas y deja aparte el inventario sin vender", () => {
+  const { pmp, pbc } = chain();
+  const closed = { id: "PFP0", level: "PFP", closedAt: 1, marginalCost: 0.5, inventory: 2, history: [] };
+  const state = { firms: { PBC: [pbc], PFP: [], PMP: [pmp] }, closedFirms: [closed], series: [{ qServed: 6 }] };
+  const costs = costSummary(state);
+  expect(costs.cogs).toBeCloseTo(7.2);
+  expect(costs.totalCost).toBeCloseTo(7.2 + 0.4);
+  expect(costs.costPerUnit).toBeCloseTo(7.6 / 6);
+  expect(costs.unsold.qty).toBeCloseTo(4);
+  expect(costs.unsold.cost).toBeCloseTo(4);
+  expect(costs.writtenOff).toEqual({ qty: 2, cost: 1 });
+});
+
+test("en una sesión, lo producido es lo vendido más lo que quedó en inventario", () => {
+  const engine = createEngine({ consumersN: 60 }, 17);
+  for (let i = 0; i < 80; i++) engine.step({ priceMode: "auto" });
+  const costs = costSummary(engine.state);
+  const produced = ["PBC", "PFP", "PMP"].reduce((a, lvl) => a + costs.byTier[lvl].productionCost, 0);
+  expect(costs.cogs).toBeGreaterThan(0);
+  expect(costs.cogs + costs.unsold.cost + costs.writtenOff.cost).toBeCloseTo(produced, 6);
+  const holding = ["PBC", "PFP", "PMP"].reduce((a, lvl) => a + costs.byTier[lvl].holdingCost, 0);
+  expect(costs.totalCost).toBeCloseTo(costs.cogs + holding, 6);
+});
@@ -0,0 +1,189 @@
+import { recordTransfer } from "./ledger.js";
+
+// ------------------ RED DE PEDIDOS (PBC → PFP → PMP) ------------------
+export const ORDER_LINKS = ["PBC->PFP", "PFP->PMP"];
+
+// cantidad aún no enviada (los pedidos admiten envíos parciales)
+export function orderRemaining(o) {
+  return o.amount - (o.shipped || 0);
+}
+
+// volumen pedido y aún no recibido por comprador en un enlace
+export function pipelineByBuyer(orders, level) {
+  const out = {};
+  for (const o of orders) if (!o.filled && o.level === level) out[o.from] = (out[o.from] || 0) + orderRemaining(o);
+  return out;
+}
+
+// Cola FIFO de pedidos vencidos de un enlace: envío parcial (o todo-o-nada si
+// orders.partialShipments = false) y cancelación tras orders.expiryTicks de atraso
+export function processOrderQueue(s, level, orderCfg, costCfg, emit) {
+  const [buyerLvl, supplierLvl] = level.split("->");
+  for (const ord of s.orders) {
+    if (ord.filled || ord.level !== level || ord.due > s.t) continue;
+    const supplier = s.firms[supplierLvl].find((x) => x.id === ord.to);
+    const buyer = s.firms[buyerLvl].find((x) => x.id === ord.from);
+    if (!supplier || !buyer) {
+      ord.filled = true;
+      ord.dropped = true;
+      continue;
+    }
+    const rem = orderRemaining(ord);
+    const avail = supplier.inventory || 0;
+    const qty = orderCfg.partialShipments ? Math.min(avail, rem) : avail >= rem ? rem : 0;
+    if (qty > 0) {
+      recordTransfer(supplier, buyer, qty, costCfg.transferMarkup);
+      supplier.inventory = avail - qty;
+      buyer.inventory = (buyer.inventory || 0) + qty;
+      ord.shipped = (ord.shipped || 0) + qty;
+    }
+    if (orderRemaining(ord) <= 1e-9) {
+      ord.filled = true;
+      ord.filledAt = s.t;
+      s.logs.push({ t: s.t, type: "order_filled", detail: ord });
+      emit("order_filled", `Pedido ${ord.from}→${ord.to} servido`);
+    } else if (orderCfg.expiryTicks > 0 && s.t - ord.due >= orderCfg.expiryTicks) {
+      ord.filled = true;
+      ord.expired = true;
+      ord.closedAt = s.t;
+      s.logs.push({ t: s.t, type: "order_expired", detail: ord });
+      emit("order_expired", `Pedido ${ord.from}→${ord.to} cancelado: ${orderRemaining(ord).toFixed(1)} u. sin servir`);
+    } else if (qty > 0) {
+      emit("order_partial", `Envío parcial ${ord.to}→${ord.from}: ${qty.toFixed(1)} de ${ord.amount.toFixed(1)}`);
+    }
+  }
+}
+
+// Backlog: pedidos vencidos y abiertos — volumen, cantidad y atraso medio (ticks desde el vencimiento)
+export function backlogAt(state, level = null) {
+  let amount = 0;
+  let count = 0;
+  let ageSum = 0;
+  for (const o of state.orders) {
+    if (o.filled || o.due > state.t || (level && o.level !== level)) continue;
+    amount += orderRemaining(o);
+    count += 1;
+    ageSum += state.t - o.due;
+  }
+  return { amount, count, ageMean: count ? ageSum / count : 0 };
+}
+
+// Aristas comprador→proveedor con el volumen pendiente y su atraso
+export function orderEdges(state) {
+  const edges = {};
+  for (const o of state.orders) {
+    if (o.filled) continue;
+    const key = `${o.from}|${o.to}`;
+    const e = (edges[key] = edges[key] || {
+      from: o.from,
+      to: o.to,
+      level: o.level,
+      outstanding: 0,
+      count: 0,
+      lateCount: 0,
+      lateSum: 0,
+      maxLate: 0,
+    });
+    const late = Math.max(0, state.t - o.due);
+    e.outstanding += orderRemaining(o);
+    e.count += 1;
+    if (late > 0) {
+      e.lateCount += 1;
+      e.lateSum += late;
+      e.maxLate = Math.max(e.maxLate, late);
+    }
+  }
+  return Object.values(edges).map((e) => ({ ...e, avgLate: e.count ? e.lateSum / e.count : 0 }));
+}
+
+// Lo que dibuja la red de suministro (components/SupplyNetwork.jsx): aristas entre firmas activas y lo
+// que cada PBC sirvió en el último tick, con su peso relativo al mayor (0..1) para el grosor
+export function supplyNetworkView(state) {
+  const active = new Set(["PBC", "PFP", "PMP"].flatMap((lvl) => state.firms[lvl].map((f) => f.id)));
+  const edges = orderEdges(state).filter((e) => active.has(e.from) && active.has(e.to));
+  const maxOut = Math.max(1, ...edges.map((e) => e.outstanding));
+  const served = state.firms.PBC.map((f) => ({ id: f.id, qty: f.history.length ? f.history[f.history.length - 1].produced : 0 }));
+  const maxServed = Math.max(1, ...served.map((x) => x.qty));
+  return {
+    edges: edges.map((e) => ({ ...e, weight: e.outstanding / maxOut })),
+    served: served.map((x) => ({ ...x, weight: x.qty / maxServed })),
+    stats: linkStats(state),
+  };
+}
+
+function emptyLinkStats() {
+  return {
+    placed: 0,
+    filled: 0,
+    dropped: 0,
+    expired: 0,
+    partial: 0,
+    dueCount: 0,
+    onTime: 0,
+    leadSum: 0,
+    ordered: 0,
+    shipped: 0,
+    outstanding: 0,
+    outstandingCount: 0,
+  };
+}
+
+function accumulate(st, o, t) {
+  st.placed += 1;
+  if (o.due <= t) st.dueCount += 1;
+  // pedidos de antes de los envíos parciales: servido = todo
+  const shipped = o.shipped ?? (o.filledAt != null ? o.amount : 0);
+  st.ordered += o.amount;
+  st.shipped += shipped;
+  if (o.dropped) st.dropped += 1;
+  else if (o.filledAt != null) {
+    st.filled += 1;
+    if (o.filledAt <= o.due) st.onTime += 1;
+    if (o.createdAt != null) st.leadSum += o.filledAt - o.createdAt;
+  } else {
+    if (shipped > 0) st.partial += 1;
+    if (o.expired) st.expired += 1;
+    else if (!o.filled) {
+      st.outstanding += orderRemaining(o);
+      st.outstandingCount += 1;
+    }
+  }
+}
+
+function finish(st) {
+  const { leadSum, ...rest } = st;
+  return {
+    ...rest,
+    leadTimeMean: st.filled ? leadSum / st.filled : 0,
+    fillRate: st.dueCount ? st.filled / st.dueCount : 0,
+    qtyFillRate: st.ordered ? st.shipped / st.ordered : 0,
+    onTimeRate: st.filled ? st.onTime / st.filled : 0,
+  };
+}
+
+// Lead time, fill rate y puntualidad por enlace
+//  - fillRate: pedidos servidos completos / pedidos ya vencidos
+//  - qtyFillRate: unidades enviadas (incluye envíos parciales) / unidades pedidas
+//  - partial: pedidos no completados con algún envío; expired: cancelados por atraso
+//  - onTimeRate: servidos en su tick de vencimiento / servidos
+export function linkStats(state) {
+  const out = {};
+  for (const level of ORDER_LINKS) out[level] = emptyLinkStats();
+  for (const o of state.orders) if (out[o.level]) accumulate(out[o.level], o, state.t);
+  for (const level of ORDER_LINKS) out[level] = finish(out[level]);
+  return out;
+}
+
+// Igual que linkStats pero separado por la política de ruteo con que se emitió cada pedido
+export function linkStatsByPolicy(state) {
+  const out = {};
+  for (const level of ORDER_LINKS) out[level] = {};
+  for (const o of state.orders) {
+    if (!out[o.level]) continue;
+    const policy = o.policy || "random";
+    accumulate((out[o.level][policy] = out[o.level][policy] || emptyLinkStats()), o, state.t);
+  }
+  for (const level of ORDER_LINKS)
+    for (const policy of Object.keys(out[level])) out[level][policy] = finish(out[level][policy]);
+  return out;
+}
@@ -0,0 +1,117 @@
+import { linkStats, orderEdges, processOrderQueue, supplyNetworkView } from "./network.js";
+import { createLoadTracker } from "./routing.js";
+
+const costCfg = { transferMarkup: 0 };
+
+function state(t, supplierInventory, orders) {
+  return {
+    t,
+    logs: [],
+    orders,
+    firms: {
+      PBC: [{ id: "PBC1", inventory: 0, marginalCost: 1 }],
+      PFP: [{ id: "PFP1", inventory: supplierInventory, marginalCost: 1 }],
+    },
+  };
+}
+
+function order(extra = {}) {
+  return { from: "PBC1", to: "PFP1", level: "PBC->PFP", amount: 10, due: 5, filled: false, ...extra };
+}
+
+function run(s, orderCfg) {
+  const events = [];
+  processOrderQueue(s, "PBC->PFP", orderCfg, costCfg, (type) => events.push(type));
+  return events;
+}
+
+test("con envíos parciales manda lo que hay y deja el resto pendiente", () => {
+  const s = state(5, 4, [order()]);
+  expect(run(s, { partialShipments: true, expiryTicks: 0 })).toEqual(["order_partial"]);
+  expect(s.orders[0]).toMatchObject({ shipped: 4, filled: false });
+  expect(s.firms.PFP[0].inventory).toBe(0);
+  expect(s.firms.PBC[0].inventory).toBe(4);
+
+  s.t = 6;
+  s.firms.PFP[0].inventory = 20;
+  expect(run(s, { partialShipments: true, expiryTicks: 0 })).toEqual(["order_filled"]);
+  expect(s.orders[0]).toMatchObject({ shipped: 10, filled: true, filledAt: 6 });
+  expect(s.firms.PFP[0].inventory).toBe(14);
+});
+
+test("todo-o-nada no envía si no alcanza el inventario", () => {
+  const s = state(5, 4, [order()]);
+  expect(run(s, { partialShipments: false, expiryTicks: 0 })).toEqual([]);
+  expect(s.orders[0].shipped).toBeUndefined();
+  expect(s.firms.PFP[0].inventory).toBe(4);
+});
+
+test("los pedidos que no vencieron no se procesan", () => {
+  const s = state(4, 20, [order()]);
+  expect(run(s, { partialShipments: true, expiryTicks: 0 })).toEqual([]);
+  expect(s.orders[0].filled).toBe(false);
+});
+
+test("un pedido atrasado expiryTicks se cancela con lo que faltó", () => {
+  const s = state(8, 3, [order({ shipped: 2 })]);
+  expect(run(s, { partialShipments: true, expiryTicks: 3 })).toEqual(["order_expired"]);
+  expect(s.orders[0]).toMatchObject({ shipped: 5, filled: true, expired: true, closedAt: 8 });
+  expect(s.logs.map((l) => l.type)).toEqual(["order_expired"]);
+});
+
+test("la carga pendiente de un proveedor descuenta lo ya enviado", () => {
+  const load = createLoadTracker([order({ shipped: 4 }), order({ filled: true }), order({ to: "PFP2" })]);
+  expect(load.get("PFP1")).toBe(6);
+  expect(load.get("PFP2")).toBe(10);
+  load.add("PFP1", 2);
+  expect(load.get("PFP1")).toBe(8);
+});
+
+// t = 10: un pedido parcial y atrasado, uno que aún no vence, uno servido a tiempo, uno servido tarde,
+// uno aguas arriba cancelado tras un envío parcial y uno a una PFP que ya cerró
+function networkState() {
+  const firm = (id, produced = []) => ({ id, inventory: 0, history: produced.map((q, i) => ({ t: i + 1, produced: q })) });
+  return {
+    t: 10,
+    firms: { PBC: [firm("PBC1", [5, 2]), firm("PBC2", [8])], PFP: [firm("PFP1")], PMP: [firm("PMP1")] },
+    orders: [
+      { id: 1, level: "PBC->PFP", from: "PBC1", to: "PFP1", amount: 10, shipped: 4, createdAt: 2, due: 6 },
+      { id: 2, level: "PBC->PFP", from: "PBC1", to: "PFP1", amount: 5, shipped: 0, createdAt: 9, due: 12 },
+      { id: 3, level: "PBC->PFP", from: "PBC2", to: "PFP1", amount: 8, shipped: 8, createdAt: 3, due: 7, filled: true, filledAt: 7 },
+      { id: 4, level: "PBC->PFP", from: "PBC2", to: "PFP1", amount: 6, shipped: 6, createdAt: 1, due: 5, filled: true, filledAt: 9 },
+      { id: 5, level: "PFP->PMP", from: "PFP1", to: "PMP1", amount: 10, shipped: 3, createdAt: 0, due: 2, filled: true, expired: true },
+      { id: 6, level: "PBC->PFP", from: "PBC1", to: "PFP2", amount: 3, shipped: 0, createdAt: 4, due: 9 },
+    ],
+  };
+}
+
+test("orderEdges suma lo pendiente por par comprador→proveedor con su atraso", () => {
+  const edges = orderEdges(networkState());
+  expect(edges).toEqual([
+    { from: "PBC1", to: "PFP1", level: "PBC->PFP", outstanding: 11, count: 2, lateCount: 1, lateSum: 4, maxLate: 4, avgLate: 2 },
+    { from: "PBC1", to: "PFP2", level: "PBC->PFP", outstanding: 3, count: 1, lateCount: 1, lateSum: 1, maxLate: 1, avgLate: 1 },
+  ]);
+});
+
+test("linkStats mide lead time, fill rate por pedido y por unidad, puntualidad y parciales", () => {
+  const { "PBC->PFP": down, "PFP->PMP": up } = linkStats(networkState());
+  expect(down).toMatchObject({ placed: 5, dueCount: 4, filled: 2, onTime: 1, partial: 1, expired: 0 });
+  expect(down).toMatchObject({ ordered: 32, shipped: 18, outstanding: 14, outstandingCount: 3 });
+  expect(down.leadTimeMean).toBe(6);
+  expect(down.fillRate).toBe(0.5);
+  expect(down.qtyFillRate).toBeCloseTo(18 / 32);
+  expect(down.onTimeRate).toBe(0.5);
+  expect(up).toMatchObject({ placed: 1, dueCount: 1, filled: 0, partial: 1, expired: 1, outstanding: 0, fillRate: 0 });
+  expect(up.qtyFillRate).toBeCloseTo(0.3);
+  expect(up.leadTimeMean).toBe(0);
+});
+
+test("supplyNetworkView deja fuera las firmas cerradas y pesa aristas y ventas contra la mayor", () => {
+  const view = supplyNetworkView(networkState());
+  expect(view.edges.map((e) => [e.from, e.to, e.weight])).toEqual([["PBC1", "PFP1", 1]]);
+  expect(view.served).toEqual([
+    { id: "PBC1", qty: 2, weight: 0.25 },
+    { id: "PBC2", qty: 8, weight: 1 },
+  ]);
+  expect(view.stats["PBC->PFP"].placed).toBe(5);
+});
@@ -0,0 +1,70 @@
+import { DEFAULT } from "./config.js";
+import { engineActionsAt, startEngine } from "./journal.js";
+import { equilibriumAt } from "./welfare.js";
+
+// ------------------ PLANIFICADOR ORÁCULO (sombra) ------------------
+// Ve a los consumidores y firmas ocultos: fija el precio de equilibrio competitivo (el que maximiza
+// el bienestar) y hace que las PBC planifiquen con la demanda verdadera. Corre en un motor propio,
+// desde la misma base (config + seed) que la sesión humana y con las mismas condiciones del
+// experimento (fase, ruteo y racionamiento), así que es un benchmark alcanzable por la misma economía.
+// Es una simulación completa más: la UI lo corre una vez, al finalizar, en oracle.worker.js.
+
+export function oracleActions(state, cfg, env = {}) {
+  const eq = equilibriumAt(state, { ...DEFAULT.welfare, ...cfg.welfare });
+  return {
+    phaseIdx: env.phaseIdx,
+    routing: env.routing,
+    rationing: env.rationing,
+    priceMode: "manual",
+    manualPrice: Math.max(cfg.pMin, eq.price),
+    demand: { type: "oracle" },
+  };
+}
+
+export function createShadowOracle(journal) {
+  const engine = startEngine(journal.base);
+  return {
+    engine,
+    // avanza hasta el tick t siguiendo las condiciones que registró la bitácora humana;
+    // onProgress(done, total) cada 50 ticks
+    advanceTo(t, onProgress) {
+      const start = engine.t;
+      while (engine.t < t) {
+        const env = engineActionsAt(journal, engine.t + 1);
+        engine.step(oracleActions(engine.state, engine.config, env));
+        if (onProgress && engine.t % 50 === 0) onProgress(engine.t - start, t - start);
+      }
+    },
+  };
+}
+
+// Regret contra el oráculo, tick a tick sobre los ticks que ambos recorrieron
+export function compareWithOracle(humanSeries, oracleSeries) {
+  const byT = {};
+  for (const pt of oracleSeries) byT[pt.t] = pt;
+  let n = 0;
+  let welfareRegret = 0;
+  let servedGap = 0;
+  let priceGap = 0;
+  let humanWelfare = 0;
+  let oracleWelfare = 0;
+  for (const h of humanSeries) {
+    const o = byT[h.t];
+    if (!o || h.t === 0 || !Number.isFinite(h.welfare) || !Number.isFinite(o.welfare)) continue;
+    n += 1;
+    humanWelfare += h.welfare;
+    oracleWelfare += o.welfare;
+    welfareRegret += o.welfare - h.welfare;
+    servedGap += Math.abs(o.qServed - h.qServed);
+    priceGap += Math.abs(o.price - h.price);
+  }
+  return {
+    ticks: n,
+    humanWelfare,
+    oracleWelfare,
+    welfareRegret,
+    servedGap,
+    priceGapMean: n ? priceGap / n : NaN,
+    ratio: oracleWelfare > 0 ? humanWelfare / oracleWelfare : NaN,
+  };
+}
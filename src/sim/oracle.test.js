@@ -0,0 +1,66 @@
+import { compareWithOracle, createShadowOracle, oracleActions } from "./oracle.js";
+import { createJournal, replayTo } from "./journal.js";
+import { DEFAULT } from "./config.js";
+import { equilibriumAt } from "./welfare.js";
+
+const base = { config: { consumersN: 40 }, seed: 9 };
+
+test("oracleActions fija el precio de equilibrio, planifica con la demanda verdadera y conserva las condiciones", () => {
+  const engine = replayTo(createJournal(base), 5);
+  const env = { phaseIdx: 1, routing: { pbcToPfp: "cheapest", pfpToPmp: "random" }, rationing: "queue" };
+  const actions = oracleActions(engine.state, engine.config, env);
+  const eq = equilibriumAt(engine.state, { ...DEFAULT.welfare, ...engine.config.welfare });
+  expect(actions).toEqual({ ...env, priceMode: "manual", manualPrice: Math.max(engine.config.pMin, eq.price), demand: { type: "oracle" } });
+});
+
+test("la misma bitácora da la misma trayectoria del oráculo, avance por tramos o de una vez", () => {
+  const journal = createJournal(base);
+  const a = createShadowOracle(journal);
+  a.advanceTo(40);
+  const b = createShadowOracle(journal);
+  const progress = [];
+  b.advanceTo(25);
+  b.advanceTo(60, (done, total) => progress.push(`${done}/${total}`));
+  expect(a.engine.t).toBe(40);
+  expect(b.engine.state.series.slice(0, 41)).toEqual(a.engine.state.series);
+  expect(progress).toEqual(["25/35"]);
+  // no retrocede
+  b.advanceTo(30);
+  expect(b.engine.t).toBe(60);
+});
+
+test("compareWithOracle suma el regret sobre los ticks comunes y salta el tick 0", () => {
+  const h = [
+    { t: 0, price: 1, qServed: 0, welfare: 0 },
+    { t: 1, price: 2, qServed: 10, welfare: 5 },
+    { t: 2, price: 3, qServed: 12, welfare: 8 },
+    { t: 3, price: 3, qServed: 12, welfare: 8 },
+  ];
+  const o = [
+    { t: 0, price: 1, qServed: 0, welfare: 100 },
+    { t: 1, price: 1.5, qServed: 14, welfare: 10 },
+    { t: 2, price: 2, qServed: 15, welfare: 10 },
+  ];
+  expect(compareWithOracle(h, o)).toEqual({
+    ticks: 2,
+    humanWelfare: 13,
+    oracleWelfare: 20,
+    welfareRegret: 7,
+    servedGap: 7,
+    priceGapMean: 0.75,
+    ratio: 0.65,
+  });
+  expect(compareWithOracle(h, []).ticks).toBe(0);
+  expect(compareWithOracle(h, []).priceGapMean).toBeNaN();
+});
+
+test("una sesión con el precio en automático no supera al oráculo en bienestar", () => {
+  const journal = createJournal(base, { priceMode: "auto", demand: null, phaseIdx: 0 });
+  const human = replayTo(journal, 80);
+  const shadow = createShadowOracle(journal);
+  shadow.advanceTo(80);
+  const cmp = compareWithOracle(human.state.series, shadow.engine.state.series);
+  expect(cmp.ticks).toBe(80);
+  expect(cmp.welfareRegret).toBeGreaterThanOrEqual(0);
+  expect(cmp.oracleWelfare).toBeGreaterThan(cmp.humanWelfare);
+});
@@ -0,0 +1,11 @@
+import { createShadowOracle } from "./oracle.js";
+import { plannerSummary } from "./planners.js";
+import { serveTask } from "./workerTask.js";
+
+// Web Worker: corre el oráculo desde la base de la sesión hasta el tick en que se finalizó
+// in:  { journal, toTick }   done: { series, summary }
+serveTask(({ journal, toTick }, onProgress) => {
+  const shadow = createShadowOracle(journal);
+  shadow.advanceTo(toTick, onProgress);
+  return { series: shadow.engine.state.series, summary: plannerSummary(shadow.engine.stats()) };
+});
@@ -0,0 +1,88 @@
+// ------------------ FASES DEL EXPERIMENTO ------------------
+// config.phases = [{
+//   name, desc,
+//   feedbackStrength: 0.05,   // el precio empuja el intercepto a de los consumidores
+//   volatility: 0.02,         // shock común de la demanda por tick (±volatility)
+//   delayMult: 1,             // multiplica las demoras de los pedidos que se emiten en la fase
+//   innovationMult: 1,        // multiplica config.innovation.probPerTick
+// }]
+// config.phaseSchedule = [{ at: tick, phaseIdx }]: calendario automático del instructor
+// config.hidePhases = true oculta a los participantes la fase vigente y sus cambios
+// Cada cambio de fase queda en state.phaseLog = [{ t, phaseIdx, name, source }]
+
+export const PHASE_SOURCES = {
+  inicio: "Inicio",
+  planificador: "Planificador",
+  calendario: "Calendario",
+  escenario: "Escenario",
+};
+
+export function defaultPhase(name = "Fase") {
+  return { name, feedbackStrength: 0.05, volatility: 0.02, delayMult: 1, innovationMult: 1, desc: "" };
+}
+
+// campos que faltan (fases guardadas antes de las demoras y la innovación por fase) toman los de defaultPhase
+export function phaseParams(phases, idx) {
+  return { ...defaultPhase(), ...(phases[idx] || phases[0]) };
+}
+
+// Cambia la fase vigente y lo anota en la bitácora de fases; devuelve false si ya estaba en esa fase
+export function setPhase(s, cfg, phaseIdx, source) {
+  if (phaseIdx === s.phaseIdx) return false;
+  s.phaseIdx = phaseIdx;
+  s.phaseLog.push({ t: s.t, phaseIdx, name: cfg.phases[phaseIdx]?.name ?? String(phaseIdx), source });
+  return true;
+}
+
+// Devuelve phaseIdx si es una fase de la sesión; si no, lanza Error (where dice quién la pidió)
+export function requirePhase(phases, phaseIdx, where) {
+  if (!(Number.isInteger(phaseIdx) && phaseIdx >= 0 && phaseIdx < phases.length))
+    throw new Error(`${where}: la fase ${phaseIdx} no existe (la sesión tiene ${phases.length})`);
+  return phaseIdx;
+}
+
+// Ticks pasados en cada fase según la bitácora: [{ name, ticks }] (el primer tick simulado es el 1)
+export function phaseDurations(phaseLog, endT) {
+  const byName = {};
+  phaseLog.forEach((entry, i) => {
+    const until = i + 1 < phaseLog.length ? phaseLog[i + 1].t : endT + 1;
+    byName[entry.name] = (byName[entry.name] || 0) + Math.max(0, until - Math.max(1, entry.t));
+  });
+  return Object.entries(byName).map(([name, ticks]) => ({ name, ticks }));
+}
+
+// Devuelve la lista de problemas (vacía si las fases y el calendario son válidos)
+export function validatePhases(phases, schedule = []) {
+  const problems = [];
+  if (!Array.isArray(phases) || phases.length === 0) return ["Fases: al menos una"];
+  phases.forEach((ph, i) => {
+    const label = `Fase ${i + 1}${ph.name ? ` (${ph.name})` : ""}`;
+    if (!ph.name) problems.push(`${label}: falta el nombre`);
+    else if (phases.findIndex((x) => x.name === ph.name) !== i) problems.push(`${label}: nombre repetido`);
+    if (!(ph.feedbackStrength >= 0)) problems.push(`${label}: retroalimentación ≥ 0`);
+    if (!(ph.volatility >= 0 && ph.volatility < 1)) problems.push(`${label}: volatilidad entre 0 y 1`);
+    if (!(ph.delayMult > 0)) problems.push(`${label}: multiplicador de demoras > 0`);
+    if (!(ph.innovationMult >= 0)) problems.push(`${label}: multiplicador de innovación ≥ 0`);
+  });
+  schedule.forEach((step, i) => {
+    if (!Number.isInteger(step.at) || step.at < 1) problems.push(`Calendario ${i + 1}: tick entero ≥ 1`);
+    if (!(Number.isInteger(step.phaseIdx) && step.phaseIdx >= 0 && step.phaseIdx < phases.length))
+      problems.push(`Calendario ${i + 1}: fase desconocida`);
+  });
+  return problems;
+}
+
+// Calendario escrito como texto ("1:A, 100:B, 200:C") con las mismas reglas que el del diseñador de
+// fases: { schedule: [{ at, phaseIdx }] ordenado por tick, problems } (schedule vacío si hay problemas)
+export function parsePhaseSchedule(text, phases) {
+  const schedule = text
+    .split(",")
+    .map((chunk) => chunk.trim())
+    .filter(Boolean)
+    .map((chunk) => {
+      const [at, name] = chunk.split(":").map((x) => x.trim());
+      return { at: at === "" ? NaN : Number(at), phaseIdx: phases.findIndex((ph) => ph.name === name) };
+    });
+  const problems = validatePhases(phases, schedule);
+  return { schedule: problems.length ? [] : schedule.sort((a, b) => a.at - b.at), problems };
+}
@@ -0,0 +1,98 @@
+import { defaultPhase, parsePhaseSchedule, phaseDurations, validatePhases } from "./phases.js";
+import { EXPERIMENT_PHASES } from "./config.js";
+import { createEngine } from "./engine.js";
+import { createJournal, recordAction, replayTo } from "./journal.js";
+import { parseScenario } from "./scenario.js";
+
+test("las fases del experimento y un calendario en rango son válidos", () => {
+  expect(validatePhases(EXPERIMENT_PHASES, [{ at: 10, phaseIdx: 2 }])).toEqual([]);
+});
+
+test("validatePhases junta los problemas de fases y calendario", () => {
+  const phases = [
+    { ...defaultPhase("A"), volatility: 1 },
+    { ...defaultPhase("A"), delayMult: 0 },
+    { ...defaultPhase(""), feedbackStrength: -1, innovationMult: -1 },
+  ];
+  expect(validatePhases(phases, [{ at: 0, phaseIdx: 3 }])).toEqual([
+    "Fase 1 (A): volatilidad entre 0 y 1",
+    "Fase 2 (A): nombre repetido",
+    "Fase 2 (A): multiplicador de demoras > 0",
+    "Fase 3: falta el nombre",
+    "Fase 3: retroalimentación ≥ 0",
+    "Fase 3: multiplicador de innovación ≥ 0",
+    "Calendario 1: tick entero ≥ 1",
+    "Calendario 1: fase desconocida",
+  ]);
+  expect(validatePhases([])).toEqual(["Fases: al menos una"]);
+});
+
+test("phaseDurations cuenta los ticks de cada fase desde el primer tick simulado", () => {
+  const log = [
+    { t: 0, name: "A" },
+    { t: 11, name: "B" },
+    { t: 31, name: "A" },
+  ];
+  expect(phaseDurations(log, 40)).toEqual([
+    { name: "A", ticks: 20 },
+    { name: "B", ticks: 20 },
+  ]);
+});
+
+function sources(engine) {
+  return engine.state.phaseLog.map((e) => `${e.t}:${e.name}:${e.source}`);
+}
+
+test("el calendario cambia la fase aunque el planificador no la repita y una orden posterior la revierte", () => {
+  const journal = createJournal({ config: { consumersN: 40, phaseSchedule: [{ at: 10, phaseIdx: 1 }] }, seed: 3 });
+  // el planificador vuelve a A, la misma fase con la que empezó la bitácora
+  recordAction(journal, 20, "phaseIdx", 0);
+  const engine = replayTo(journal, 30);
+  expect(sources(engine)).toEqual(["0:A:inicio", "10:B:calendario", "20:A:planificador"]);
+});
+
+test("sin órdenes de fase el motor sigue el calendario", () => {
+  const engine = createEngine({ consumersN: 40, phaseSchedule: [{ at: 5, phaseIdx: 2 }] }, 3);
+  for (let i = 0; i < 10; i++) engine.step({ priceMode: "auto" });
+  expect(engine.state.phaseIdx).toBe(2);
+});
+
+test("el escenario busca su fase por nombre al empezar la sesión", () => {
+  const scenario = parseScenario({ events: [{ at: 5, type: "phase", phase: "C" }] }, EXPERIMENT_PHASES);
+  expect(scenario.events[0].phaseIdx).toBe(2);
+  // la sesión quitó la fase B: C pasa a ser la segunda
+  const engine = createEngine({ consumersN: 40, phases: [EXPERIMENT_PHASES[0], EXPERIMENT_PHASES[2]], scenario }, 3);
+  for (let i = 0; i < 6; i++) engine.step({});
+  expect(sources(engine)).toEqual(["0:A:inicio", "5:C:escenario"]);
+  expect(() => createEngine({ phases: [EXPERIMENT_PHASES[0]], scenario }, 3)).toThrow("la fase C (t=5) no existe");
+});
+
+test("el motor rechaza fases que la sesión no tiene", () => {
+  expect(() => createEngine({ phases: EXPERIMENT_PHASES, phaseSchedule: [{ at: 5, phaseIdx: 3 }] })).toThrow(
+    "Calendario 1: la fase 3 no existe"
+  );
+  const engine = createEngine({ consumersN: 10 }, 3);
+  expect(() => engine.step({ phaseIdx: 7 })).toThrow("Planificador: la fase 7 no existe");
+});
+
+test("parsePhaseSchedule lee tick:fase ordenado y aplica las reglas del calendario del diseñador", () => {
+  expect(parsePhaseSchedule(" 200:C, 1:A ,100:B,", EXPERIMENT_PHASES)).toEqual({
+    schedule: [
+      { at: 1, phaseIdx: 0 },
+      { at: 100, phaseIdx: 1 },
+      { at: 200, phaseIdx: 2 },
+    ],
+    problems: [],
+  });
+  expect(parsePhaseSchedule("", EXPERIMENT_PHASES)).toEqual({ schedule: [], problems: [] });
+  const bad = parsePhaseSchedule("0:A, -5:B, 2.5:C, 10:Z, 20", EXPERIMENT_PHASES);
+  expect(bad.schedule).toEqual([]);
+  expect(bad.problems).toEqual([
+    "Calendario 1: tick entero ≥ 1",
+    "Calendario 2: tick entero ≥ 1",
+    "Calendario 3: tick entero ≥ 1",
+    "Calendario 4: fase desconocida",
+    "Calendario 5: fase desconocida",
+  ]);
+  expect(parsePhaseSchedule(":A", EXPERIMENT_PHASES).problems).toEqual(["Calendario 1: tick entero ≥ 1"]);
+});
@@ -0,0 +1,155 @@
+import { DEFAULT } from "./config.js";
+import { engineActionsAt, startEngine } from "./journal.js";
+import { olsLinear, variance } from "./utils.js";
+
+// ------------------ PLANIFICADORES AUTOMÁTICOS (líneas base) ------------------
+// Mueven los mismos controles que el humano (priceMode, manualPrice, demanda aplicada) y sólo
+// observan lo que la UI muestra: la serie de precio, demanda real, servida y backlog.
+//   planner.decide({ t, price, series, pMin }) -> { priceMode, manualPrice, demand }
+export const AUTO_PLANNERS = [
+  {
+    key: "pid",
+    label: "PID de precio",
+    desc: "Sube el precio con el exceso de demanda (proporcional, integral y derivativo)",
+    defaults: { kp: 0.05, ki: 0.005, kd: 0.02 },
+  },
+  {
+    key: "adaptive",
+    label: "Expectativas adaptativas",
+    desc: "Pronóstico F ← F + λ (demanda − F); las PBC planifican con F",
+    defaults: { lambda: 0.3, slope: 0 },
+  },
+  {
+    key: "rollingOls",
+    label: "OLS móvil",
+    desc: "Ajusta q = a + b·p en una ventana y fija el precio que vacía lo servido",
+    defaults: { window: 30, dither: 0.02 },
+  },
+  {
+    key: "movingAverage",
+    label: "Inventario por media móvil",
+    desc: "Produce la media móvil de la demanda más un stock de seguridad",
+    defaults: { window: 20, safety: 1 },
+  },
+];
+
+const AUTO = { priceMode: "auto", demand: null };
+
+function recent(series, n) {
+  return series.filter((pt) => pt.t > 0 && Number.isFinite(pt.qDemand) && Number.isFinite(pt.price)).slice(-n);
+}
+
+function mean(xs) {
+  return xs.reduce((a, b) => a + b, 0) / Math.max(1, xs.length);
+}
+
+function pidPlanner({ kp, ki, kd }) {
+  let integral = 0;
+  let prevErr = 0;
+  return (obs) => {
+    const pt = recent(obs.series, 1)[0];
+    if (!pt) return AUTO;
+    const err = (pt.qDemand - pt.qServed) / Math.max(1, pt.qDemand);
+    integral = Math.max(-10, Math.min(10, integral + err)); // anti-windup
+    const change = kp * err + ki * integral + kd * (err - prevErr);
+    prevErr = err;
+    const factor = Math.max(0.8, Math.min(1.2, 1 + change));
+    return { priceMode: "manual", manualPrice: Math.max(obs.pMin, obs.price * factor), demand: null };
+  };
+}
+
+function adaptivePlanner({ lambda, slope }) {
+  let forecast = null;
+  return (obs) => {
+    const pt = recent(obs.series, 1)[0];
+    if (!pt) return AUTO;
+    forecast = forecast == null ? pt.qDemand : forecast + lambda * (pt.qDemand - forecast);
+    return { priceMode: "auto", demand: { type: "linear", params: { A: forecast + slope * obs.price, B: slope } } };
+  };
+}
+
+function rollingOlsPlanner({ window, dither }) {
+  return (obs) => {
+    const pts = recent(obs.series, window);
+    if (pts.length < 5 || variance(pts.map((p) => p.price)) < 1e-10) return AUTO;
+    const { a, b } = olsLinear(
+      pts.map((p) => p.price),
+      pts.map((p) => p.qDemand)
+    );
+    if (!(b < 0) || !Number.isFinite(a)) return AUTO;
+    // precio que iguala la demanda estimada a lo que la cadena viene sirviendo; el "dither"
+    // alterna ±dither para que la regresión siga teniendo variación de precio
+    const served = mean(pts.map((p) => p.qServed));
+    const target = Math.max(obs.pMin, Math.min(obs.price * 1.5, (a - served) / -b));
+    const sign = obs.t % 2 === 0 ? 1 : -1;
+    return {
+      priceMode: "manual",
+      manualPrice: Math.max(obs.pMin, target * (1 + sign * dither)),
+      demand: { type: "linear", params: { A: a, B: -b } },
+    };
+  };
+}
+
+function movingAveragePlanner({ window, safety }) {
+  return (obs) => {
+    const qs = recent(obs.series, window).map((p) => p.qDemand);
+    if (qs.length === 0) return AUTO;
+    const target = mean(qs) + safety * Math.sqrt(variance(qs));
+    return { priceMode: "auto", demand: { type: "linear", params: { A: target, B: 0 } } };
+  };
+}
+
+const FACTORIES = { pid: pidPlanner, adaptive: adaptivePlanner, rollingOls: rollingOlsPlanner, movingAverage: movingAveragePlanner };
+
+export function createPlanner(key, params = {}) {
+  const spec = AUTO_PLANNERS.find((p) => p.key === key);
+  if (!spec) throw new Error(`Planificador desconocido: ${key}`);
+  const decide = FACTORIES[key]({ ...spec.defaults, ...params });
+  return { key, label: spec.label, decide };
+}
+
+// observación del planificador: lo mismo que ve el humano en la UI
+export function plannerObservation(engine) {
+  return { t: engine.t, price: engine.price, series: engine.state.series, pMin: engine.config.pMin ?? DEFAULT.pMin };
+}
+
+// Corre un planificador automático desde la base de la bitácora hasta el tick `toTick`, con las
+// mismas condiciones del experimento que vivió el humano (fase, ruteo y racionamiento)
+export function runPlannerShadow(journal, key, toTick, params = {}) {
+  const engine = startEngine(journal.base);
+  const planner = createPlanner(key, params);
+  while (engine.t < toTick) {
+    const env = engineActionsAt(journal, engine.t + 1);
+    const decision = planner.decide(plannerObservation(engine));
+    engine.step({
+      phaseIdx: env.phaseIdx,
+      routing: env.routing,
+      rationing: env.rationing,
+      manualPrice: engine.price,
+      ...decision,
+    });
+  }
+  return engine;
+}
+
+// Resumen comparable entre planificadores (humano incluido)
+export function plannerSummary(stats) {
+  return {
+    effMean: stats.effMean,
+    avgPrice: stats.avgPrice,
+    priceVol: stats.priceVol,
+    avgServed: stats.avgServed,
+    welfare: stats.welfare.total,
+    dwl: stats.welfare.dwl,
+    costPerUnit: stats.costs.costPerUnit,
+    backlogMean: stats.backlog.mean,
+  };
+}
+
+export function comparePlanners(journal, toTick, onProgress) {
+  return AUTO_PLANNERS.map((spec, i) => {
+    const engine = runPlannerShadow(journal, spec.key, toTick);
+    if (onProgress) onProgress(i + 1, AUTO_PLANNERS.length);
+    return { key: spec.key, label: spec.label, ...plannerSummary(engine.stats()) };
+  });
+}
@@ -0,0 +1,64 @@
+import { AUTO_PLANNERS, comparePlanners, createPlanner, runPlannerShadow } from "./planners.js";
+import { createJournal } from "./journal.js";
+
+const pt = (t, price, qDemand, qServed = qDemand) => ({ t, price, qDemand, qServed });
+const obs = (series, price = series[series.length - 1]?.price ?? 1) => ({ t: series.length, price, series, pMin: 0.1 });
+
+test("createPlanner rechaza claves desconocidas y sin historia deja el modo automático", () => {
+  expect(() => createPlanner("otro")).toThrow("Planificador desconocido: otro");
+  for (const { key } of AUTO_PLANNERS) {
+    expect(createPlanner(key).decide(obs([pt(0, 1, 10)]))).toEqual({ priceMode: "auto", demand: null });
+  }
+});
+
+test("el PID sube el precio con exceso de demanda, lo baja con exceso de oferta y lo acota a ±20%", () => {
+  const up = createPlanner("pid").decide(obs([pt(1, 2, 100, 50)]));
+  expect(up.priceMode).toBe("manual");
+  expect(up.manualPrice).toBeGreaterThan(2);
+  const down = createPlanner("pid", { kp: 10 }).decide(obs([pt(1, 2, 100, 1000)]));
+  expect(down.manualPrice).toBeCloseTo(2 * 0.8);
+});
+
+test("las expectativas adaptativas mueven el pronóstico una fracción lambda hacia la demanda", () => {
+  const planner = createPlanner("adaptive", { lambda: 0.5 });
+  const series = [pt(1, 1, 10)];
+  expect(planner.decide(obs(series)).demand.params.A).toBe(10);
+  series.push(pt(2, 1, 20));
+  expect(planner.decide(obs(series)).demand).toEqual({ type: "linear", params: { A: 15, B: 0 } });
+});
+
+test("la OLS móvil recupera una demanda lineal exacta y apunta al precio que vacía lo servido", () => {
+  // q = 100 − 10p con lo servido fijo en 60 -> p* = 4
+  const series = Array.from({ length: 30 }, (_, i) => {
+    const price = 2 + (i % 5) * 0.5;
+    return pt(i + 1, price, 100 - 10 * price, 60);
+  });
+  const decision = createPlanner("rollingOls", { dither: 0 }).decide(obs(series, 3.5));
+  expect(decision.demand.params.A).toBeCloseTo(100);
+  expect(decision.demand.params.B).toBeCloseTo(10);
+  expect(decision.manualPrice).toBeCloseTo(4);
+  // sin variación de precio no hay regresión posible
+  const flat = series.map((p) => ({ ...p, price: 2 }));
+  expect(createPlanner("rollingOls").decide(obs(flat)).priceMode).toBe("auto");
+});
+
+test("la media móvil planifica la demanda media más el stock de seguridad", () => {
+  const series = [pt(1, 1, 10), pt(2, 1, 20), pt(3, 1, 30)];
+  const { demand } = createPlanner("movingAverage", { window: 2, safety: 0 }).decide(obs(series));
+  expect(demand).toEqual({ type: "linear", params: { A: 25, B: 0 } });
+  const safe = createPlanner("movingAverage", { window: 2, safety: 1 }).decide(obs(series));
+  expect(safe.demand.params.A).toBeGreaterThan(25);
+});
+
+test("runPlannerShadow y comparePlanners son deterministas sobre la base de la bitácora", () => {
+  const journal = createJournal({ config: { consumersN: 40 }, seed: 4 });
+  const a = runPlannerShadow(journal, "pid", 30);
+  const b = runPlannerShadow(journal, "pid", 30);
+  expect(a.t).toBe(30);
+  expect(b.state.series).toEqual(a.state.series);
+  const progress = [];
+  const rows = comparePlanners(journal, 20, (done, total) => progress.push(`${done}/${total}`));
+  expect(rows.map((r) => r.key)).toEqual(AUTO_PLANNERS.map((p) => p.key));
+  expect(progress[progress.length - 1]).toBe(`${AUTO_PLANNERS.length}/${AUTO_PLANNERS.length}`);
+  for (const row of rows) expect(Number.isFinite(row.avgPrice)).toBe(true);
+});
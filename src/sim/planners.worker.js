@@ -0,0 +1,6 @@
+import { comparePlanners } from "./planners.js";
+import { serveTask } from "./workerTask.js";
+
+// Web Worker: corre los planificadores automáticos sobre la misma base que la sesión humana
+// in:  { journal, toTick }   done: { rows }
+serveTask(({ journal, toTick }, onProgress) => ({ rows: comparePlanners(journal, toTick, onProgress) }));
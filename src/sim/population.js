@@ -0,0 +1,206 @@
+import { REACTION_PROFILES } from "./config.js";
+import { randRange } from "./utils.js";
+
+// ------------------ POBLACIÓN DE CONSUMIDORES (oculta) ------------------
+// config.population = null usa el generador original (mezcla fija 60/25/13/2 de linear/log/exp/poly).
+// Una población con nombre se arma con segmentos:
+//   {
+//     name: "…",
+//     segments: [{
+//       name, share,                       // peso relativo del segmento
+//       family: "linear" | "log" | "exp" | "poly",
+//       a: dist, b: dist,                  // dist = { dist: "uniform", min, max } | { dist: "normal", mean, sd }
+//       noise: 0.05,                       // ruido multiplicativo de la demanda (±noise)
+//       reaction: "estandar",              // clave de REACTION_PROFILES (config.js)
+//       changeEvery: [30, 100],            // ticks entre cambios de preferencia ([0, 0] = nunca)
+//     }]
+//   }
+// En un cambio de preferencia el consumidor vuelve a sortear a y b de su segmento. b se recorta a ≥ 0
+// (una normal puede sortear negativos y la demanda nunca sube con el precio).
+
+export const CONSUMER_FAMILIES = ["linear", "log", "exp", "poly"];
+
+export function uniform(min, max) {
+  return { dist: "uniform", min, max };
+}
+
+export function normal(mean, sd) {
+  return { dist: "normal", mean, sd };
+}
+
+export function defaultSegment(name = "Segmento") {
+  return {
+    name,
+    share: 1,
+    family: "linear",
+    a: uniform(5, 200),
+    b: uniform(0.01, 10),
+    noise: 0.05,
+    reaction: "estandar",
+    changeEvery: [30, 100],
+  };
+}
+
+export const POPULATION_PRESETS = [
+  { name: "Original (mezcla fija)", population: null },
+  {
+    name: "Mezcla original por segmentos",
+    population: {
+      name: "Mezcla original por segmentos",
+      segments: [
+        { ...defaultSegment("Lineales"), share: 0.6 },
+        { ...defaultSegment("Logarítmicos"), share: 0.25, family: "log" },
+        { ...defaultSegment("Exponenciales"), share: 0.13, family: "exp", b: uniform(0.01, 1) },
+        { ...defaultSegment("Polinómicos"), share: 0.02, family: "poly" },
+      ],
+    },
+  },
+  {
+    name: "Homogénea lineal",
+    population: {
+      name: "Homogénea lineal",
+      segments: [{ ...defaultSegment("Todos"), a: normal(100, 10), b: normal(2, 0.2), noise: 0.02 }],
+    },
+  },
+  {
+    name: "Polarizada: sensibles y leales",
+    population: {
+      name: "Polarizada: sensibles y leales",
+      segments: [
+        { ...defaultSegment("Sensibles"), share: 0.5, family: "exp", a: uniform(80, 150), b: uniform(0.3, 0.8), reaction: "sensible" },
+        { ...defaultSegment("Leales"), share: 0.5, family: "log", a: uniform(60, 120), b: uniform(1, 5), reaction: "leal" },
+      ],
+    },
+  },
+  {
+    name: "Volátil",
+    population: {
+      name: "Volátil",
+      segments: [{ ...defaultSegment("Todos"), noise: 0.25, changeEvery: [5, 20] }],
+    },
+  },
+];
+
+// Segmento visible de un consumidor (prioridad de racionamiento, revelación): nombre del segmento de
+// la población o, con el generador original, su familia de demanda
+export function consumerSegment(c, population) {
+  return c.segment != null && population ? population.segments[c.segment]?.name : c.type;
+}
+
+export function drawParam(d, rng) {
+  if (d.dist === "normal") {
+    // Box–Muller
+    const u1 = Math.max(1e-12, rng());
+    const u2 = rng();
+    return d.mean + d.sd * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+  return randRange(rng, d.min, d.max);
+}
+
+function nextChangeAt(seg, t, rng) {
+  const [lo, hi] = seg.changeEvery;
+  if (!(hi > 0)) return null; // nunca (null y no Infinity: el estado viaja como JSON)
+  return t + Math.round(randRange(rng, lo, hi));
+}
+
+// cantidad de consumidores por segmento (restos mayores)
+export function segmentCounts(population, n) {
+  const total = population.segments.reduce((a, seg) => a + seg.share, 0);
+  const raw = population.segments.map((seg) => (n * seg.share) / total);
+  const counts = raw.map(Math.floor);
+  const order = raw.map((r, i) => [r - counts[i], i]).sort((x, y) => y[0] - x[0]);
+  for (let k = 0; k < n - counts.reduce((a, b) => a + b, 0); k++) counts[order[k][1]]++;
+  return counts;
+}
+
+export function createPopulation(population, n, updateRange, rng) {
+  const consumers = [];
+  segmentCounts(population, n).forEach((count, segIdx) => {
+    const seg = population.segments[segIdx];
+    for (let k = 0; k < count; k++) {
+      const Ti = Math.round(randRange(rng, updateRange[0], updateRange[1]));
+      consumers.push({
+        id: `C${consumers.length}`,
+        type: seg.family,
+        a: drawParam(seg.a, rng),
+        b: Math.max(0, drawParam(seg.b, rng)),
+        segment: segIdx,
+        noise: seg.noise,
+        reaction: seg.reaction,
+        Ti,
+        nextUpdateAt: Ti,
+        lastUpdate: 0,
+        nextChange: nextChangeAt(seg, 0, rng),
+      });
+    }
+  });
+  return consumers;
+}
+
+// Cambio de preferencias y actualización periódica de un consumidor de segmento
+export function updateSegmentConsumer(c, seg, t, updateRange, rng) {
+  if (c.nextChange != null && t >= c.nextChange) {
+    c.a = drawParam(seg.a, rng);
+    c.b = Math.max(0, drawParam(seg.b, rng));
+    c.nextChange = nextChangeAt(seg, t, rng);
+  }
+  if (t >= c.nextUpdateAt) {
+    if (rng() < 0.15) {
+      c.a = drawParam(seg.a, rng);
+      c.b = Math.max(0, drawParam(seg.b, rng));
+    } else {
+      c.a *= 1 + (rng() - 0.5) * 0.08;
+      c.b *= 1 + (rng() - 0.5) * 0.04;
+    }
+    c.nextUpdateAt = t + Math.round(randRange(rng, updateRange[0], updateRange[1]));
+    c.lastUpdate = t;
+  }
+}
+
+// Ingreso, parte del ingreso para este bien, saciedad y elasticidad al sustituto (config.budgets)
+export function drawBudget(budgets, rng) {
+  return {
+    income: randRange(rng, budgets.incomeRange[0], budgets.incomeRange[1]),
+    budgetShare: budgets.budgetShare,
+    satiation: randRange(rng, budgets.satiationRange[0], budgets.satiationRange[1]),
+    substitution: budgets.substitution,
+  };
+}
+
+function validateDist(d, label, problems) {
+  if (!d || (d.dist !== "uniform" && d.dist !== "normal")) problems.push(`${label}: distribución uniform o normal`);
+  else if (d.dist === "uniform" && !(Number.isFinite(d.min) && Number.isFinite(d.max) && d.min <= d.max))
+    problems.push(`${label}: rango inválido`);
+  else if (d.dist === "normal" && !(Number.isFinite(d.mean) && d.sd >= 0)) problems.push(`${label}: media y desvío ≥ 0`);
+}
+
+// Devuelve la lista de problemas (vacía si la población es válida)
+export function validatePopulation(population) {
+  if (population == null) return [];
+  const problems = [];
+  if (!Array.isArray(population.segments) || population.segments.length === 0) return ["Población: al menos un segmento"];
+  population.segments.forEach((seg, i) => {
+    const label = `Segmento ${i + 1}${seg.name ? ` (${seg.name})` : ""}`;
+    if (!(seg.share >= 0)) problems.push(`${label}: participación ≥ 0`);
+    if (!CONSUMER_FAMILIES.includes(seg.family)) problems.push(`${label}: familia desconocida ${seg.family}`);
+    validateDist(seg.a, `${label} a`, problems);
+    validateDist(seg.b, `${label} b`, problems);
+    if (!(seg.noise >= 0 && seg.noise < 1)) problems.push(`${label}: ruido entre 0 y 1`);
+    if (!REACTION_PROFILES[seg.reaction]) problems.push(`${label}: reacción desconocida ${seg.reaction}`);
+    const ch = seg.changeEvery;
+    if (!Array.isArray(ch) || ch.length !== 2 || !(ch[0] >= 0 && ch[1] >= ch[0])) problems.push(`${label}: cambio de preferencias inválido`);
+  });
+  if (population.segments.reduce((a, seg) => a + (seg.share || 0), 0) <= 0) problems.push("Población: participaciones suman 0");
+  return problems;
+}
+
+// JSON (texto u objeto) -> población validada; los campos que faltan en un segmento toman los de
+// defaultSegment. Lanza Error con la lista de problemas
+export function parsePopulation(raw) {
+  const json = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!json || !Array.isArray(json.segments)) throw new Error("Población inválida: falta la lista segments");
+  const population = { name: json.name || "Población", segments: json.segments.map((seg) => ({ ...defaultSegment(), ...seg })) };
+  const problems = validatePopulation(population);
+  if (problems.length) throw new Error(`Población inválida:\n- ${problems.join("\n- ")}`);
+  return population;
+}
@@ -0,0 +1,93 @@
+import {
+  createPopulation,
+  normal,
+  parsePopulation,
+  segmentCounts,
+  uniform,
+  updateSegmentConsumer,
+  validatePopulation,
+} from "./population.js";
+import { REACTION_PROFILES } from "./config.js";
+import { consumerReact } from "./demand.js";
+import { createEngine } from "./engine.js";
+import { mulberry32 } from "./utils.js";
+
+const population = {
+  name: "Prueba",
+  segments: [
+    { name: "Sensibles", share: 3, family: "exp", a: uniform(80, 150), b: uniform(0.3, 0.8), noise: 0.1, reaction: "sensible", changeEvery: [10, 20] },
+    { name: "Leales", share: 1, family: "log", a: normal(100, 5), b: normal(-5, 1), noise: 0, reaction: "leal", changeEvery: [0, 0] },
+  ],
+};
+
+test("segmentCounts reparte por participación con restos mayores", () => {
+  expect(segmentCounts(population, 40)).toEqual([30, 10]);
+  const mix = { segments: [{ share: 0.6 }, { share: 0.25 }, { share: 0.13 }, { share: 0.02 }] };
+  expect(segmentCounts(mix, 10)).toEqual([6, 3, 1, 0]);
+});
+
+test("createPopulation arma cada segmento con su familia, distribución y perfil de reacción", () => {
+  const consumers = createPopulation(population, 40, [5, 10], mulberry32(3));
+  const sensibles = consumers.filter((c) => c.segment === 0);
+  const leales = consumers.filter((c) => c.segment === 1);
+  expect(sensibles).toHaveLength(30);
+  expect(leales).toHaveLength(10);
+  for (const c of sensibles) {
+    expect(c).toMatchObject({ type: "exp", reaction: "sensible", noise: 0.1 });
+    expect(c.a).toBeGreaterThanOrEqual(80);
+    expect(c.a).toBeLessThanOrEqual(150);
+    expect(c.nextChange).toBeGreaterThanOrEqual(10);
+    expect(c.nextChange).toBeLessThanOrEqual(20);
+    expect(c.nextUpdateAt).toBe(c.Ti);
+  }
+  // b ~ normal(-5, 1) se recorta a 0; changeEvery [0, 0] = nunca cambian
+  for (const c of leales) expect(c).toMatchObject({ type: "log", reaction: "leal", b: 0, nextChange: null });
+  expect(createPopulation(population, 40, [5, 10], mulberry32(3))).toEqual(consumers);
+});
+
+test("en su cambio de preferencias el consumidor vuelve a sortear a y b de su segmento", () => {
+  const rng = mulberry32(8);
+  const [c] = createPopulation(population, 1, [50, 60], rng);
+  const at = c.nextChange;
+  const before = { a: c.a, b: c.b };
+  updateSegmentConsumer(c, population.segments[0], at - 1, [50, 60], rng);
+  expect({ a: c.a, b: c.b }).toEqual(before);
+  updateSegmentConsumer(c, population.segments[0], at, [50, 60], rng);
+  expect(c.a).not.toBe(before.a);
+  expect(c.a).toBeGreaterThanOrEqual(80);
+  expect(c.nextChange).toBeGreaterThanOrEqual(at + 10);
+  expect(c.nextChange).toBeLessThanOrEqual(at + 20);
+});
+
+test("los perfiles de reacción escalan la demanda ante una suba de precio", () => {
+  const first = () => 0; // primer resultado del perfil, en el extremo bajo de su rango
+  expect(consumerReact(1, 2, first, REACTION_PROFILES.sensible)).toBe(0.5);
+  expect(consumerReact(1, 2, first, REACTION_PROFILES.leal)).toBe(0.9);
+  expect(consumerReact(2, 1, first, REACTION_PROFILES.sensible)).toBe(1.1);
+  expect(consumerReact(1, 2, mulberry32(1), REACTION_PROFILES.ninguna)).toBe(1);
+  expect(consumerReact(1, 1, first, REACTION_PROFILES.sensible)).toBe(1);
+});
+
+test("el motor crea la población de config.population con la misma semilla", () => {
+  const a = createEngine({ consumersN: 40, population }, 5);
+  const b = createEngine({ consumersN: 40, population }, 5);
+  expect(a.state.consumers.map((c) => c.segment)).toEqual([...Array(30).fill(0), ...Array(10).fill(1)]);
+  expect(b.state.consumers).toEqual(a.state.consumers);
+  for (let i = 0; i < 15; i++) a.step({ priceMode: "auto" });
+  expect(a.state.consumers.filter((c) => c.segment === 1).every((c) => c.nextChange === null)).toBe(true);
+});
+
+test("validatePopulation y parsePopulation señalan los segmentos inválidos", () => {
+  expect(validatePopulation(null)).toEqual([]);
+  expect(validatePopulation(population)).toEqual([]);
+  expect(validatePopulation({ segments: [] })).toEqual(["Población: al menos un segmento"]);
+  const bad = { segments: [{ ...population.segments[0], family: "cubic", reaction: "rara", a: uniform(5, 1) }] };
+  expect(validatePopulation(bad)).toEqual([
+    "Segmento 1 (Sensibles): familia desconocida cubic",
+    "Segmento 1 (Sensibles) a: rango inválido",
+    "Segmento 1 (Sensibles): reacción desconocida rara",
+  ]);
+  const parsed = parsePopulation(JSON.stringify({ segments: [{ name: "Solo", family: "poly" }] }));
+  expect(parsed.segments[0]).toMatchObject({ name: "Solo", family: "poly", reaction: "estandar", share: 1 });
+  expect(() => parsePopulation({ segments: [{ share: -1 }] })).toThrow("participación ≥ 0");
+});
@@ -0,0 +1,138 @@
+import { consumerSegment } from "./population.js";
+
+// ------------------ RACIONAMIENTO ------------------
+// Con config.rationing.enabled las PBC venden como máximo lo que piden los consumidores y, cuando su
+// oferta no alcanza, la regla elegida por el planificador decide quién se queda sin comprar. Sin él
+// (modelo original) venden todo lo que ofrecen, lo servido se reparte pro-rata y nadie guarda memoria
+// de lo que le faltó. Cada consumidor lleva su demanda insatisfecha:
+//   c.unmet        lo que le faltó en el último tick
+//   c.unmetTotal   acumulado de la sesión
+//   c.rationedTicks ticks en que le faltó algo
+//   c.queued       unidades que vuelve a pedir el tick siguiente (hace cola o acapara)
+//   c.hoarding     acapara: el tick siguiente pide de más (config.rationing.hoardFactor)
+//   c.waitingSince tick desde el que espera (null = no espera)
+
+export const RATIONING_RULES = [
+  { key: "proRata", label: "Pro-rata", desc: "Todos reciben la misma fracción de lo que piden (regla original)" },
+  { key: "queue", label: "Cola", desc: "Primero los que más esperan; los nuevos llegan en orden aleatorio" },
+  { key: "lottery", label: "Lotería", desc: "Orden aleatorio cada tick; cada uno compra todo lo que pide" },
+  { key: "priority", label: "Prioridad", desc: "Segmentos en el orden de config.rationing.priority, pro-rata dentro de cada uno" },
+];
+
+export const DEFAULT_RATIONING = "proRata";
+
+// Reacción al quedar racionado (probabilidades de config.rationing.reactions)
+export const RATIONING_REACTIONS = [
+  { key: "queue", label: "Hace cola", desc: "Vuelve a pedir lo que le faltó el tick siguiente" },
+  { key: "hoard", label: "Acapara", desc: "Vuelve a pedir lo que le faltó y además compra de más" },
+  { key: "giveUp", label: "Desiste", desc: "La demanda insatisfecha se pierde (va al sustituto)" },
+];
+
+function shuffled(n, rng) {
+  const idx = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [idx[i], idx[j]] = [idx[j], idx[i]];
+  }
+  return idx;
+}
+
+// sirve en orden: cada uno compra todo lo que pide mientras alcance
+function serveInOrder(order, requests, supply, alloc) {
+  let left = supply;
+  for (const i of order) {
+    if (left <= 0) break;
+    alloc[i] = Math.min(requests[i], left);
+    left -= alloc[i];
+  }
+}
+
+function serveProRata(members, requests, supply, alloc) {
+  const total = members.reduce((a, i) => a + requests[i], 0);
+  const share = total > 0 ? Math.min(1, supply / total) : 0;
+  for (const i of members) alloc[i] = requests[i] * share;
+  return total * share;
+}
+
+// Reparte `supply` entre los pedidos (requests[i] del consumidor i) según la regla. Si alcanza para
+// todos no hay nada que sortear: cada uno recibe lo que pidió y no se consume el rng
+export function allocateSupply(rule, consumers, requests, supply, { rng, priority = [], population = null }) {
+  const n = requests.length;
+  const alloc = new Array(n).fill(0);
+  if (supply >= requests.reduce((a, q) => a + q, 0)) return requests.slice();
+  if (rule === "queue") {
+    // los que esperan desde antes van primero; entre los recién llegados, orden aleatorio
+    const order = shuffled(n, rng);
+    const since = (i) => consumers[i].waitingSince ?? Infinity;
+    order.sort((x, y) => since(x) - since(y));
+    serveInOrder(order, requests, supply, alloc);
+  } else if (rule === "lottery") {
+    serveInOrder(shuffled(n, rng), requests, supply, alloc);
+  } else if (rule === "priority") {
+    const rank = (i) => {
+      const r = priority.indexOf(consumerSegment(consumers[i], population));
+      return r < 0 ? priority.length : r;
+    };
+    const groups = [];
+    for (let i = 0; i < n; i++) (groups[rank(i)] ||= []).push(i);
+    let left = supply;
+    for (const members of groups) if (members) left -= serveProRata(members, requests, left, alloc);
+  } else {
+    serveProRata(alloc.map((_, i) => i), requests, supply, alloc);
+  }
+  return alloc;
+}
+
+// sólo se sortea si hay más de una reacción posible
+function pickReaction(reactions, rng) {
+  const possible = RATIONING_REACTIONS.filter((rr) => reactions[rr.key] > 0);
+  if (possible.length === 1) return possible[0].key;
+  const roll = rng() * (reactions.queue + reactions.hoard + reactions.giveUp);
+  if (roll < reactions.queue) return "queue";
+  if (roll < reactions.queue + reactions.hoard) return "hoard";
+  return "giveUp";
+}
+
+// Resumen del tick sin memoria en los consumidores (racionamiento desactivado)
+export function shortageSummary(requests, alloc) {
+  let unmet = 0;
+  let rationed = 0;
+  requests.forEach((q, i) => {
+    const missing = Math.max(0, q - alloc[i]);
+    if (missing <= 1e-9) return;
+    unmet += missing;
+    rationed++;
+  });
+  return { unmet, rationed, queued: 0 };
+}
+
+// Registra lo que le faltó a cada consumidor y su reacción; devuelve el resumen del tick
+export function recordRationing(s, requests, alloc, cfg, rng) {
+  let unmet = 0;
+  let rationed = 0;
+  let queued = 0;
+  s.consumers.forEach((c, i) => {
+    const missing = Math.max(0, requests[i] - alloc[i]);
+    c.unmet = missing;
+    c.unmetTotal = (c.unmetTotal || 0) + missing;
+    c.queued = 0;
+    c.hoarding = false;
+    if (missing <= 1e-9) {
+      c.waitingSince = null;
+      return;
+    }
+    unmet += missing;
+    rationed++;
+    c.rationedTicks = (c.rationedTicks || 0) + 1;
+    if (c.waitingSince == null) c.waitingSince = s.t;
+    // tras maxWait ticks esperando, desiste
+    const reaction = s.t - c.waitingSince >= cfg.maxWait ? "giveUp" : pickReaction(cfg.reactions, rng);
+    if (reaction === "giveUp") c.waitingSince = null;
+    else {
+      c.queued = missing;
+      c.hoarding = reaction === "hoard";
+      queued += missing;
+    }
+  });
+  return { unmet, rationed, queued };
+}
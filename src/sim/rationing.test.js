@@ -0,0 +1,56 @@
+import { allocateSupply, recordRationing, shortageSummary } from "./rationing.js";
+
+// rng que falla si se consume: sirve para comprobar que no se sortea sin necesidad
+function noRng() {
+  throw new Error("no debería sortear");
+}
+
+function seq(values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+const consumers = [{ waitingSince: null }, { waitingSince: 3 }, { waitingSince: 1 }];
+
+test("si la oferta alcanza cada uno recibe lo pedido sin consumir el rng", () => {
+  for (const rule of ["proRata", "queue", "lottery", "priority"])
+    expect(allocateSupply(rule, consumers, [2, 3, 5], 10, { rng: noRng })).toEqual([2, 3, 5]);
+});
+
+test("pro-rata da a todos la misma fracción", () => {
+  const alloc = allocateSupply("proRata", consumers, [2, 4, 4], 5, { rng: noRng });
+  expect(alloc).toEqual([1, 2, 2]);
+});
+
+test("la cola sirve primero a los que esperan desde antes", () => {
+  const alloc = allocateSupply("queue", consumers, [4, 4, 4], 6, { rng: seq([0.5]) });
+  expect(alloc).toEqual([0, 2, 4]);
+});
+
+test("la lotería sirve completos a los primeros del sorteo", () => {
+  const alloc = allocateSupply("lottery", consumers, [4, 4, 4], 6, { rng: seq([0.5]) });
+  expect(alloc.reduce((a, q) => a + q, 0)).toBe(6);
+  expect(alloc.filter((q) => q === 4)).toHaveLength(1);
+  expect(alloc.filter((q) => q === 2)).toHaveLength(1);
+});
+
+test("la prioridad sirve a los segmentos en orden y pro-rata dentro de cada uno", () => {
+  const fam = [{ type: "linear" }, { type: "exp" }, { type: "linear" }];
+  const alloc = allocateSupply("priority", fam, [2, 4, 4], 5, { rng: noRng, priority: ["exp", "linear"] });
+  expect(alloc[1]).toBe(4);
+  expect(alloc[0]).toBeCloseTo(1 / 3);
+  expect(alloc[2]).toBeCloseTo(2 / 3);
+});
+
+test("el resumen sin racionamiento no toca a los consumidores", () => {
+  expect(shortageSummary([2, 4], [1, 4])).toEqual({ unmet: 1, rationed: 1, queued: 0 });
+});
+
+test("con una sola reacción posible no se sortea", () => {
+  const s = { t: 5, consumers: [{}, {}] };
+  const cfg = { maxWait: 10, reactions: { queue: 1, hoard: 0, giveUp: 0 } };
+  const out = recordRationing(s, [3, 2], [1, 2], cfg, noRng);
+  expect(out).toEqual({ unmet: 2, rationed: 1, queued: 2 });
+  expect(s.consumers[0]).toMatchObject({ queued: 2, hoarding: false, waitingSince: 5, rationedTicks: 1 });
+  expect(s.consumers[1].waitingSince).toBeNull();
+});
@@ -0,0 +1,94 @@
+import { DEFAULT } from "./config.js";
+import { createDemandFn, oracleDemand } from "./demand.js";
+import { actionsAt, replayCollect } from "./journal.js";
+import { consumerCollector } from "./consumerReveal.js";
+import { priceGrid } from "./welfare.js";
+
+// ------------------ PERCEPCIÓN vs. DEMANDA VERDADERA ------------------
+// Reproduce la bitácora y, cada `every` ticks, compara la curva que el planificador tenía aplicada
+// con la demanda agregada verdadera de ese momento (los consumidores cambian durante la sesión).
+//   frame = { t, price, applied, label, curve: [{ p, perceived, truth, gap }], gapArea, overArea, underArea, gapAtPrice }
+// En modo automático las PBC planifican con la demanda observada del tick (una recta horizontal).
+
+export function perceivedCurveFn(demand, observedQ) {
+  if (!demand) return () => observedQ;
+  return createDemandFn(demand.type, demand.params, demand.expr);
+}
+
+export function demandLabel(demand) {
+  if (!demand) return "Automático (demanda observada)";
+  if (demand.type === "expr") return `Expresión: ${demand.expr}`;
+  return demand.type;
+}
+
+function frameAt(engine, journal, grid) {
+  const s = engine.state;
+  const point = s.series[s.series.length - 1];
+  const applied = actionsAt(journal, s.t).demand;
+  const perceived = perceivedCurveFn(applied, point.qDemand);
+  const curve = grid.map((p) => {
+    const pq = Math.max(0, perceived(p));
+    const tq = oracleDemand(s.consumers, p, s.substitutePrice);
+    return { p, perceived: pq, truth: tq, gap: [Math.min(pq, tq), Math.max(pq, tq)] };
+  });
+  // área entre curvas (regla del trapecio), separada en sobre- y sub-estimación
+  let overArea = 0;
+  let underArea = 0;
+  for (let i = 1; i < curve.length; i++) {
+    const dp = curve[i].p - curve[i - 1].p;
+    const d0 = curve[i - 1].perceived - curve[i - 1].truth;
+    const d1 = curve[i].perceived - curve[i].truth;
+    overArea += 0.5 * (Math.max(0, d0) + Math.max(0, d1)) * dp;
+    underArea += 0.5 * (Math.max(0, -d0) + Math.max(0, -d1)) * dp;
+  }
+  return {
+    t: s.t,
+    price: s.price,
+    applied,
+    label: demandLabel(applied),
+    curve,
+    gapArea: overArea + underArea,
+    overArea,
+    underArea,
+    gapAtPrice: Math.max(0, perceived(s.price)) - oracleDemand(s.consumers, s.price, s.substitutePrice),
+  };
+}
+
+// Colector para replayCollect (journal.js): los cuadros de percepción
+export function perceptionCollector(journal, { steps = 40 } = {}) {
+  let grid = null;
+  const frames = [];
+  return {
+    start(engine) {
+      grid = priceGrid({ ...DEFAULT.welfare, ...engine.config.welfare }.priceCap, steps);
+    },
+    frame(engine) {
+      frames.push(frameAt(engine, journal, grid));
+    },
+    finish: () => frames,
+  };
+}
+
+// Una sola reproducción para las dos revelaciones del fin de sesión: { perception, consumers }
+export function sessionReveal(journal, toTick, { every = null, steps = 40, onProgress } = {}) {
+  const collectors = { perception: perceptionCollector(journal, { steps }), consumers: consumerCollector({ steps }) };
+  return replayCollect(journal, toTick, collectors, { every, onProgress });
+}
+
+// Resumen: brecha media, peor momento y sesgo (sobre- o sub-estimación); los cuadros con demanda
+// no finita (la economía oculta puede desbordarse) quedan fuera
+export function perceptionSummary(allFrames) {
+  const frames = allFrames.filter((f) => Number.isFinite(f.gapArea) && Number.isFinite(f.gapAtPrice));
+  if (frames.length === 0) return null;
+  const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+  const worst = frames.reduce((w, f) => (f.gapArea > w.gapArea ? f : w), frames[0]);
+  return {
+    frames: frames.length,
+    skipped: allFrames.length - frames.length,
+    gapAreaMean: mean(frames.map((f) => f.gapArea)),
+    overShare: mean(frames.map((f) => f.overArea / Math.max(1e-9, f.gapArea))),
+    gapAtPriceMean: mean(frames.map((f) => Math.abs(f.gapAtPrice))),
+    worstT: worst.t,
+    worstGap: worst.gapArea,
+  };
+}
@@ -0,0 +1,53 @@
+import { demandLabel, perceivedCurveFn, perceptionCollector, perceptionSummary } from "./reveal.js";
+import { createJournal, recordAction, replayCollect, replayTo } from "./journal.js";
+
+const linear = { type: "linear", params: { A: 80, B: 4 } };
+
+function journal() {
+  const j = createJournal({ config: { consumersN: 50 }, seed: 31 });
+  recordAction(j, 15, "demand", linear);
+  return j;
+}
+
+function frames(j, toTick = 30) {
+  return replayCollect(j, toTick, { perception: perceptionCollector(j, { steps: 10 }) }, { every: 10 }).perception;
+}
+
+test("sin demanda aplicada el planificador ve una recta horizontal en la demanda observada", () => {
+  expect(perceivedCurveFn(null, 7)(3)).toBe(7);
+  expect(perceivedCurveFn(linear, 7)(5)).toBe(60);
+  expect(demandLabel(null)).toBe("Automático (demanda observada)");
+  expect(demandLabel({ type: "expr", expr: "A - B*p" })).toBe("Expresión: A - B*p");
+});
+
+test("cada cuadro compara la curva aplicada con la demanda verdadera de ese tick", () => {
+  const j = journal();
+  const fs = frames(j);
+  expect(fs.map((f) => f.t)).toEqual([10, 20, 30]);
+  expect(fs[0].applied).toBeNull();
+  expect(fs[1].applied).toEqual(linear);
+  expect(fs[1].label).toBe("linear");
+
+  const engine = replayTo(j, 20);
+  const f = fs[1];
+  expect(f.curve).toHaveLength(11);
+  for (const pt of f.curve) {
+    expect(pt.truth).toBeCloseTo(engine.oracleDemandAt(pt.p), 9);
+    expect(pt.perceived).toBe(Math.max(0, 80 - 4 * pt.p));
+    expect(pt.gap).toEqual([Math.min(pt.perceived, pt.truth), Math.max(pt.perceived, pt.truth)]);
+  }
+  expect(f.gapArea).toBeCloseTo(f.overArea + f.underArea, 9);
+  expect(f.gapAtPrice).toBeCloseTo(Math.max(0, 80 - 4 * engine.price) - engine.oracleDemandAt(engine.price), 9);
+});
+
+test("la reproducción es determinista", () => {
+  expect(frames(journal())).toEqual(frames(journal()));
+});
+
+test("perceptionSummary deja fuera los cuadros no finitos y marca el peor", () => {
+  const frame = (t, over, under, gapAtPrice = 1) => ({ t, overArea: over, underArea: under, gapArea: over + under, gapAtPrice });
+  const summary = perceptionSummary([frame(1, 2, 2), frame(2, 6, 0, -3), frame(3, Infinity, 0)]);
+  expect(summary).toMatchObject({ frames: 2, skipped: 1, gapAreaMean: 5, gapAtPriceMean: 2, worstT: 2, worstGap: 6 });
+  expect(summary.overShare).toBeCloseTo(0.75);
+  expect(perceptionSummary([])).toBeNull();
+});
@@ -0,0 +1,6 @@
+import { sessionReveal } from "./reveal.js";
+import { serveTask } from "./workerTask.js";
+
+// Web Worker: reproduce la sesión una vez para las revelaciones del final (percepción y consumidores)
+// in:  { journal, toTick }   done: { perception, consumers }
+serveTask(({ journal, toTick }, onProgress) => sessionReveal(journal, toTick, { onProgress }));
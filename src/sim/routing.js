@@ -0,0 +1,60 @@
+import { orderRemaining } from "./network.js";
+
+// ------------------ RUTEO DE PEDIDOS ------------------
+// Cómo elige proveedor un comprador: PBC → PFP (pbcToPfp) y PFP → PMP (pfpToPmp)
+export const ROUTING_POLICIES = [
+  { key: "random", label: "Aleatorio", desc: "Un proveedor al azar (regla original)" },
+  { key: "leastLoaded", label: "Menos cargado", desc: "El proveedor con menos volumen pendiente" },
+  { key: "cheapest", label: "Más barato", desc: "El de menor costo marginal" },
+  { key: "highestInventory", label: "Más inventario", desc: "El de mayor inventario disponible" },
+  { key: "split", label: "Repartir", desc: "Divide el pedido entre todos según capacidad × A" },
+];
+
+export const DEFAULT_ROUTING = { pbcToPfp: "random", pfpToPmp: "random" };
+
+// Volumen pendiente por proveedor; se calcula sólo si alguna política lo necesita
+export function createLoadTracker(orders) {
+  let load = null;
+  return {
+    get(id) {
+      if (!load) {
+        load = {};
+        for (const o of orders) if (!o.filled) load[o.to] = (load[o.to] || 0) + orderRemaining(o);
+      }
+      return load[id] || 0;
+    },
+    add(id, amount) {
+      if (load) load[id] = (load[id] || 0) + amount;
+    },
+  };
+}
+
+function argBest(suppliers, score) {
+  let best = null;
+  let bestScore = Infinity;
+  for (const f of suppliers) {
+    const sc = score(f);
+    if (sc < bestScore) {
+      best = f;
+      bestScore = sc;
+    }
+  }
+  return best;
+}
+
+// Devuelve [{ supplier, amount }] — "random" consume el rng igual que la regla original
+export function routeOrder(policy, suppliers, amount, { rng, load }) {
+  if (policy === "split") {
+    const total = suppliers.reduce((a, f) => a + f.capacity * f.A, 0);
+    if (total <= 0) return [];
+    return suppliers
+      .map((f) => ({ supplier: f, amount: (amount * f.capacity * f.A) / total }))
+      .filter((x) => x.amount > 0);
+  }
+  let supplier = null;
+  if (policy === "leastLoaded") supplier = argBest(suppliers, (f) => load.get(f.id));
+  else if (policy === "cheapest") supplier = argBest(suppliers, (f) => f.marginalCost);
+  else if (policy === "highestInventory") supplier = argBest(suppliers, (f) => -(f.inventory || 0));
+  else supplier = suppliers[Math.floor(rng() * suppliers.length)];
+  return supplier ? [{ supplier, amount }] : [];
+}
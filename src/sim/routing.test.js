@@ -0,0 +1,71 @@
+import { createLoadTracker, routeOrder } from "./routing.js";
+import { linkStatsByPolicy } from "./network.js";
+
+// tres proveedores: S1 barato pero cargado, S2 con más inventario, S3 el de más capacidad × A
+const suppliers = [
+  { id: "S1", marginalCost: 0.2, inventory: 5, capacity: 10, A: 1 },
+  { id: "S2", marginalCost: 0.6, inventory: 40, capacity: 10, A: 1 },
+  { id: "S3", marginalCost: 0.4, inventory: 10, capacity: 20, A: 1.5 },
+];
+const pending = [
+  { to: "S1", amount: 30, shipped: 0, filled: false },
+  { to: "S2", amount: 12, shipped: 2, filled: false },
+  { to: "S3", amount: 50, shipped: 0, filled: true },
+];
+
+function pick(policy, rngValues = [0]) {
+  const rng = () => rngValues.shift();
+  return routeOrder(policy, suppliers, 10, { rng, load: createLoadTracker(pending) }).map((x) => [
+    x.supplier.id,
+    x.amount,
+  ]);
+}
+
+test("cada política elige su proveedor con el pedido completo", () => {
+  expect(pick("cheapest")).toEqual([["S1", 10]]);
+  expect(pick("highestInventory")).toEqual([["S2", 10]]);
+  // S3 sólo tiene pedidos ya servidos: no tiene carga
+  expect(pick("leastLoaded")).toEqual([["S3", 10]]);
+});
+
+test("random usa un número del rng para elegir, como la regla original", () => {
+  expect(pick("random", [0.1])).toEqual([["S1", 10]]);
+  expect(pick("random", [0.5])).toEqual([["S2", 10]]);
+  expect(pick("random", [0.99])).toEqual([["S3", 10]]);
+});
+
+test("split reparte según capacidad × A", () => {
+  const parts = pick("split");
+  expect(parts.map(([id]) => id)).toEqual(["S1", "S2", "S3"]);
+  expect(parts.map(([, amount]) => amount)).toEqual([2, 2, 6]);
+  expect(routeOrder("split", [], 10, {})).toEqual([]);
+});
+
+test("leastLoaded suma lo que ya se ruteó en el mismo tick", () => {
+  const load = createLoadTracker([]);
+  const first = routeOrder("leastLoaded", suppliers, 10, { load });
+  load.add(first[0].supplier.id, 10);
+  const second = routeOrder("leastLoaded", suppliers, 10, { load });
+  expect(first[0].supplier.id).toBe("S1");
+  expect(second[0].supplier.id).toBe("S2");
+});
+
+test("linkStatsByPolicy separa los pedidos por la política con que se emitieron", () => {
+  const order = (extra) => ({ level: "PBC->PFP", amount: 10, createdAt: 0, due: 3, filled: false, ...extra });
+  const state = {
+    t: 10,
+    orders: [
+      order({ policy: "cheapest", filled: true, filledAt: 2, shipped: 10 }),
+      order({ policy: "cheapest", filled: true, filledAt: 5, shipped: 10 }),
+      order({ policy: "split", shipped: 4 }),
+      order({ shipped: 0 }),
+      order({ level: "PFP->PMP", policy: "leastLoaded", filled: true, filledAt: 3, shipped: 10 }),
+    ],
+  };
+  const stats = linkStatsByPolicy(state);
+  expect(Object.keys(stats["PBC->PFP"]).sort()).toEqual(["cheapest", "random", "split"]);
+  expect(stats["PBC->PFP"].cheapest).toMatchObject({ placed: 2, filled: 2, onTime: 1, leadTimeMean: 3.5, fillRate: 1 });
+  expect(stats["PBC->PFP"].split).toMatchObject({ placed: 1, partial: 1, outstanding: 6, qtyFillRate: 0.4 });
+  expect(stats["PBC->PFP"].random).toMatchObject({ placed: 1, outstandingCount: 1, fillRate: 0 });
+  expect(stats["PFP->PMP"].leastLoaded).toMatchObject({ placed: 1, onTimeRate: 1 });
+});
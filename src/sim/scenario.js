@@ -0,0 +1,206 @@
+import { randRange } from "./utils.js";
+import { setPhase } from "./phases.js";
+
+/*
+  Escenarios declarativos (JSON): eventos programados por tick
+  {
+    "name": "Crisis de insumos",
+    "events": [
+      { "at": 40,  "type": "demandShock",     "factor": 1.6, "share": 0.5, "consumerType": "linear" },
+      { "at": 80,  "type": "capacityShock",   "tier": "PMP", "firm": "PMP0", "factor": 0.4 },
+      { "at": 100, "type": "firmShutdown",    "tier": "PFP", "firm": "PFP1" },
+      { "at": 120, "type": "forceInnovation", "tier": "PBC", "costMul": 0.9, "tfpMul": 1.2, "adoptIn": 5 },
+      { "at": 150, "type": "delayChange",     "link": "pfpToPmp", "range": [15, 30] },
+      { "at": 200, "type": "phase",           "phase": "C" },
+      { "at": 240, "type": "incomeShock",     "factor": 0.7, "share": 0.4 },
+      { "at": 260, "type": "substitutePrice", "price": 2.5 }
+    ]
+  }
+  - "firm" es opcional: sin él, capacityShock afecta a todo el nivel y firmShutdown/forceInnovation eligen una al azar
+  - "msg" (opcional) reemplaza el texto que se anuncia en el ticker
+  - incomeShock y substitutePrice sólo tienen efecto con consumidores con presupuesto (config.budgets);
+    substitutePrice acepta "price" (nuevo precio) o "factor" (multiplica el vigente)
+  - delayChange acepta "link" pbcToPfp o pfpToPmp, con "range" [min, max] o "factor"
+  - phase nombra la fase ("phase") o da su índice ("phaseIdx"); el nombre se vuelve a buscar al empezar
+    cada sesión, y el motor rechaza el escenario si la fase ya no existe
+*/
+
+export const SCENARIO_EVENT_TYPES = [
+  "demandShock",
+  "incomeShock",
+  "substitutePrice",
+  "capacityShock",
+  "firmShutdown",
+  "forceInnovation",
+  "delayChange",
+  "phase",
+];
+const TIERS = ["PBC", "PFP", "PMP"];
+// demoras que el motor usa al emitir pedidos (config.delays.pmpAdjust no interviene en la simulación)
+const LINKS = ["pbcToPfp", "pfpToPmp"];
+
+function isRange(r) {
+  return Array.isArray(r) && r.length === 2 && r.every(Number.isFinite) && r[0] <= r[1];
+}
+
+// Índice de la fase de un evento "phase": por nombre si lo trae (las fases de la sesión pueden haber
+// cambiado desde que se cargó el escenario), si no por índice; -1 si no existe
+function scenarioPhaseIdx(ev, phases) {
+  if (ev.phase != null) return phases.findIndex((ph) => ph.name === ev.phase);
+  return Number.isInteger(ev.phaseIdx) && ev.phaseIdx >= 0 && ev.phaseIdx < phases.length ? ev.phaseIdx : -1;
+}
+
+// Problemas de los eventos "phase" frente a las fases de una sesión (vacío si todos existen)
+export function scenarioPhaseProblems(scenario, phases) {
+  if (!scenario) return [];
+  return scenario.events
+    .filter((ev) => ev.type === "phase" && scenarioPhaseIdx(ev, phases) < 0)
+    .map((ev) => `Escenario ${scenario.name}: la fase ${ev.phase ?? ev.phaseIdx} (t=${ev.at}) no existe en esta sesión`);
+}
+
+// Vuelve a resolver las fases del escenario al empezar una sesión; lanza Error si alguna ya no existe
+export function resolveScenarioPhases(scenario, phases) {
+  const problems = scenarioPhaseProblems(scenario, phases);
+  if (problems.length) throw new Error(problems.join("\n"));
+  return {
+    ...scenario,
+    events: scenario.events.map((ev) => (ev.type === "phase" ? { ...ev, phaseIdx: scenarioPhaseIdx(ev, phases) } : ev)),
+  };
+}
+
+// Valida y normaliza; lanza Error con todos los problemas encontrados
+export function parseScenario(raw, phases = []) {
+  const json = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!json || !Array.isArray(json.events)) throw new Error("Escenario inválido: falta la lista events");
+  const problems = [];
+  const events = json.events.map((ev, i) => {
+    const where = `evento ${i} (${ev?.type})`;
+    if (!ev || !Number.isInteger(ev.at) || ev.at < 1) problems.push(`${where}: "at" debe ser un tick entero ≥ 1`);
+    if (!SCENARIO_EVENT_TYPES.includes(ev?.type)) problems.push(`${where}: tipo desconocido`);
+    if (["capacityShock", "firmShutdown", "forceInnovation"].includes(ev?.type) && !TIERS.includes(ev.tier))
+      problems.push(`${where}: "tier" debe ser PBC, PFP o PMP`);
+    if (["demandShock", "incomeShock", "capacityShock"].includes(ev?.type) && !(Number.isFinite(ev.factor) && ev.factor >= 0))
+      problems.push(`${where}: "factor" debe ser un número ≥ 0`);
+    if (ev?.type === "substitutePrice" && !(ev.price > 0) && !(Number.isFinite(ev.factor) && ev.factor > 0))
+      problems.push(`${where}: indica "price" > 0 o "factor" > 0`);
+    if (ev?.type === "delayChange") {
+      if (!LINKS.includes(ev.link)) problems.push(`${where}: "link" debe ser ${LINKS.join(", ")}`);
+      if (!isRange(ev.range) && !Number.isFinite(ev.factor)) problems.push(`${where}: indica "range" [min, max] o "factor"`);
+    }
+    if (ev?.type === "phase") {
+      const idx = scenarioPhaseIdx(ev, phases);
+      if (idx < 0) problems.push(`${where}: fase desconocida`);
+      return { ...ev, phaseIdx: idx };
+    }
+    return { ...ev };
+  });
+  if (problems.length) throw new Error(`Escenario inválido:\n- ${problems.join("\n- ")}`);
+  events.sort((a, b) => a.at - b.at);
+  return { name: json.name || "Escenario", events };
+}
+
+function pickFirms(s, ev, rng, all) {
+  const firms = s.firms[ev.tier] || [];
+  if (ev.firm) return firms.filter((f) => f.id === ev.firm);
+  if (all) return firms;
+  return firms.length ? [firms[Math.floor(rng() * firms.length)]] : [];
+}
+
+// Aplica un evento al estado del motor; emit(type, msg, data) lo anuncia en el ticker
+export function applyScenarioEvent(s, cfg, ev, emit) {
+  const rng = s.rng;
+  const say = (text, data) => emit("scenario", `Escenario: ${ev.msg || text}`, data);
+
+  if (ev.type === "demandShock") {
+    const share = ev.share ?? 1;
+    let hit = 0;
+    for (const c of s.consumers) {
+      if (ev.consumerType && c.type !== ev.consumerType) continue;
+      if (share < 1 && rng() >= share) continue;
+      c.a *= ev.factor;
+      hit++;
+    }
+    say(`${ev.factor >= 1 ? "auge" : "caída"} de demanda ×${ev.factor} (${hit} consumidores)`);
+  } else if (ev.type === "incomeShock") {
+    const share = ev.share ?? 1;
+    let hit = 0;
+    for (const c of s.consumers) {
+      if (c.income == null || (ev.consumerType && c.type !== ev.consumerType)) continue;
+      if (share < 1 && rng() >= share) continue;
+      c.income *= ev.factor;
+      hit++;
+    }
+    say(`ingresos ×${ev.factor} (${hit} consumidores)`);
+  } else if (ev.type === "substitutePrice") {
+    if (s.substitutePrice == null) say("sin bien sustituto (consumidores sin presupuesto)");
+    else {
+      s.substitutePrice = ev.price > 0 ? ev.price : s.substitutePrice * ev.factor;
+      say(`precio del sustituto ahora ${s.substitutePrice.toFixed(2)}`, { substitutePrice: s.substitutePrice });
+    }
+  } else if (ev.type === "capacityShock") {
+    const firms = pickFirms(s, ev, rng, true);
+    for (const f of firms) f.capacity *= ev.factor;
+    say(`capacidad ×${ev.factor} en ${firms.map((f) => f.id).join(", ") || ev.tier}`);
+  } else if (ev.type === "firmShutdown") {
+    for (const f of pickFirms(s, ev, rng, false)) {
+      s.firms[ev.tier] = s.firms[ev.tier].filter((x) => x !== f);
+      s.closedFirms.push({ ...f, level: ev.tier, closedAt: s.t });
+      say(`cierre de ${f.id}`);
+    }
+  } else if (ev.type === "forceInnovation") {
+    for (const f of pickFirms(s, ev, rng, false)) {
+      const inn = cfg.innovation;
+      s.innovations.push({
+        firm: f.id,
+        level: ev.tier,
+        costMul: ev.costMul ?? randRange(rng, inn.costMultRange[0], inn.costMultRange[1]),
+        tfpMul: ev.tfpMul ?? randRange(rng, inn.tfpMultRange[0], inn.tfpMultRange[1]),
+        scheduleAt: s.t,
+        adoptAt: s.t + (ev.adoptIn ?? 0),
+        adopted: false,
+        forced: true,
+      });
+      s.innovationCounts.scheduled += 1;
+      say(`innovación forzada en ${f.id}`);
+    }
+  } else if (ev.type === "delayChange") {
+    const prev = s.delays[ev.link];
+    const next = isRange(ev.range) ? ev.range.slice() : prev.map((d) => d * ev.factor);
+    s.delays = { ...s.delays, [ev.link]: next };
+    say(`demora ${ev.link} ahora ${next.map((d) => Math.round(d)).join("–")} ticks`);
+  } else if (ev.type === "phase") {
+    setPhase(s, cfg, ev.phaseIdx, "escenario");
+    say(`cambio a fase ${cfg.phases[ev.phaseIdx]?.name ?? ev.phaseIdx}`, { phaseIdx: ev.phaseIdx });
+  }
+}
+
+// Ejemplos incluidos en la UI
+export const EXAMPLE_SCENARIOS = [
+  {
+    name: "Crisis de insumos",
+    events: [
+      { at: 40, type: "demandShock", factor: 1.5, share: 0.5, msg: "boom de demanda en la mitad de los consumidores" },
+      { at: 80, type: "capacityShock", tier: "PMP", factor: 0.4 },
+      { at: 100, type: "firmShutdown", tier: "PFP" },
+      { at: 130, type: "delayChange", link: "pfpToPmp", factor: 1.5 },
+      { at: 180, type: "forceInnovation", tier: "PMP", costMul: 0.85, tfpMul: 1.3, adoptIn: 10 },
+      { at: 220, type: "phase", phase: "C" },
+    ],
+  },
+  {
+    name: "Colapso de demanda",
+    events: [
+      { at: 60, type: "demandShock", factor: 0.5, msg: "colapso de demanda" },
+      { at: 150, type: "demandShock", factor: 1.8, msg: "recuperación de demanda" },
+    ],
+  },
+  {
+    name: "Recesión e importaciones baratas (con presupuestos)",
+    events: [
+      { at: 50, type: "incomeShock", factor: 0.6, share: 0.7, msg: "recesión: cae el ingreso de la mayoría" },
+      { at: 100, type: "substitutePrice", factor: 0.5, msg: "llegan importaciones baratas del sustituto" },
+      { at: 180, type: "incomeShock", factor: 1.5, msg: "recuperación de ingresos" },
+      { at: 220, type: "substitutePrice", price: 2, msg: "arancel a las importaciones" },
+    ],
+  },
+];
@@ -0,0 +1,52 @@
+import { EXAMPLE_SCENARIOS, parseScenario } from "./scenario.js";
+import { EXPERIMENT_PHASES } from "./config.js";
+
+test("los ejemplos incluidos son válidos", () => {
+  for (const ex of EXAMPLE_SCENARIOS) expect(() => parseScenario(ex, EXPERIMENT_PHASES)).not.toThrow();
+});
+
+test("acepta texto JSON, ordena por tick y resuelve la fase por nombre", () => {
+  const sc = parseScenario(
+    JSON.stringify({
+      events: [
+        { at: 50, type: "phase", phase: "B" },
+        { at: 10, type: "demandShock", factor: 0.5 },
+      ],
+    }),
+    EXPERIMENT_PHASES
+  );
+  expect(sc.name).toBe("Escenario");
+  expect(sc.events.map((ev) => ev.at)).toEqual([10, 50]);
+  expect(sc.events[1].phaseIdx).toBe(1);
+});
+
+test("junta todos los problemas en un solo error", () => {
+  const raw = {
+    events: [
+      { at: 0, type: "demandShock", factor: 1 },
+      { at: 5, type: "terremoto" },
+      { at: 5, type: "capacityShock", tier: "XYZ", factor: -1 },
+      { at: 5, type: "substitutePrice" },
+      { at: 5, type: "phase", phase: "Z" },
+    ],
+  };
+  let message = "";
+  try {
+    parseScenario(raw, EXPERIMENT_PHASES);
+  } catch (err) {
+    message = err.message;
+  }
+  expect(message).toMatch(/^Escenario inválido:/);
+  expect(message.split("\n- ")).toHaveLength(7);
+});
+
+test("sin lista de eventos lanza error", () => {
+  expect(() => parseScenario({ name: "x" })).toThrow("falta la lista events");
+});
+
+test("delayChange sólo acepta las demoras que usa el motor", () => {
+  const ev = (link) => ({ events: [{ at: 5, type: "delayChange", link, factor: 2 }] });
+  expect(() => parseScenario(ev("pfpToPmp"))).not.toThrow();
+  expect(() => parseScenario(ev("pmpAdjust"))).toThrow(/"link" debe ser pbcToPfp, pfpToPmp/);
+  expect(() => parseScenario({ events: [{ at: 5, type: "delayChange", link: "pbcToPfp" }] })).toThrow(/"range"/);
+});
@@ -0,0 +1,89 @@
+/* eslint-disable no-restricted-globals */
+
+// Web Worker: ejecuta el planificador escrito por el usuario fuera del hilo de la app
+// in:  { type: "load", code } | { type: "decide", id, obs }
+// out: { type: "ready" } | { type: "decision", id, decision, logs } | { type: "error", id?, message }
+//
+// Tapar nombres con parámetros de new Function no alcanza: (function(){}).constructor("return self")()
+// devuelve el global del worker. Por eso, antes de compilar nada, el worker se queda con su propio
+// postMessage y retira del global todo lo que sirve para hablar con el exterior (mensajes, red,
+// almacenamiento, otros workers) y los manejadores de mensajes. Queda import(), que es sintaxis y no se
+// puede retirar: en un worker de módulo cargaría código de cualquier URL. Se rechaza todo script que
+// contenga la palabra `import` (aunque sea en un texto o un comentario) y se cortan las vías para armar
+// código en tiempo de ejecución (eval, los constructores de funciones, timers con texto), así que lo único
+// que corre es el texto revisado. El script sólo puede calcular y devolver su decisión; no es un sandbox
+// de seguridad (puede colgarse o gastar memoria: el runner lo corta por tiempo).
+const BLOCKED = [
+  "postMessage",
+  "importScripts",
+  "fetch",
+  "XMLHttpRequest",
+  "WebSocket",
+  "WebTransport",
+  "EventSource",
+  "BroadcastChannel",
+  "MessageChannel",
+  "Worker",
+  "SharedWorker",
+  "indexedDB",
+  "caches",
+  "navigator",
+  "close",
+  "addEventListener",
+  "removeEventListener",
+  "dispatchEvent",
+  "eval",
+  "setTimeout",
+  "setInterval",
+];
+// eval no puede ser nombre de parámetro en modo estricto: sólo se retira del global
+const SHADOWED = ["self", "globalThis", "Function", ...BLOCKED.filter((name) => name !== "eval")];
+const IMPORT = /\bimport\b/;
+const compile = Function;
+
+let decide = null;
+let memory = {};
+let logs = [];
+const log = (...args) => logs.push(args.map((a) => (typeof a === "string" ? a : JSON.stringify(a))).join(" "));
+const post = self.postMessage.bind(self);
+
+self.addEventListener("message", (e) => {
+  const msg = e.data;
+  if (msg.type === "load") {
+    try {
+      if (IMPORT.test(msg.code)) throw new Error("el script no puede usar import");
+      // el código define `function decide(obs, memory, log)`
+      const factory = compile(...SHADOWED, `"use strict";\n${msg.code}\n;return typeof decide === "function" ? decide : null;`);
+      decide = factory(...SHADOWED.map(() => undefined));
+      memory = {};
+      if (!decide) throw new Error("el script debe definir function decide(obs, memory, log)");
+      post({ type: "ready" });
+    } catch (err) {
+      post({ type: "error", message: `Error al compilar: ${err?.message || err}` });
+    }
+  } else if (msg.type === "decide") {
+    logs = [];
+    try {
+      const decision = decide(msg.obs, memory, log);
+      post({ type: "decision", id: msg.id, decision: decision ?? null, logs });
+    } catch (err) {
+      post({ type: "error", id: msg.id, message: String(err?.message || err) });
+    }
+  }
+});
+
+// propiedades propias no configurables que tapan las del global y de su cadena de prototipos; el
+// listener ya registrado sigue recibiendo los mensajes y el script no puede agregar ni quitar otros
+for (const name of [...BLOCKED, "onmessage", "onmessageerror"]) {
+  try {
+    Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+  } catch {
+    // algún navegador no deja redefinir el nombre: se intenta borrarlo de la cadena de prototipos
+    for (let o = self; o; o = Object.getPrototypeOf(o)) if (Object.getOwnPropertyDescriptor(o, name)?.configurable) delete o[name];
+  }
+}
+
+// (function(){}).constructor y sus pares async y generador compilarían texto armado en tiempo de ejecución
+for (const fn of [function () {}, async function () {}, function* () {}, async function* () {}]) {
+  Object.defineProperty(Object.getPrototypeOf(fn), "constructor", { value: undefined, writable: false, configurable: false });
+}
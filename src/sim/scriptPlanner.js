@@ -0,0 +1,111 @@
+import { validateDemandExpression } from "./expression.js";
+
+// ------------------ PLANIFICADOR CON SCRIPT DEL USUARIO ------------------
+// El usuario escribe `function decide(obs, memory, log)`; corre en script.worker.js (sin acceso a la app).
+//   obs = { t, price, series, kpis, surveys, applied }   (lo mismo que ve en la UI)
+//   retorna { price?: number, priceMode?: "auto" | "manual", demand?: null | { type, params, expr? } }
+//   (campos ausentes = sin cambios; `price` implica modo manual; `memory` persiste entre ticks)
+// Las decisiones llegan de forma asíncrona y se aplican al tick siguiente; quedan en la bitácora,
+// así que la reproducción sigue siendo determinista.
+
+export const DEFAULT_SCRIPT = `// Se llama una vez por tick con lo que ves en pantalla.
+// obs.series: [{ t, price, substitutePrice, qDemand, qServed, efficiency, backlog, ... }]
+// obs.kpis: { avgEff, priceVar, demandVar, utilization }
+// obs.surveys: [{ t, design, points: [{ p, q, se }], a, b }]  (encuestas que ya volvieron del campo)
+function decide(obs, memory, log) {
+  const last = obs.series[obs.series.length - 1];
+  if (!last || obs.t < 5) return {};
+  // sube el precio si falta oferta, lo baja si sobra
+  const gap = (last.qDemand - last.qServed) / Math.max(1, last.qDemand);
+  const price = obs.price * (1 + 0.05 * gap);
+  memory.count = (memory.count || 0) + 1;
+  if (memory.count % 50 === 0) log("precio", price.toFixed(3));
+  return { price, demand: { type: "linear", params: { A: last.qDemand + 5 * price, B: 5 } } };
+}
+`;
+
+const DEMAND_TYPES = ["linear", "exp", "log", "poly", "logistic", "expr"];
+
+// Normaliza la decisión del script a los controles del planificador; devuelve { decision, problems }
+export function validateScriptDecision(raw) {
+  const problems = [];
+  const decision = {};
+  if (raw == null) return { decision, problems };
+  if (typeof raw !== "object") return { decision, problems: ["decide() debe devolver un objeto"] };
+  if (raw.priceMode !== undefined) {
+    if (raw.priceMode === "auto" || raw.priceMode === "manual") decision.priceMode = raw.priceMode;
+    else problems.push(`priceMode inválido: ${raw.priceMode}`);
+  }
+  if (raw.price !== undefined) {
+    if (Number.isFinite(raw.price) && raw.price > 0) {
+      decision.priceMode = decision.priceMode || "manual";
+      decision.manualPrice = raw.price;
+    } else problems.push(`price inválido: ${raw.price}`);
+  }
+  if (raw.demand !== undefined) {
+    const d = raw.demand;
+    if (d === null) decision.demand = null;
+    else if (!d || !DEMAND_TYPES.includes(d.type)) problems.push(`demand.type inválido (use ${DEMAND_TYPES.join(", ")})`);
+    else if (!d.params || !Object.values(d.params).every(Number.isFinite)) problems.push("demand.params deben ser números finitos");
+    else if (d.type === "expr") {
+      const { errors } = validateDemandExpression(d.expr, d.params);
+      if (errors.length) problems.push(...errors);
+      else decision.demand = { type: "expr", expr: d.expr, params: { ...d.params } };
+    } else decision.demand = { type: d.type, params: { ...d.params } };
+  }
+  return { decision, problems };
+}
+
+// Maneja el worker: una consulta en vuelo a la vez; si no responde en timeoutMs se detiene.
+// createWorker crea el script.worker.js y va al nivel del módulo que lo usa (como en useSimWorker)
+export function createScriptRunner(code, { createWorker, timeoutMs = 1000, onReady, onDecision, onError, onLog }) {
+  const worker = createWorker();
+  let pending = null;
+  let nextId = 0;
+  let stopped = false;
+
+  function fail(message) {
+    if (stopped) return;
+    stopped = true;
+    worker.terminate();
+    onError(message, { fatal: true });
+  }
+
+  worker.onmessage = (e) => {
+    if (stopped) return;
+    const msg = e.data;
+    if (msg.type === "ready") onReady?.();
+    else if (msg.type === "decision") {
+      if (!pending || msg.id !== pending.id) return;
+      pending = null;
+      for (const line of msg.logs || []) onLog?.(line);
+      const { decision, problems } = validateScriptDecision(msg.decision);
+      if (problems.length) onError(problems.join("; "), { fatal: false });
+      onDecision(decision);
+    } else if (msg.type === "error") {
+      if (msg.id == null) fail(msg.message);
+      else {
+        pending = null;
+        onError(msg.message, { fatal: false });
+      }
+    }
+  };
+  worker.onerror = (e) => fail(e.message || "error en el worker");
+  worker.postMessage({ type: "load", code });
+
+  return {
+    request(obs) {
+      if (stopped) return;
+      if (pending) {
+        if (Date.now() - pending.sentAt > timeoutMs) fail(`el script no respondió en ${timeoutMs} ms`);
+        return;
+      }
+      pending = { id: nextId++, sentAt: Date.now() };
+      worker.postMessage({ type: "decide", id: pending.id, obs });
+    },
+    stop() {
+      stopped = true;
+      worker.terminate();
+    },
+  };
+}
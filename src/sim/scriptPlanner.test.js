@@ -0,0 +1,81 @@
+import { createScriptRunner, validateScriptDecision } from "./scriptPlanner.js";
+
+test("validateScriptDecision normaliza precio, modo y demanda", () => {
+  expect(validateScriptDecision(null)).toEqual({ decision: {}, problems: [] });
+  expect(validateScriptDecision({ price: 2 }).decision).toEqual({ priceMode: "manual", manualPrice: 2 });
+  expect(validateScriptDecision({ price: 2, priceMode: "auto" }).decision).toEqual({ priceMode: "auto", manualPrice: 2 });
+  expect(validateScriptDecision({ demand: null }).decision).toEqual({ demand: null });
+  const linear = { type: "linear", params: { A: 100, B: 5 } };
+  expect(validateScriptDecision({ demand: linear }).decision.demand).toEqual(linear);
+  const expr = { type: "expr", expr: "A - B*p", params: { A: 100, B: 5 } };
+  expect(validateScriptDecision({ demand: expr }).decision.demand).toEqual(expr);
+});
+
+test("validateScriptDecision descarta los campos inválidos y explica por qué", () => {
+  expect(validateScriptDecision(3).problems).toEqual(["decide() debe devolver un objeto"]);
+  const { decision, problems } = validateScriptDecision({
+    price: -1,
+    priceMode: "turbo",
+    demand: { type: "linear", params: { A: NaN } },
+  });
+  expect(decision).toEqual({});
+  expect(problems).toEqual(["priceMode inválido: turbo", "price inválido: -1", "demand.params deben ser números finitos"]);
+  expect(validateScriptDecision({ demand: { type: "cubic", params: {} } }).problems[0]).toMatch("demand.type inválido");
+  expect(validateScriptDecision({ demand: { type: "expr", expr: "A -", params: { A: 1 } } }).problems.length).toBeGreaterThan(0);
+});
+
+// worker falso: guarda lo que recibe y responde sólo cuando el test lo pide
+function fakeWorker() {
+  const worker = {
+    sent: [],
+    terminated: false,
+    postMessage: (msg) => worker.sent.push(msg),
+    terminate: () => (worker.terminated = true),
+    reply: (data) => worker.onmessage({ data }),
+  };
+  return worker;
+}
+
+function runner(worker, opts = {}) {
+  const calls = { decisions: [], errors: [] };
+  const r = createScriptRunner("function decide() { return {}; }", {
+    createWorker: () => worker,
+    timeoutMs: 1000,
+    onDecision: (d) => calls.decisions.push(d),
+    onError: (message, { fatal }) => calls.errors.push({ message, fatal }),
+    ...opts,
+  });
+  return { r, calls };
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+test("el runner espera la respuesta en vuelo y valida la decisión", () => {
+  const worker = fakeWorker();
+  const { r, calls } = runner(worker);
+  expect(worker.sent[0]).toEqual({ type: "load", code: "function decide() { return {}; }" });
+  r.request({ t: 1 });
+  r.request({ t: 2 }); // hay una consulta en vuelo: no se envía otra
+  expect(worker.sent.filter((m) => m.type === "decide")).toHaveLength(1);
+  worker.reply({ type: "decision", id: 0, decision: { price: 0 }, logs: [] });
+  expect(calls.decisions).toEqual([{}]);
+  expect(calls.errors).toEqual([{ message: "price inválido: 0", fatal: false }]);
+});
+
+test("el runner detiene el worker si la consulta en vuelo pasa el tope de tiempo", () => {
+  const now = jest.spyOn(Date, "now").mockReturnValue(0);
+  const worker = fakeWorker();
+  const { r, calls } = runner(worker);
+  r.request({ t: 1 });
+  now.mockReturnValue(1000);
+  r.request({ t: 2 });
+  expect(worker.terminated).toBe(false);
+  now.mockReturnValue(1001);
+  r.request({ t: 3 });
+  expect(worker.terminated).toBe(true);
+  expect(calls.errors).toEqual([{ message: "el script no respondió en 1000 ms", fatal: true }]);
+  // una respuesta tardía ya no llega a la app
+  worker.reply({ type: "decision", id: 0, decision: { price: 2 }, logs: [] });
+  r.request({ t: 4 });
+  expect(calls.decisions).toEqual([]);
+});
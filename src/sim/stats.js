@@ -0,0 +1,76 @@
+import { last, variance } from "./utils.js";
+import { oracleDemand } from "./demand.js";
+import { linkStats, linkStatsByPolicy } from "./network.js";
+import { bullwhipStats } from "./bullwhip.js";
+import { costSummary, firmPnl } from "./ledger.js";
+import { welfareSummary } from "./welfare.js";
+import { phaseDurations } from "./phases.js";
+
+// Estadísticas de fin de sesión a partir del estado del motor
+export function computeSessionStats(s) {
+  const data = s.series;
+  const avgPrice = data.reduce((a, b) => a + b.price, 0) / Math.max(1, data.length);
+  const avgDemand = data.reduce((a, b) => a + b.qDemand, 0) / Math.max(1, data.length);
+  const avgServed = data.reduce((a, b) => a + b.qServed, 0) / Math.max(1, data.length);
+  const effMean = data.reduce((a, b) => a + (b.efficiency || 0), 0) / Math.max(1, data.length);
+  const demandVol = variance(data.map((d) => d.qDemand));
+  const priceVol = variance(data.map((d) => d.price));
+
+  // cada punto con el precio del sustituto de su tick (los escenarios lo mueven durante la sesión)
+  const regretSeries = data.map((pt) => Math.abs(pt.qServed - oracleDemand(s.consumers, pt.price, pt.substitutePrice)));
+  const cumulativeRegret = regretSeries.reduce((a, b) => a + b, 0);
+
+  // proxy de bienestar: disposición a pagar menos gasto de lo servido, es decir el excedente de los
+  // consumidores que el motor ya mide en cada tick (welfare.js); no se vuelve a integrar la demanda
+  const welfare = welfareSummary(data);
+  const welfareProxy = welfare.cs;
+
+  // backlog (pedidos vencidos sin servir) a lo largo de la sesión
+  const backlogs = data.map((d) => d.backlog || 0);
+  const links = linkStats(s);
+  const backlog = {
+    mean: backlogs.reduce((a, b) => a + b, 0) / Math.max(1, backlogs.length),
+    max: Math.max(0, ...backlogs),
+    final: last(data, null)?.backlog || 0,
+    ageMean: data.reduce((a, b) => a + (b.backlogAge || 0), 0) / Math.max(1, data.length),
+    expired: Object.values(links).reduce((a, st) => a + st.expired, 0),
+  };
+
+  // escasez: demanda insatisfecha y consumidores racionados (rationing.js)
+  const rationedPts = data.filter((d) => d.rationed != null);
+  const rationing = {
+    unmet: rationedPts.reduce((a, d) => a + d.unmet, 0),
+    rationedShare:
+      rationedPts.reduce((a, d) => a + d.rationed, 0) / Math.max(1, rationedPts.length * s.consumers.length),
+    queuedMax: Math.max(0, ...rationedPts.map((d) => d.queued)),
+  };
+
+  return {
+    ticks: data.length,
+    avgPrice,
+    avgDemand,
+    avgServed,
+    effMean,
+    demandVol,
+    priceVol,
+    cumulativeRegret,
+    welfareProxy,
+    innovationCounts: { ...s.innovationCounts },
+    orderLinks: links,
+    backlog,
+    bullwhip: bullwhipStats(s),
+    costs: costSummary(s),
+    welfare,
+    firmPnl: firmPnl(s),
+    routingStats: linkStatsByPolicy(s),
+    rationing,
+    surveys: {
+      count: s.surveys.length,
+      responses: s.surveys.reduce((a, sv) => a + sv.responses, 0),
+      spent: s.surveySpent,
+    },
+    // cambios de fase con su tick y ticks pasados en cada una (phases.js)
+    phases: { log: s.phaseLog.map((e) => ({ ...e })), durations: phaseDurations(s.phaseLog, s.t) },
+    seed: s.seed,
+  };
+}
@@ -0,0 +1,30 @@
+import { computeSessionStats } from "./stats.js";
+import { createEngine } from "./engine.js";
+
+function stepped(ticks) {
+  const engine = createEngine({ consumersN: 40 }, 8);
+  for (let i = 0; i < ticks; i++) engine.step({});
+  return engine;
+}
+
+test("el proxy de bienestar suma el excedente de los consumidores medido en cada tick", () => {
+  const engine = stepped(30);
+  const stats = engine.stats();
+  const cs = engine.state.series.reduce((a, pt) => a + (pt.cs ?? 0), 0);
+  expect(stats.welfareProxy).toBeCloseTo(cs, 6);
+  expect(stats.welfareProxy).toBe(stats.welfare.cs);
+});
+
+test("las estadísticas de bienestar salen de la serie: no vuelven a integrar la demanda de los consumidores", () => {
+  const engine = stepped(20);
+  const before = engine.stats();
+  const consumers = engine.state.consumers.map((c) => ({ ...c, a: c.a * 10 }));
+  const after = computeSessionStats({ ...engine.state, consumers });
+  expect(after.welfareProxy).toBe(before.welfareProxy);
+  expect(after.welfare).toEqual(before.welfare);
+});
+
+test("una serie sin bienestar medido (sólo el tick 0) da proxy 0", () => {
+  const engine = stepped(0);
+  expect(engine.stats().welfareProxy).toBe(0);
+});
@@ -0,0 +1,142 @@
+import { computeConsumerDemand } from "./demand.js";
+import { olsLinear } from "./utils.js";
+
+// ------------------ ENCUESTAS DE MERCADO ------------------
+// El planificador diseña la encuesta: precios a preguntar, respuestas por precio y, opcionalmente,
+// muestreo estratificado por segmento (tipo de demanda del consumidor).
+//   design = { prices: number[], perPrice: int, stratify: bool }
+// Cada encuesta cuesta config.surveys.fixedCost + costPerResponse × respuestas del presupuesto de la
+// sesión (config.surveys.budget) y pasa ceil(respuestas / responsesPerTick) ticks en campo antes de
+// que sus resultados estén disponibles. Las respuestas salen del rng de la simulación al pedirla
+// (quedan en la bitácora), así que la reproducción es idéntica.
+
+const Z95 = 1.96;
+
+export function normalizeSurveyDesign(design) {
+  const prices = (design?.prices || []).map(Number).filter((p) => Number.isFinite(p) && p > 0);
+  const perPrice = Math.round(Number(design?.perPrice));
+  if (prices.length < 2) throw new Error("Encuesta inválida: se necesitan al menos 2 precios positivos");
+  if (!(perPrice >= 1)) throw new Error("Encuesta inválida: al menos 1 respuesta por precio");
+  return { prices: [...new Set(prices)].sort((a, b) => a - b), perPrice, stratify: !!design.stratify };
+}
+
+// precios equiespaciados entre pLow y pHigh
+export function priceLadder(pLow, pHigh, count) {
+  const n = Math.max(2, Math.round(count));
+  return Array.from({ length: n }, (_, i) => pLow + ((pHigh - pLow) * i) / (n - 1));
+}
+
+// estratos: segmento de la población (population.js) o, con el generador original, familia de demanda
+function strataOf(consumers) {
+  const strata = {};
+  for (const c of consumers) (strata[c.segment != null ? `seg${c.segment}` : c.type] ||= []).push(c);
+  return strata;
+}
+
+// Respuestas por estrato para un precio: proporcional al tamaño del estrato, al menos 1 por estrato
+function allocation(consumers, design) {
+  if (!design.stratify) return { all: design.perPrice };
+  const strata = strataOf(consumers);
+  const alloc = {};
+  for (const [key, members] of Object.entries(strata))
+    alloc[key] = Math.max(1, Math.round((design.perPrice * members.length) / consumers.length));
+  return alloc;
+}
+
+// Costo y duración antes de lanzarla (para mostrar en el panel)
+export function surveyPlan(s, design, cfg) {
+  const d = normalizeSurveyDesign(design);
+  const perPrice = Object.values(allocation(s.consumers, d)).reduce((a, b) => a + b, 0);
+  const responses = perPrice * d.prices.length;
+  return {
+    design: d,
+    responses,
+    cost: cfg.fixedCost + cfg.costPerResponse * responses,
+    duration: Math.max(1, Math.ceil(responses / Math.max(1, cfg.responsesPerTick))),
+    remaining: cfg.budget - s.surveySpent,
+  };
+}
+
+function meanSd(xs) {
+  const m = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const v = xs.length > 1 ? xs.reduce((a, b) => a + (b - m) ** 2, 0) / (xs.length - 1) : 0;
+  return { m, v };
+}
+
+// respuesta de un consumidor (demanda con ruido de comportamiento + ruido de medición)
+function respond(c, p, rng, pSub) {
+  return computeConsumerDemand(c, p, rng, pSub) * (1 + (rng() - 0.5) * 0.2);
+}
+
+// Estima la demanda agregada a cada precio y la guarda en s.surveys; lanza Error si no alcanza el presupuesto
+export function runSurvey(s, design, cfg) {
+  const plan = surveyPlan(s, design, cfg);
+  if (plan.cost > plan.remaining + 1e-9)
+    throw new Error(`Presupuesto insuficiente: la encuesta cuesta ${plan.cost.toFixed(2)} y quedan ${plan.remaining.toFixed(2)}`);
+  const rng = s.rng;
+  const N = s.consumers.length;
+  const strata = plan.design.stratify ? strataOf(s.consumers) : { all: s.consumers };
+  const alloc = allocation(s.consumers, plan.design);
+
+  const points = plan.design.prices.map((p) => {
+    let q = 0;
+    let varQ = 0;
+    const byStratum = {};
+    for (const [key, members] of Object.entries(strata)) {
+      const answers = [];
+      for (let i = 0; i < alloc[key]; i++) answers.push(respond(members[Math.floor(rng() * members.length)], p, rng, s.substitutePrice));
+      const { m, v } = meanSd(answers);
+      // estimador de totales: N_h · media_h, varianza N_h² · s_h² / n_h
+      q += members.length * m;
+      varQ += (members.length ** 2 * v) / answers.length;
+      byStratum[key] = { n: answers.length, mean: m, share: members.length / N };
+    }
+    const se = Math.sqrt(varQ);
+    return { p, q, se, ci: Z95 * se, n: Object.values(alloc).reduce((a, b) => a + b, 0), byStratum };
+  });
+
+  s.surveySpent += plan.cost;
+  const { a, b } = olsLinear(
+    points.map((pt) => pt.p),
+    points.map((pt) => pt.q)
+  );
+  const record = {
+    id: s.surveys.length,
+    t: s.t,
+    readyAt: s.t + plan.duration,
+    design: plan.design,
+    responses: plan.responses,
+    cost: plan.cost,
+    points,
+    ps: points.map((pt) => pt.p),
+    qs: points.map((pt) => pt.q),
+    a,
+    b,
+  };
+  (s.surveys ||= []).push(record);
+  return record;
+}
+
+// encuestas cuyos resultados ya volvieron del campo
+export function visibleSurveys(s) {
+  return s.surveys.filter((sv) => sv.readyAt <= s.t);
+}
+
+// Recta OLS sobre las estimaciones con banda de confianza del 95% para la media en cada precio
+export function surveyFitBands(survey, steps = 30) {
+  const xs = survey.ps;
+  const ys = survey.qs;
+  const n = xs.length;
+  const xMean = xs.reduce((a, b) => a + b, 0) / n;
+  const sxx = xs.reduce((a, x) => a + (x - xMean) ** 2, 0);
+  const sse = xs.reduce((acc, x, i) => acc + (ys[i] - (survey.a + survey.b * x)) ** 2, 0);
+  const s2 = n > 2 ? sse / (n - 2) : 0;
+  const lo = Math.min(...xs);
+  const hi = Math.max(...xs);
+  return Array.from({ length: steps + 1 }, (_, i) => {
+    const p = lo + ((hi - lo) * i) / steps;
+    const fit = survey.a + survey.b * p;
+    const half = Z95 * Math.sqrt(s2 * (1 / n + (sxx > 0 ? (p - xMean) ** 2 / sxx : 0)));
+    return { p, fit, band: [fit - half, fit + half] };
+  });
+}
@@ -0,0 +1,77 @@
+import { normalizeSurveyDesign, priceLadder, surveyFitBands, surveyPlan, visibleSurveys } from "./survey.js";
+import { createEngine } from "./engine.js";
+import { DEFAULT } from "./config.js";
+
+const design = { prices: [3, 1, 2, 2], perPrice: 50 };
+
+function engine(surveys = DEFAULT.surveys) {
+  return createEngine({ consumersN: 100, surveys }, 12);
+}
+
+test("normalizeSurveyDesign ordena y deduplica los precios y rechaza diseños vacíos", () => {
+  expect(normalizeSurveyDesign(design)).toEqual({ prices: [1, 2, 3], perPrice: 50, stratify: false });
+  expect(() => normalizeSurveyDesign({ prices: [1], perPrice: 5 })).toThrow("al menos 2 precios");
+  expect(() => normalizeSurveyDesign({ prices: [1, 2], perPrice: 0 })).toThrow("al menos 1 respuesta");
+  expect(priceLadder(1, 3, 3)).toEqual([1, 2, 3]);
+});
+
+test("surveyPlan cobra costo fijo más costo por respuesta y fija los ticks en campo", () => {
+  const e = engine();
+  const plan = surveyPlan(e.state, design, DEFAULT.surveys);
+  expect(plan.responses).toBe(150);
+  expect(plan.cost).toBeCloseTo(DEFAULT.surveys.fixedCost + DEFAULT.surveys.costPerResponse * 150);
+  expect(plan.duration).toBe(Math.ceil(150 / DEFAULT.surveys.responsesPerTick));
+  expect(plan.remaining).toBe(DEFAULT.surveys.budget);
+});
+
+test("sin presupuesto la encuesta se rechaza sin gastar ni consumir el rng", () => {
+  const e = engine({ ...DEFAULT.surveys, budget: 10 });
+  e.runSurvey(design);
+  expect(e.state.surveySpent).toBeCloseTo(9.5);
+  const rngBefore = e.state.rng.getState();
+  expect(() => e.runSurvey(design)).toThrow("Presupuesto insuficiente");
+  expect(e.state.surveySpent).toBeCloseTo(9.5);
+  expect(e.state.rng.getState()).toBe(rngBefore);
+  expect(e.state.surveys).toHaveLength(1);
+});
+
+test("los resultados aparecen recién cuando la encuesta vuelve del campo", () => {
+  const e = engine();
+  const sv = e.runSurvey(design);
+  expect(sv.readyAt).toBe(e.t + 4);
+  for (let i = 0; i < 3; i++) {
+    e.step({ priceMode: "auto" });
+    expect(visibleSurveys(e.state)).toEqual([]);
+  }
+  e.step({ priceMode: "auto" });
+  expect(visibleSurveys(e.state).map((x) => x.id)).toEqual([sv.id]);
+});
+
+test("la encuesta estratificada asigna respuestas proporcionales a cada estrato", () => {
+  const e = engine();
+  const sv = e.runSurvey({ prices: [1, 2], perPrice: 20, stratify: true });
+  const point = sv.points[0];
+  const types = new Set(e.state.consumers.map((c) => c.type));
+  expect(Object.keys(point.byStratum).sort()).toEqual([...types].sort());
+  for (const [type, st] of Object.entries(point.byStratum)) {
+    const members = e.state.consumers.filter((c) => c.type === type).length;
+    expect(st.share).toBeCloseTo(members / 100);
+    expect(st.n).toBe(Math.max(1, Math.round((20 * members) / 100)));
+  }
+  expect(point.n).toBe(Object.values(point.byStratum).reduce((a, st) => a + st.n, 0));
+  expect(sv.responses).toBe(point.n * 2);
+  expect(point.ci).toBeCloseTo(1.96 * point.se);
+});
+
+test("la misma seed y el mismo diseño dan la misma encuesta", () => {
+  expect(engine().runSurvey(design)).toEqual(engine().runSurvey(design));
+});
+
+test("surveyFitBands: con puntos sobre una recta la banda se cierra", () => {
+  const bands = surveyFitBands({ ps: [1, 2, 3], qs: [90, 80, 70], a: 100, b: -10 }, 4);
+  expect(bands.map((x) => x.p)).toEqual([1, 1.5, 2, 2.5, 3]);
+  for (const { p, fit, band } of bands) {
+    expect(fit).toBeCloseTo(100 - 10 * p);
+    expect(band[1] - band[0]).toBeCloseTo(0);
+  }
+});
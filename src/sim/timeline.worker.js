@@ -0,0 +1,8 @@
+import { scrubView } from "./journal.js";
+import { serveTask } from "./workerTask.js";
+
+// Web Worker: reproduce la bitácora hasta el tick elegido en la línea de tiempo
+// in:  { journal, tick, checkpoint }   done: { view }
+serveTask(({ journal, tick, checkpoint }, onProgress) => ({
+  view: scrubView(journal, tick, checkpoint ? [checkpoint] : [], onProgress),
+}));
@@ -0,0 +1,45 @@
+// ------------------ UTILIDADES ------------------
+// rng.getState()/rng.setState() exponen el estado interno para snapshots
+export function mulberry32(a) {
+  const rng = function () {
+    var t = (a += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.getState = () => a;
+  rng.setState = (state) => {
+    a = state;
+  };
+  return rng;
+}
+export function randRange(rng, a, b) {
+  return a + (b - a) * rng();
+}
+export function clamp(x, a, b) {
+  return Math.max(a, Math.min(b, x));
+}
+export function last(arr, fallback = 0) {
+  if (!arr || arr.length === 0) return fallback;
+  return arr[arr.length - 1];
+}
+export function olsLinear(x, y) {
+  const n = x.length;
+  if (n === 0) return { a: 0, b: 0 };
+  const meanX = x.reduce((s, v) => s + v, 0) / n;
+  const meanY = y.reduce((s, v) => s + v, 0) / n;
+  let num = 0,
+    den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (x[i] - meanX) * (y[i] - meanY);
+    den += (x[i] - meanX) ** 2;
+  }
+  const b = den === 0 ? 0 : num / den;
+  const a = meanY - b * meanX;
+  return { a, b };
+}
+export function variance(arr) {
+  if (!arr || arr.length === 0) return 0;
+  const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
+  return arr.reduce((a, b) => a + (b - mean) ** 2, 0) / arr.length;
+}
@@ -0,0 +1,148 @@
+import { consumerTrueDemand } from "./demand.js";
+
+// ------------------ BIENESTAR (excedentes y pérdida irrecuperable) ------------------
+// Beneficio bruto de consumir x con demanda q(p):  ∫_0^x P(q) dq = ∫_0^pCap min(x, q(p)) dp
+// (fórmula de "capas"; pCap acota la disposición a pagar de demandas que no caen con el precio).
+// Se integra sobre una grilla de precios más densa cerca de 0, donde se mueve el precio.
+
+export function priceGrid(cap, steps) {
+  return Array.from({ length: steps + 1 }, (_, k) => cap * (k / steps) ** 2);
+}
+
+// ∫ min(x, q(p)) dp por trapecios sobre la grilla (qs[k] = q(grid[k]))
+function layerCake(grid, qs, x) {
+  let area = 0;
+  for (let k = 1; k < grid.length; k++) {
+    area += 0.5 * (Math.min(x, qs[k - 1]) + Math.min(x, qs[k])) * (grid[k] - grid[k - 1]);
+  }
+  return area;
+}
+
+function interpolate(grid, qs, p) {
+  if (p <= grid[0]) return qs[0];
+  for (let k = 1; k < grid.length; k++) {
+    if (p <= grid[k]) {
+      const w = (p - grid[k - 1]) / (grid[k] - grid[k - 1]);
+      return qs[k - 1] + w * (qs[k] - qs[k - 1]);
+    }
+  }
+  return qs[qs.length - 1];
+}
+
+// Oferta competitiva del bien final: cada unidad necesita capacidad PBC y un insumo que viene de
+// una PFP (producción propia) o de una PMP (vía PFP). Se aparean las unidades más baratas de cada
+// lado: [{ qty, mc }] con mc no decreciente.
+export function chainSupply(firms) {
+  const steps = (list) =>
+    list
+      .filter((f) => f.capacity > 0)
+      .map((f) => ({ qty: f.capacity, mc: f.marginalCost }))
+      .sort((a, b) => a.mc - b.mc);
+  const pbc = steps(firms.PBC);
+  const inputs = steps([...firms.PFP, ...firms.PMP]);
+  const out = [];
+  let i = 0;
+  let j = 0;
+  let leftA = pbc[0]?.qty || 0;
+  let leftB = inputs[0]?.qty || 0;
+  while (i < pbc.length && j < inputs.length) {
+    const qty = Math.min(leftA, leftB);
+    out.push({ qty, mc: pbc[i].mc + inputs[j].mc });
+    leftA -= qty;
+    leftB -= qty;
+    if (leftA <= 1e-12) leftA = pbc[++i]?.qty || 0;
+    if (leftB <= 1e-12) leftB = inputs[++j]?.qty || 0;
+  }
+  return out;
+}
+
+function supplyAt(segments, p) {
+  let q = 0;
+  for (const sg of segments) if (sg.mc <= p) q += sg.qty;
+  return q;
+}
+
+function supplyCost(segments, Q) {
+  let cost = 0;
+  let left = Q;
+  for (const sg of segments) {
+    if (left <= 0) break;
+    const q = Math.min(left, sg.qty);
+    cost += q * sg.mc;
+    left -= q;
+  }
+  return cost;
+}
+
+// Equilibrio competitivo: precio donde la demanda verdadera agregada iguala la oferta a costo marginal
+export function competitiveEquilibrium(grid, demandQs, segments) {
+  const cap = grid[grid.length - 1];
+  const excess = (p) => interpolate(grid, demandQs, p) - supplyAt(segments, p);
+  let lo = 0;
+  let hi = cap;
+  if (excess(hi) > 0) lo = hi;
+  else {
+    for (let it = 0; it < 50; it++) {
+      const mid = 0.5 * (lo + hi);
+      if (excess(mid) > 0) lo = mid;
+      else hi = mid;
+    }
+  }
+  const qty = Math.min(interpolate(grid, demandQs, lo), supplyAt(segments, hi));
+  const welfare = layerCake(grid, demandQs, qty) - supplyCost(segments, qty);
+  return { price: lo, qty, welfare };
+}
+
+// Equilibrio competitivo con el estado actual (consumidores y firmas ocultos)
+export function equilibriumAt(s, welfareCfg) {
+  const grid = priceGrid(welfareCfg.priceCap, welfareCfg.gridSteps);
+  const demandQs = grid.map((p) => s.consumers.reduce((a, c) => a + consumerTrueDemand(c, p, s.substitutePrice), 0));
+  return competitiveEquilibrium(grid, demandQs, chainSupply(s.firms));
+}
+
+/*
+  Bienestar de un tick:
+  - allocations[i]: lo que recibió el consumidor i según la regla de racionamiento (rationing.js)
+  - cs: Σ_i beneficio_i(x_i) − precio · servido
+  - ps: beneficio de la cadena en el tick (ingresos de las PBC − producción − inventario; las
+    transferencias entre niveles se cancelan)
+  - optimum: bienestar del equilibrio competitivo de la economía oculta; dwl = optimum − (cs + ps)
+*/
+export function measureWelfare(s, welfareCfg, { price, allocations, producerSurplus }) {
+  const grid = priceGrid(welfareCfg.priceCap, welfareCfg.gridSteps);
+  const demandQs = new Array(grid.length).fill(0);
+  const qs = new Array(grid.length);
+  let benefit = 0;
+  let served = 0;
+  s.consumers.forEach((c, i) => {
+    for (let k = 0; k < grid.length; k++) {
+      qs[k] = consumerTrueDemand(c, grid[k], s.substitutePrice);
+      demandQs[k] += qs[k];
+    }
+    const x = Math.max(0, allocations[i] || 0);
+    served += x;
+    if (x > 0) benefit += layerCake(grid, qs, x);
+  });
+  const cs = benefit - price * served;
+  const eq = competitiveEquilibrium(grid, demandQs, chainSupply(s.firms));
+  const total = cs + producerSurplus;
+  return { cs, ps: producerSurplus, total, optimum: eq.welfare, dwl: eq.welfare - total, eqPrice: eq.price, eqQty: eq.qty };
+}
+
+// Resumen de la sesión a partir de los puntos de la serie
+export function welfareSummary(series) {
+  const pts = series.filter((pt) => pt.t > 0 && Number.isFinite(pt.dwl));
+  const sum = (key) => pts.reduce((a, pt) => a + pt[key], 0);
+  const optimum = sum("optimum");
+  const total = sum("welfare");
+  return {
+    ticks: pts.length,
+    cs: sum("cs"),
+    ps: sum("ps"),
+    total,
+    optimum,
+    dwl: sum("dwl"),
+    dwlMean: pts.length ? sum("dwl") / pts.length : NaN,
+    efficiency: optimum > 0 ? total / optimum : NaN,
+  };
+}
@@ -0,0 +1,63 @@
+import { chainSupply, competitiveEquilibrium, measureWelfare, priceGrid, welfareSummary } from "./welfare.js";
+
+const welfareCfg = { priceCap: 20, gridSteps: 400 };
+
+// dos consumidores lineales q = 10 − p: demanda agregada 20 − 2p; la cadena produce a costo 2
+const state = {
+  substitutePrice: null,
+  consumers: [
+    { type: "linear", a: 10, b: 1 },
+    { type: "linear", a: 10, b: 1 },
+  ],
+  firms: {
+    PBC: [{ capacity: 100, marginalCost: 1 }],
+    PFP: [{ capacity: 100, marginalCost: 1 }],
+    PMP: [],
+  },
+};
+
+test("chainSupply aparea las unidades más baratas de PBC con los insumos más baratos", () => {
+  const firms = {
+    PBC: [
+      { capacity: 10, marginalCost: 1 },
+      { capacity: 5, marginalCost: 0.5 },
+      { capacity: 0, marginalCost: 0.1 },
+    ],
+    PFP: [{ capacity: 8, marginalCost: 0.2 }],
+    PMP: [{ capacity: 20, marginalCost: 0.4 }],
+  };
+  const steps = chainSupply(firms);
+  expect(steps.map((sg) => sg.qty)).toEqual([5, 3, 7]);
+  steps.forEach((sg, i) => expect(sg.mc).toBeCloseTo([0.7, 1.2, 1.4][i], 10));
+});
+
+test("el equilibrio competitivo iguala demanda y costo marginal", () => {
+  const grid = priceGrid(welfareCfg.priceCap, welfareCfg.gridSteps);
+  const demandQs = grid.map((p) => Math.max(0, 20 - 2 * p));
+  const eq = competitiveEquilibrium(grid, demandQs, chainSupply(state.firms));
+  expect(eq.price).toBeCloseTo(2, 3);
+  expect(eq.qty).toBeCloseTo(16, 2);
+  // ∫_0^16 (10 − q/2) dq − 2 · 16
+  expect(eq.welfare).toBeCloseTo(64, 0);
+});
+
+test("con el reparto eficiente al precio de equilibrio no hay pérdida irrecuperable", () => {
+  const w = measureWelfare(state, welfareCfg, { price: 2, allocations: [8, 8], producerSurplus: 0 });
+  expect(w.cs).toBeCloseTo(64, 0);
+  expect(w.optimum).toBeCloseTo(64, 0);
+  expect(Math.abs(w.dwl)).toBeLessThan(0.5);
+});
+
+test("un mal reparto de la misma cantidad pierde bienestar", () => {
+  // el primero recibe 16 pero a precio 0 sólo quiere 10: su beneficio bruto es ∫_0^10 (10 − p) dp = 50
+  const w = measureWelfare(state, welfareCfg, { price: 2, allocations: [16, 0], producerSurplus: 0 });
+  expect(w.cs).toBeCloseTo(50 - 32, 0);
+  expect(w.dwl).toBeCloseTo(64 - 18, 0);
+});
+
+test("welfareSummary suma los ticks simulados con bienestar finito", () => {
+  const pt = (t, welfare, optimum) => ({ t, cs: welfare, ps: 0, welfare, optimum, dwl: optimum - welfare });
+  const summary = welfareSummary([pt(0, 1, 1), pt(1, 30, 40), pt(2, 40, 40), { t: 3, dwl: NaN }]);
+  expect(summary).toMatchObject({ ticks: 2, total: 70, optimum: 80, dwl: 10, dwlMean: 5 });
+  expect(summary.efficiency).toBeCloseTo(70 / 80, 10);
+});
@@ -0,0 +1,17 @@
+/* eslint-disable no-restricted-globals */
+
+// ------------------ WORKERS DE CÁLCULO ------------------
+// Protocolo común de los workers que corren una tarea larga del motor:
+// in:  el mensaje que recibe run(data, onProgress)
+// out: { type: "progress", done, total } | { type: "done", ...lo que devuelve run } | { type: "error", message }
+// En la UI los maneja useSimWorker (src/components/useSimWorker.js).
+export function serveTask(run) {
+  self.onmessage = (e) => {
+    try {
+      const result = run(e.data, (done, total) => self.postMessage({ type: "progress", done, total }));
+      self.postMessage({ type: "done", ...result });
+    } catch (err) {
+      self.postMessage({ type: "error", message: String(err?.message || err) });
+    }
+  };
+}